@@ -1,889 +1,254 @@
 const express = require('express');
-const { fork } = require('child_process');
+const fs = require('fs');
 const path = require('path');
-
+const EventStream = require('./events/stream');
+const { MemoryEventStore, retentionOptions } = require('./events/store');
+const configManager = require('./config/ConfigManager');
+const ProgramRegistry = require('./program-system/registry');
+const { setupProgramRoutes } = require('./program-system/routes');
+const { setupCommandRoutes } = require('./commands/routes');
+const IsolatedBot = require('./isolated-bot');
+
+// Hosts one or more named bots, each in its own bot-process.js child
 class IsolatedBotServer {
-  constructor() {
-    this.botProcess = null;
+  constructor(options = {}) {
     this.app = express();
+    this.bots = new Map();
+    this.defaultBotName = options.defaultBotName || 'default';
+    // Bots added through POST /bots are restored from here on the next start
+    this.botsFile = options.botsFile || path.join(process.cwd(), '.mineflare', 'bots.json');
+    // Pass options.eventStore to persist events (see events/store.js); defaults to memory
+    this.eventStore = options.eventStore || new MemoryEventStore(retentionOptions(configManager.get()));
+    this.eventStream = new EventStream();
     this.setupRoutes();
-    this.config = null;
-    this.botState = {
-      connected: false,
-      spawned: false,
-      position: null,
-      health: 20,
-      isDead: false
-    };
-    this.events = [];
-    this.isRestarting = false;
   }
 
-  setupRoutes() {
-    this.app.use(express.json());
-
-    // Health check endpoint
-    this.app.get('/health', (req, res) => {
-      res.json({ 
-        status: 'ok', 
-        botConnected: this.botState.connected 
-      });
-    });
-
-    this.app.get('/status', (req, res) => {
-      res.json({
-        connected: this.botState.connected,
-        spawned: this.botState.spawned,
-        position: this.botState.position,
-        health: this.botState.health,
-        isDead: this.botState.isDead,
-        processRunning: this.botProcess !== null && !this.botProcess.killed
-      });
-    });
-
-    // Get bot state with detailed information
-    this.app.get('/state', (req, res) => {
-      if (!this.botState.connected) {
-        return res.status(400).json({ error: 'Bot not connected' });
-      }
-
-      // Request state from bot process and wait for response
-      if (this.botProcess && !this.botProcess.killed) {
-        // Set up one-time listener for state response
-        let responded = false;
-        const stateHandler = (msg) => {
-          if (msg.type === 'state_response' && !responded) {
-            responded = true;
-            res.json(msg.state);
-          }
-        };
-        
-        this.botProcess.once('message', stateHandler);
-        this.sendCommand('get_state');
-        
-        // Timeout after 2 seconds
-        setTimeout(() => {
-          if (!responded) {
-            responded = true;
-            try {
-              this.botProcess.removeListener('message', stateHandler);
-              if (!res.headersSent) {
-                res.status(504).json({ error: 'State request timeout' });
-              }
-            } catch (err) {
-              // Ignore errors if response already sent
-            }
-          }
-        }, 2000);
-      } else {
-        res.status(503).json({ error: 'Bot process not running' });
-      }
-    });
+  get events() {
+    return this.eventStore.events;
+  }
 
-    // Get inventory
-    this.app.get('/inventory', (req, res) => {
-      if (!this.botState.connected) {
-        return res.status(400).json({ error: 'Bot not connected' });
-      }
+  set events(events) {
+    this.eventStore.replace(events);
+  }
 
-      if (this.botProcess && !this.botProcess.killed) {
-        let responded = false;
-        const inventoryHandler = (msg) => {
-          if (msg.type === 'inventory_response' && !responded) {
-            responded = true;
-            res.json({ items: msg.items });
-          }
-        };
-        
-        this.botProcess.once('message', inventoryHandler);
-        this.sendCommand('get_inventory');
-        
-        setTimeout(() => {
-          if (!responded) {
-            responded = true;
-            try {
-              this.botProcess.removeListener('message', inventoryHandler);
-              if (!res.headersSent) {
-                res.status(504).json({ error: 'Inventory request timeout' });
-              }
-            } catch (err) {
-              // Ignore errors if response already sent
-            }
-          }
-        }, 2000);
-      } else {
-        res.status(503).json({ error: 'Bot process not running' });
-      }
-    });
+  getProgramRegistry() {
+    // One registry per server so programs, run status and history are shared across bots
+    if (!this.programRegistry) {
+      this.programRegistry = new ProgramRegistry(configManager, { recoverRuns: true });
+    }
+    return this.programRegistry;
+  }
 
-    // Get nearby entities
-    this.app.get('/entities', (req, res) => {
-      if (!this.botState.connected) {
-        return res.status(400).json({ error: 'Bot not connected' });
-      }
+  // Connection settings for a bot: its profile's minecraft section overridden by explicit fields
+  buildBotConfig(name, options = {}) {
+    if (options.profile && !configManager.listProfiles().includes(options.profile)) {
+      throw new Error(`Profile '${options.profile}' does not exist`);
+    }
 
-      if (this.botProcess && !this.botProcess.killed) {
-        let responded = false;
-        const entitiesHandler = (msg) => {
-          if (msg.type === 'entities_response' && !responded) {
-            responded = true;
-            res.json({ entities: msg.entities });
-          }
-        };
-        
-        this.botProcess.once('message', entitiesHandler);
-        this.sendCommand('get_entities');
-        
-        setTimeout(() => {
-          if (!responded) {
-            responded = true;
-            try {
-              this.botProcess.removeListener('message', entitiesHandler);
-              if (!res.headersSent) {
-                res.status(504).json({ error: 'Entities request timeout' });
-              }
-            } catch (err) {
-              // Ignore errors if response already sent
-            }
-          }
-        }, 2000);
-      } else {
-        res.status(503).json({ error: 'Bot process not running' });
-      }
-    });
+    const minecraft = configManager.get('minecraft', options.profile || null);
+    return {
+      host: options.host || minecraft.host,
+      port: options.port || minecraft.port,
+      username: options.username || name,
+      version: options.version || minecraft.version,
+      auth: options.auth || minecraft.auth,
+      profile: options.profile || null,
+      guardian: configManager.get('guardian', options.profile || null),
+      inventory: configManager.get('inventory', options.profile || null),
+      performance: configManager.get('performance', options.profile || null)
+    };
+  }
 
-    // Get events with optional since parameter
-    this.app.get('/events', (req, res) => {
-      const since = parseInt(req.query.since) || 0;
-      const filteredEvents = this.events.filter(event => event.timestamp > since);
-      res.json({ events: filteredEvents });
-    });
+  addBot(name, options = {}, config = null) {
+    if (!name || !/^[a-zA-Z0-9_-]+$/.test(name)) {
+      throw new Error('Bot name must contain only letters, numbers, hyphens, and underscores');
+    }
+    if (this.bots.has(name)) {
+      throw new Error(`Bot '${name}' already exists`);
+    }
 
-    // Get screenshot
-    this.app.get('/screenshot', async (req, res) => {
-      if (!this.botState.connected) {
-        return res.status(400).json({ error: 'Bot not connected' });
-      }
+    const bot = new IsolatedBot(this, name, config || this.buildBotConfig(name, options));
+    this.bots.set(name, bot);
+    return bot;
+  }
 
-      if (this.botProcess && !this.botProcess.killed) {
-        let responded = false;
-        const screenshotHandler = (msg) => {
-          if (msg.type === 'screenshot_response' && !responded) {
-            responded = true;
-            if (msg.error) {
-              res.status(500).json({ error: msg.error });
-            } else {
-              res.json({ screenshot: msg.screenshot });
-            }
-          }
-        };
-        
-        this.botProcess.once('message', screenshotHandler);
-        this.sendCommand('get_screenshot');
-        
-        setTimeout(() => {
-          if (!responded) {
-            responded = true;
-            try {
-              this.botProcess.removeListener('message', screenshotHandler);
-              if (!res.headersSent) {
-                res.status(504).json({ error: 'Screenshot request timeout' });
-              }
-            } catch (err) {
-              // Ignore errors if response already sent
-            }
-          }
-        }, 5000);
-      } else {
-        res.status(503).json({ error: 'Bot process not running' });
-      }
-    });
+  removeBot(name) {
+    if (name === this.defaultBotName) {
+      throw new Error('Cannot remove the default bot');
+    }
 
-    // Get recipes
-    this.app.get('/recipes', (req, res) => {
-      if (!this.botState.connected) {
-        return res.status(400).json({ error: 'Bot not connected' });
-      }
+    const bot = this.bots.get(name);
+    if (!bot) {
+      throw new Error(`Bot not found: ${name}`);
+    }
 
-      const { item } = req.query;
-      
-      if (this.botProcess && !this.botProcess.killed) {
-        let responded = false;
-        const recipesHandler = (msg) => {
-          if (msg.type === 'recipes_response' && !responded) {
-            responded = true;
-            res.json(msg.data);
-          }
-        };
-        
-        this.botProcess.once('message', recipesHandler);
-        this.sendCommand('get_recipes', { item });
-        
-        setTimeout(() => {
-          if (!responded) {
-            responded = true;
-            try {
-              this.botProcess.removeListener('message', recipesHandler);
-              if (!res.headersSent) {
-                res.status(504).json({ error: 'Recipes request timeout' });
-              }
-            } catch (err) {
-              // Ignore errors if response already sent
-            }
-          }
-        }, 2000);
-      } else {
-        res.status(503).json({ error: 'Bot process not running' });
-      }
-    });
+    bot.stop();
+    this.bots.delete(name);
+  }
 
-    this.app.post('/respawn', (req, res) => {
-      if (this.botProcess && !this.botProcess.killed) {
-        this.sendCommand('respawn');
-        res.json({ success: true, message: 'Respawn command sent' });
-      } else {
-        res.status(503).json({ success: false, message: 'Bot process not running' });
-      }
-    });
+  saveBots() {
+    const saved = [...this.bots.values()]
+      .filter(bot => bot.name !== this.defaultBotName)
+      .map(bot => ({ name: bot.name, ...bot.config }));
 
-    this.app.post('/chat', (req, res) => {
-      const { message } = req.body;
-      if (this.botProcess && !this.botProcess.killed && message) {
-        this.sendCommand('chat', { message });
-        res.json({ success: true });
-      } else {
-        res.status(400).json({ success: false, message: 'Invalid request or bot not running' });
-      }
-    });
+    try {
+      fs.mkdirSync(path.dirname(this.botsFile), { recursive: true });
+      fs.writeFileSync(this.botsFile, JSON.stringify(saved, null, 2));
+    } catch (error) {
+      console.error('[SERVER] Failed to save bots:', error.message);
+    }
+  }
 
-    // Enhanced move endpoint with relative movement support
-    this.app.post('/move', async (req, res) => {
-      if (!this.botState.connected) {
-        return res.status(400).json({ error: 'Bot not connected' });
-      }
+  loadSavedBots() {
+    if (!fs.existsSync(this.botsFile)) {
+      return;
+    }
 
-      const { x, y, z, sprint, relative, direction, blocks } = req.body;
-      
-      if (this.botProcess && !this.botProcess.killed) {
-        // Handle legacy simple movement
-        if (direction) {
-          this.sendCommand('move', { direction, blocks });
-          res.json({ success: true });
-        } else {
-          // Handle new movement format
-          this.sendCommand('move_advanced', { x, y, z, sprint, relative });
-          res.json({ success: true });
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.botsFile, 'utf8'));
+      for (const { name, ...config } of saved) {
+        if (!this.bots.has(name)) {
+          this.addBot(name, {}, config);
         }
-      } else {
-        res.status(503).json({ error: 'Bot not running' });
-      }
-    });
-
-    // Stop movement
-    this.app.post('/stop', (req, res) => {
-      if (!this.botState.connected) {
-        return res.status(400).json({ error: 'Bot not connected' });
-      }
-
-      if (this.botProcess && !this.botProcess.killed) {
-        this.sendCommand('stop');
-        res.json({ success: true });
-      } else {
-        res.status(503).json({ error: 'Bot not running' });
-      }
-    });
-
-    // Look endpoint
-    this.app.post('/look', (req, res) => {
-      if (!this.botState.connected) {
-        return res.status(400).json({ error: 'Bot not connected' });
-      }
-
-      const { yaw, pitch, relative, cardinal } = req.body;
-      
-      if (this.botProcess && !this.botProcess.killed) {
-        let responded = false;
-        this.sendCommand('look', { yaw, pitch, relative, cardinal });
-        
-        // Wait for response
-        const lookHandler = (msg) => {
-          if (msg.type === 'look_response' && !responded) {
-            responded = true;
-            res.json(msg.data);
-          }
-        };
-        
-        this.botProcess.once('message', lookHandler);
-        
-        setTimeout(() => {
-          if (!responded) {
-            responded = true;
-            try {
-              this.botProcess.removeListener('message', lookHandler);
-              if (!res.headersSent) {
-                res.status(504).json({ error: 'Look request timeout' });
-              }
-            } catch (err) {
-              // Ignore errors if response already sent
-            }
-          }
-        }, 2000);
-      } else {
-        res.status(503).json({ error: 'Bot not running' });
-      }
-    });
-
-    // Dig block
-    this.app.post('/dig', async (req, res) => {
-      if (!this.botState.connected) {
-        return res.status(400).json({ error: 'Bot not connected' });
-      }
-
-      const { x, y, z } = req.body;
-      
-      if (x === undefined || y === undefined || z === undefined) {
-        return res.status(400).json({ error: 'x, y, z coordinates required' });
-      }
-
-      if (this.botProcess && !this.botProcess.killed) {
-        let responded = false;
-        this.sendCommand('dig', { x, y, z });
-        
-        const digHandler = (msg) => {
-          if (msg.type === 'dig_response' && !responded) {
-            responded = true;
-            if (msg.error) {
-              res.status(400).json({ error: msg.error });
-            } else {
-              res.json({ success: true, block: msg.block });
-            }
-          }
-        };
-        
-        this.botProcess.once('message', digHandler);
-        
-        setTimeout(() => {
-          if (!responded) {
-            responded = true;
-            try {
-              this.botProcess.removeListener('message', digHandler);
-              if (!res.headersSent) {
-                res.status(504).json({ error: 'Dig request timeout' });
-              }
-            } catch (err) {
-              // Ignore errors if response already sent
-            }
-          }
-        }, 10000);
-      } else {
-        res.status(503).json({ error: 'Bot not running' });
-      }
-    });
-
-    // Place block
-    this.app.post('/place', async (req, res) => {
-      if (!this.botState.connected) {
-        return res.status(400).json({ error: 'Bot not connected' });
-      }
-
-      const { x, y, z, blockName } = req.body;
-      
-      if (x === undefined || y === undefined || z === undefined || !blockName) {
-        return res.status(400).json({ error: 'x, y, z coordinates and blockName required' });
-      }
-
-      if (this.botProcess && !this.botProcess.killed) {
-        let responded = false;
-        this.sendCommand('place', { x, y, z, blockName });
-        
-        const placeHandler = (msg) => {
-          if (msg.type === 'place_response' && !responded) {
-            responded = true;
-            if (msg.error) {
-              res.status(400).json({ error: msg.error });
-            } else {
-              res.json({ success: true });
-            }
-          }
-        };
-        
-        this.botProcess.once('message', placeHandler);
-        
-        setTimeout(() => {
-          if (!responded) {
-            responded = true;
-            try {
-              this.botProcess.removeListener('message', placeHandler);
-              if (!res.headersSent) {
-                res.status(504).json({ error: 'Place request timeout' });
-              }
-            } catch (err) {
-              // Ignore errors if response already sent
-            }
-          }
-        }, 5000);
-      } else {
-        res.status(503).json({ error: 'Bot not running' });
-      }
-    });
-
-    // Attack entity
-    this.app.post('/attack', (req, res) => {
-      if (!this.botState.connected) {
-        return res.status(400).json({ error: 'Bot not connected' });
-      }
-
-      const { entityId } = req.body;
-      
-      if (!entityId) {
-        return res.status(400).json({ error: 'entityId required' });
-      }
-
-      if (this.botProcess && !this.botProcess.killed) {
-        let responded = false;
-        this.sendCommand('attack', { entityId });
-        
-        const attackHandler = (msg) => {
-          if (msg.type === 'attack_response' && !responded) {
-            responded = true;
-            if (msg.error) {
-              res.status(400).json({ error: msg.error });
-            } else {
-              res.json({ success: true });
-            }
-          }
-        };
-        
-        this.botProcess.once('message', attackHandler);
-        
-        setTimeout(() => {
-          if (!responded) {
-            responded = true;
-            try {
-              this.botProcess.removeListener('message', attackHandler);
-              if (!res.headersSent) {
-                res.status(504).json({ error: 'Attack request timeout' });
-              }
-            } catch (err) {
-              // Ignore errors if response already sent
-            }
-          }
-        }, 2000);
-      } else {
-        res.status(503).json({ error: 'Bot not running' });
-      }
-    });
-
-    // Craft items
-    this.app.post('/craft', async (req, res) => {
-      if (!this.botState.connected) {
-        return res.status(400).json({ error: 'Bot not connected' });
-      }
-
-      const { item, count = 1, craftingTable = false } = req.body;
-      
-      if (!item) {
-        return res.status(400).json({ error: 'item name required' });
-      }
-
-      if (this.botProcess && !this.botProcess.killed) {
-        let responded = false;
-        this.sendCommand('craft', { item, count, craftingTable });
-        
-        const craftHandler = (msg) => {
-          if (msg.type === 'craft_response' && !responded) {
-            responded = true;
-            if (msg.error) {
-              res.status(400).json({ error: msg.error });
-            } else {
-              res.json({ success: true, crafted: msg.item, count: msg.count });
-            }
-          }
-        };
-        
-        this.botProcess.once('message', craftHandler);
-        
-        setTimeout(() => {
-          if (!responded) {
-            responded = true;
-            try {
-              this.botProcess.removeListener('message', craftHandler);
-              if (!res.headersSent) {
-                res.status(504).json({ error: 'Craft request timeout' });
-              }
-            } catch (err) {
-              // Ignore errors if response already sent
-            }
-          }
-        }, 10000);
-      } else {
-        res.status(503).json({ error: 'Bot not running' });
-      }
-    });
-
-    // Equip item
-    this.app.post('/equip', async (req, res) => {
-      if (!this.botState.connected) {
-        return res.status(400).json({ error: 'Bot not connected' });
-      }
-
-      const { item, destination = 'hand' } = req.body;
-      
-      if (!item) {
-        return res.status(400).json({ error: 'item name required' });
-      }
-
-      if (this.botProcess && !this.botProcess.killed) {
-        let responded = false;
-        this.sendCommand('equip', { item, destination });
-        
-        const equipHandler = (msg) => {
-          if (msg.type === 'equip_response' && !responded) {
-            responded = true;
-            if (msg.error) {
-              res.status(400).json({ error: msg.error });
-            } else {
-              res.json({ success: true, equipped: msg.item, destination: msg.destination });
-            }
-          }
-        };
-        
-        this.botProcess.once('message', equipHandler);
-        
-        setTimeout(() => {
-          if (!responded) {
-            responded = true;
-            try {
-              this.botProcess.removeListener('message', equipHandler);
-              if (!res.headersSent) {
-                res.status(504).json({ error: 'Equip request timeout' });
-              }
-            } catch (err) {
-              // Ignore errors if response already sent
-            }
-          }
-        }, 5000);
-      } else {
-        res.status(503).json({ error: 'Bot not running' });
-      }
-    });
-
-    // Batch commands
-    this.app.post('/batch', async (req, res) => {
-      if (!this.botState.connected) {
-        return res.status(400).json({ error: 'Bot not connected' });
       }
+    } catch (error) {
+      console.error('[SERVER] Failed to load saved bots:', error.message);
+    }
+  }
 
-      const { instructions, stopOnError = true } = req.body;
-      
-      if (!instructions || !Array.isArray(instructions)) {
-        return res.status(400).json({ error: 'instructions array required' });
-      }
+  setupRoutes() {
+    // Schematics for POST /build come base64-encoded in the body
+    this.app.use(express.json({ limit: '10mb' }));
 
-      if (this.botProcess && !this.botProcess.killed) {
-        let responded = false;
-        this.sendCommand('batch', { instructions, stopOnError });
-        
-        const batchHandler = (msg) => {
-          if (msg.type === 'batch_response' && !responded) {
-            responded = true;
-            res.json(msg.results);
-          }
-        };
-        
-        this.botProcess.once('message', batchHandler);
-        
-        // Longer timeout for batch operations
-        setTimeout(() => {
-          if (!responded) {
-            responded = true;
-            try {
-              this.botProcess.removeListener('message', batchHandler);
-              if (!res.headersSent) {
-                res.status(504).json({ error: 'Batch request timeout' });
-              }
-            } catch (err) {
-              // Ignore errors if response already sent
-            }
-          }
-        }, 30000);
-      } else {
-        res.status(503).json({ error: 'Bot not running' });
-      }
+    // Bot management
+    this.app.get('/bots', (req, res) => {
+      res.json({
+        default: this.defaultBotName,
+        bots: [...this.bots.values()].map(bot => bot.describe())
+      });
     });
 
-    // Program execution endpoints
-    this.app.post('/program/exec', async (req, res) => {
+    this.app.post('/bots', (req, res) => {
       try {
-        const { source, capabilities = [], args = {}, timeout = 900000, seed = 1 } = req.body;
-        
-        if (!this.botState.connected) {
-          return res.status(503).json({
-            success: false,
-            error: 'Bot is not connected to server'
-          });
-        }
-        
-        // Create minimal bot proxy for program execution
-        const botProxy = {
-          entity: { position: this.botState.position },
-          health: this.botState.health,
-          isConnected: () => this.botState.connected
-        };
-        
-        const ProgramRunner = require('./program-system/runner');
-        const runId = `run-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        
-        const runner = new ProgramRunner(botProxy, {
-          runId,
-          programName: 'temp_' + Date.now(),
-          source,
-          metadata: { capabilities },
-          args,
-          timeout,
-          capabilities,
-          seed
-        });
-        
-        const result = await runner.execute();
-        
-        res.json(result);
+        const bot = this.addBot(req.body.name, req.body);
+        bot.startBotProcess();
+        this.saveBots();
+        res.status(201).json({ success: true, bot: bot.describe() });
       } catch (error) {
-        res.status(500).json({
-          success: false,
-          error: error.message
-        });
+        res.status(400).json({ success: false, error: error.message });
       }
     });
 
-    this.app.post('/program/add', async (req, res) => {
+    this.app.delete('/bots/:name', (req, res) => {
       try {
-        const { name, source } = req.body;
-        
-        const ProgramRegistry = require('./program-system/registry');
-        const ConfigManager = require('./config/ConfigManager');
-        const configManager = new ConfigManager();
-        const registry = new ProgramRegistry(configManager);
-        await registry.initStorage();
-        
-        await registry.add(name, source);
-        
-        res.json({ success: true, message: `Program '${name}' added successfully` });
+        this.removeBot(req.params.name);
+        this.saveBots();
+        res.json({ success: true, message: `Bot '${req.params.name}' removed` });
       } catch (error) {
         res.status(400).json({ success: false, error: error.message });
       }
     });
 
-    this.app.get('/program/list', async (req, res) => {
-      try {
-        const ProgramRegistry = require('./program-system/registry');
-        const ConfigManager = require('./config/ConfigManager');
-        const configManager = new ConfigManager();
-        const registry = new ProgramRegistry(configManager);
-        await registry.initStorage();
-        
-        const programs = await registry.list();
-        res.json({ success: true, programs });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
+    // Every bot route is served under /bots/:name, and at the root for the default bot
+    const router = express.Router({ mergeParams: true });
 
-    this.app.delete('/program/:name', async (req, res) => {
-      try {
-        const ProgramRegistry = require('./program-system/registry');
-        const ConfigManager = require('./config/ConfigManager');
-        const configManager = new ConfigManager();
-        const registry = new ProgramRegistry(configManager);
-        await registry.initStorage();
-        
-        await registry.remove(req.params.name);
-        res.json({ success: true, message: `Program '${req.params.name}' removed successfully` });
-      } catch (error) {
-        res.status(400).json({ success: false, error: error.message });
+    router.use((req, res, next) => {
+      const name = req.params.name || this.defaultBotName;
+      req.bot = this.bots.get(name);
+      if (!req.bot) {
+        return res.status(404).json({ error: `Bot not found: ${name}` });
       }
+      next();
     });
 
-    this.app.post('/quit', (req, res) => {
-      if (this.botProcess) {
-        this.sendCommand('quit');
-        setTimeout(() => this.stopBotProcess(), 1000);
-        res.json({ success: true });
-      } else {
-        res.status(503).json({ success: false, message: 'Bot not running' });
-      }
+    // Health check endpoint
+    router.get('/health', (req, res) => {
+      res.json({ 
+        status: 'ok', 
+        bot: req.bot.name,
+        botConnected: req.bot.botState.connected 
+      });
     });
-  }
 
-  sendCommand(command, data = {}) {
-    if (this.botProcess && !this.botProcess.killed) {
-      this.botProcess.send({ type: 'command', command, ...data });
-    }
-  }
-
-  logEvent(type, data) {
-    const event = {
-      type,
-      timestamp: Date.now(),
-      ...data
-    };
-    this.events.push(event);
-    if (this.events.length > 1000) {
-      this.events = this.events.slice(-500);
-    }
-    console.log(`[SERVER] Event: ${type}`, data);
-  }
-
-  startBotProcess() {
-    if (this.botProcess && !this.botProcess.killed) {
-      console.log('[SERVER] Bot process already running');
-      return;
-    }
-
-    console.log('[SERVER] Starting isolated bot process...');
-    
-    const botProcessPath = path.join(__dirname, 'bot-process.js');
-    // Use bun to execute the bot process
-    const { spawn } = require('child_process');
-    this.botProcess = spawn('bun', [botProcessPath], {
-      cwd: process.cwd(),
-      env: process.env,
-      stdio: ['pipe', 'pipe', 'pipe', 'ipc'] // Enable IPC for communication
+    router.get('/status', (req, res) => {
+      res.json(req.bot.describe());
     });
 
-    // Log stdout and stderr for debugging
-    this.botProcess.stdout.on('data', (data) => {
-      console.log('[BOT-PROCESS STDOUT]:', data.toString());
+    // Get events with optional since parameter
+    router.get('/events', (req, res) => {
+      const filters = {
+        // The root alias lists every bot's events unless ?bot= is given
+        bot: req.params.name || req.query.bot,
+        since: parseInt(req.query.since) || 0,
+        until: parseInt(req.query.until) || undefined,
+        types: req.query.types ? String(req.query.types).split(',').map(t => t.trim()) : null,
+        text: req.query.q,
+        limit: parseInt(req.query.limit) || undefined
+      };
+      res.json({ events: this.eventStore.query(filters) });
     });
 
-    this.botProcess.stderr.on('data', (data) => {
-      console.error('[BOT-PROCESS STDERR]:', data.toString());
+    // Push events as they happen (SSE). Supports ?types=a,b and Last-Event-ID resume
+    router.get('/events/stream', (req, res) => {
+      // /bots/:name/events/stream only sees that bot's events
+      this.eventStream.handle(req, res, this.eventStore.events, { bot: req.params.name || req.query.bot });
     });
 
-    this.botProcess.on('message', (msg) => {
-      switch (msg.type) {
-        case 'ready':
-          console.log('[SERVER] Bot process ready, sending start command...');
-          this.botProcess.send({ type: 'start', config: this.config });
-          break;
-          
-        case 'spawned':
-          this.botState.spawned = true;
-          this.botState.connected = true;
-          this.botState.position = msg.position;
-          this.botState.health = msg.health;
-          this.botState.isDead = msg.health === 0;
-          this.logEvent('spawn', { position: msg.position, health: msg.health });
-          
-          if (msg.health === 0) {
-            console.log('[SERVER] Bot spawned dead! Will handle respawn in isolated process.');
-          }
-          break;
-          
-        case 'died':
-          this.botState.isDead = true;
-          this.botState.health = 0;
-          this.logEvent('death', {});
-          break;
-          
-        case 'respawned':
-          this.botState.isDead = false;
-          this.botState.health = 20;
-          this.botState.position = msg.position;
-          this.logEvent('respawn', { position: msg.position });
-          break;
-          
-        case 'chat':
-          this.logEvent('chat', { username: msg.username, message: msg.message });
-          break;
-          
-        case 'error':
-          this.logEvent('error', { error: msg.error });
-          break;
-          
-        case 'kicked':
-          this.logEvent('kicked', { reason: msg.reason });
-          this.botState.connected = false;
-          this.scheduleRestart();
-          break;
-          
-        case 'ended':
-          this.logEvent('disconnected', { reason: msg.reason });
-          this.botState.connected = false;
-          this.botState.spawned = false;
-          this.scheduleRestart();
-          break;
-          
-        case 'crash':
-          console.error('[SERVER] Bot process crashed:', msg.error);
-          this.logEvent('crash', { error: msg.error, stack: msg.stack });
-          this.scheduleRestart();
-          break;
-      }
-    });
+    // Bot commands (state, movement, digging, crafting, batch, ...), run in the bot process
+    setupCommandRoutes(router, (req) => req.bot);
 
-    this.botProcess.on('error', (err) => {
-      console.error('[SERVER] Failed to start bot process:', err);
-      this.logEvent('process_error', { error: err.message });
-    });
+    // Program execution endpoints (exec, async runs, registry management)
+    setupProgramRoutes(router, (req) => req.bot);
 
-    this.botProcess.on('exit', (code, signal) => {
-      console.log(`[SERVER] Bot process exited with code ${code} and signal ${signal}`);
-      this.logEvent('process_exit', { code, signal });
-      this.botState.connected = false;
-      this.botState.spawned = false;
-      this.botProcess = null;
-      
-      // Auto-restart if not already restarting
-      if (!this.isRestarting) {
-        this.scheduleRestart();
-      }
-    });
+    this.app.use('/bots/:name', router);
+    this.app.use('/', router);
   }
 
-  scheduleRestart() {
-    if (this.isRestarting) {
-      return;
-    }
-    
-    this.isRestarting = true;
-    console.log('[SERVER] Scheduling bot process restart in 3 seconds...');
-    
-    setTimeout(() => {
-      this.isRestarting = false;
-      this.startBotProcess();
-    }, 3000);
+  logEvent(type, data, botName = this.defaultBotName) {
+    const event = this.eventStore.append({
+      type,
+      timestamp: Date.now(),
+      bot: botName,
+      ...data
+    });
+    this.eventStream.publish(event);
+    console.log(`[SERVER] Event: ${type} (${botName})`, data);
   }
 
-  stopBotProcess() {
-    if (this.botProcess && !this.botProcess.killed) {
-      console.log('[SERVER] Stopping bot process...');
-      this.botProcess.kill('SIGTERM');
-      this.botProcess = null;
+  stopAll() {
+    for (const bot of this.bots.values()) {
+      bot.stop();
     }
   }
 
   start(botConfig, port = 3000) {
-    this.config = botConfig;
+    if (!this.bots.has(this.defaultBotName)) {
+      // botConfig only carries connection fields; the guardian, inventory and
+      // performance sections come from the config like for any other bot
+      this.addBot(this.defaultBotName, {}, { ...this.buildBotConfig(this.defaultBotName), ...botConfig });
+    }
+    this.loadSavedBots();
     
     this.app.listen(port, () => {
       console.log(`[SERVER] Bot server listening on port ${port}`);
       console.log(`[SERVER] Will connect to Minecraft server: ${botConfig.host}:${botConfig.port}`);
       
-      // Start the bot process after server is ready
-      this.startBotProcess();
+      // Start the bot processes after server is ready
+      for (const bot of this.bots.values()) {
+        bot.startBotProcess();
+      }
     });
 
     // Handle server shutdown
     process.on('SIGINT', () => {
       console.log('[SERVER] Shutting down...');
-      this.stopBotProcess();
+      this.stopAll();
       setTimeout(() => process.exit(0), 1000);
     });
     
     process.on('SIGTERM', () => {
       console.log('[SERVER] Received SIGTERM...');
-      this.stopBotProcess();
+      this.stopAll();
       setTimeout(() => process.exit(0), 1000);
     });
   }
@@ -21,7 +21,16 @@ const api = axios.create({
 program
   .name('mc-bot')
   .description('CLI client for Minecraft bot control')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--bot <name>', 'Target a named bot instead of the default bot');
+
+// Route bot commands to /bots/<name>/... when --bot is given
+program.hook('preAction', () => {
+  const { bot } = program.opts();
+  if (bot) {
+    api.defaults.baseURL = `${API_BASE}/bots/${encodeURIComponent(bot)}`;
+  }
+});
 
 program
   .command('health')
@@ -50,9 +59,12 @@ program
 program
   .command('inventory')
   .description('Get bot inventory')
-  .action(async () => {
+  .option('--slots', 'Show every slot: hotbar, armor, off-hand and durability')
+  .action(async (options) => {
     try {
-      const response = await api.get('/inventory');
+      const response = await api.get('/inventory', {
+        params: options.slots ? { view: 'slots' } : {}
+      });
       console.log(JSON.stringify(response.data, null, 2));
     } catch (error) {
       console.error('Error:', error.message);
@@ -88,15 +100,31 @@ program
 
 program
   .command('screenshot')
-  .description('Get base64 encoded screenshot')
+  .description('Get a map of the surroundings as base64 PNG or JPEG')
   .option('-o, --output <file>', 'Save screenshot to file')
+  .option('-m, --mode <mode>', 'View: top, iso or section', 'top')
+  .option('-r, --radius <blocks>', 'Blocks drawn around the bot')
+  .option('-s, --scale <pixels>', 'Pixels per block')
+  .option('--axis <axis>', 'Section axis: x or z (default: the way the bot faces)')
+  .option('-f, --format <format>', 'png or jpeg', 'png')
+  .option('-q, --quality <quality>', 'JPEG quality 1-100 (default: performance.screenshotQuality)')
   .action(async (options) => {
     try {
-      const response = await api.get('/screenshot');
+      const response = await api.get('/screenshot', {
+        params: {
+          mode: options.mode,
+          radius: options.radius,
+          scale: options.scale,
+          axis: options.axis,
+          format: options.format,
+          quality: options.quality
+        }
+      });
       if (options.output) {
         const fs = require('fs');
         fs.writeFileSync(options.output, response.data.screenshot, 'base64');
-        console.log(`Screenshot saved to ${options.output}`);
+        const { mode, width, height } = response.data;
+        console.log(`Screenshot saved to ${options.output} (${mode}, ${width}x${height})`);
       } else {
         console.log(JSON.stringify(response.data, null, 2));
       }
@@ -105,6 +133,33 @@ program
     }
   });
 
+program
+  .command('snapshot')
+  .description('Capture the world around the bot for program exec --dry-run')
+  .requiredOption('-o, --output <file>', 'Snapshot file to write (gzipped if it ends in .gz)')
+  .option('-r, --radius <blocks>', 'Horizontal radius around the bot', parseInt)
+  .option('--below <blocks>', 'Blocks below the bot to include', parseInt)
+  .option('--above <blocks>', 'Blocks above the bot to include', parseInt)
+  .option('--include <list>', 'Extras to capture: inventory,entities (default both)')
+  .action(async (options) => {
+    try {
+      const { writeSnapshotFile } = require('./program-system/simulator/snapshot');
+      const response = await api.post('/world/snapshot', {
+        radius: options.radius,
+        below: options.below,
+        above: options.above,
+        include: options.include
+      }, { timeout: 60000 });
+      
+      const snapshot = response.data;
+      writeSnapshotFile(options.output, snapshot);
+      const { size } = snapshot.region;
+      console.log(`Snapshot saved to ${options.output} (${size.x}x${size.y}x${size.z} blocks, ${snapshot.region.palette.length} block types)`);
+    } catch (error) {
+      console.error('Error:', error.response?.data?.error || error.message);
+    }
+  });
+
 program
   .command('chat <message>')
   .description('Send chat message')
@@ -169,16 +224,20 @@ program
 
 program
   .command('dig')
-  .description('Dig block at coordinates')
+  .description('Dig block at coordinates with the best tool and pick up the drops')
   .requiredOption('-x <value>', 'X coordinate', parseInt)
   .requiredOption('-y <value>', 'Y coordinate', parseInt)
   .requiredOption('-z <value>', 'Z coordinate', parseInt)
+  .option('--force', 'Dig even when the block would drop nothing with the tools at hand')
+  .option('--no-collect', 'Do not walk over to the drops')
   .action(async (options) => {
     try {
       const response = await api.post('/dig', {
         x: options.x,
         y: options.y,
-        z: options.z
+        z: options.z,
+        force: options.force,
+        collect: options.collect
       });
       console.log(JSON.stringify(response.data, null, 2));
     } catch (error) {
@@ -188,18 +247,22 @@ program
 
 program
   .command('place')
-  .description('Place block at coordinates')
+  .description('Place block into the empty cell at coordinates')
   .requiredOption('-x <value>', 'X coordinate', parseInt)
   .requiredOption('-y <value>', 'Y coordinate', parseInt)
   .requiredOption('-z <value>', 'Z coordinate', parseInt)
   .requiredOption('-b, --block <name>', 'Block name')
+  .option('--facing <direction>', 'Way the block faces: north, south, east, west, up, down')
+  .option('--half <half>', 'Half for stairs, slabs and trapdoors: top or bottom')
   .action(async (options) => {
     try {
       const response = await api.post('/place', {
         x: options.x,
         y: options.y,
         z: options.z,
-        blockName: options.block
+        blockName: options.block,
+        facing: options.facing,
+        half: options.half
       });
       console.log(JSON.stringify(response.data, null, 2));
     } catch (error) {
@@ -243,12 +306,164 @@ program
   .requiredOption('-i, --item <name>', 'Item name to craft')
   .option('-c, --count <number>', 'Number to craft', parseInt, 1)
   .option('-t, --table', 'Use crafting table if needed')
+  .option('-r, --recursive', 'Also craft the intermediate items, placing a crafting table if needed')
+  .option('--plan', 'Show the recursive crafting plan without crafting')
   .action(async (options) => {
     try {
+      if (options.plan) {
+        const response = await api.get('/craft/plan', {
+          params: { item: options.item, count: options.count }
+        });
+        console.log(JSON.stringify(response.data, null, 2));
+        return;
+      }
       const response = await api.post('/craft', {
         item: options.item,
         count: options.count,
-        craftingTable: options.table || false
+        craftingTable: options.table || false,
+        recursive: options.recursive || false
+      });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('smelt')
+  .description('Smelt items in a nearby furnace, placing one if needed')
+  .requiredOption('-i, --item <name>', 'Item to smelt')
+  .option('-c, --count <number>', 'Number to smelt (default: all in inventory)', parseInt)
+  .option('-f, --fuel <name>', 'Fuel to burn (default: least valuable in inventory)')
+  .option('--furnace <type>', 'furnace, smoker or blast_furnace')
+  .action(async (options) => {
+    try {
+      // About 10 s per item; the server enforces its own timeout
+      const response = await api.post('/smelt', {
+        item: options.item,
+        count: options.count,
+        fuel: options.fuel,
+        furnace: options.furnace
+      }, { timeout: 0 });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('container')
+  .description('List the contents of a chest, barrel or shulker box')
+  .requiredOption('-x <value>', 'X coordinate', parseInt)
+  .requiredOption('-y <value>', 'Y coordinate', parseInt)
+  .requiredOption('-z <value>', 'Z coordinate', parseInt)
+  .action(async (options) => {
+    try {
+      const response = await api.get('/container', {
+        params: { x: options.x, y: options.y, z: options.z }
+      });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('deposit')
+  .description('Put items into a container')
+  .requiredOption('-x <value>', 'X coordinate', parseInt)
+  .requiredOption('-y <value>', 'Y coordinate', parseInt)
+  .requiredOption('-z <value>', 'Z coordinate', parseInt)
+  .option('-i, --item <name>', 'Item to deposit')
+  .option('-c, --count <number>', 'Number to deposit (default: all of the item)', parseInt)
+  .option('-a, --all', 'Deposit everything except the --except categories')
+  .option('-e, --except <list>', 'Categories (tools, food, armor) or items to keep with --all', 'tools,food,armor')
+  .action(async (options) => {
+    try {
+      const response = await api.post('/container/deposit', {
+        x: options.x,
+        y: options.y,
+        z: options.z,
+        item: options.item,
+        count: options.count,
+        all: options.all || false,
+        except: options.except
+      });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('withdraw')
+  .description('Take items out of a container')
+  .requiredOption('-x <value>', 'X coordinate', parseInt)
+  .requiredOption('-y <value>', 'Y coordinate', parseInt)
+  .requiredOption('-z <value>', 'Z coordinate', parseInt)
+  .requiredOption('-i, --item <name>', 'Item to withdraw')
+  .option('-c, --count <number>', 'Number to withdraw (default: all of the item)', parseInt)
+  .action(async (options) => {
+    try {
+      const response = await api.post('/container/withdraw', {
+        x: options.x,
+        y: options.y,
+        z: options.z,
+        item: options.item,
+        count: options.count
+      });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('toss')
+  .description('Drop items from the inventory')
+  .option('-i, --item <name>', 'Item to drop')
+  .option('-c, --count <number>', 'Number to drop (default: all of the item)', parseInt)
+  .option('-s, --slot <number>', 'Drop the whole stack in this slot instead', parseInt)
+  .action(async (options) => {
+    try {
+      const response = await api.post('/inventory/toss', {
+        item: options.item,
+        count: options.count,
+        slot: options.slot
+      });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('move-slot')
+  .description('Move a stack between inventory slots (armor 5-8, main 9-35, hotbar 36-44, off-hand 45)')
+  .requiredOption('--from <slot>', 'Source slot', parseInt)
+  .requiredOption('--to <slot>', 'Destination slot', parseInt)
+  .action(async (options) => {
+    try {
+      const response = await api.post('/inventory/move', {
+        from: options.from,
+        to: options.to
+      });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('hotbar')
+  .description('Select a hotbar slot')
+  .requiredOption('-s, --slot <number>', 'Hotbar slot (0-8)', parseInt)
+  .option('-i, --item <name>', 'Move this item into the slot first')
+  .action(async (options) => {
+    try {
+      const response = await api.post('/inventory/hotbar', {
+        slot: options.slot,
+        item: options.item
       });
       console.log(JSON.stringify(response.data, null, 2));
     } catch (error) {
@@ -256,6 +471,85 @@ program
     }
   });
 
+program
+  .command('armor')
+  .description('Wear the best armor in the inventory')
+  .action(async () => {
+    try {
+      const response = await api.post('/inventory/armor');
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('tidy')
+  .description('Toss junk to free inventory slots (default: the configured junk policy)')
+  .option('-m, --max-used <number>', 'Most inventory slots to leave used', parseInt)
+  .option('-j, --junk <list>', 'Comma-separated items that may be tossed')
+  .action(async (options) => {
+    try {
+      const response = await api.post('/inventory/tidy', {
+        maxUsedSlots: options.maxUsed,
+        junk: options.junk
+      });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('build')
+  .description('Build a blueprint (.json voxels, .schem or .litematic) with its lowest corner at x, y, z')
+  .option('-f, --file <path>', 'Blueprint or schematic file')
+  .option('-x <value>', 'X coordinate', parseInt)
+  .option('-y <value>', 'Y coordinate', parseInt)
+  .option('-z <value>', 'Z coordinate', parseInt)
+  .option('-r, --rotation <degrees>', 'Clockwise rotation: 0, 90, 180 or 270', parseInt)
+  .option('--plan', 'Show the placement order and materials without building')
+  .option('--no-scaffold', 'Fail blocks with nothing to place against instead of scaffolding')
+  .option('--resume', 'Continue the last build')
+  .option('--status', 'Show the progress of the last build')
+  .action(async (options) => {
+    try {
+      let response;
+      if (options.status) {
+        response = await api.get('/build');
+      } else if (options.resume) {
+        response = await api.post('/build/resume', { scaffold: options.scaffold }, { timeout: 0 });
+      } else {
+        if (!options.file) {
+          console.error('Error: --file is required (or --resume / --status)');
+          return;
+        }
+        const fs = require('fs');
+        const path = require('path');
+        const extension = path.extname(options.file).toLowerCase();
+        const body = {
+          x: options.x,
+          y: options.y,
+          z: options.z,
+          rotation: options.rotation,
+          plan: options.plan,
+          scaffold: options.scaffold
+        };
+        if (extension === '.json') {
+          body.blueprint = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+        } else {
+          body.schematic = fs.readFileSync(options.file).toString('base64');
+          body.format = extension === '.litematic' ? 'litematic' : 'schem';
+        }
+        // Builds run for minutes; the server enforces its own timeout
+        response = await api.post('/build', body, { timeout: 0 });
+      }
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
 program
   .command('equip')
   .description('Equip an item')
@@ -284,10 +578,11 @@ program
       const instructionsJson = fs.readFileSync(options.file, 'utf8');
       const instructions = JSON.parse(instructionsJson);
       
+      // Batches can hold builds and area jobs; the server enforces its own timeout
       const response = await api.post('/batch', {
         instructions,
         stopOnError: options.stop !== false
-      });
+      }, { timeout: 0 });
       
       console.log(JSON.stringify(response.data, null, 2));
     } catch (error) {
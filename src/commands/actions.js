@@ -0,0 +1,291 @@
+// Bot actions shared by the HTTP routes and batch instructions. Each returns the
+// action's outcome and throws CommandError when the request can't be carried out.
+const Vec3 = require('vec3');
+const { CommandError } = require('./errors');
+const navigation = require('./navigation');
+const placement = require('./placement');
+const digging = require('./digging');
+
+const CARDINAL_YAW = {
+  north: Math.PI,      // Facing negative Z
+  south: 0,            // Facing positive Z
+  east: -Math.PI / 2,  // Facing positive X
+  west: Math.PI / 2    // Facing negative X
+};
+
+function requireCoordinates(params, extra = '') {
+  if (params.x === undefined || params.y === undefined || params.z === undefined) {
+    throw new CommandError(`x, y, z coordinates${extra} required`);
+  }
+}
+
+function orientation(yaw, pitch) {
+  return {
+    yaw,
+    pitch,
+    yaw_degrees: Math.round((yaw * 180 / Math.PI + 180) % 360),
+    pitch_degrees: Math.round(pitch * 180 / Math.PI)
+  };
+}
+
+function chat(bot, { message } = {}) {
+  if (!message) {
+    throw new CommandError('Message required');
+  }
+  bot.chat(message);
+}
+
+// Absolute movement: set control states from the sign of each axis
+function setControls(bot, { x, y, z, sprint } = {}) {
+  if (x !== undefined) bot.setControlState('forward', x > 0);
+  if (x !== undefined) bot.setControlState('back', x < 0);
+  if (z !== undefined) bot.setControlState('left', z < 0);
+  if (z !== undefined) bot.setControlState('right', z > 0);
+  if (y !== undefined && y > 0) bot.setControlState('jump', true);
+  if (sprint !== undefined) bot.setControlState('sprint', sprint);
+}
+
+// Move relative to where the bot is facing. Uses the pathfinder when the plugin is
+// loaded, otherwise holds the control states for a time based on the distance.
+// options.wait keeps the call pending until the timed movement has finished.
+async function moveRelative(bot, { relative, sprint } = {}, options = {}) {
+  const { forward, backward, left, right, up, down } = relative;
+
+  // Clear any existing movement states first
+  bot.clearControlStates();
+
+  const start = bot.entity.position;
+  const targetPosition = start.clone();
+  const yaw = bot.entity.yaw;
+
+  if (forward > 0 || backward > 0) {
+    const distance = forward > 0 ? forward : -backward;
+    targetPosition.x += -Math.sin(yaw) * distance;
+    targetPosition.z += Math.cos(yaw) * distance;
+  }
+
+  if (left > 0 || right > 0) {
+    const distance = right > 0 ? right : -left;
+    // Strafe perpendicular to looking direction
+    targetPosition.x += Math.cos(yaw) * distance;
+    targetPosition.z += Math.sin(yaw) * distance;
+  }
+
+  if (up > 0 || down > 0) {
+    targetPosition.y += up > 0 ? up : -down;
+  }
+
+  if (sprint) bot.setControlState('sprint', true);
+
+  if (bot.pathfinder) {
+    try {
+      const { goals } = require('mineflayer-pathfinder');
+      await bot.pathfinder.goto(new goals.GoalNear(targetPosition.x, targetPosition.y, targetPosition.z, 0));
+      return {
+        moved_to: {
+          x: Math.floor(targetPosition.x),
+          y: Math.floor(targetPosition.y),
+          z: Math.floor(targetPosition.z)
+        },
+        from: {
+          x: Math.floor(start.x),
+          y: Math.floor(start.y),
+          z: Math.floor(start.z)
+        }
+      };
+    } catch (error) {
+      console.log('[COMMANDS] Pathfinding failed, using simple movement:', error.message);
+    }
+  }
+
+  const timeout = Math.max(1000, Math.abs(forward || backward || left || right || 0) * 250);
+  if (forward > 0) bot.setControlState('forward', true);
+  if (backward > 0) bot.setControlState('back', true);
+  if (left > 0) bot.setControlState('left', true);
+  if (right > 0) bot.setControlState('right', true);
+  if (up > 0) bot.setControlState('jump', true);
+
+  if (options.wait) {
+    await new Promise(resolve => setTimeout(resolve, timeout));
+    bot.clearControlStates();
+  } else {
+    setTimeout(() => bot.clearControlStates(), timeout);
+  }
+
+  return { method: 'simple_movement', duration_ms: timeout };
+}
+
+function stop(bot) {
+  bot.clearControlStates();
+}
+
+// Turn by a relative amount (degrees), face a cardinal direction, or look at an absolute yaw/pitch
+function look(bot, { yaw, pitch, relative, cardinal } = {}) {
+  if (relative) {
+    const { yaw_delta, pitch_delta } = relative;
+    const newYaw = bot.entity.yaw + (yaw_delta || 0) * Math.PI / 180;
+    const newPitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2,
+      bot.entity.pitch + (pitch_delta || 0) * Math.PI / 180));
+
+    bot.look(newYaw, newPitch, true);
+    return {
+      turned: {
+        yaw_degrees: yaw_delta || 0,
+        pitch_degrees: pitch_delta || 0
+      },
+      new_orientation: orientation(newYaw, newPitch)
+    };
+  }
+
+  if (cardinal) {
+    const targetYaw = CARDINAL_YAW[String(cardinal).toLowerCase()];
+    if (targetYaw === undefined) {
+      throw new CommandError('Invalid cardinal direction');
+    }
+
+    // Look straight at the horizon
+    bot.look(targetYaw, 0, true);
+    const { pitch_degrees, ...newOrientation } = orientation(targetYaw, 0);
+    return { direction: cardinal, new_orientation: newOrientation };
+  }
+
+  if (yaw !== undefined && pitch !== undefined) {
+    bot.look(yaw, pitch, true);
+    return { new_orientation: orientation(yaw, pitch) };
+  }
+
+  throw new CommandError('Provide yaw/pitch, relative turn, or cardinal direction');
+}
+
+// Dig the block at x, y, z with the best tool and collect its drops (see
+// digging.js)
+async function dig(bot, params = {}, ctx = {}) {
+  requireCoordinates(params);
+  return digging.digBlock(bot, params, ctx);
+}
+
+// Place blockName into the empty cell at x, y, z, against whichever solid
+// neighbour suits the optional facing and half hints (see placement.js)
+async function place(bot, params = {}) {
+  if (params.x === undefined || params.y === undefined || params.z === undefined || !params.blockName) {
+    throw new CommandError('x, y, z coordinates and blockName required');
+  }
+
+  const position = new Vec3(Number(params.x), Number(params.y), Number(params.z));
+  return placement.placeAt(bot, position, params.blockName, { facing: params.facing, half: params.half });
+}
+
+function attack(bot, { entityId } = {}) {
+  if (!entityId) {
+    throw new CommandError('entityId required');
+  }
+
+  const entity = bot.entities[entityId];
+  if (!entity) {
+    throw new CommandError('Entity not found');
+  }
+
+  bot.attack(entity);
+}
+
+async function craft(bot, { item, count = 1, craftingTable = false } = {}) {
+  if (!item) {
+    throw new CommandError('item name required');
+  }
+
+  const itemId = bot.registry.itemsByName[item]?.id;
+  if (!itemId) {
+    throw new CommandError(`Unknown item: ${item}`);
+  }
+
+  const recipes = bot.recipesFor(itemId, null, 1, craftingTable);
+  if (!recipes || recipes.length === 0) {
+    throw new CommandError(`No recipes available for ${item}`);
+  }
+
+  const recipe = recipes[0];
+
+  if (recipe.requiresTable && !craftingTable) {
+    const table = bot.findBlock({
+      matching: bot.registry.blocksByName.crafting_table?.id,
+      maxDistance: 6
+    });
+
+    if (!table) {
+      throw new CommandError('Recipe requires crafting table but none found nearby');
+    }
+
+    await bot.craft(recipe, count, table);
+  } else {
+    await bot.craft(recipe, count, null);
+  }
+
+  return { item, count };
+}
+
+async function equip(bot, { item, destination = 'hand' } = {}) {
+  if (!item) {
+    throw new CommandError('item name required');
+  }
+
+  const itemToEquip = bot.inventory.items().find(i => i.name === item);
+  if (!itemToEquip) {
+    throw new CommandError(`No ${item} in inventory`);
+  }
+
+  await bot.equip(itemToEquip, destination);
+  return { item, destination };
+}
+
+// Route to a coordinate with the pathfinder (see navigation.js). Without the
+// plugin, face the target and walk toward it for a while (max 100 blocks).
+async function goto(bot, params = {}, ctx = {}) {
+  requireCoordinates(params);
+
+  if (bot.pathfinder) {
+    return navigation.gotoPosition(bot, params, ctx);
+  }
+
+  const goal = new Vec3(params.x, params.y, params.z);
+  const distance = bot.entity.position.distanceTo(goal);
+  if (distance > 100) {
+    throw new CommandError('Target too far away (max 100 blocks)');
+  }
+
+  const dx = params.x - bot.entity.position.x;
+  const dz = params.z - bot.entity.position.z;
+  await bot.look(Math.atan2(-dx, dz), 0, true);
+  bot.setControlState('forward', Math.abs(dx) > 0.5 || Math.abs(dz) > 0.5);
+  await new Promise(resolve => setTimeout(resolve, Math.min(distance * 100, 5000)));
+  bot.clearControlStates();
+
+  return { method: 'simple_movement' };
+}
+
+function respawn(bot) {
+  if (typeof bot.respawn === 'function') {
+    bot.respawn();
+  } else {
+    bot.chat('/respawn');
+  }
+}
+
+function quit(bot) {
+  bot.quit();
+}
+
+module.exports = {
+  chat,
+  setControls,
+  moveRelative,
+  stop,
+  look,
+  dig,
+  place,
+  attack,
+  craft,
+  equip,
+  goto,
+  respawn,
+  quit
+};
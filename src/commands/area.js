@@ -0,0 +1,473 @@
+// Area operations: clear and fill boxes, dig tunnels, staircases and strip
+// mines. Cells are dug top-down with the fastest tool for each block; sand and
+// gravel falling into a dug cell is dug again, and fluids next to it are
+// plugged with filler blocks first so they do not flow in. Used by the
+// clearRegion, fillRegion, tunnel, staircase and stripMine batch instructions
+// and the program SDK's ctx.actions.area.
+const Vec3 = require('vec3');
+const { CommandError } = require('./errors');
+const { gotoPosition } = require('./navigation');
+const { FILLER_BLOCKS } = require('./survival');
+const tools = require('./tools');
+const building = require('./building');
+const placement = require('./placement');
+const { getBoundingBox, getLine } = require('../program-system/sdk/geometry');
+
+const MAX_VOLUME = 32768;
+const DEFAULT_TIMEOUT = 300000;
+const MAX_TIMEOUT = 600000;
+// How long to wait for a falling block to land in a dug cell (ms)
+const FALL_WAIT_MS = 1500;
+// Most blocks falling into one cell (a sand column) before giving up on it
+const MAX_FALLS = 64;
+const MAX_VEIN = 16;
+
+const AIR = new Set(['air', 'cave_air', 'void_air']);
+const FLUIDS = new Set(['water', 'lava']);
+const FALLING = /^(sand|red_sand|gravel|suspicious_sand|suspicious_gravel|[a-z_]+_concrete_powder|anvil|chipped_anvil|damaged_anvil|dragon_egg)$/;
+// Forward [x, z] per direction; right is [-z, x]
+const DIRECTIONS = { north: [0, -1], south: [0, 1], east: [1, 0], west: [-1, 0] };
+// Neighbours a fluid can flow in from: above and the sides
+const FLOW_OFFSETS = [[0, 1, 0], [1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1]];
+const ORE = /(_ore|^ancient_debris)$/;
+
+function isFalling(name) {
+  return FALLING.test(name);
+}
+
+function key({ x, y, z }) {
+  return `${x},${y},${z}`;
+}
+
+function readCorner(value, name) {
+  if (!value || ![value.x, value.y, value.z].every(n => Number.isFinite(Number(n)))) {
+    throw new CommandError(`${name} corner needs x, y, z`);
+  }
+  return new Vec3(Math.floor(Number(value.x)), Math.floor(Number(value.y)), Math.floor(Number(value.z)));
+}
+
+// Cells of the box between params.min and params.max (any two corners)
+function readBox(params) {
+  const { min, max, size } = getBoundingBox([readCorner(params.min, 'min'), readCorner(params.max, 'max')]);
+  const volume = (size.x + 1) * (size.y + 1) * (size.z + 1);
+  if (volume > MAX_VOLUME) {
+    throw new CommandError(`Region has ${volume} blocks (max ${MAX_VOLUME})`);
+  }
+  return { min: new Vec3(min.x, min.y, min.z), max: new Vec3(max.x, max.y, max.z) };
+}
+
+function readDirection(value) {
+  const direction = DIRECTIONS[String(value).toLowerCase()];
+  if (!direction) {
+    throw new CommandError('direction must be north, south, east or west');
+  }
+  return { forward: direction, right: [-direction[1], direction[0]] };
+}
+
+function readCount(value, name, fallback) {
+  if (value === undefined || value === null) return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new CommandError(`${name} must be a positive integer`);
+  }
+  return count;
+}
+
+function feetOf(bot) {
+  const { x, y, z } = bot.entity.position;
+  return new Vec3(Math.floor(x), Math.floor(y), Math.floor(z));
+}
+
+function startJob(bot, params, ctx, counts) {
+  const timeout = Math.min(Number(params.timeout) || DEFAULT_TIMEOUT, MAX_TIMEOUT);
+  return {
+    bot,
+    ctx,
+    counts,
+    deadline: Date.now() + timeout,
+    maxBlocks: params.maxBlocks !== undefined ? Number(params.maxBlocks) : Infinity,
+    // Cells dug out so far; fluids that flow back in are not plugged again
+    cleared: new Set(),
+    reason: null,
+    dug: 0,
+    placed: 0,
+    plugged: 0,
+    skipped: []
+  };
+}
+
+// Sets job.reason and returns true once the job has to stop
+function halted(job) {
+  if (job.reason) return true;
+  if (job.ctx.signal && job.ctx.signal.aborted) job.reason = 'cancelled';
+  else if (Date.now() > job.deadline) job.reason = 'timeout';
+  else if (job[job.counts] >= job.maxBlocks) job.reason = 'max_blocks';
+  return Boolean(job.reason);
+}
+
+function skip(job, position, block, reason) {
+  job.skipped.push({ position: { x: position.x, y: position.y, z: position.z }, block, reason });
+}
+
+function result(job, extra = {}) {
+  return {
+    reason: job.reason || 'done',
+    dug: job.dug,
+    placed: job.placed,
+    plugged: job.plugged,
+    skipped: job.skipped,
+    ...extra
+  };
+}
+
+function pickFiller(bot) {
+  const items = bot.inventory.items();
+  const filler = FILLER_BLOCKS.find(name => items.some(item => item.name === name));
+  return filler || null;
+}
+
+// Put a filler block into the empty or fluid cell; false when there is none
+// to place or nothing to place it against
+async function plug(job, position) {
+  const filler = pickFiller(job.bot);
+  if (!filler) return false;
+  try {
+    await placement.placeAt(job.bot, position, filler, { walk: true, ctx: job.ctx });
+    job.plugged++;
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Plug fluids that would flow into position once it is dug
+async function sealFluids(job, position) {
+  for (const [dx, dy, dz] of FLOW_OFFSETS) {
+    const neighbour = position.offset(dx, dy, dz);
+    if (job.cleared.has(key(neighbour))) continue;
+    const block = job.bot.blockAt(neighbour);
+    if (block && FLUIDS.has(block.name) && !await plug(job, neighbour)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+async function waitForFall(bot, position) {
+  const until = Date.now() + FALL_WAIT_MS;
+  for (;;) {
+    const block = bot.blockAt(position);
+    if (block && !AIR.has(block.name)) return block;
+    if (Date.now() > until) return null;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+// Dig whatever is at position (fluids are plugged and dug out), holding the
+// fastest tool for it; true when anything was dug
+async function digCell(job, position) {
+  const { bot } = job;
+  let block = bot.blockAt(position);
+  if (!block || AIR.has(block.name)) {
+    job.cleared.add(key(position));
+    return false;
+  }
+  if (FLUIDS.has(block.name)) {
+    if (!await plug(job, position)) {
+      skip(job, position, block.name, 'fluid');
+      return false;
+    }
+    block = bot.blockAt(position);
+  }
+  if (!block.diggable) {
+    skip(job, position, block.name, 'undiggable');
+    return false;
+  }
+
+  let falls = 0;
+  while (block) {
+    if (!await sealFluids(job, position)) {
+      skip(job, position, block.name, 'fluid');
+      return falls > 0;
+    }
+    const above = bot.blockAt(position.offset(0, 1, 0));
+    const falling = Boolean(above) && isFalling(above.name);
+
+    await placement.approach(bot, position, job.ctx);
+    const { item } = tools.bestTool(bot, block);
+    if (item && (!bot.heldItem || bot.heldItem.name !== item.name)) {
+      await bot.equip(item, 'hand');
+    }
+    await bot.dig(block);
+    job.dug++;
+    job.cleared.add(key(position));
+
+    if (!falling || ++falls > MAX_FALLS || halted(job)) break;
+    block = await waitForFall(bot, position);
+    if (block && !isFalling(block.name)) break;
+  }
+  return true;
+}
+
+async function digCells(job, cells) {
+  for (const cell of cells) {
+    if (halted(job)) return;
+    try {
+      await digCell(job, cell);
+    } catch (error) {
+      const block = job.bot.blockAt(cell);
+      skip(job, cell, block ? block.name : null, error.message);
+    }
+  }
+}
+
+// Filler under position so the bot can walk there
+async function bridge(job, position) {
+  const below = job.bot.blockAt(position.offset(0, -1, 0));
+  if (!below || (!AIR.has(below.name) && !FLUIDS.has(below.name))) return true;
+  return plug(job, position.offset(0, -1, 0));
+}
+
+// Mine the ore blocks touching position, following veins
+async function mineOres(job, position, ores) {
+  const queue = [position];
+  const seen = new Set([key(position)]);
+  let mined = 0;
+  while (queue.length > 0 && mined < MAX_VEIN && !halted(job)) {
+    const cell = queue.shift();
+    for (const [dx, dy, dz] of [[0, -1, 0], ...FLOW_OFFSETS]) {
+      const neighbour = cell.offset(dx, dy, dz);
+      if (seen.has(key(neighbour))) continue;
+      seen.add(key(neighbour));
+      const block = job.bot.blockAt(neighbour);
+      if (!block || !ORE.test(block.name) || !tools.bestTool(job.bot, block).harvestable) continue;
+      try {
+        await digCell(job, neighbour);
+        ores[block.name] = (ores[block.name] || 0) + 1;
+        mined++;
+        queue.push(neighbour);
+      } catch (error) {
+        skip(job, neighbour, block.name, error.message);
+      }
+    }
+  }
+}
+
+// Dig a straight corridor from the cell after start; returns the last cell
+// dug out, or null when the first one could not be
+async function corridor(job, start, { forward, right }, { length, width = 1, height = 2, ores = null }) {
+  const end = start.offset(forward[0] * length, 0, forward[1] * length);
+  const centres = getLine(start, end).slice(1)
+    .map(point => new Vec3(Math.round(point.x), Math.round(point.y), Math.round(point.z)));
+  const lateral = [];
+  for (let offset = -Math.floor((width - 1) / 2); offset <= Math.ceil((width - 1) / 2); offset++) lateral.push(offset);
+
+  const slices = centres.map(centre => lateral.flatMap(offset => {
+    const base = centre.offset(right[0] * offset, 0, right[1] * offset);
+    const cells = [];
+    for (let dy = height - 1; dy >= 0; dy--) cells.push(base.offset(0, dy, 0));
+    return cells;
+  }));
+  let last = null;
+  for (let i = 0; i < centres.length && !halted(job); i++) {
+    await digCells(job, slices[i]);
+    if (ores) {
+      for (const cell of slices[i]) await mineOres(job, cell, ores);
+    }
+    if (job.reason) break;
+    // After the ores, so a hole where one was under the floor is bridged too
+    if (!await bridge(job, centres[i])) {
+      job.reason = 'no_floor';
+      break;
+    }
+    last = centres[i];
+  }
+  return last;
+}
+
+async function walkTo(bot, position, ctx) {
+  try {
+    await gotoPosition(bot, { x: position.x, y: position.y, z: position.z, range: 0 }, ctx);
+  } catch (error) {
+    console.error(`[AREA] Could not walk to ${position.x}, ${position.y}, ${position.z}:`, error.message);
+  }
+}
+
+// Dig out every block between params.min and params.max, top layer first.
+// Options: maxBlocks, timeout (ms, default 5 minutes).
+async function clearRegion(bot, params = {}, ctx = {}) {
+  const { min, max } = readBox(params);
+  const job = startJob(bot, params, ctx, 'dug');
+
+  const cells = [];
+  for (let y = max.y; y >= min.y; y--) {
+    for (let z = min.z; z <= max.z; z++) {
+      // Rows snake back and forth so the bot does not walk back every row
+      const row = [];
+      for (let x = min.x; x <= max.x; x++) row.push(new Vec3(x, y, z));
+      cells.push(...((z - min.z) % 2 === 0 ? row : row.reverse()));
+    }
+  }
+  console.log(`[AREA] Clearing ${cells.length} blocks from ${min} to ${max}`);
+  await digCells(job, cells);
+  return result(job);
+}
+
+// Fill the air and fluid cells between params.min and params.max with
+// params.block, bottom-up; params.replace digs out other blocks first.
+// Stops with reason out_of_blocks when the inventory runs out.
+async function fillRegion(bot, params = {}, ctx = {}) {
+  const { min, max } = readBox(params);
+  if (!params.block) {
+    throw new CommandError('block required');
+  }
+  if (!bot.registry.blocksByName[params.block]) {
+    throw new CommandError(`Unknown block: ${params.block}`);
+  }
+  // Before digging anything, so water or fire fail with a 400
+  const item = placement.itemFor(bot.registry, params.block).name;
+  const replace = params.replace === true || params.replace === 'true';
+  const job = startJob(bot, params, ctx, 'placed');
+
+  const blocks = [];
+  const occupied = [];
+  let present = 0;
+  for (let y = max.y; y >= min.y; y--) {
+    for (let z = min.z; z <= max.z; z++) {
+      for (let x = min.x; x <= max.x; x++) {
+        const position = new Vec3(x, y, z);
+        const current = bot.blockAt(position);
+        if (!current) {
+          skip(job, position, null, 'unloaded');
+          continue;
+        }
+        if (current.name === params.block) {
+          present++;
+          continue;
+        }
+        if (!AIR.has(current.name) && !FLUIDS.has(current.name)) {
+          if (!replace) {
+            skip(job, position, current.name, 'occupied');
+            continue;
+          }
+          occupied.push(position);
+        }
+        blocks.push({ x: x - min.x, y: y - min.y, z: z - min.z, name: params.block, properties: {} });
+      }
+    }
+  }
+
+  if (occupied.length > 0) await digCells(job, occupied);
+
+  const plan = blocks.length > 0 ? building.planBuild(bot, { name: 'fill', blocks }, min, 0) : { steps: [] };
+  console.log(`[AREA] Filling ${plan.steps.length} cells from ${min} to ${max} with ${params.block}`);
+  for (const step of plan.steps) {
+    if (halted(job)) break;
+    if (!bot.inventory.items().some(i => i.name === item)) {
+      job.reason = 'out_of_blocks';
+      break;
+    }
+    const position = new Vec3(step.position.x, step.position.y, step.position.z);
+    try {
+      await placement.placeAt(bot, position, params.block, { walk: true, ctx });
+      job.placed++;
+    } catch (error) {
+      skip(job, position, params.block, error.message);
+    }
+  }
+  return result(job, { present });
+}
+
+// Dig a tunnel from the bot's position: params.direction (north, south,
+// east, west), length, width (default 1, centred on the bot, extra to the
+// right) and height (default 2). Gaps in the floor are bridged with filler
+// blocks; the bot ends at the far end.
+async function tunnel(bot, params = {}, ctx = {}) {
+  const direction = readDirection(params.direction);
+  const length = readCount(params.length, 'length');
+  if (length === undefined) {
+    throw new CommandError('length required');
+  }
+  const width = readCount(params.width, 'width', 1);
+  const height = readCount(params.height, 'height', 2);
+  const job = startJob(bot, params, ctx, 'dug');
+
+  console.log(`[AREA] Tunnel ${params.direction} ${length} blocks (${width}x${height})`);
+  const end = await corridor(job, feetOf(bot), direction, { length, width, height });
+  if (end) await walkTo(bot, end, ctx);
+  return result(job, { end: end && { x: end.x, y: end.y, z: end.z } });
+}
+
+// Dig a staircase params.depth steps down in params.direction, three blocks
+// high so the bot can walk it, and walk down it
+async function staircase(bot, params = {}, ctx = {}) {
+  const { forward } = readDirection(params.direction);
+  const depth = readCount(params.depth, 'depth');
+  if (depth === undefined) {
+    throw new CommandError('depth required');
+  }
+  const job = startJob(bot, params, ctx, 'dug');
+  const start = feetOf(bot);
+
+  const steps = [];
+  for (let i = 1; i <= depth; i++) steps.push(start.offset(forward[0] * i, -i, forward[1] * i));
+  console.log(`[AREA] Staircase ${params.direction} ${depth} steps down`);
+  let end = null;
+  for (const step of steps) {
+    if (halted(job)) break;
+    await digCells(job, [step.offset(0, 2, 0), step.offset(0, 1, 0), step]);
+    if (job.reason) break;
+    if (!await bridge(job, step)) {
+      job.reason = 'no_floor';
+      break;
+    }
+    end = step;
+    await walkTo(bot, step, ctx);
+  }
+  return result(job, { end: end && { x: end.x, y: end.y, z: end.z } });
+}
+
+// Branch mining from the bot's position: a main tunnel params.length
+// (default 32) long in params.direction, with branches params.branchLength
+// (default 8) long to both sides every params.spacing + 1 blocks (default 3,
+// leaving 3 blocks between branches). Ore blocks seen on the way are mined
+// unless params.ores is false.
+async function stripMine(bot, params = {}, ctx = {}) {
+  const direction = readDirection(params.direction);
+  const length = readCount(params.length, 'length', 32);
+  const branchLength = readCount(params.branchLength, 'branchLength', 8);
+  const spacing = readCount(params.spacing, 'spacing', 3);
+  const height = readCount(params.height, 'height', 2);
+  const ores = params.ores === false || params.ores === 'false' ? null : {};
+  const job = startJob(bot, params, ctx, 'dug');
+
+  console.log(`[AREA] Strip mine ${params.direction} ${length} blocks, branches ${branchLength} every ${spacing + 1}`);
+  const left = { forward: direction.right.map(n => -n), right: direction.forward };
+  const right = { forward: direction.right, right: direction.forward.map(n => -n) };
+  let position = feetOf(bot);
+  let branches = 0;
+  for (let i = 1; i <= length && !halted(job); i++) {
+    const next = await corridor(job, position, direction, { length: 1, height, ores });
+    if (!next) break;
+    position = next;
+    if (i % (spacing + 1) !== 0) continue;
+
+    for (const side of [left, right]) {
+      if (halted(job)) break;
+      if (await corridor(job, position, side, { length: branchLength, height, ores })) branches++;
+      // A branch that hit a gap does not end the strip mine
+      if (job.reason === 'no_floor') job.reason = null;
+    }
+  }
+  await walkTo(bot, position, ctx);
+  return result(job, { end: { x: position.x, y: position.y, z: position.z }, branches, ores: ores || {} });
+}
+
+module.exports = {
+  isFalling,
+  clearRegion,
+  fillRegion,
+  tunnel,
+  staircase,
+  stripMine
+};
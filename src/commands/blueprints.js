@@ -0,0 +1,245 @@
+// Blueprints: loads structures to build from our JSON voxel format or from
+// Sponge (.schem) and Litematica (.litematic) schematics, and anchors them in
+// the world at an origin and rotation. Used by the build subsystem (see
+// building.js).
+//
+// JSON voxel format, either a block list or palette layers (bottom layer
+// first; each row runs along x, rows along z; ' ' and '.' are air):
+//   { "name": "hut", "blocks": [{ "x": 0, "y": 0, "z": 0, "block": "oak_planks" }] }
+//   { "name": "hut", "palette": { "P": "oak_planks", "G": "glass" },
+//     "layers": [["PPP", "PPP"], ["PGP", "P.P"]] }
+// Block names may carry block states: "oak_stairs[facing=east,half=bottom]".
+const nbt = require('prismarine-nbt');
+const { CommandError } = require('./errors');
+
+const AIR = new Set(['air', 'cave_air', 'void_air', 'structure_void']);
+const ROTATIONS = [0, 90, 180, 270];
+// Facing after one clockwise quarter turn (seen from above)
+const TURN_FACING = { north: 'east', east: 'south', south: 'west', west: 'north' };
+const MAX_BLOCKS = 100000;
+
+// 'minecraft:oak_stairs[facing=east,half=bottom]' -> { name, properties }
+function parseBlockState(state) {
+  const match = String(state).trim().match(/^(?:[a-z0-9_.-]+:)?([a-z0-9_]+)(?:\[(.*)\])?$/);
+  if (!match) {
+    throw new CommandError(`Invalid block: ${state}`);
+  }
+  const properties = {};
+  for (const pair of (match[2] || '').split(',').filter(Boolean)) {
+    const [key, value] = pair.split('=');
+    properties[key.trim()] = String(value).trim();
+  }
+  return { name: match[1], properties };
+}
+
+function voxel(x, y, z, state, properties = {}) {
+  const parsed = parseBlockState(state);
+  return { x, y, z, name: parsed.name, properties: { ...parsed.properties, ...properties } };
+}
+
+function parseVoxels(json) {
+  const blocks = [];
+  if (Array.isArray(json.blocks)) {
+    for (const entry of json.blocks) {
+      const state = entry.block || entry.name;
+      if (!state || ![entry.x, entry.y, entry.z].every(Number.isInteger)) {
+        throw new CommandError('Blueprint blocks need integer x, y, z and a block name');
+      }
+      blocks.push(voxel(entry.x, entry.y, entry.z, state, entry.properties));
+    }
+  } else if (Array.isArray(json.layers) && json.palette && typeof json.palette === 'object') {
+    json.layers.forEach((rows, y) => {
+      [].concat(rows).forEach((row, z) => {
+        [...String(row)].forEach((key, x) => {
+          if (json.palette[key] !== undefined) {
+            blocks.push(voxel(x, y, z, json.palette[key]));
+          } else if (key !== ' ' && key !== '.') {
+            throw new CommandError(`Blueprint palette has no block for '${key}'`);
+          }
+        });
+      });
+    });
+  } else {
+    throw new CommandError('Blueprint needs blocks, or palette and layers');
+  }
+  return { name: json.name || 'blueprint', blocks };
+}
+
+// Sponge schematic v1-v3: block states indexed by varints in x, z, y order
+function parseSponge(root) {
+  const schematic = root.Schematic || root;
+  const { Width: width, Height: height, Length: length } = schematic;
+  const palette = schematic.Blocks ? schematic.Blocks.Palette : schematic.Palette;
+  const data = schematic.Blocks ? schematic.Blocks.Data : schematic.BlockData;
+  if (!width || !height || !length || !palette || !data) {
+    throw new CommandError('Invalid .schem file: missing size, palette or block data');
+  }
+
+  const states = [];
+  for (const [state, index] of Object.entries(palette)) states[index] = state;
+
+  const blocks = [];
+  let offset = 0;
+  for (let index = 0; index < width * height * length; index++) {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (offset >= data.length) {
+        throw new CommandError('Invalid .schem file: block data is truncated');
+      }
+      byte = data[offset++] & 0xff;
+      value |= (byte & 0x7f) << shift;
+      shift += 7;
+    } while (byte & 0x80);
+
+    const x = index % width;
+    const z = Math.floor(index / width) % length;
+    const y = Math.floor(index / (width * length));
+    if (states[value] === undefined) {
+      throw new CommandError(`Invalid .schem file: unknown palette index ${value}`);
+    }
+    blocks.push(voxel(x, y, z, states[value]));
+  }
+  return { name: (schematic.Metadata && schematic.Metadata.Name) || 'schematic', blocks };
+}
+
+// NBT longs come as [high, low] 32-bit pairs
+function toUnsignedLong([high, low]) {
+  return BigInt.asUintN(64, (BigInt(high) << 32n) | BigInt(low >>> 0));
+}
+
+// Litematica: per region, palette indexes bit-packed into longs (entries may
+// span two longs) in x, z, y order. Negative sizes extend back from Position.
+function parseLitematic(root) {
+  if (!root.Regions || typeof root.Regions !== 'object') {
+    throw new CommandError('Invalid .litematic file: no regions');
+  }
+
+  const blocks = [];
+  for (const region of Object.values(root.Regions)) {
+    const size = region.Size;
+    const [sx, sy, sz] = [Math.abs(size.x), Math.abs(size.y), Math.abs(size.z)];
+    const min = {
+      x: region.Position.x + (size.x < 0 ? size.x + 1 : 0),
+      y: region.Position.y + (size.y < 0 ? size.y + 1 : 0),
+      z: region.Position.z + (size.z < 0 ? size.z + 1 : 0)
+    };
+    const palette = region.BlockStatePalette.map(entry => ({
+      name: entry.Name,
+      properties: entry.Properties || {}
+    }));
+    const longs = region.BlockStates.map(toUnsignedLong);
+    const bits = BigInt(Math.max(2, Math.ceil(Math.log2(palette.length))));
+    const mask = (1n << bits) - 1n;
+
+    for (let index = 0; index < sx * sy * sz; index++) {
+      const start = BigInt(index) * bits;
+      const word = Number(start >> 6n);
+      const shift = start & 63n;
+      let value = longs[word] >> shift;
+      if (shift + bits > 64n) value |= longs[word + 1] << (64n - shift);
+      const entry = palette[Number(value & mask)];
+      if (!entry) {
+        throw new CommandError('Invalid .litematic file: block states do not match the palette');
+      }
+
+      const x = index % sx;
+      const z = Math.floor(index / sx) % sz;
+      const y = Math.floor(index / (sx * sz));
+      blocks.push(voxel(min.x + x, min.y + y, min.z + z, entry.name, entry.properties));
+    }
+  }
+  return { name: (root.Metadata && root.Metadata.Name) || 'litematic', blocks };
+}
+
+// Drops air and shifts the blocks so the lowest corner is 0, 0, 0
+function normalize({ name, blocks }) {
+  const solid = blocks.filter(block => !AIR.has(block.name));
+  if (solid.length === 0) {
+    throw new CommandError('Blueprint has no blocks');
+  }
+  if (solid.length > MAX_BLOCKS) {
+    throw new CommandError(`Blueprint has ${solid.length} blocks (max ${MAX_BLOCKS})`);
+  }
+
+  const min = axis => solid.reduce((low, block) => Math.min(low, block[axis]), Infinity);
+  const [mx, my, mz] = [min('x'), min('y'), min('z')];
+  const shifted = solid.map(block => ({ ...block, x: block.x - mx, y: block.y - my, z: block.z - mz }));
+  const max = axis => shifted.reduce((high, block) => Math.max(high, block[axis]), 0) + 1;
+  return { name, size: { x: max('x'), y: max('y'), z: max('z') }, blocks: shifted };
+}
+
+// The blueprint in params.blueprint (JSON voxel format, object or string), or
+// the base64 schematic in params.schematic (params.format: 'schem' or
+// 'litematic'; detected from the content when missing)
+async function loadBlueprint(params = {}) {
+  if (params.blueprint) {
+    let json = params.blueprint;
+    if (typeof json === 'string') {
+      try {
+        json = JSON.parse(json);
+      } catch (error) {
+        throw new CommandError(`Invalid blueprint JSON: ${error.message}`);
+      }
+    }
+    return normalize(parseVoxels(json));
+  }
+
+  if (!params.schematic) {
+    throw new CommandError('blueprint or schematic required');
+  }
+  let root;
+  try {
+    const { parsed } = await nbt.parse(Buffer.from(params.schematic, 'base64'));
+    root = nbt.simplify(parsed);
+  } catch (error) {
+    throw new CommandError(`Invalid schematic: ${error.message}`);
+  }
+
+  const format = params.format || (root.Regions ? 'litematic' : 'schem');
+  if (format === 'litematic') return normalize(parseLitematic(root));
+  if (format === 'schem' || format === 'schematic') return normalize(parseSponge(root));
+  throw new CommandError(`Unknown schematic format: ${format} (expected schem or litematic)`);
+}
+
+function readRotation(value) {
+  const rotation = value === undefined || value === null || value === '' ? 0 : Number(value);
+  if (!ROTATIONS.includes(rotation)) {
+    throw new CommandError('rotation must be 0, 90, 180 or 270');
+  }
+  return rotation;
+}
+
+// Block states that follow the rotation: horizontal facing, and log axes
+function rotateProperties(properties, turns) {
+  const rotated = { ...properties };
+  for (let i = 0; i < turns; i++) {
+    if (TURN_FACING[rotated.facing]) rotated.facing = TURN_FACING[rotated.facing];
+    if (rotated.axis === 'x') rotated.axis = 'z';
+    else if (rotated.axis === 'z') rotated.axis = 'x';
+  }
+  return rotated;
+}
+
+// World positions of the blueprint's blocks, turned clockwise (seen from
+// above) by rotation degrees around origin
+function anchorBlueprint(blueprint, origin, rotation = 0) {
+  const turns = readRotation(rotation) / 90;
+  return blueprint.blocks.map(block => {
+    let { x, z } = block;
+    for (let i = 0; i < turns; i++) [x, z] = [-z, x];
+    return {
+      position: { x: origin.x + x, y: origin.y + block.y, z: origin.z + z },
+      name: block.name,
+      properties: rotateProperties(block.properties, turns)
+    };
+  });
+}
+
+module.exports = {
+  parseBlockState,
+  loadBlueprint,
+  readRotation,
+  anchorBlueprint
+};
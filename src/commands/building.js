@@ -0,0 +1,350 @@
+// Building: places a blueprint (see blueprints.js) anchored at an origin and
+// rotation. Blocks go down bottom-up, each layer growing out from blocks that
+// already have support; blocks with nothing to place against get a scaffold
+// pillar from the ground, removed once the build ends. Used by POST /build,
+// GET /build, POST /build/resume, the build batch instruction and the program
+// SDK's ctx.actions.build.blueprint.
+const Vec3 = require('vec3');
+const { CommandError } = require('./errors');
+const { gotoPosition } = require('./navigation');
+const { FILLER_BLOCKS } = require('./survival');
+const blueprints = require('./blueprints');
+const placement = require('./placement');
+
+// How far the bot places and digs from its eyes (blocks)
+const REACH = 4.5;
+const EYE_HEIGHT = 1.62;
+// Deepest drop below a block a scaffold pillar is built up from
+const SCAFFOLD_DEPTH = 8;
+const APPROACH_TIMEOUT = 30000;
+const DEFAULT_TIMEOUT = 300000;
+const MAX_TIMEOUT = 600000;
+// A build_progress event is logged every this many placed blocks
+const PROGRESS_EVERY = 10;
+
+// Neighbours that count as support when ordering a layer
+const BELOW = [0, -1, 0];
+const SIDES = [[1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1]];
+// Facing hint for each axis a log or pillar lies along
+const AXIS_FACING = { x: 'east', y: 'up', z: 'south' };
+
+// The last build per bot, for GET /build and POST /build/resume
+const builds = new WeakMap();
+
+function key({ x, y, z }) {
+  return `${x},${y},${z}`;
+}
+
+function format({ x, y, z }) {
+  return `${x}, ${y}, ${z}`;
+}
+
+function isSolid(block) {
+  return Boolean(block) && block.boundingBox === 'block';
+}
+
+function readOrigin(params) {
+  const coords = ['x', 'y', 'z'].map(axis => Number(params[axis]));
+  if (params.x === undefined || params.y === undefined || params.z === undefined || coords.some(n => !Number.isFinite(n))) {
+    throw new CommandError('x, y, z origin required');
+  }
+  const [x, y, z] = coords.map(Math.floor);
+  return { x, y, z };
+}
+
+function inventoryTotals(bot) {
+  const totals = {};
+  for (const { name, count } of bot.inventory.items()) totals[name] = (totals[name] || 0) + count;
+  return totals;
+}
+
+// Steps in placement order: { position, name, item, properties, scaffold }.
+// Blocks already in place are counted in present and left out.
+function planBuild(bot, blueprint, origin, rotation) {
+  const registry = bot.registry;
+  const anchored = blueprints.anchorBlueprint(blueprint, origin, rotation);
+
+  const done = new Set();
+  const byKey = new Map();
+  const solid = [];
+  const attached = [];
+  let present = 0;
+  for (const block of anchored) {
+    const data = registry.blocksByName[block.name];
+    if (!data) {
+      throw new CommandError(`Unknown block in blueprint: ${block.name}`);
+    }
+    const step = { ...block, item: placement.itemFor(registry, block.name).name, scaffold: false };
+    const current = bot.blockAt(new Vec3(step.position.x, step.position.y, step.position.z));
+    if (current && current.name === step.name) {
+      present++;
+      done.add(key(step.position));
+      continue;
+    }
+    byKey.set(key(step.position), step);
+    (data.boundingBox === 'block' ? solid : attached).push(step);
+  }
+
+  const supported = ({ position }) => [BELOW, ...SIDES].some(([dx, dy, dz]) => {
+    const neighbour = { x: position.x + dx, y: position.y + dy, z: position.z + dz };
+    if (done.has(key(neighbour))) return true;
+    if (byKey.has(key(neighbour))) return false;
+    return isSolid(bot.blockAt(new Vec3(neighbour.x, neighbour.y, neighbour.z)));
+  });
+  const byPosition = (a, b) => a.position.y - b.position.y || a.position.x - b.position.x || a.position.z - b.position.z;
+
+  // Layer by layer, spreading out from supported blocks; when nothing left
+  // in the layer has support, the next block gets a scaffold
+  const steps = [];
+  const layers = new Map();
+  for (const step of solid.sort(byPosition)) {
+    if (!layers.has(step.position.y)) layers.set(step.position.y, []);
+    layers.get(step.position.y).push(step);
+  }
+  for (const layer of layers.values()) {
+    const pending = new Map(layer.map(step => [key(step.position), step]));
+    const queue = layer.filter(supported);
+    let next = 0;
+    while (pending.size > 0) {
+      while (next < queue.length && !pending.has(key(queue[next].position))) next++;
+      let step = queue[next];
+      if (!step) {
+        step = pending.values().next().value;
+        step.scaffold = true;
+      }
+      pending.delete(key(step.position));
+      done.add(key(step.position));
+      steps.push(step);
+      for (const [dx, , dz] of SIDES) {
+        const neighbour = pending.get(key({ x: step.position.x + dx, y: step.position.y, z: step.position.z + dz }));
+        if (neighbour) queue.push(neighbour);
+      }
+    }
+  }
+  // Torches, flowers and the like once what they hang on is there
+  steps.push(...attached.sort(byPosition));
+
+  const materials = {};
+  for (const step of steps) materials[step.item] = (materials[step.item] || 0) + 1;
+  return { name: blueprint.name, size: blueprint.size, origin, rotation, total: anchored.length, present, steps, materials };
+}
+
+function missingMaterials(bot, materials) {
+  const have = inventoryTotals(bot);
+  const missing = {};
+  for (const [name, count] of Object.entries(materials)) {
+    if ((have[name] || 0) < count) missing[name] = count - (have[name] || 0);
+  }
+  return missing;
+}
+
+function describePlan(bot, plan) {
+  return {
+    name: plan.name,
+    size: plan.size,
+    origin: plan.origin,
+    rotation: plan.rotation,
+    total: plan.total,
+    present: plan.present,
+    toPlace: plan.steps.length,
+    scaffolds: plan.steps.filter(step => step.scaffold).length,
+    materials: plan.materials,
+    missing: missingMaterials(bot, plan.materials),
+    steps: plan.steps.map(({ position, name, scaffold }) => (scaffold ? { position, block: name, scaffold } : { position, block: name }))
+  };
+}
+
+// Placement hints (see placement.js) for a blueprint block's state
+function hintsFor({ properties = {} }) {
+  const hints = {};
+  // Levers and buttons on floors and ceilings are left to the support
+  if (properties.facing && (!properties.face || properties.face === 'wall')) hints.facing = properties.facing;
+  if (properties.axis) hints.facing = AXIS_FACING[properties.axis];
+  // Stair half, or slab type (double slabs are placed as one slab)
+  const half = properties.half || properties.type;
+  if (half === 'top' || half === 'bottom') hints.half = half;
+  return hints;
+}
+
+// Pillar of options.scaffold blocks from the ground up to just below position
+async function buildScaffold(bot, position, options) {
+  let ground = null;
+  for (let y = position.y - 1; y >= position.y - SCAFFOLD_DEPTH; y--) {
+    const block = bot.blockAt(new Vec3(position.x, y, position.z));
+    if (isSolid(block)) {
+      ground = y;
+      break;
+    }
+    if (!block || block.boundingBox !== 'empty') break;
+  }
+  if (ground === null) {
+    throw new CommandError(`No ground within ${SCAFFOLD_DEPTH} blocks below ${format(position)} to scaffold from`, 422);
+  }
+
+  for (let y = ground + 1; y < position.y; y++) {
+    const cell = new Vec3(position.x, y, position.z);
+    await placement.placeAt(bot, cell, options.scaffold, { walk: true, ctx: options.ctx });
+    options.scaffolds.push(cell);
+  }
+}
+
+// Place a plan step, first building a scaffold pillar under it when it has
+// nothing to be placed against. options: { scaffold: block name to pillar up
+// with, scaffolds: list the pillar cells are added to, ctx }
+async function placeStep(bot, step, options) {
+  const position = new Vec3(step.position.x, step.position.y, step.position.z);
+  const hints = hintsFor(step);
+  if (options.scaffold && !placement.findSupport(bot, position, step.name, hints)) {
+    await buildScaffold(bot, position, options);
+  }
+  await placement.placeAt(bot, position, step.name, { ...hints, walk: true, ctx: options.ctx });
+}
+
+// Dig scaffold pillars top-down; returns how many are left standing
+async function removeScaffolds(bot, cells, scaffold, ctx) {
+  let left = 0;
+  for (const cell of [...cells].reverse()) {
+    const block = bot.blockAt(cell);
+    if (!block || block.name !== scaffold) continue;
+    try {
+      const center = cell.offset(0.5, 0.5, 0.5);
+      if (bot.entity.position.offset(0, EYE_HEIGHT, 0).distanceTo(center) > REACH) {
+        await gotoPosition(bot, { x: cell.x, y: cell.y, z: cell.z, range: 3, timeout: APPROACH_TIMEOUT }, ctx);
+      }
+      await bot.dig(block);
+    } catch (error) {
+      console.error(`[BUILD] Could not remove scaffold at ${format(cell)}:`, error.message);
+      left++;
+    }
+  }
+  return left;
+}
+
+// The cheapest filler in the inventory that the blueprint does not need
+function pickScaffold(bot, params, materials) {
+  if (params.scaffold === false || params.scaffold === 'false') return null;
+  if (params.scaffoldBlock) return params.scaffoldBlock;
+  const have = inventoryTotals(bot);
+  return FILLER_BLOCKS.find(name => have[name] && !materials[name]) || null;
+}
+
+function summarize(state) {
+  const { spec, ...summary } = state;
+  return { ...summary, remaining: state.total - state.present - state.placed };
+}
+
+async function runBuild(bot, spec, params, ctx = {}) {
+  const plan = planBuild(bot, spec.blueprint, spec.origin, spec.rotation);
+  if (params.plan) {
+    return describePlan(bot, plan);
+  }
+
+  const missing = missingMaterials(bot, plan.materials);
+  if (Object.keys(missing).length > 0) {
+    const list = Object.entries(missing).map(([name, count]) => `${count} ${name}`).join(', ');
+    throw new CommandError(`Missing materials: ${list}`, 422, { missing, materials: plan.materials });
+  }
+
+  const timeout = Math.min(Number(params.timeout) || DEFAULT_TIMEOUT, MAX_TIMEOUT);
+  const maxBlocks = params.maxBlocks !== undefined ? Number(params.maxBlocks) : Infinity;
+  const scaffold = pickScaffold(bot, params, plan.materials);
+  const logEvent = ctx.logEvent || (() => {});
+
+  const state = {
+    spec,
+    name: plan.name,
+    origin: plan.origin,
+    rotation: plan.rotation,
+    status: 'building',
+    total: plan.total,
+    present: plan.present,
+    placed: 0,
+    failed: [],
+    scaffoldsLeft: 0,
+    startedAt: Date.now(),
+    finishedAt: null
+  };
+  builds.set(bot, state);
+  console.log(`[BUILD] Building ${plan.name}: ${plan.steps.length} blocks at ${format(plan.origin)}`);
+  logEvent('build_started', { name: plan.name, origin: plan.origin, rotation: plan.rotation, total: plan.total, toPlace: plan.steps.length });
+
+  const progress = () => ({ name: state.name, placed: state.placed, present: state.present, total: state.total, failed: state.failed.length });
+  const deadline = Date.now() + timeout;
+  const scaffolds = [];
+  for (const step of plan.steps) {
+    if (ctx.signal && ctx.signal.aborted) {
+      state.status = 'cancelled';
+      break;
+    }
+    if (Date.now() > deadline) {
+      state.status = 'timeout';
+      break;
+    }
+    if (state.placed >= maxBlocks) {
+      state.status = 'limit';
+      break;
+    }
+
+    // Placed since planning, e.g. by a resumed build
+    const current = bot.blockAt(new Vec3(step.position.x, step.position.y, step.position.z));
+    if (current && current.name === step.name) {
+      state.present++;
+      continue;
+    }
+    try {
+      await placeStep(bot, step, { scaffold, scaffolds, ctx });
+      state.placed++;
+      if (state.placed % PROGRESS_EVERY === 0) logEvent('build_progress', progress());
+    } catch (error) {
+      state.failed.push({ position: step.position, block: step.name, error: error.message });
+    }
+  }
+
+  if (scaffold && scaffolds.length > 0) {
+    state.scaffoldsLeft = await removeScaffolds(bot, scaffolds, scaffold, ctx);
+  }
+  if (state.status === 'building') {
+    state.status = state.failed.length > 0 ? 'incomplete' : 'done';
+  }
+  state.finishedAt = Date.now();
+  console.log(`[BUILD] ${plan.name} ${state.status}: ${state.placed} placed, ${state.failed.length} failed`);
+  logEvent('build_finished', { ...progress(), status: state.status });
+  return summarize(state);
+}
+
+// Build params.blueprint or params.schematic (see blueprints.js) with its
+// lowest corner at params.x/y/z, turned clockwise by params.rotation degrees.
+// Options: plan (only return the plan), scaffold (false: never scaffold),
+// scaffoldBlock, maxBlocks, timeout (ms, default 5 minutes).
+async function build(bot, params = {}, ctx = {}) {
+  const blueprint = await blueprints.loadBlueprint(params);
+  const spec = { blueprint, origin: readOrigin(params), rotation: blueprints.readRotation(params.rotation) };
+  return runBuild(bot, spec, params, ctx);
+}
+
+// Build the last blueprint again; blocks already in place are skipped
+async function resumeBuild(bot, params = {}, ctx = {}) {
+  const last = builds.get(bot);
+  if (!last) {
+    throw new CommandError('No build to resume', 404);
+  }
+  if (last.status === 'building') {
+    throw new CommandError('The build is still running', 409);
+  }
+  return runBuild(bot, last.spec, params, ctx);
+}
+
+function buildStatus(bot) {
+  const last = builds.get(bot);
+  if (!last) {
+    throw new CommandError('No build has been started', 404);
+  }
+  return summarize(last);
+}
+
+module.exports = {
+  planBuild,
+  build,
+  resumeBuild,
+  buildStatus
+};
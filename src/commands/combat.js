@@ -0,0 +1,341 @@
+// Melee combat: picks targets by type, distance and threat, equips the best
+// weapon and fights with attack cooldowns, strafing, kiting and a shield.
+// Used by POST /combat/engage, the `combat` batch instruction and the program
+// SDK's ctx.actions.combat.
+const { CommandError } = require('./errors');
+const { isHostile } = require('./queries');
+const { gotoPosition } = require('./navigation');
+
+// Attack damage and attacks per second of melee weapons
+const WEAPONS = {
+  wooden_sword: { damage: 4, speed: 1.6 },
+  golden_sword: { damage: 4, speed: 1.6 },
+  stone_sword: { damage: 5, speed: 1.6 },
+  iron_sword: { damage: 6, speed: 1.6 },
+  diamond_sword: { damage: 7, speed: 1.6 },
+  netherite_sword: { damage: 8, speed: 1.6 },
+  wooden_axe: { damage: 7, speed: 0.8 },
+  golden_axe: { damage: 7, speed: 1 },
+  stone_axe: { damage: 9, speed: 0.8 },
+  iron_axe: { damage: 9, speed: 0.9 },
+  diamond_axe: { damage: 9, speed: 1 },
+  netherite_axe: { damage: 10, speed: 1 },
+  trident: { damage: 9, speed: 1.1 }
+};
+const FIST = { damage: 1, speed: 4 };
+
+// How dangerous a mob is, highest first. Other hostile mobs count as 2
+const MOB_THREAT = {
+  creeper: 5, warden: 5, evoker: 5, ravager: 5,
+  skeleton: 4, stray: 4, wither_skeleton: 4, blaze: 4, witch: 4, pillager: 4,
+  vindicator: 4, piglin_brute: 4, hoglin: 4, zoglin: 4,
+  zombie: 3, husk: 3, drowned: 3, zombie_villager: 3, spider: 3, cave_spider: 3,
+  phantom: 3, vex: 3, guardian: 3,
+  silverfish: 1, endermite: 1
+};
+const HOSTILE_THREAT = 2;
+
+// Mobs to back away from between hits when kite is 'auto'
+const KITE_MOBS = new Set(['creeper']);
+
+const REACH = 3;
+const TICK = 50;
+// minHealth matches the guardian's, which takes over once a fight stops
+const DEFAULTS = { radius: 16, minHealth: 8, timeout: 30000, maxHits: 100 };
+const MAX_RADIUS = 64;
+const MAX_TIMEOUT = 120000;
+const APPROACH_TIMEOUT = 10000;
+
+// Fights in progress per bot; the guardian leaves mobs and low health to them
+const engagements = new WeakMap();
+// Default minHealth per bot, set by configureCombat
+const healthFloors = new WeakMap();
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Make bot's fights stop at the guardian's minHealth unless asked otherwise
+function configureCombat(bot, { minHealth } = {}) {
+  if (minHealth !== undefined) healthFloors.set(bot, minHealth);
+}
+
+function isEngaged(bot) {
+  return (engagements.get(bot) || 0) > 0;
+}
+
+function readCount(value, name, fallback) {
+  if (value === undefined || value === null) return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new CommandError(`${name} must be a positive integer`);
+  }
+  return count;
+}
+
+function readNumber(params, name, min, max) {
+  const value = params[name] === undefined ? DEFAULTS[name] : Number(params[name]);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new CommandError(`${name} must be a number from ${min} to ${max}`);
+  }
+  return value;
+}
+
+// types may be an array or a comma-separated string (query strings, CLI)
+function readTypes(types) {
+  if (types === undefined || types === null) return null;
+  const names = (Array.isArray(types) ? types : String(types).split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  return names.length > 0 ? new Set(names) : null;
+}
+
+function entityName(entity) {
+  return entity.name || entity.displayName || 'unknown';
+}
+
+function threatOf(entity) {
+  if (MOB_THREAT[entityName(entity)] !== undefined) return MOB_THREAT[entityName(entity)];
+  return isHostile(entity) ? HOSTILE_THREAT : 0;
+}
+
+function weaponStats(item) {
+  return (item && WEAPONS[item.name]) || FIST;
+}
+
+// Milliseconds between full-strength attacks with item (null: bare hand)
+function attackCooldown(item) {
+  return Math.round(1000 / weaponStats(item).speed);
+}
+
+// The inventory weapon with the most damage per second, or null
+function bestWeapon(bot) {
+  const dps = item => WEAPONS[item.name].damage * WEAPONS[item.name].speed;
+  return bot.inventory.items()
+    .filter(item => WEAPONS[item.name])
+    .sort((a, b) => dps(b) - dps(a) || WEAPONS[b.name].damage - WEAPONS[a.name].damage)[0] || null;
+}
+
+// Entities worth fighting within params.radius, most threatening first (or
+// nearest first with prefer: 'nearest'). Only hostile mobs unless params.types
+// names the mobs to fight; players are never picked.
+function selectTargets(bot, params = {}) {
+  const radius = readNumber(params, 'radius', 1, MAX_RADIUS);
+  const types = readTypes(params.types);
+  const prefer = params.prefer || 'threat';
+  if (!['threat', 'nearest'].includes(prefer)) {
+    throw new CommandError("prefer must be 'threat' or 'nearest'");
+  }
+
+  const position = bot.entity.position;
+  const exclude = params.exclude || new Set();
+
+  return Object.values(bot.entities)
+    .filter(e => e !== bot.entity && e.position && e.type !== 'player' && !exclude.has(e.id))
+    .filter(e => (types ? types.has(entityName(e)) : isHostile(e)))
+    .map(e => ({ entity: e, threat: threatOf(e), distance: e.position.distanceTo(position) }))
+    .filter(t => t.distance <= radius)
+    .sort((a, b) => prefer === 'nearest'
+      ? a.distance - b.distance || b.threat - a.threat || a.entity.id - b.entity.id
+      : b.threat - a.threat || a.distance - b.distance || a.entity.id - b.entity.id);
+}
+
+function describeTarget({ entity, threat, distance }) {
+  const { x, y, z } = entity.position;
+  return {
+    id: entity.id,
+    name: entityName(entity),
+    type: entity.type,
+    threat,
+    position: { x, y, z },
+    distance: Math.round(distance * 10) / 10
+  };
+}
+
+async function equipWeapon(bot, weapon) {
+  if (weapon === false) return bot.heldItem || null;
+
+  const item = typeof weapon === 'string'
+    ? bot.inventory.items().find(i => i.name === weapon)
+    : bestWeapon(bot);
+  if (typeof weapon === 'string' && !item) {
+    throw new CommandError(`No ${weapon} in inventory`);
+  }
+  if (item && (!bot.heldItem || bot.heldItem.name !== item.name)) {
+    await bot.equip(item, 'hand');
+  }
+  return item || null;
+}
+
+async function equipShield(bot) {
+  const shield = bot.inventory.items().find(item => item.name === 'shield');
+  if (!shield) return false;
+  await bot.equip(shield, 'off-hand');
+  return true;
+}
+
+function setShield(bot, raised) {
+  if (raised && typeof bot.activateItem === 'function') bot.activateItem(true);
+  if (!raised && typeof bot.deactivateItem === 'function') bot.deactivateItem();
+}
+
+function setMovement(bot, { left = false, right = false, back = false }) {
+  bot.setControlState('left', left);
+  bot.setControlState('right', right);
+  bot.setControlState('back', back);
+}
+
+// Fight until the targets are dead, health drops below params.minHealth, the
+// time (params.timeout ms) or hits (params.maxHits) run out, or ctx.signal
+// aborts. Targets are params.entityId, or what selectTargets picks; at most
+// params.maxTargets of them. Targets that leave bot.entities without dying
+// (out of tracking range) count as lost, not killed. Options: weapon (true = best in inventory, an
+// item name, or false to keep the held item), shield (raise one between hits),
+// strafe (circle the target between hits), kite (back off between hits: true,
+// false or 'auto' for creepers), cooldownMs (override the weapon's cooldown).
+// Resolves with why the fight ended, the hits and kills.
+async function engage(bot, params = {}, ctx = {}) {
+  const floor = healthFloors.get(bot);
+  const minHealth = readNumber(params.minHealth === undefined && floor !== undefined ? { minHealth: floor } : params, 'minHealth', 0, 20);
+  const timeout = readNumber(params, 'timeout', 0, MAX_TIMEOUT);
+  const maxHits = readNumber(params, 'maxHits', 0, 10000);
+  const maxTargets = params.entityId !== undefined ? 1 : readCount(params.maxTargets, 'maxTargets', Infinity);
+  const { strafe = true, shield = true, kite = 'auto' } = params;
+  selectTargets(bot, params); // validates the selection params up front
+
+  let target = null;
+  if (params.entityId !== undefined) {
+    target = bot.entities[params.entityId];
+    if (!target || target === bot.entity) {
+      throw new CommandError('Entity not found');
+    }
+  }
+
+  const weapon = await equipWeapon(bot, params.weapon === undefined ? true : params.weapon);
+  const cooldown = params.cooldownMs !== undefined ? Number(params.cooldownMs) : attackCooldown(weapon);
+  const hasShield = shield !== false && await equipShield(bot);
+
+  const deadline = Date.now() + timeout;
+  const unreachable = new Set();
+  const fought = [];
+  let hits = 0;
+  let lastAttack = 0;
+  let strafeLeft = true;
+  let reason = null;
+
+  const nextTarget = () => {
+    if (params.entityId !== undefined) return null;
+    const [next] = selectTargets(bot, { ...params, exclude: unreachable });
+    return next ? next.entity : null;
+  };
+  const record = (entity) => {
+    let entry = fought.find(f => f.id === entity.id);
+    if (!entry) {
+      entry = { id: entity.id, name: entityName(entity), hits: 0, killed: false, lost: false };
+      fought.push(entry);
+    }
+    return entry;
+  };
+
+  const dead = new Set();
+  const onDead = (entity) => dead.add(entity.id);
+  bot.on('entityDead', onDead);
+  engagements.set(bot, (engagements.get(bot) || 0) + 1);
+
+  try {
+    if (!target) target = nextTarget();
+
+    while (!reason) {
+      if (ctx.signal && ctx.signal.aborted) { reason = 'cancelled'; break; }
+      if (bot.health < minHealth) { reason = 'low_health'; break; }
+
+      // Dead or despawned targets leave bot.entities
+      if (target && !bot.entities[target.id]) {
+        if (dead.has(target.id)) record(target).killed = true;
+        else record(target).lost = true;
+        if (fought.filter(f => f.killed).length >= maxTargets) { reason = 'done'; break; }
+        if (params.entityId !== undefined && !dead.has(target.id)) { reason = 'lost'; break; }
+        target = nextTarget();
+      }
+      if (!target) { reason = 'clear'; break; }
+      if (Date.now() >= deadline) { reason = 'timeout'; break; }
+      if (hits >= maxHits) { reason = 'max_hits'; break; }
+
+      const distance = target.position.distanceTo(bot.entity.position);
+      const eyes = target.position.offset(0, (target.height || 1.8) * 0.85, 0);
+
+      if (distance > REACH) {
+        setMovement(bot, {});
+        setShield(bot, false);
+        try {
+          await gotoPosition(bot, {
+            x: Math.floor(target.position.x),
+            y: Math.floor(target.position.y),
+            z: Math.floor(target.position.z),
+            range: 2,
+            timeout: Math.min(APPROACH_TIMEOUT, Math.max(1, deadline - Date.now()))
+          }, ctx);
+        } catch (error) {
+          if (ctx.signal && ctx.signal.aborted) { reason = 'cancelled'; break; }
+          unreachable.add(target.id);
+          record(target).unreachable = true;
+          target = nextTarget();
+          if (!target) reason = 'unreachable';
+        }
+        continue;
+      }
+
+      if (Date.now() - lastAttack >= cooldown) {
+        setMovement(bot, {});
+        if (hasShield) setShield(bot, false);
+        await bot.lookAt(eyes, true);
+        bot.attack(target);
+        hits++;
+        record(target).hits++;
+        lastAttack = Date.now();
+        strafeLeft = !strafeLeft;
+      } else {
+        const kiting = kite === true || (kite === 'auto' && KITE_MOBS.has(entityName(target)));
+        await bot.lookAt(eyes, true);
+        setMovement(bot, {
+          left: strafe && strafeLeft,
+          right: strafe && !strafeLeft,
+          back: kiting && distance < REACH
+        });
+        if (hasShield) setShield(bot, true);
+      }
+
+      await delay(TICK);
+    }
+  } finally {
+    engagements.set(bot, engagements.get(bot) - 1);
+    bot.removeListener('entityDead', onDead);
+    setMovement(bot, {});
+    if (hasShield) setShield(bot, false);
+  }
+
+  return {
+    reason,
+    hits,
+    kills: fought.filter(f => f.killed).length,
+    lost: fought.filter(f => f.lost).length,
+    targets: fought,
+    weapon: weapon ? weapon.name : null,
+    health: bot.health
+  };
+}
+
+module.exports = {
+  MAX_TIMEOUT,
+  WEAPONS,
+  MOB_THREAT,
+  threatOf,
+  bestWeapon,
+  attackCooldown,
+  selectTargets,
+  describeTarget,
+  equipWeapon,
+  configureCombat,
+  isEngaged,
+  engage
+};
@@ -0,0 +1,192 @@
+// Containers: lists chests, barrels and shulker boxes, and deposits or withdraws
+// items by name and count. Deposits can also move everything except kept
+// categories (tools, food, armor). Used by GET /container, POST
+// /container/deposit and /container/withdraw, the deposit/withdraw batch
+// instructions and the program SDK's ctx.actions.container.
+const Vec3 = require('vec3');
+const { CommandError } = require('./errors');
+const { gotoPosition } = require('./navigation');
+
+const REACH = 4;
+const APPROACH_TIMEOUT = 30000;
+
+// Kept in the inventory by { all: true } deposits unless except says otherwise
+const DEFAULT_EXCEPT = ['tools', 'food', 'armor'];
+const TOOL = /_(pickaxe|axe|shovel|hoe|sword)$|^(shears|flint_and_steel|bow|crossbow|trident|fishing_rod|shield)$/;
+const ARMOR = /_(helmet|chestplate|leggings|boots)$|^(elytra|turtle_helmet)$/;
+const CATEGORIES = {
+  tools: (bot, name) => TOOL.test(name),
+  armor: (bot, name) => ARMOR.test(name),
+  food: (bot, name) => Boolean(bot.registry.foodsByName && bot.registry.foodsByName[name])
+};
+
+function isContainer(block) {
+  return Boolean(block) && (
+    ['chest', 'trapped_chest', 'barrel', 'ender_chest'].includes(block.name) ||
+    block.name.endsWith('shulker_box')
+  );
+}
+
+function totals(items) {
+  const counts = {};
+  for (const { name, count } of items) counts[name] = (counts[name] || 0) + count;
+  return counts;
+}
+
+// A string list may also be comma-separated (query strings, CLI)
+function readList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+}
+
+// Walk up to the container at params.x/y/z and open it
+async function openContainerAt(bot, params, ctx = {}) {
+  const coords = ['x', 'y', 'z'].map(axis => Number(params[axis]));
+  if (params.x === undefined || params.y === undefined || params.z === undefined || coords.some(n => !Number.isFinite(n))) {
+    throw new CommandError('x, y, z coordinates required');
+  }
+  const position = new Vec3(...coords.map(Math.floor));
+  const block = bot.blockAt(position);
+  if (!block) {
+    throw new CommandError(`No block loaded at ${position.x}, ${position.y}, ${position.z}`, 422);
+  }
+  if (!isContainer(block)) {
+    throw new CommandError(`${block.name} at ${position.x}, ${position.y}, ${position.z} is not a container`, 422);
+  }
+
+  if (bot.entity.position.distanceTo(position.offset(0.5, 0.5, 0.5)) > REACH) {
+    await gotoPosition(bot, { x: position.x, y: position.y, z: position.z, range: 2, timeout: APPROACH_TIMEOUT }, ctx);
+  }
+
+  const window = await bot.openContainer(block);
+  return { window, block, position: { x: position.x, y: position.y, z: position.z } };
+}
+
+function describeContents(window, block, position) {
+  const items = window.containerItems().map(item => ({ name: item.name, count: item.count, slot: item.slot }));
+  const size = window.inventoryStart !== undefined ? window.inventoryStart : null;
+  return {
+    container: block.name,
+    position,
+    size,
+    free: size !== null ? size - items.length : null,
+    items,
+    totals: totals(items)
+  };
+}
+
+// What the container holds: { container, position, size, free, items, totals }
+async function listContainer(bot, params = {}, ctx = {}) {
+  const { window, block, position } = await openContainerAt(bot, params, ctx);
+  try {
+    return describeContents(window, block, position);
+  } finally {
+    window.close();
+  }
+}
+
+// [{ name, count }] from params.items, or params.item and params.count.
+// A missing count means all there is in where (the inventory or container).
+function readRequests(bot, params, available, where) {
+  let requests;
+  if (params.items !== undefined) {
+    if (!Array.isArray(params.items)) {
+      throw new CommandError('items must be an array of { name, count }');
+    }
+    requests = params.items.map(entry => (typeof entry === 'string' ? { name: entry } : entry));
+  } else if (params.item) {
+    requests = [{ name: params.item, count: params.count }];
+  } else {
+    throw new CommandError('item name, items or all required');
+  }
+
+  return requests.map(({ name, count }) => {
+    if (!name || !bot.registry.itemsByName[name]) {
+      throw new CommandError(`Unknown item: ${name}`);
+    }
+    const have = available[name] || 0;
+    const all = count === undefined || count === null;
+    const wanted = all ? have : Number(count);
+    if (!all && (!Number.isInteger(wanted) || wanted < 1)) {
+      throw new CommandError('count must be a positive integer');
+    }
+    if (have === 0 || have < wanted) {
+      throw new CommandError(`Not enough ${name} in ${where} (have ${have}, need ${wanted || 1})`, 422);
+    }
+    return { name, count: wanted };
+  });
+}
+
+// Move items one name at a time, counting what actually moved. Stops when the
+// destination is full.
+async function transfer(bot, window, requests, direction) {
+  const moved = {};
+  let full = false;
+
+  for (const { name, count } of requests) {
+    const before = bot.inventory.items().filter(i => i.name === name).reduce((sum, i) => sum + i.count, 0);
+    const type = bot.registry.itemsByName[name].id;
+    try {
+      await window[direction](type, null, count);
+    } catch (error) {
+      if (!/full/i.test(error.message)) throw error;
+      full = true;
+    }
+    const after = bot.inventory.items().filter(i => i.name === name).reduce((sum, i) => sum + i.count, 0);
+    const delta = Math.abs(after - before);
+    if (delta > 0) moved[name] = delta;
+    if (full) break;
+  }
+  return { moved, full };
+}
+
+// Deposit params.item/count or params.items, or with params.all everything
+// except the params.except categories ('tools', 'food', 'armor') and item names
+async function deposit(bot, params = {}, ctx = {}) {
+  const inventory = totals(bot.inventory.items());
+
+  let requests;
+  let kept = [];
+  if (params.all) {
+    const except = params.except === undefined ? DEFAULT_EXCEPT : readList(params.except);
+    const keep = name => except.some(rule => (CATEGORIES[rule] ? CATEGORIES[rule](bot, name) : rule === name));
+    requests = Object.entries(inventory)
+      .filter(([name]) => !keep(name))
+      .map(([name, count]) => ({ name, count }));
+    kept = Object.keys(inventory).filter(keep);
+  } else {
+    requests = readRequests(bot, params, inventory, 'inventory');
+  }
+
+  const { window, block, position } = await openContainerAt(bot, params, ctx);
+  try {
+    const { moved, full } = await transfer(bot, window, requests, 'deposit');
+    return { deposited: moved, kept, full, ...describeContents(window, block, position) };
+  } finally {
+    window.close();
+  }
+}
+
+// Withdraw params.item/count or params.items from the container
+async function withdraw(bot, params = {}, ctx = {}) {
+  const { window, block, position } = await openContainerAt(bot, params, ctx);
+  try {
+    const requests = readRequests(bot, params, totals(window.containerItems()), block.name);
+
+    const { moved, full } = await transfer(bot, window, requests, 'withdraw');
+    return { withdrawn: moved, full, ...describeContents(window, block, position) };
+  } finally {
+    window.close();
+  }
+}
+
+module.exports = {
+  DEFAULT_EXCEPT,
+  isContainer,
+  readList,
+  listContainer,
+  deposit,
+  withdraw
+};
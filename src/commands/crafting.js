@@ -0,0 +1,261 @@
+// Recursive crafting: plans the recipe tree for an item against the inventory
+// (logs -> planks -> sticks -> tool), then crafts the intermediates in order,
+// reusing a nearby crafting table or placing one. Used by GET /craft/plan,
+// POST /craft with recursive: true, the craft batch instruction and the program
+// SDK's ctx.actions.craft.
+const Vec3 = require('vec3');
+const { CommandError } = require('./errors');
+
+// Deepest recipe chain followed, and recipe alternatives tried per plan
+const MAX_DEPTH = 8;
+const MAX_TRIALS = 5000;
+// How far away a crafting table can be and still be used
+const TABLE_RANGE = 6;
+
+const recipeClasses = new WeakMap();
+
+function recipeClass(registry) {
+  if (!recipeClasses.has(registry)) {
+    recipeClasses.set(registry, require('prismarine-recipe')(registry).Recipe);
+  }
+  return recipeClasses.get(registry);
+}
+
+function readTarget(bot, { item, count = 1 } = {}) {
+  if (!item) {
+    throw new CommandError('item name required');
+  }
+  const definition = bot.registry.itemsByName[item];
+  if (!definition) {
+    throw new CommandError(`Unknown item: ${item}`);
+  }
+  count = Number(count);
+  if (!Number.isInteger(count) || count < 1 || count > 2304) {
+    throw new CommandError('count must be an integer from 1 to 2304');
+  }
+  return { id: definition.id, item, count };
+}
+
+function inventoryCounts(bot) {
+  const counts = new Map();
+  for (const { type, count } of bot.inventory.items()) {
+    counts.set(type, (counts.get(type) || 0) + count);
+  }
+  return counts;
+}
+
+function findTable(bot) {
+  const table = bot.registry.blocksByName.crafting_table;
+  return bot.findBlock({ matching: table.id, maxDistance: TABLE_RANGE });
+}
+
+// Plans how to make count of item id from the items in inventory (a Map of
+// id -> count, updated as ingredients are used). Items already in the
+// inventory are used first unless craftAll is set (the requested item itself).
+// Returns { steps, missing } where missing maps raw item ids to shortfalls.
+class CraftPlanner {
+  constructor(registry) {
+    this.registry = registry;
+    this.Recipe = recipeClass(registry);
+    this.trials = 0;
+  }
+
+  resolve(id, count, inventory, { depth = 0, path = new Set(), craftAll = false } = {}) {
+    let needed = count;
+    if (!craftAll) {
+      const have = inventory.get(id) || 0;
+      const used = Math.min(have, needed);
+      inventory.set(id, have - used);
+      needed -= used;
+    }
+    if (needed === 0) return { steps: [], missing: new Map() };
+
+    const rawShortfall = () => ({ steps: [], missing: new Map([[id, needed]]) });
+    if (depth >= MAX_DEPTH || path.has(id)) return rawShortfall();
+
+    const recipes = this.Recipe.find(id, null)
+      .filter(recipe => !recipe.delta.some(d => d.count < 0 && path.has(d.id)));
+    if (recipes.length === 0) return rawShortfall();
+
+    // The first alternative that needs nothing missing wins; otherwise the one
+    // missing the fewest items
+    let best = null;
+    for (const recipe of recipes) {
+      if (++this.trials > MAX_TRIALS) break;
+
+      const trial = new Map(inventory);
+      const attempt = this.apply(recipe, id, needed, trial, depth, new Set(path).add(id));
+      const shortfall = [...attempt.missing.values()].reduce((sum, n) => sum + n, 0);
+      if (!best || shortfall < best.shortfall) {
+        best = { ...attempt, shortfall, inventory: trial };
+      }
+      if (shortfall === 0) break;
+    }
+    if (!best) return rawShortfall();
+
+    for (const [key, value] of best.inventory) inventory.set(key, value);
+    return { steps: best.steps, missing: best.missing };
+  }
+
+  // Ingredients first, then the recipe itself; leftovers go back into inventory
+  apply(recipe, id, needed, inventory, depth, path) {
+    const times = Math.ceil(needed / recipe.result.count);
+    const steps = [];
+    const missing = new Map();
+
+    for (const { id: ingredient, count } of recipe.delta) {
+      if (count >= 0) continue;
+      const result = this.resolve(ingredient, -count * times, inventory, { depth: depth + 1, path });
+      steps.push(...result.steps);
+      for (const [key, value] of result.missing) missing.set(key, (missing.get(key) || 0) + value);
+    }
+
+    for (const { id: produced, count } of recipe.delta) {
+      if (count <= 0) continue;
+      const extra = produced === id ? count * times - needed : count * times;
+      inventory.set(produced, (inventory.get(produced) || 0) + extra);
+    }
+
+    steps.push({ id, recipe, times, count: recipe.result.count * times });
+    return { steps, missing };
+  }
+}
+
+// The internal plan: steps carry their recipe objects for bot.craft
+function buildPlan(bot, params) {
+  const target = readTarget(bot, params);
+  const planner = new CraftPlanner(bot.registry);
+  const tableId = bot.registry.itemsByName.crafting_table.id;
+
+  const attempt = (withTable) => {
+    const inventory = inventoryCounts(bot);
+    const steps = [];
+    const missing = new Map();
+    const add = (result) => {
+      steps.push(...result.steps);
+      for (const [key, value] of result.missing) missing.set(key, (missing.get(key) || 0) + value);
+    };
+    // A table to craft with comes first, made from the same inventory
+    if (withTable) add(planner.resolve(tableId, 1, inventory));
+    add(planner.resolve(target.id, target.count, inventory, { craftAll: true }));
+    return { steps, missing };
+  };
+
+  let table = null;
+  let plan = attempt(false);
+  if (plan.steps.some(step => step.recipe.requiresTable)) {
+    if (findTable(bot)) {
+      table = 'nearby';
+    } else if (inventoryCounts(bot).get(tableId)) {
+      table = 'inventory';
+    } else {
+      table = 'craft';
+      plan = attempt(true);
+    }
+  }
+
+  return { ...target, table, steps: mergeSteps(plan.steps), missing: plan.missing };
+}
+
+function recipeKey(recipe) {
+  return recipe.delta.map(d => `${d.id}:${d.count}`).join(',') + (recipe.requiresTable ? '+table' : '');
+}
+
+// Back-to-back crafts of the same recipe (planks for the head and then the
+// handle of a tool) become one
+function mergeSteps(steps) {
+  const merged = [];
+  for (const step of steps) {
+    const last = merged[merged.length - 1];
+    if (last && recipeKey(last.recipe) === recipeKey(step.recipe)) {
+      merged[merged.length - 1] = { ...last, times: last.times + step.times, count: last.count + step.count };
+    } else {
+      merged.push(step);
+    }
+  }
+  return merged;
+}
+
+function describePlan(bot, plan) {
+  const name = id => bot.registry.items[id].name;
+  const missing = [...plan.missing].map(([id, count]) => ({ item: name(id), count }));
+
+  return {
+    item: plan.item,
+    count: plan.count,
+    complete: missing.length === 0,
+    table: plan.table,
+    steps: plan.steps.map(step => ({
+      item: name(step.id),
+      count: step.count,
+      times: step.times,
+      table: step.recipe.requiresTable,
+      ingredients: Object.fromEntries(step.recipe.delta
+        .filter(d => d.count < 0)
+        .map(d => [name(d.id), -d.count * step.times]))
+    })),
+    missing
+  };
+}
+
+// Preview of what craftRecursive would do: { complete, table, steps, missing }
+function planCraft(bot, params = {}) {
+  return describePlan(bot, buildPlan(bot, params));
+}
+
+// Place a block (crafting table, furnace...) from the inventory on the ground
+// next to the bot and return it
+async function placeBeside(bot, name) {
+  const item = bot.inventory.items().find(i => i.name === name);
+  if (!item) {
+    throw new CommandError(`No ${name} in inventory`);
+  }
+  const { x, y, z } = bot.entity.position;
+  const feet = new Vec3(Math.floor(x), Math.floor(y), Math.floor(z));
+  const offsets = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, -1], [1, -1], [-1, 1]];
+
+  for (const [dx, dz] of offsets) {
+    const cell = feet.offset(dx, 0, dz);
+    const below = bot.blockAt(cell.offset(0, -1, 0));
+    const block = bot.blockAt(cell);
+    if (!below || below.boundingBox !== 'block' || !block || block.name !== 'air') continue;
+
+    await bot.equip(item, 'hand');
+    await bot.placeBlock(below, new Vec3(0, 1, 0));
+    return bot.blockAt(cell);
+  }
+  throw new CommandError(`No room to place ${name} next to the bot`, 422);
+}
+
+// Craft count of params.item, crafting the intermediates it needs first
+async function craftRecursive(bot, params = {}) {
+  const plan = buildPlan(bot, params);
+  const preview = describePlan(bot, plan);
+
+  if (!preview.complete) {
+    const missing = preview.missing.map(m => `${m.count} ${m.item}`).join(', ');
+    throw new CommandError(`Missing ingredients for ${plan.count} ${plan.item}: ${missing}`, 422, { plan: preview });
+  }
+
+  let table = null;
+  let tableUse = plan.table === 'nearby' ? 'reused' : null;
+  for (const step of plan.steps) {
+    if (step.recipe.requiresTable && !table) {
+      table = findTable(bot);
+      if (!table) {
+        table = await placeBeside(bot, 'crafting_table');
+        tableUse = 'placed';
+      }
+    }
+    await bot.craft(step.recipe, step.times, step.recipe.requiresTable ? table : null);
+  }
+
+  return {
+    item: plan.item,
+    count: plan.count,
+    table: tableUse,
+    steps: preview.steps
+  };
+}
+
+module.exports = { planCraft, craftRecursive, placeBeside };
@@ -0,0 +1,133 @@
+// Digging: digs one block holding the fastest inventory tool that harvests
+// it, refusing blocks that would drop nothing, then walks over to pick up the
+// drops. Used by POST /dig, the dig batch instruction and the program SDK's
+// ctx.actions.gather.mineBlock.
+const Vec3 = require('vec3');
+const { CommandError } = require('./errors');
+const { gotoPosition } = require('./navigation');
+const tools = require('./tools');
+
+// How long drops get to spawn and be picked up after the block breaks (ms)
+const DROP_WAIT_MS = 3000;
+// Item entities this close to the dug block's centre count as its drops
+const DROP_RADIUS = 3;
+// Drops farther than this from the bot are walked to (the pickup range is
+// about a block)
+const PICKUP_RANGE = 1.5;
+const WALK_TIMEOUT = 10000;
+
+function format({ x, y, z }) {
+  return `${x}, ${y}, ${z}`;
+}
+
+function inventoryTotals(bot) {
+  const totals = {};
+  for (const { name, count } of bot.inventory.items()) totals[name] = (totals[name] || 0) + count;
+  return totals;
+}
+
+function gainedSince(bot, before) {
+  const gained = {};
+  for (const [name, count] of Object.entries(inventoryTotals(bot))) {
+    if (count > (before[name] || 0)) gained[name] = count - (before[name] || 0);
+  }
+  return gained;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function nearbyDrops(bot, center) {
+  return Object.values(bot.entities || {})
+    .filter(entity => entity.name === 'item' && entity.position.distanceTo(center) <= DROP_RADIUS);
+}
+
+// Names of the tools that harvest block, for error messages
+function harvestToolNames(registry, block) {
+  return Object.keys(block.harvestTools || {})
+    .map(id => registry.items[id] && registry.items[id].name)
+    .filter(Boolean);
+}
+
+// Wait for the dug block's drops to spawn, walk to the ones out of pickup
+// range when options.walk is set, and return what the inventory gained
+async function collectDrops(bot, position, before, options = {}) {
+  const center = position.offset(0.5, 0.5, 0.5);
+  const deadline = Date.now() + DROP_WAIT_MS;
+
+  let drops = [];
+  while (Date.now() < deadline) {
+    drops = nearbyDrops(bot, center);
+    if (drops.length > 0 || Object.keys(gainedSince(bot, before)).length > 0) break;
+    await sleep(50);
+  }
+
+  for (const drop of drops) {
+    if (!bot.entities[drop.id] || !options.walk) continue;
+    if (drop.position.distanceTo(bot.entity.position) <= PICKUP_RANGE) continue;
+    try {
+      const { x, y, z } = drop.position;
+      await gotoPosition(bot, { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z), range: 0, timeout: WALK_TIMEOUT }, options.ctx);
+    } catch (error) {
+      console.warn(`[DIG] Could not reach a drop at ${format(drop.position.floored())}: ${error.message}`);
+    }
+  }
+  while (Date.now() < deadline && drops.some(drop => bot.entities[drop.id])) {
+    await sleep(50);
+  }
+  return gainedSince(bot, before);
+}
+
+// Dig the block at params.x/y/z. The fastest tool that harvests it is
+// equipped first; a block that would drop nothing with the inventory's tools
+// is refused unless params.force is set. Drops are walked to unless
+// params.collect is false. Returns { block, tool, harvestable, estimatedMs,
+// collected, warning? }.
+async function digBlock(bot, params = {}, ctx = {}) {
+  const position = new Vec3(Math.floor(params.x), Math.floor(params.y), Math.floor(params.z));
+  const block = bot.blockAt(position);
+  if (!block) {
+    throw new CommandError('No block at position');
+  }
+  if (block.name === 'air' || block.name === 'cave_air' || block.name === 'void_air') {
+    throw new CommandError(`Nothing to dig at ${format(position)}`);
+  }
+  if (block.diggable === false) {
+    throw new CommandError(`${block.name} cannot be dug`, 422);
+  }
+
+  const { item, harvestable } = tools.bestTool(bot, block);
+  let warning;
+  if (!harvestable) {
+    const needed = harvestToolNames(bot.registry, block);
+    const message = `${block.name} drops nothing without one of: ${needed.join(', ')}`;
+    if (!params.force) {
+      throw new CommandError(`${message} (force: true digs it anyway)`, 422, { block: block.name, harvestTools: needed });
+    }
+    warning = message;
+    console.warn(`[DIG] ${message}; digging it anyway`);
+  }
+
+  if (item && (!bot.heldItem || bot.heldItem.name !== item.name)) {
+    await bot.equip(item, 'hand');
+  }
+  // mineflayer's estimate counts enchantments and effects too
+  const estimatedMs = typeof bot.digTime === 'function' ? bot.digTime(block) : tools.digTime(bot.registry, block, item);
+
+  const before = inventoryTotals(bot);
+  await bot.dig(block);
+
+  const expectsDrops = harvestable && tools.dropsOf(block).length > 0;
+  const collected = expectsDrops
+    ? await collectDrops(bot, position, before, { walk: params.collect !== false, ctx })
+    : gainedSince(bot, before);
+
+  const result = { block: block.name, tool: item ? item.name : null, harvestable, estimatedMs, collected };
+  if (warning) result.warning = warning;
+  return result;
+}
+
+module.exports = {
+  digBlock
+};
@@ -0,0 +1,13 @@
+// Error thrown by command handlers for bad input or an impossible request.
+// status is the HTTP status the route responds with; anything else thrown is a 500.
+// details (optional) is sent along in the error response.
+class CommandError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message);
+    this.name = 'CommandError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = { CommandError };
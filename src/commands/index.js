@@ -0,0 +1,197 @@
+// Bot commands shared by MinecraftBotServer (in-process bot) and bot-process.js
+// (IsolatedBotServer's child process), so every route behaves the same in both modes.
+// A handler takes (bot, params, ctx) and returns the route's JSON body.
+// ctx.logEvent(type, data) records an event; ctx.signal (optional) aborts when the
+// caller has given up on the command.
+const actions = require('./actions');
+const queries = require('./queries');
+const { captureScreenshot } = require('./screenshot');
+const { captureSnapshot } = require('./snapshot');
+const survival = require('./survival');
+const combat = require('./combat');
+const crafting = require('./crafting');
+const smelting = require('./smelting');
+const containers = require('./containers');
+const inventory = require('./inventory');
+const building = require('./building');
+const { executeInstruction, runBatch } = require('./instructions');
+const { loadPathfinder, planPath } = require('./navigation');
+const { CommandError } = require('./errors');
+
+const commands = {
+  state: (bot) => queries.getState(bot),
+  inventory: (bot, params) => {
+    if (params.view === 'slots') return inventory.slotView(bot);
+    if (params.view !== undefined && params.view !== 'items') {
+      throw new CommandError('view must be items or slots');
+    }
+    return queries.getInventory(bot);
+  },
+  entities: (bot) => queries.getEntities(bot),
+  recipes: (bot, params) => queries.getRecipes(bot, params),
+  screenshot: (bot, params) => captureScreenshot(bot, params),
+  planPath: (bot, params) => planPath(bot, params),
+  snapshot: (bot, params) => captureSnapshot(bot, params),
+  craftPlan: (bot, params) => crafting.planCraft(bot, params),
+  container: (bot, params, ctx) => containers.listContainer(bot, params, ctx),
+
+  chat: (bot, params) => {
+    actions.chat(bot, params);
+    return { success: true };
+  },
+
+  move: async (bot, params) => {
+    if (params.relative) {
+      return { success: true, ...await actions.moveRelative(bot, params) };
+    }
+    actions.setControls(bot, params);
+    return { success: true };
+  },
+
+  stop: (bot) => {
+    actions.stop(bot);
+    return { success: true };
+  },
+
+  look: (bot, params) => ({ success: true, ...actions.look(bot, params) }),
+
+  dig: async (bot, params, ctx) => ({ success: true, ...await actions.dig(bot, params, ctx) }),
+
+  place: async (bot, params) => ({ success: true, ...await actions.place(bot, params) }),
+
+  attack: (bot, params) => {
+    actions.attack(bot, params);
+    return { success: true };
+  },
+
+  craft: async (bot, params) => {
+    if (params.recursive) {
+      const { item, ...result } = await crafting.craftRecursive(bot, params);
+      return { success: true, crafted: item, ...result };
+    }
+    const { item, count } = await actions.craft(bot, params);
+    return { success: true, crafted: item, count };
+  },
+
+  smelt: async (bot, params, ctx) => ({ success: true, ...await smelting.smelt(bot, params, ctx) }),
+
+  deposit: async (bot, params, ctx) => ({ success: true, ...await containers.deposit(bot, params, ctx) }),
+
+  withdraw: async (bot, params, ctx) => ({ success: true, ...await containers.withdraw(bot, params, ctx) }),
+
+  toss: async (bot, params) => ({ success: true, ...await inventory.toss(bot, params) }),
+
+  moveSlot: async (bot, params) => ({ success: true, ...await inventory.moveSlot(bot, params) }),
+
+  hotbar: async (bot, params) => ({ success: true, ...await inventory.selectHotbar(bot, params) }),
+
+  autoArmor: async (bot) => ({ success: true, ...await inventory.autoArmor(bot) }),
+
+  tidy: async (bot, params) => ({ success: true, ...await inventory.tidy(bot, params) }),
+
+  build: async (bot, params, ctx) => ({ success: true, ...await building.build(bot, params, ctx) }),
+
+  buildStatus: (bot) => building.buildStatus(bot),
+
+  buildResume: async (bot, params, ctx) => ({ success: true, ...await building.resumeBuild(bot, params, ctx) }),
+
+  equip: async (bot, params) => {
+    const { item, destination } = await actions.equip(bot, params);
+    return { success: true, equipped: item, destination };
+  },
+
+  eat: async (bot, params) => ({ success: true, ...await survival.eat(bot, params) }),
+
+  pillar: async (bot, params) => ({ success: true, ...await survival.pillarUp(bot, params) }),
+
+  combat: async (bot, params, ctx) => ({ success: true, ...await combat.engage(bot, params, ctx) }),
+
+  batch: (bot, params, ctx) => {
+    if (!params.instructions || !Array.isArray(params.instructions)) {
+      throw new CommandError('instructions array required');
+    }
+    return runBatch(bot, params, ctx);
+  },
+
+  respawn: (bot) => {
+    actions.respawn(bot);
+    return { success: true, message: 'Respawn command sent' };
+  },
+
+  quit: (bot) => {
+    actions.quit(bot);
+    return { success: true };
+  }
+};
+
+// How long IsolatedBotServer waits for the bot process to answer (ms) before
+// cancelling the request
+const DEFAULT_TIMEOUT = 2000;
+const COMMAND_TIMEOUTS = {
+  screenshot: 15000,
+  planPath: 10000,
+  snapshot: 30000,
+  craftPlan: 5000,
+  move: 30000,
+  dig: 30000,
+  place: 5000,
+  craft: 30000,
+  smelt: 605000,
+  container: 35000,
+  deposit: 35000,
+  withdraw: 35000,
+  toss: 5000,
+  moveSlot: 5000,
+  hotbar: 5000,
+  autoArmor: 10000,
+  tidy: 10000,
+  build: 605000,
+  buildResume: 605000,
+  equip: 5000,
+  eat: 5000,
+  pillar: 30000,
+  combat: 125000,
+  batch: 120000
+};
+// Instructions that only run inside batches and programs
+const INSTRUCTION_TIMEOUTS = {
+  goto: 65000,
+  clearRegion: 605000,
+  fillRegion: 605000,
+  tunnel: 605000,
+  staircase: 605000,
+  stripMine: 605000
+};
+// A batch gets the sum of its instructions' timeouts, within these bounds
+const MAX_BATCH_TIMEOUT = 3600000;
+
+function instructionTimeout({ type, params = {} } = {}) {
+  if (type === 'wait') return (Number(params.duration) || 1000) + DEFAULT_TIMEOUT;
+  return INSTRUCTION_TIMEOUTS[type] || COMMAND_TIMEOUTS[type] || DEFAULT_TIMEOUT;
+}
+
+function commandTimeout(name, params = {}) {
+  if (name === 'batch' && Array.isArray(params.instructions)) {
+    const total = params.instructions.reduce((sum, instruction) => sum + instructionTimeout(instruction), 0);
+    return Math.min(Math.max(total, COMMAND_TIMEOUTS.batch), MAX_BATCH_TIMEOUT);
+  }
+  return COMMAND_TIMEOUTS[name] || DEFAULT_TIMEOUT;
+}
+
+async function runCommand(bot, name, params = {}, ctx = {}) {
+  const handler = commands[name];
+  if (!handler) {
+    throw new CommandError(`Unknown command: ${name}`);
+  }
+  return handler(bot, params, ctx);
+}
+
+module.exports = {
+  commands,
+  commandTimeout,
+  runCommand,
+  executeInstruction,
+  captureScreenshot,
+  loadPathfinder,
+  CommandError
+};
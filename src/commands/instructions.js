@@ -0,0 +1,200 @@
+// Batch instructions ({ type, params }) used by POST /batch and by programs
+const actions = require('./actions');
+const survival = require('./survival');
+const combat = require('./combat');
+const crafting = require('./crafting');
+const smelting = require('./smelting');
+const containers = require('./containers');
+const inventory = require('./inventory');
+const building = require('./building');
+const area = require('./area');
+
+// ctx.signal (optional) aborts long-running instructions such as goto
+async function executeInstruction(bot, instruction, ctx = {}) {
+  const { type, params = {} } = instruction;
+
+  switch (type) {
+    case 'move':
+      if (params.relative) {
+        return { moved: true, ...await actions.moveRelative(bot, params, { wait: true }) };
+      }
+      actions.setControls(bot, params);
+      return { moved: true };
+
+    case 'stop':
+      actions.stop(bot);
+      return { stopped: true };
+
+    case 'look': {
+      const { turned, direction } = actions.look(bot, params);
+      if (turned) return { looked: true, turned };
+      if (direction) return { looked: true, direction };
+      return { looked: true };
+    }
+
+    case 'chat':
+      if (!params.message) throw new Error('message required');
+      actions.chat(bot, params);
+      return { sent: true };
+
+    case 'dig':
+      return { dug: true, ...await actions.dig(bot, params, ctx) };
+
+    case 'place':
+      return { placed: true, ...await actions.place(bot, params) };
+
+    case 'attack':
+      actions.attack(bot, params);
+      return { attacked: true };
+
+    case 'craft': {
+      if (params.recursive) {
+        const { item, ...result } = await crafting.craftRecursive(bot, params);
+        return { crafted: item, ...result };
+      }
+      const { item, count } = await actions.craft(bot, params);
+      return { crafted: item, count };
+    }
+
+    case 'smelt':
+      return { smelted: true, ...await smelting.smelt(bot, params, ctx) };
+
+    case 'container':
+      return containers.listContainer(bot, params, ctx);
+
+    case 'deposit':
+      return containers.deposit(bot, params, ctx);
+
+    case 'withdraw':
+      return containers.withdraw(bot, params, ctx);
+
+    case 'toss':
+      return inventory.toss(bot, params);
+
+    case 'moveSlot':
+      return inventory.moveSlot(bot, params);
+
+    case 'hotbar':
+      return inventory.selectHotbar(bot, params);
+
+    case 'autoArmor':
+      return inventory.autoArmor(bot);
+
+    case 'tidy':
+      return inventory.tidy(bot, params);
+
+    case 'build':
+      return building.build(bot, params, ctx);
+
+    case 'clearRegion':
+      return area.clearRegion(bot, params, ctx);
+
+    case 'fillRegion':
+      return area.fillRegion(bot, params, ctx);
+
+    case 'tunnel':
+      return area.tunnel(bot, params, ctx);
+
+    case 'staircase':
+      return area.staircase(bot, params, ctx);
+
+    case 'stripMine':
+      return area.stripMine(bot, params, ctx);
+
+    case 'equip': {
+      const { item } = await actions.equip(bot, params);
+      return { equipped: item };
+    }
+
+    case 'eat':
+      return { ate: true, ...await survival.eat(bot, params) };
+
+    case 'pillar':
+      return { pillared: true, ...await survival.pillarUp(bot, params) };
+
+    case 'combat':
+      return { engaged: true, ...await combat.engage(bot, params, ctx) };
+
+    case 'goto':
+      return {
+        moved_toward: { x: params.x, y: params.y, z: params.z },
+        ...await actions.goto(bot, params, ctx)
+      };
+
+    case 'wait': {
+      const duration = params.duration || 1000;
+      await new Promise(resolve => setTimeout(resolve, duration));
+      return { waited: duration };
+    }
+
+    default:
+      throw new Error(`Unknown instruction type: ${type}`);
+  }
+}
+
+// Run instructions in order. ctx.logEvent (optional) receives a batch_instruction event per step;
+// when ctx.signal aborts, the remaining instructions are skipped and the bot stops moving
+async function runBatch(bot, { instructions, stopOnError = true }, ctx = {}) {
+  const logEvent = ctx.logEvent || (() => {});
+  const results = [];
+
+  for (let i = 0; i < instructions.length; i++) {
+    if (ctx.signal && ctx.signal.aborted) {
+      actions.stop(bot);
+      logEvent('batch_cancelled', { completed: i, total: instructions.length });
+      return {
+        completed: i,
+        total: instructions.length,
+        stopped: true,
+        cancelled: true,
+        results
+      };
+    }
+
+    const instruction = instructions[i];
+    const result = {
+      index: i,
+      instruction: instruction,
+      success: false,
+      response: null,
+      error: null
+    };
+
+    try {
+      result.response = await executeInstruction(bot, instruction, ctx);
+      result.success = true;
+      logEvent('batch_instruction', { index: i, type: instruction.type, success: true });
+    } catch (error) {
+      result.error = error.message;
+      logEvent('batch_instruction', { index: i, type: instruction.type, success: false, error: error.message });
+
+      if (stopOnError) {
+        results.push(result);
+        return {
+          completed: i + 1,
+          total: instructions.length,
+          stopped: true,
+          results
+        };
+      }
+    }
+
+    results.push(result);
+
+    // Add delay between instructions to prevent overwhelming the bot
+    if (instruction.delay) {
+      await new Promise(resolve => setTimeout(resolve, instruction.delay));
+    } else if (i < instructions.length - 1) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  return {
+    completed: instructions.length,
+    total: instructions.length,
+    stopped: false,
+    results
+  };
+}
+
+module.exports = { executeInstruction, runBatch };
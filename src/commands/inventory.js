@@ -0,0 +1,270 @@
+// Inventory management: a slot-by-slot view (hotbar, armor, off-hand,
+// durability), tossing, slot-to-slot moves, hotbar selection, wearing the best
+// armor and the junk policy that keeps the inventory under a number of used
+// slots. Used by GET /inventory?view=slots, the /inventory/* routes, the
+// matching batch instructions and the program SDK's ctx.actions.inventory.
+const { CommandError } = require('./errors');
+const { readList } = require('./containers');
+const { DEFAULT_JUNK } = require('../config/defaults');
+
+// mineflayer's player window: armor 5-8, main 9-35, hotbar 36-44, off-hand 45
+const ARMOR_SLOTS = { head: 5, torso: 6, legs: 7, feet: 8 };
+const MAIN_START = 9;
+const HOTBAR_START = 36;
+const OFF_HAND = 45;
+
+const ARMOR_PIECES = { head: 'helmet', torso: 'chestplate', legs: 'leggings', feet: 'boots' };
+// Weakest first; a turtle helmet protects like a chainmail one
+const ARMOR_MATERIALS = ['leather', 'golden', 'chainmail', 'iron', 'diamond', 'netherite'];
+
+// Junk policies set by watchInventory, used by tidy when params leave them out
+const policies = new WeakMap();
+
+function describeItem(item) {
+  if (!item) return null;
+  const described = { name: item.name, count: item.count, slot: item.slot };
+  if (item.maxDurability) {
+    const used = item.durabilityUsed || 0;
+    described.durability = { left: item.maxDurability - used, max: item.maxDurability };
+  }
+  return described;
+}
+
+function storageSlots(bot) {
+  return bot.inventory.slots.slice(MAIN_START, OFF_HAND);
+}
+
+function usedSlots(bot) {
+  return storageSlots(bot).filter(Boolean).length;
+}
+
+// Every slot: { selected, held, hotbar[9], armor, offHand, main, used, free }.
+// Empty hotbar and armor slots are null; main lists occupied slots only.
+function slotView(bot) {
+  const slots = bot.inventory.slots;
+  const used = usedSlots(bot);
+  return {
+    selected: bot.quickBarSlot,
+    held: describeItem(bot.heldItem),
+    hotbar: slots.slice(HOTBAR_START, OFF_HAND).map(describeItem),
+    armor: Object.fromEntries(Object.entries(ARMOR_SLOTS).map(([part, slot]) => [part, describeItem(slots[slot])])),
+    offHand: describeItem(slots[OFF_HAND]),
+    main: slots.slice(MAIN_START, HOTBAR_START).filter(Boolean).map(describeItem),
+    used,
+    free: OFF_HAND - MAIN_START - used
+  };
+}
+
+function readSlot(value, name, min = ARMOR_SLOTS.head, max = OFF_HAND) {
+  const slot = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isInteger(slot) || slot < min || slot > max) {
+    throw new CommandError(`${name} must be a slot number from ${min} to ${max}`);
+  }
+  return slot;
+}
+
+function countOf(bot, name) {
+  return bot.inventory.items().filter(i => i.name === name).reduce((sum, i) => sum + i.count, 0);
+}
+
+// Toss params.item (params.count, default all of it) or the stack in params.slot
+async function toss(bot, params = {}) {
+  if (params.slot !== undefined) {
+    const slot = readSlot(params.slot, 'slot');
+    const item = bot.inventory.slots[slot];
+    if (!item) {
+      throw new CommandError(`Slot ${slot} is empty`, 422);
+    }
+    await bot.tossStack(item);
+    return { tossed: { [item.name]: item.count } };
+  }
+
+  if (!params.item) {
+    throw new CommandError('item name or slot required');
+  }
+  if (!bot.registry.itemsByName[params.item]) {
+    throw new CommandError(`Unknown item: ${params.item}`);
+  }
+  const have = countOf(bot, params.item);
+  const all = params.count === undefined || params.count === null;
+  const count = all ? have : Number(params.count);
+  if (!all && (!Number.isInteger(count) || count < 1)) {
+    throw new CommandError('count must be a positive integer');
+  }
+  if (have === 0 || have < count) {
+    throw new CommandError(`Not enough ${params.item} in inventory (have ${have}, need ${count || 1})`, 422);
+  }
+
+  await bot.toss(bot.registry.itemsByName[params.item].id, null, count);
+  return { tossed: { [params.item]: count } };
+}
+
+// Move the stack in params.from onto params.to, merging with the same item or
+// swapping with another
+async function moveSlot(bot, params = {}) {
+  const from = readSlot(params.from, 'from');
+  const to = readSlot(params.to, 'to');
+  const item = bot.inventory.slots[from];
+  if (!item) {
+    throw new CommandError(`Slot ${from} is empty`, 422);
+  }
+
+  await bot.moveSlotItem(from, to);
+  return {
+    moved: item.name,
+    from: describeItem(bot.inventory.slots[from]) || { slot: from },
+    to: describeItem(bot.inventory.slots[to])
+  };
+}
+
+// Select hotbar params.slot (0-8), first moving params.item there when given
+async function selectHotbar(bot, params = {}) {
+  const slot = readSlot(params.slot, 'slot', 0, 8);
+
+  if (params.item) {
+    const target = HOTBAR_START + slot;
+    const current = bot.inventory.slots[target];
+    if (!current || current.name !== params.item) {
+      const item = bot.inventory.items().find(i => i.name === params.item);
+      if (!item) {
+        throw new CommandError(`No ${params.item} in inventory`, 422);
+      }
+      await bot.moveSlotItem(item.slot, target);
+    }
+  }
+
+  bot.setQuickBarSlot(slot);
+  return { selected: slot, held: describeItem(bot.heldItem) };
+}
+
+// Armor ranks by material, then by durability left; null when item is not
+// armor for part
+function armorRank(item, part) {
+  if (!item) return null;
+  const durability = item.maxDurability ? (item.maxDurability - (item.durabilityUsed || 0)) / 10000 : 0;
+  if (part === 'head' && item.name === 'turtle_helmet') {
+    return ARMOR_MATERIALS.indexOf('chainmail') + durability;
+  }
+  const match = item.name.match(/^([a-z]+)_(helmet|chestplate|leggings|boots)$/);
+  if (!match || match[2] !== ARMOR_PIECES[part] || !ARMOR_MATERIALS.includes(match[1])) return null;
+  return ARMOR_MATERIALS.indexOf(match[1]) + durability;
+}
+
+// Wear the best armor in the inventory wherever it beats what is worn
+async function autoArmor(bot) {
+  const equipped = {};
+  for (const [part, slot] of Object.entries(ARMOR_SLOTS)) {
+    const worn = armorRank(bot.inventory.slots[slot], part);
+    let best = null;
+    let bestRank = worn === null ? -1 : worn;
+    for (const item of bot.inventory.items()) {
+      const rank = armorRank(item, part);
+      if (rank !== null && rank > bestRank) {
+        best = item;
+        bestRank = rank;
+      }
+    }
+    if (best) {
+      await bot.equip(best, part);
+      equipped[part] = best.name;
+    }
+  }
+
+  const slots = bot.inventory.slots;
+  return {
+    equipped,
+    worn: Object.fromEntries(Object.entries(ARMOR_SLOTS).map(([part, slot]) => [part, slots[slot] ? slots[slot].name : null]))
+  };
+}
+
+function readPolicy(bot, params = {}) {
+  const policy = { junk: DEFAULT_JUNK, maxUsedSlots: 0, ...policies.get(bot) };
+  if (params.maxUsedSlots !== undefined) policy.maxUsedSlots = params.maxUsedSlots;
+  if (params.junk !== undefined) policy.junk = params.junk;
+
+  const maxUsedSlots = Number(policy.maxUsedSlots);
+  if (!Number.isInteger(maxUsedSlots) || maxUsedSlots < 0 || maxUsedSlots > OFF_HAND - MAIN_START) {
+    throw new CommandError(`maxUsedSlots must be a number from 0 to ${OFF_HAND - MAIN_START}`);
+  }
+  return { maxUsedSlots, junk: readList(policy.junk) };
+}
+
+// Toss junk stacks until no more than maxUsedSlots slots are used: items
+// listed first go first, and the smallest stacks of an item before bigger ones.
+// maxUsedSlots and junk default to the policy set by watchInventory;
+// maxUsedSlots 0 means no limit.
+async function tidy(bot, params = {}) {
+  const { maxUsedSlots, junk } = readPolicy(bot, params);
+  const tossed = {};
+
+  if (maxUsedSlots > 0) {
+    for (const name of junk) {
+      const stacks = storageSlots(bot)
+        .filter(item => item && item.name === name)
+        .sort((a, b) => a.count - b.count);
+      for (const item of stacks) {
+        if (usedSlots(bot) <= maxUsedSlots) break;
+        await bot.tossStack(item);
+        tossed[name] = (tossed[name] || 0) + item.count;
+      }
+    }
+  }
+
+  const used = usedSlots(bot);
+  return {
+    tossed,
+    used,
+    free: OFF_HAND - MAIN_START - used,
+    maxUsedSlots,
+    within: maxUsedSlots === 0 || used <= maxUsedSlots
+  };
+}
+
+// Apply the junk policy ({ maxUsedSlots, junk }, the config's inventory
+// section) whenever the bot picks something up. Returns a function that stops
+// watching.
+function watchInventory(bot, policy, { logEvent = () => {} } = {}) {
+  if (!policy) return () => {};
+  policies.set(bot, policy);
+  if (!policy.maxUsedSlots) return () => {};
+
+  let timer = null;
+  let tidying = false;
+  const onCollect = (collector) => {
+    if (collector !== bot.entity || timer || tidying) return;
+    // The picked up item lands in the inventory shortly after the event
+    timer = setTimeout(async () => {
+      timer = null;
+      if (usedSlots(bot) <= policy.maxUsedSlots) return;
+      tidying = true;
+      try {
+        const result = await tidy(bot);
+        if (Object.keys(result.tossed).length > 0) {
+          console.log(`[INVENTORY] Tossed junk: ${JSON.stringify(result.tossed)}`);
+          logEvent('inventory_tidied', result);
+        }
+      } catch (error) {
+        console.error('[INVENTORY] Junk policy failed:', error.message);
+      } finally {
+        tidying = false;
+      }
+    }, 500);
+  };
+
+  bot.on('playerCollect', onCollect);
+  return () => {
+    clearTimeout(timer);
+    bot.removeListener('playerCollect', onCollect);
+  };
+}
+
+module.exports = {
+  DEFAULT_JUNK,
+  slotView,
+  toss,
+  moveSlot,
+  selectHotbar,
+  autoArmor,
+  tidy,
+  watchInventory
+};
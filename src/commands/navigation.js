@@ -0,0 +1,219 @@
+// Pathfinding for goto, backed by mineflayer-pathfinder. The plugin is required
+// lazily so bots (and tests) without it fall back to simple movement.
+// Two planners choose the route: 'pathfinder' (mineflayer-pathfinder's own A*)
+// and 'deterministic' (DeterministicSearch, reproducible for the same world and
+// seed), whose path is then walked block by block.
+const { CommandError } = require('./errors');
+const DeterministicSearch = require('../program-system/deterministic');
+
+// Movement rules a caller may override, with mineflayer-pathfinder's names
+const MOVEMENT_RULES = ['canDig', 'maxDropDown', 'allowParkour', 'allowSprinting', 'allow1by1towers'];
+
+// The pathfinder only searches loaded chunks, so longer trips are split into legs
+const WAYPOINT_DISTANCE = 64;
+const WAYPOINT_RANGE = 2;
+const DEFAULT_TIMEOUT = 60000;
+const PLANNERS = ['pathfinder', 'deterministic'];
+const PLAN_TIMEOUT = 5000;
+
+const FAILURE_REASONS = {
+  NoPath: 'no_path',
+  Timeout: 'search_timeout',
+  GoalChanged: 'interrupted',
+  PathStopped: 'stopped'
+};
+
+function loadPathfinder(bot) {
+  if (bot.pathfinder || typeof bot.loadPlugin !== 'function') return;
+
+  try {
+    bot.loadPlugin(require('mineflayer-pathfinder').pathfinder);
+  } catch (error) {
+    console.error('[COMMANDS] Could not load pathfinder plugin:', error.message);
+  }
+}
+
+function createMovements(bot, rules = {}) {
+  const { Movements } = require('mineflayer-pathfinder');
+  const movements = new Movements(bot);
+
+  for (const rule of MOVEMENT_RULES) {
+    if (rules[rule] !== undefined) movements[rule] = rules[rule];
+  }
+  return movements;
+}
+
+// Points along the straight line from start to target, at most maxLeg apart
+// (horizontally). The last point is the target itself.
+function planWaypoints(start, target, maxLeg = WAYPOINT_DISTANCE) {
+  const dx = target.x - start.x;
+  const dz = target.z - start.z;
+  const legs = Math.max(1, Math.ceil(Math.sqrt(dx * dx + dz * dz) / maxLeg));
+  const waypoints = [];
+
+  for (let i = 1; i < legs; i++) {
+    waypoints.push({
+      x: Math.floor(start.x + dx * i / legs),
+      y: null,
+      z: Math.floor(start.z + dz * i / legs)
+    });
+  }
+  waypoints.push({ x: target.x, y: target.y, z: target.z });
+  return waypoints;
+}
+
+function requirePlanner(params) {
+  const planner = params.planner || 'pathfinder';
+  if (!PLANNERS.includes(planner)) {
+    throw new CommandError(`Unknown planner: ${planner} (use ${PLANNERS.join(' or ')})`);
+  }
+  return planner;
+}
+
+function readTarget(params) {
+  const target = { x: Number(params.x), y: Number(params.y), z: Number(params.z) };
+  if ([target.x, target.y, target.z].some(Number.isNaN)) {
+    throw new CommandError('x, y, z coordinates required');
+  }
+  return target;
+}
+
+function optionalNumber(value, fallback) {
+  return value === undefined || value === '' ? fallback : Number(value);
+}
+
+function deterministicPath(bot, start, target, params) {
+  const search = new DeterministicSearch({ bot }, optionalNumber(params.seed, 1));
+  const rules = params.movements || {};
+  try {
+    return search.deterministicPathfind(start, target, {
+      maxDrop: optionalNumber(params.maxDrop, optionalNumber(rules.maxDropDown, 4)),
+      maxIterations: optionalNumber(params.maxIterations, undefined),
+      range: optionalNumber(params.range, 1)
+    });
+  } catch (error) {
+    throw new CommandError(error.message, 422, { reason: 'no_path', ...error.details });
+  }
+}
+
+// Plan a route to { x, y, z } without moving. Params as for gotoPosition, plus
+// maxIterations/maxDrop for the deterministic planner.
+function planPath(bot, params = {}) {
+  const planner = requirePlanner(params);
+  const target = readTarget(params);
+  const start = bot.entity.position;
+
+  let path;
+  if (planner === 'deterministic') {
+    path = deterministicPath(bot, start, target, params).map(blockPosition);
+  } else {
+    if (!bot.pathfinder) {
+      throw new CommandError('Pathfinding is not available', 503);
+    }
+    const { goals } = require('mineflayer-pathfinder');
+    const goal = new goals.GoalNear(target.x, target.y, target.z, optionalNumber(params.range, 1));
+    const result = bot.pathfinder.getPathTo(
+      createMovements(bot, params.movements),
+      goal,
+      optionalNumber(params.timeout, PLAN_TIMEOUT)
+    );
+    if (result.status !== 'success') {
+      const reason = result.status === 'noPath' ? 'no_path' : 'search_timeout';
+      throw new CommandError(`No route to ${target.x}, ${target.y}, ${target.z}: ${reason}`, 422, { reason });
+    }
+    path = [blockPosition(start), ...result.path.map(blockPosition)];
+  }
+
+  return {
+    planner,
+    from: blockPosition(start),
+    to: target,
+    length: path.length - 1,
+    path
+  };
+}
+
+function blockPosition(position) {
+  return { x: Math.floor(position.x), y: Math.floor(position.y), z: Math.floor(position.z) };
+}
+
+// Route the bot to { x, y, z }. Options: planner ('pathfinder' or 'deterministic'),
+// range (default 1), timeout (ms), movements (MOVEMENT_RULES overrides),
+// waypointDistance, seed. Resolves with an arrival report; failures throw a
+// CommandError whose details.reason says why.
+async function gotoPosition(bot, params, ctx = {}) {
+  const { goals } = require('mineflayer-pathfinder');
+  const planner = requirePlanner(params);
+  const target = readTarget(params);
+  const range = optionalNumber(params.range, 1);
+  const timeout = params.timeout || DEFAULT_TIMEOUT;
+  const start = bot.entity.position.clone();
+
+  // Each waypoint is a leg for the pathfinder. The deterministic planner's legs
+  // are the blocks of its path, so the bot walks exactly that route.
+  const waypoints = planner === 'deterministic'
+    ? deterministicPath(bot, start, target, params).slice(1).map(blockPosition)
+    : planWaypoints(start, target, params.waypointDistance || WAYPOINT_DISTANCE);
+
+  bot.pathfinder.setMovements(createMovements(bot, params.movements));
+
+  let stopReason = null;
+  const stopWith = (reason) => {
+    stopReason = reason;
+    bot.pathfinder.stop();
+  };
+  const timer = setTimeout(() => stopWith('timeout'), timeout);
+  const onAbort = () => stopWith('cancelled');
+  if (ctx.signal) ctx.signal.addEventListener('abort', onAbort);
+
+  let reached = 0;
+  try {
+    for (const point of waypoints) {
+      let goal;
+      if (point.y === null) {
+        goal = new goals.GoalNearXZ(point.x, point.z, WAYPOINT_RANGE);
+      } else if (planner === 'deterministic') {
+        goal = new goals.GoalBlock(point.x, point.y, point.z);
+      } else {
+        goal = new goals.GoalNear(point.x, point.y, point.z, range);
+      }
+      await bot.pathfinder.goto(goal);
+      reached++;
+    }
+  } catch (error) {
+    const reason = stopReason || FAILURE_REASONS[error.name] || 'error';
+    throw new CommandError(
+      `Could not reach ${target.x}, ${target.y}, ${target.z}: ${reason === 'error' ? error.message : reason}`,
+      422,
+      {
+        reason,
+        position: blockPosition(bot.entity.position),
+        waypoints: waypoints.length,
+        waypointsReached: reached
+      }
+    );
+  } finally {
+    clearTimeout(timer);
+    if (ctx.signal) ctx.signal.removeEventListener('abort', onAbort);
+  }
+
+  const position = bot.entity.position;
+  return {
+    arrived: true,
+    planner,
+    position: blockPosition(position),
+    from: blockPosition(start),
+    distance: Math.round(position.distanceTo(target) * 10) / 10,
+    waypoints: waypoints.length
+  };
+}
+
+module.exports = {
+  MOVEMENT_RULES,
+  PLANNERS,
+  loadPathfinder,
+  createMovements,
+  planWaypoints,
+  planPath,
+  gotoPosition
+};
@@ -0,0 +1,250 @@
+// Placement: puts a block into an empty destination cell. The support (the
+// solid neighbour clicked) and the way the bot looks are picked from the
+// optional facing and half hints, so stairs, logs, slabs, furnaces and wall
+// torches come out oriented as asked. Used by POST /place, the place batch
+// instruction, the build executor and area operations.
+const Vec3 = require('vec3');
+const { CommandError } = require('./errors');
+const { gotoPosition } = require('./navigation');
+
+// How close the bot walks to place (blocks from its eyes), and the farthest
+// it places from without walking (the server allows up to 6)
+const REACH = 4.5;
+const MAX_REACH = 5.5;
+const EYE_HEIGHT = 1.62;
+const APPROACH_TIMEOUT = 30000;
+
+// Direction of each face; a block placed against face f of its support sits
+// on the f side of it
+const FACES = {
+  up: [0, 1, 0],
+  down: [0, -1, 0],
+  north: [0, 0, -1],
+  south: [0, 0, 1],
+  east: [1, 0, 0],
+  west: [-1, 0, 0]
+};
+const SIDES = ['east', 'west', 'south', 'north'];
+// Supports tried without hints: below first, then the sides, then above
+const DEFAULT_FACES = ['up', ...SIDES, 'down'];
+const AXIS_FACES = { x: ['east', 'west'], y: ['up', 'down'], z: ['south', 'north'] };
+const FACE_AXIS = { east: 'x', west: 'x', up: 'y', down: 'y', south: 'z', north: 'z' };
+
+// Blocks that face the player placing them (facing is opposite the look)
+const FACES_PLAYER = /^(furnace|blast_furnace|smoker|chest|trapped_chest|ender_chest|barrel|dispenser|dropper|piston|sticky_piston|carved_pumpkin|jack_o_lantern|loom|lectern)$/;
+// Blocks hung on a wall: facing points away from the block they hang on
+const WALL_HUNG = /(^|_)wall_|^ladder$|_button$|^lever$|^tripwire_hook$/;
+// Items placing a block of another name (besides wall_ variants)
+const ITEM_BLOCKS = { redstone: 'redstone_wire', string: 'tripwire' };
+const BLOCK_ITEMS = { redstone_wire: 'redstone', tripwire: 'string' };
+
+function format({ x, y, z }) {
+  return `${x}, ${y}, ${z}`;
+}
+
+function isSolid(block) {
+  return Boolean(block) && block.boundingBox === 'block';
+}
+
+// The item placed to make blockName: wall_torch -> torch, oak_wall_sign -> oak_sign
+function itemFor(registry, blockName) {
+  const name = BLOCK_ITEMS[blockName] || blockName;
+  const item = registry.itemsByName[name] || registry.itemsByName[name.replace(/(^|_)wall_/, '$1')];
+  if (!item) {
+    throw new CommandError(`Cannot place ${blockName}: no item places it`);
+  }
+  return item;
+}
+
+// The wall-mounted form of a block: torch -> wall_torch, oak_sign -> oak_wall_sign
+function wallVariant(registry, name) {
+  const wall = name.replace(/(torch|sign|skull|head|banner|fan)$/, 'wall_$1');
+  return wall !== name && registry.blocksByName[wall] ? wall : null;
+}
+
+function stateOf(block, name) {
+  return (block.states || []).find(state => state.name === name) || null;
+}
+
+// The block params.blockName places, checked against the hints; a horizontal
+// facing turns torches, signs and the like into their wall form
+function resolveBlock(registry, name, { facing, half }) {
+  let block = registry.blocksByName[ITEM_BLOCKS[name] || name];
+  if (!block) {
+    throw new CommandError(`${name} is not a placeable block`);
+  }
+  if (facing !== undefined && !FACES[facing]) {
+    throw new CommandError('facing must be up, down, north, south, east or west');
+  }
+  if (SIDES.includes(facing)) {
+    const wall = wallVariant(registry, block.name);
+    if (wall) block = registry.blocksByName[wall];
+  }
+
+  if (facing !== undefined) {
+    const axis = stateOf(block, 'axis');
+    const facingState = stateOf(block, 'facing');
+    if (axis) {
+      if (!axis.values.includes(FACE_AXIS[facing])) {
+        throw new CommandError(`${block.name} cannot lie along ${FACE_AXIS[facing]}`);
+      }
+    } else if (facingState) {
+      if (!facingState.values.includes(facing)) {
+        throw new CommandError(`${block.name} cannot face ${facing}`);
+      }
+    } else if (facing !== 'up') {
+      throw new CommandError(`${block.name} has no facing`);
+    }
+  }
+  if (half !== undefined) {
+    if (half !== 'top' && half !== 'bottom') {
+      throw new CommandError('half must be top or bottom');
+    }
+    const type = stateOf(block, 'type');
+    if (!stateOf(block, 'half') && !(type && type.values.includes('top'))) {
+      throw new CommandError(`${block.name} has no top or bottom half`);
+    }
+  }
+  return block;
+}
+
+// Faces of the support the block may be placed against, in order of preference
+function supportFaces(block, { facing, half }) {
+  if (facing !== undefined && stateOf(block, 'axis')) return AXIS_FACES[FACE_AXIS[facing]];
+  if (facing !== undefined && WALL_HUNG.test(block.name)) return [facing];
+  // Clicking the underside of the block above or the top half of a side
+  // gives a top half
+  if (half === 'top') return ['down', ...SIDES];
+  if (half === 'bottom') return ['up', ...SIDES];
+  return DEFAULT_FACES;
+}
+
+// Where the bot has to look for the block to face hints.facing: the same
+// way for stairs, doors and most blocks, the opposite way for blocks that
+// face the player; null when the support decides (logs, wall torches)
+function lookFor(bot, block, { facing }) {
+  if (facing === undefined || stateOf(block, 'axis') || WALL_HUNG.test(block.name) || !stateOf(block, 'facing')) return null;
+  const sign = FACES_PLAYER.test(block.name) ? -1 : 1;
+  const [dx, dy, dz] = FACES[facing].map(n => n * sign);
+  if (dy !== 0) return { yaw: bot.entity.yaw, pitch: dy * Math.PI / 2 };
+  return { yaw: Math.atan2(-dx, -dz), pitch: 0 };
+}
+
+function describeFaces(faces) {
+  const where = {
+    up: 'below it',
+    down: 'above it',
+    north: 'to the south',
+    south: 'to the north',
+    east: 'to the west',
+    west: 'to the east'
+  };
+  return faces.map(face => where[face]).join(' or ');
+}
+
+// The solid neighbour to place the block at position against: { block, face }
+function findSupport(bot, position, name, hints = {}) {
+  const block = resolveBlock(bot.registry, name, hints);
+  for (const face of supportFaces(block, hints)) {
+    const [dx, dy, dz] = FACES[face];
+    const neighbour = bot.blockAt(position.offset(-dx, -dy, -dz));
+    if (isSolid(neighbour)) return { block: neighbour, face };
+  }
+  return null;
+}
+
+function occupiesBot(bot, position) {
+  const feet = { x: Math.floor(bot.entity.position.x), y: Math.floor(bot.entity.position.y), z: Math.floor(bot.entity.position.z) };
+  return position.x === feet.x && position.z === feet.z && (position.y === feet.y || position.y === feet.y + 1);
+}
+
+function eyeDistance(bot, position) {
+  return bot.entity.position.offset(0, EYE_HEIGHT, 0).distanceTo(position.offset(0.5, 0.5, 0.5));
+}
+
+// Walk into reach of position, stepping aside when the bot stands in it
+async function approach(bot, position, ctx = {}) {
+  if (eyeDistance(bot, position) > REACH) {
+    await gotoPosition(bot, { x: position.x, y: position.y, z: position.z, range: 3, timeout: APPROACH_TIMEOUT }, ctx);
+  }
+  if (!occupiesBot(bot, position)) return;
+
+  for (const side of SIDES) {
+    const [dx, , dz] = FACES[side];
+    try {
+      await gotoPosition(bot, { x: position.x + dx * 2, y: Math.floor(bot.entity.position.y), z: position.z + dz * 2, range: 0, timeout: APPROACH_TIMEOUT }, ctx);
+      if (!occupiesBot(bot, position)) return;
+    } catch (error) {
+      // Try the next side
+    }
+  }
+  throw new CommandError(`The bot is standing in ${format(position)} and cannot step aside`, 422);
+}
+
+// Place name (a block, or an item that places one) into the empty cell at
+// position. options: { facing, half, walk (walk into reach and out of the
+// way), ctx }. Returns { block, position, against, face }.
+async function placeAt(bot, position, name, options = {}) {
+  const target = new Vec3(Math.floor(position.x), Math.floor(position.y), Math.floor(position.z));
+  const hints = { facing: options.facing, half: options.half };
+  const block = resolveBlock(bot.registry, name, hints);
+  const itemName = itemFor(bot.registry, block.name).name;
+
+  const current = bot.blockAt(target);
+  if (!current) {
+    throw new CommandError(`No block loaded at ${format(target)}`, 422);
+  }
+  // Air and fluids are replaced by the new block
+  if (current.boundingBox !== 'empty') {
+    throw new CommandError(`${format(target)} is occupied by ${current.name}`, 422);
+  }
+
+  const faces = supportFaces(block, hints);
+  const support = findSupport(bot, target, name, hints);
+  if (!support) {
+    const needs = faces === DEFAULT_FACES ? '' : ` (it needs a solid block ${describeFaces(faces)})`;
+    throw new CommandError(`Nothing solid next to ${format(target)} to place ${block.name} against${needs}`, 422);
+  }
+
+  if (options.walk) {
+    await approach(bot, target, options.ctx);
+  } else if (occupiesBot(bot, target)) {
+    throw new CommandError(`The bot is standing in ${format(target)}`, 422);
+  } else if (eyeDistance(bot, target) > MAX_REACH) {
+    throw new CommandError(`${format(target)} is out of reach (${eyeDistance(bot, target).toFixed(1)} blocks)`, 422);
+  }
+
+  const item = bot.inventory.items().find(i => i.name === itemName);
+  if (!item) {
+    throw new CommandError(`No ${itemName} in inventory`);
+  }
+  await bot.equip(item, 'hand');
+
+  const face = new Vec3(...FACES[support.face]);
+  const look = lookFor(bot, block, hints);
+  if (look) {
+    await bot.look(look.yaw, look.pitch, true);
+  }
+  if (bot._placeBlockWithOptions) {
+    // mineflayer: aims at the top or bottom half of side faces for hints.half
+    await bot._placeBlockWithOptions(support.block, face, { half: hints.half, forceLook: look ? 'ignore' : true, swingArm: 'right' });
+  } else {
+    await bot.placeBlock(support.block, face);
+  }
+
+  const against = support.block.position;
+  return {
+    block: block.name,
+    position: { x: target.x, y: target.y, z: target.z },
+    against: { x: against.x, y: against.y, z: against.z },
+    face: support.face
+  };
+}
+
+module.exports = {
+  itemFor,
+  wallVariant,
+  findSupport,
+  approach,
+  placeAt
+};
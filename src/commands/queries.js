@@ -0,0 +1,138 @@
+// Read-only commands: state, inventory, entities and recipes
+
+function getCompassDirection(yaw) {
+  // Convert yaw to degrees (0-360)
+  let degrees = (yaw * 180 / Math.PI + 180) % 360;
+  if (degrees < 0) degrees += 360;
+
+  const directions = ['North', 'North-East', 'East', 'South-East', 'South', 'South-West', 'West', 'North-West'];
+  const index = Math.round(degrees / 45) % 8;
+  return directions[index];
+}
+
+function getPitchDescription(pitch) {
+  const degrees = pitch * 180 / Math.PI;
+  if (degrees < -45) return 'looking up';
+  if (degrees > 45) return 'looking down';
+  if (degrees < -15) return 'looking slightly up';
+  if (degrees > 15) return 'looking slightly down';
+  return 'looking straight';
+}
+
+function getState(bot) {
+  const { position, velocity, yaw, pitch } = bot.entity;
+  const blockUnder = bot.blockAt(position.offset(0, -0.5, 0));
+  const blockAtFeet = bot.blockAt(position);
+
+  return {
+    position: {
+      x: position.x,
+      y: position.y,
+      z: position.z,
+      formatted: `X: ${Math.floor(position.x)}, Y: ${Math.floor(position.y)}, Z: ${Math.floor(position.z)}`
+    },
+    orientation: {
+      yaw,
+      pitch,
+      compass_direction: getCompassDirection(yaw),
+      pitch_description: getPitchDescription(pitch),
+      yaw_degrees: Math.round((yaw * 180 / Math.PI + 180) % 360),
+      pitch_degrees: Math.round(pitch * 180 / Math.PI),
+      description: `Facing ${getCompassDirection(yaw)}, ${getPitchDescription(pitch)}`
+    },
+    health: {
+      current: bot.health,
+      max: 20,
+      percentage: Math.round(bot.health / 20 * 100),
+      status: bot.health >= 15 ? 'Healthy' : bot.health >= 10 ? 'Moderate' : bot.health >= 5 ? 'Low' : 'Critical'
+    },
+    food: {
+      current: bot.food,
+      max: 20,
+      percentage: Math.round(bot.food / 20 * 100),
+      status: bot.food >= 18 ? 'Full' : bot.food >= 14 ? 'Satisfied' : bot.food >= 7 ? 'Hungry' : 'Starving'
+    },
+    oxygen: {
+      current: bot.oxygenLevel,
+      max: 20,
+      status: bot.oxygenLevel === 20 ? 'Full' : 'Depleting'
+    },
+    environment: {
+      on_ground: bot.entity.onGround,
+      block_under: blockUnder ? blockUnder.name : 'air',
+      game_mode: bot.game.gameMode,
+      dimension: bot.game.dimension,
+      is_raining: bot.isRaining,
+      time_of_day: bot.time.isDay ? 'Day' : 'Night',
+      light_level: blockAtFeet ? blockAtFeet.light : 'unknown'
+    },
+    velocity: {
+      x: velocity.x,
+      y: velocity.y,
+      z: velocity.z,
+      speed: Math.sqrt(velocity.x ** 2 + velocity.z ** 2).toFixed(3),
+      is_moving: Math.abs(velocity.x) > 0.01 ||
+                 Math.abs(velocity.z) > 0.01 ||
+                 Math.abs(velocity.y) > 0.01
+    }
+  };
+}
+
+function getInventory(bot) {
+  const items = bot.inventory.items().map(item => ({
+    name: item.name,
+    count: item.count,
+    slot: item.slot,
+    displayName: item.displayName
+  }));
+
+  return { items };
+}
+
+// Newer minecraft-data types mobs as 'hostile'; older versions only have the category
+function isHostile(entity) {
+  return entity.type === 'hostile' || entity.kind === 'Hostile mobs';
+}
+
+function getEntities(bot) {
+  const entities = Object.values(bot.entities)
+    .filter(e => e.type === 'player' || e.type === 'mob')
+    .map(e => ({
+      type: e.type,
+      name: e.name || e.displayName,
+      position: e.position,
+      health: e.metadata?.[8],
+      distance: bot.entity.position.distanceTo(e.position)
+    }));
+
+  return { entities };
+}
+
+function getRecipes(bot, { item } = {}) {
+  if (!item) {
+    return {
+      count: bot.recipesAll().length,
+      message: 'Use ?item=<name> to get recipes for specific item'
+    };
+  }
+
+  const recipes = bot.recipesFor(parseInt(item) || bot.registry.itemsByName[item]?.id);
+  return {
+    recipes: recipes ? recipes.map(r => ({
+      result: r.result,
+      inShape: r.inShape,
+      outShape: r.outShape,
+      ingredients: r.ingredients
+    })) : []
+  };
+}
+
+module.exports = {
+  getCompassDirection,
+  getPitchDescription,
+  getState,
+  getInventory,
+  getEntities,
+  getRecipes,
+  isHostile
+};
@@ -0,0 +1,778 @@
+// Renderer: draws the world around the bot onto a canvas for GET /screenshot.
+// Three views: a top-down map (north up, shaded by height like in-game maps),
+// an isometric view of the terrain around the bot, and a vertical cross
+// section through it. Every block gets a colour from a palette generated from
+// the registry; entities are drawn with labels, and a header and side panel
+// give position, facing, vitals, a legend and the nearby entities.
+const Vec3 = require('vec3');
+const { CommandError } = require('./errors');
+const { getCompassDirection, isHostile } = require('./queries');
+
+const MODES = ['top', 'iso', 'section'];
+const LIMITS = {
+  top: { radius: 48, scale: 32 },
+  iso: { radius: 24, scale: 32 },
+  section: { radius: 48, scale: 32 }
+};
+const DEFAULTS = {
+  top: { radius: 16, scale: 16, above: 2, depth: 24 },
+  iso: { radius: 10, scale: 14, above: 2, depth: 8 },
+  section: { radius: 16, scale: 16, above: 8, depth: 16 }
+};
+// Largest map side in pixels; the scale shrinks to fit
+const MAX_MAP_SIZE = 2048;
+const HEADER_HEIGHT = 58;
+const PANEL_WIDTH = 280;
+const MARGIN = 36;
+const FONT = '12px sans-serif';
+const LEGEND_SIZE = 12;
+
+// Cells the views see through
+const CLEAR = new Set(['air', 'cave_air', 'void_air', 'light', 'barrier', 'structure_void']);
+const FLUIDS = new Set(['water', 'lava', 'bubble_column']);
+
+// --- Palette ---
+
+const DYES = {
+  white: [234, 236, 237],
+  orange: [240, 118, 19],
+  magenta: [189, 68, 179],
+  light_blue: [58, 175, 217],
+  yellow: [248, 197, 39],
+  lime: [112, 185, 25],
+  pink: [237, 141, 172],
+  gray: [62, 68, 71],
+  light_gray: [142, 142, 134],
+  cyan: [21, 137, 145],
+  purple: [121, 42, 172],
+  blue: [53, 57, 157],
+  brown: [114, 71, 40],
+  green: [84, 109, 27],
+  red: [161, 39, 34],
+  black: [20, 21, 25]
+};
+const DYE = new RegExp(`^(${Object.keys(DYES).sort((a, b) => b.length - a.length).join('|')})_`);
+
+// Planks, bark and leaves of each wood type
+const WOODS = {
+  dark_oak: [[66, 43, 20], [60, 46, 26], [61, 90, 30]],
+  pale_oak: [[228, 217, 216], [88, 80, 76], [120, 128, 112]],
+  oak: [[162, 130, 78], [109, 85, 50], [72, 115, 36]],
+  spruce: [[114, 84, 48], [58, 37, 16], [55, 90, 55]],
+  birch: [[192, 175, 121], [216, 215, 210], [100, 130, 60]],
+  jungle: [[160, 115, 80], [85, 67, 25], [48, 120, 26]],
+  acacia: [[168, 90, 50], [103, 96, 86], [90, 120, 30]],
+  mangrove: [[117, 54, 48], [83, 66, 41], [82, 120, 40]],
+  cherry: [[226, 178, 172], [54, 33, 44], [228, 170, 190]],
+  bamboo: [[193, 173, 80], [120, 140, 40], [95, 140, 40]],
+  crimson: [[101, 48, 70], [92, 25, 29], [126, 8, 8]],
+  warped: [[43, 104, 99], [58, 58, 77], [22, 119, 121]]
+};
+const WOOD = new RegExp(`(^|_)(${Object.keys(WOODS).join('|')})_`);
+
+const ORES = {
+  coal: [46, 46, 46],
+  iron: [216, 175, 147],
+  copper: [227, 133, 88],
+  gold: [252, 238, 75],
+  redstone: [255, 0, 0],
+  lapis: [31, 64, 180],
+  diamond: [93, 236, 245],
+  emerald: [23, 221, 98],
+  nether_quartz: [236, 233, 226],
+  nether_gold: [252, 238, 75]
+};
+
+// Blocks with a colour of their own; variants (stairs, slabs, walls...) and
+// plural forms fall back to these
+const COLORS = {
+  grass_block: [95, 159, 53],
+  short_grass: [91, 145, 50],
+  grass: [91, 145, 50],
+  tall_grass: [91, 145, 50],
+  fern: [78, 130, 45],
+  large_fern: [78, 130, 45],
+  dirt: [134, 96, 67],
+  coarse_dirt: [119, 85, 59],
+  rooted_dirt: [144, 103, 76],
+  podzol: [91, 63, 24],
+  mycelium: [111, 99, 105],
+  farmland: [81, 44, 15],
+  dirt_path: [148, 121, 65],
+  mud: [60, 57, 60],
+  clay: [160, 166, 179],
+  moss_block: [89, 109, 45],
+  stone: [125, 125, 125],
+  cobblestone: [122, 122, 122],
+  mossy_cobblestone: [110, 118, 94],
+  smooth_stone: [158, 158, 158],
+  stone_brick: [122, 121, 122],
+  andesite: [136, 136, 136],
+  diorite: [188, 188, 188],
+  granite: [149, 103, 85],
+  deepslate: [80, 80, 82],
+  cobbled_deepslate: [77, 77, 80],
+  tuff: [108, 109, 102],
+  calcite: [223, 224, 220],
+  dripstone_block: [134, 107, 92],
+  bedrock: [85, 85, 85],
+  obsidian: [15, 10, 24],
+  crying_obsidian: [32, 10, 60],
+  gravel: [131, 127, 126],
+  sand: [219, 207, 163],
+  red_sand: [190, 102, 33],
+  sandstone: [216, 203, 155],
+  red_sandstone: [186, 99, 29],
+  water: [50, 90, 210],
+  bubble_column: [50, 90, 210],
+  lava: [207, 92, 20],
+  ice: [145, 183, 253],
+  packed_ice: [141, 180, 250],
+  blue_ice: [116, 167, 253],
+  snow: [249, 254, 254],
+  snow_block: [249, 254, 254],
+  powder_snow: [248, 253, 253],
+  netherrack: [97, 38, 38],
+  nether_brick: [44, 21, 26],
+  soul_sand: [81, 62, 50],
+  soul_soil: [75, 57, 46],
+  basalt: [73, 72, 77],
+  blackstone: [42, 36, 41],
+  glowstone: [171, 131, 84],
+  magma_block: [142, 63, 31],
+  end_stone: [219, 222, 158],
+  purpur_block: [169, 125, 169],
+  prismarine: [99, 156, 151],
+  quartz_block: [235, 229, 222],
+  brick: [150, 97, 83],
+  terracotta: [152, 94, 67],
+  glass: [200, 220, 230],
+  ladder: [124, 97, 56],
+  torch: [255, 210, 90],
+  wall_torch: [255, 210, 90],
+  lantern: [255, 200, 100],
+  crafting_table: [120, 80, 45],
+  furnace: [110, 110, 110],
+  chest: [160, 110, 40],
+  barrel: [134, 100, 58],
+  bookshelf: [117, 94, 59],
+  tnt: [219, 68, 26],
+  hay_block: [166, 136, 38],
+  pumpkin: [198, 118, 24],
+  melon: [111, 145, 30],
+  cactus: [85, 127, 43],
+  sugar_cane: [148, 192, 101],
+  dead_bush: [107, 79, 41],
+  lily_pad: [32, 128, 48],
+  kelp: [60, 130, 40],
+  seagrass: [50, 120, 40],
+  vine: [60, 110, 30],
+  sponge: [195, 192, 74],
+  slime_block: [111, 192, 91],
+  honey_block: [251, 185, 52],
+  bone_block: [229, 225, 207],
+  amethyst_block: [133, 97, 191],
+  copper_block: [192, 107, 79],
+  exposed_copper: [161, 125, 103],
+  weathered_copper: [108, 153, 110],
+  oxidized_copper: [82, 162, 132],
+  iron_block: [220, 220, 220],
+  gold_block: [246, 208, 61],
+  diamond_block: [98, 237, 228],
+  emerald_block: [42, 203, 87],
+  lapis_block: [30, 67, 140],
+  redstone_block: [175, 24, 5],
+  coal_block: [16, 15, 15],
+  redstone_wire: [200, 20, 10],
+  rail: [125, 110, 90],
+  spawner: [35, 50, 70],
+  nether_portal: [90, 10, 180],
+  end_portal_frame: [60, 100, 90]
+};
+// Shape suffixes stripped to find a variant's base block
+const VARIANT = /_(stairs|slab|wall|fence_gate|fence|pressure_plate|button|door|trapdoor|hanging_sign|wall_sign|sign|pane|carpet)$/;
+const FLOWER = /(poppy|dandelion|tulip|orchid|allium|azure_bluet|oxeye_daisy|cornflower|lily_of_the_valley|rose|peony|lilac|sunflower|flower)/;
+
+function mix(a, b, amount) {
+  return a.map((value, i) => Math.round(value + (b[i] - value) * amount));
+}
+
+function lookup(name) {
+  if (COLORS[name]) return COLORS[name];
+  if (name.endsWith('s') && COLORS[name.slice(0, -1)]) return COLORS[name.slice(0, -1)];
+  return null;
+}
+
+// Stable colour for blocks nothing else matches, greyish so it does not
+// stand out
+function hashColor(name) {
+  let hash = 0;
+  for (const char of name) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return [96 + (hash & 63), 96 + ((hash >> 6) & 63), 96 + ((hash >> 12) & 63)];
+}
+
+// Colour of a block from its name, falling back to the registry's material
+function blockColor(name, data = {}) {
+  const exact = lookup(name);
+  if (exact) return exact;
+
+  const base = name.replace(/^(infested|waxed|polished|chiseled|cut|smooth|cracked)_/, '');
+  const ore = base.match(/^(deepslate_)?(.+)_ore$/);
+  if (ore) {
+    const stone = ore[1] ? COLORS.deepslate : name.startsWith('nether') ? COLORS.netherrack : COLORS.stone;
+    return mix(stone, ORES[ore[2]] || [200, 200, 200], 0.45);
+  }
+
+  const dye = base.match(DYE);
+  if (dye) {
+    const color = DYES[dye[1]];
+    if (base.includes('terracotta')) return mix(color, COLORS.terracotta, 0.55);
+    if (base.includes('glass')) return mix(color, [255, 255, 255], 0.35);
+    if (base.includes('concrete_powder')) return mix(color, [255, 255, 255], 0.15);
+    return color;
+  }
+
+  const wood = base.match(WOOD);
+  if (wood) {
+    const [planks, bark, leaves] = WOODS[wood[2]];
+    if (/_(log|wood|stem|hyphae)$/.test(base)) return bark;
+    if (/_(leaves|wart_block|sapling|propagule)$/.test(base)) return leaves;
+    return planks;
+  }
+
+  if (base !== name && lookup(base)) return lookup(base);
+  const variant = base.replace(VARIANT, '');
+  if (variant !== base) return blockColor(variant, data);
+
+  for (const [key, color] of [['copper', COLORS.copper_block], ['quartz', COLORS.quartz_block], ['prismarine', COLORS.prismarine],
+    ['purpur', COLORS.purpur_block], ['nether_brick', COLORS.nether_brick], ['brick', COLORS.brick], ['sandstone', COLORS.sandstone],
+    ['deepslate', COLORS.deepslate], ['blackstone', COLORS.blackstone], ['glass', COLORS.glass], ['ice', COLORS.ice],
+    ['coral', [220, 100, 140]], ['mushroom', [150, 110, 90]], ['moss', COLORS.moss_block]]) {
+    if (base.includes(key)) return color;
+  }
+  if (FLOWER.test(base)) return [200, 80, 110];
+
+  const material = data.material || '';
+  if (/leaves|plant|vine/.test(material)) return [70, 125, 40];
+  if (material.includes('wool')) return DYES.white;
+  if (material.includes('mineable/axe')) return WOODS.oak[0];
+  if (material.includes('mineable/shovel')) return COLORS.dirt;
+  if (material.includes('mineable/pickaxe')) return COLORS.stone;
+  return hashColor(name);
+}
+
+const palettes = new WeakMap();
+
+// Colours of every block in the registry, by name
+function paletteFor(registry) {
+  if (!palettes.has(registry)) {
+    const palette = new Map();
+    for (const block of registry.blocksArray || []) palette.set(block.name, blockColor(block.name, block));
+    palettes.set(registry, palette);
+  }
+  return palettes.get(registry);
+}
+
+function colorOf(registry, name) {
+  const palette = paletteFor(registry);
+  if (!palette.has(name)) palette.set(name, blockColor(name, (registry.blocksByName || {})[name]));
+  return palette.get(name);
+}
+
+function shade(color, factor) {
+  return color.map(value => Math.max(0, Math.min(255, Math.round(value * factor))));
+}
+
+function css([r, g, b]) {
+  return `rgb(${r},${g},${b})`;
+}
+
+// --- Sampling ---
+
+function nameAt(bot, x, y, z) {
+  const block = bot.blockAt(new Vec3(x, y, z));
+  return block ? block.name : null;
+}
+
+function feetOf(bot) {
+  const { x, y, z } = bot.entity.position;
+  return { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) };
+}
+
+// The first block each column shows from feet.y + above down to feet.y -
+// depth: { name, y, fluidDepth (blocks of water or lava over the floor) },
+// or null where the column is clear or unloaded
+function surfaceAt(bot, x, z, top, bottom) {
+  for (let y = top; y >= bottom; y--) {
+    const name = nameAt(bot, x, y, z);
+    if (name === null || CLEAR.has(name)) continue;
+    if (!FLUIDS.has(name)) return { name, y, fluidDepth: 0 };
+
+    let floor = y - 1;
+    while (floor > bottom && FLUIDS.has(nameAt(bot, x, floor, z))) floor--;
+    return { name, y, fluidDepth: y - floor, floor: nameAt(bot, x, floor, z) };
+  }
+  return null;
+}
+
+// Top-down grid around the bot: rows north to south, columns west to east
+function sampleTopDown(bot, { radius, above, depth }) {
+  const feet = feetOf(bot);
+  const rows = [];
+  for (let dz = -radius; dz <= radius; dz++) {
+    const row = [];
+    for (let dx = -radius; dx <= radius; dx++) {
+      row.push(surfaceAt(bot, feet.x + dx, feet.z + dz, feet.y + above, feet.y - depth));
+    }
+    rows.push(row);
+  }
+  return { feet, radius, rows };
+}
+
+// Map colour of a sampled column: deeper fluids are darker, higher ground
+// lighter, and like in-game maps a column is lighter when higher than its
+// northern neighbour and darker when lower
+function columnColor(registry, column, north, feetY) {
+  let color = colorOf(registry, column.name);
+  if (column.fluidDepth > 0) {
+    const floor = column.floor && !FLUIDS.has(column.floor) ? colorOf(registry, column.floor) : color;
+    color = shade(mix(color, floor, 0.2), 1 - Math.min(column.fluidDepth, 10) * 0.04);
+  }
+  let factor = 1 + Math.max(-0.35, Math.min(0.35, (column.y - feetY) * 0.03));
+  if (north && column.fluidDepth === 0) {
+    if (column.y > north.y) factor *= 1.12;
+    if (column.y < north.y) factor *= 0.84;
+  }
+  return shade(color, factor);
+}
+
+// --- Drawing helpers ---
+
+function polygon(ctx, points, fill, stroke) {
+  ctx.beginPath();
+  ctx.moveTo(points[0][0], points[0][1]);
+  for (const [x, y] of points.slice(1)) ctx.lineTo(x, y);
+  ctx.lineTo(points[0][0], points[0][1]);
+  ctx.fillStyle = fill;
+  ctx.fill();
+  if (stroke) {
+    ctx.strokeStyle = stroke;
+    ctx.stroke();
+  }
+}
+
+// Text on a dark box so it reads over any terrain
+function label(ctx, text, x, y) {
+  const width = text.length * 6.5 + 6;
+  ctx.fillStyle = 'rgba(0,0,0,0.65)';
+  ctx.fillRect(x - width / 2, y - 13, width, 15);
+  ctx.fillStyle = '#ffffff';
+  ctx.font = FONT;
+  ctx.fillText(text, x - width / 2 + 3, y - 2);
+}
+
+function entityKind(entity) {
+  if (entity.type === 'player') return 'player';
+  if (entity.name === 'item' || entity.name === 'experience_orb') return 'item';
+  if (isHostile(entity)) return 'hostile';
+  if (['mob', 'animal', 'passive', 'water_creature', 'ambient'].includes(entity.type)) return 'passive';
+  return 'other';
+}
+
+const ENTITY_COLORS = { player: '#2f7bff', hostile: '#e53935', passive: '#43a047', item: '#fdd835', other: '#9e9e9e' };
+
+function entityLabel(entity) {
+  if (entity.type === 'player') return entity.username || 'player';
+  return entity.displayName || entity.name || entity.type || 'entity';
+}
+
+// Entities within radius blocks (horizontally) of the bot, nearest first
+function nearbyEntities(bot, radius) {
+  const origin = bot.entity.position;
+  return Object.values(bot.entities || {})
+    .filter(entity => entity !== bot.entity && entity.position)
+    .map(entity => {
+      const dx = entity.position.x - origin.x;
+      const dy = entity.position.y - origin.y;
+      const dz = entity.position.z - origin.z;
+      return { entity, dx, dy, dz, distance: Math.sqrt(dx * dx + dy * dy + dz * dz), kind: entityKind(entity), label: entityLabel(entity) };
+    })
+    .filter(({ dx, dz }) => Math.abs(dx) <= radius + 0.5 && Math.abs(dz) <= radius + 0.5)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+function drawEntity(ctx, x, y, entry, size) {
+  const radius = entry.kind === 'item' ? Math.max(2, size * 0.2) : Math.max(3, size * 0.35);
+  ctx.fillStyle = ENTITY_COLORS[entry.kind];
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.strokeStyle = '#000000';
+  ctx.lineWidth = 1;
+  ctx.stroke();
+  if (entry.kind !== 'item') label(ctx, entry.label, x, y - radius - 2);
+}
+
+// The bot: a triangle pointing where it faces (dx, dy on screen)
+function drawBot(ctx, x, y, dx, dy, size) {
+  const length = Math.max(8, size * 0.8);
+  const side = length * 0.55;
+  polygon(ctx, [
+    [x + dx * length, y + dy * length],
+    [x - dx * side * 0.6 - dy * side, y - dy * side * 0.6 + dx * side],
+    [x - dx * side * 0.6 + dy * side, y - dy * side * 0.6 - dx * side]
+  ], '#ff1744', '#ffffff');
+}
+
+// --- Views ---
+
+function readOptions(params = {}) {
+  const mode = params.mode || 'top';
+  if (!MODES.includes(mode)) {
+    throw new CommandError(`mode must be ${MODES.join(', ')}`);
+  }
+  const defaults = DEFAULTS[mode];
+  const limits = LIMITS[mode];
+  const read = (key, min, max) => {
+    if (params[key] === undefined || params[key] === '') return defaults[key];
+    const value = Number(params[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new CommandError(`${key} must be a whole number from ${min} to ${max}`);
+    }
+    return value;
+  };
+  const options = {
+    mode,
+    radius: read('radius', 1, limits.radius),
+    scale: read('scale', 2, limits.scale),
+    above: read('above', 0, 64),
+    depth: read('depth', 1, 128)
+  };
+  if (mode === 'section') {
+    const axis = params.axis || facingAxis(params.yaw);
+    if (axis !== 'x' && axis !== 'z') {
+      throw new CommandError('axis must be x or z');
+    }
+    options.axis = axis;
+  }
+  // Keep the map within MAX_MAP_SIZE pixels
+  const span = mode === 'iso' ? (options.radius * 2 + 1) * 2
+    : mode === 'section' ? Math.max(options.radius * 2 + 1, options.above + options.depth + 1)
+      : options.radius * 2 + 1;
+  options.scale = Math.max(2, Math.min(options.scale, Math.floor(MAX_MAP_SIZE / span)));
+  return options;
+}
+
+// The axis the bot mostly faces along (yaw 0 is north)
+function facingAxis(yaw = 0) {
+  return Math.abs(Math.sin(yaw)) > Math.abs(Math.cos(yaw)) ? 'x' : 'z';
+}
+
+function topDownView(bot, options) {
+  const { radius, scale } = options;
+  const grid = sampleTopDown(bot, options);
+  const size = (radius * 2 + 1) * scale;
+  const counts = new Map();
+
+  const draw = (ctx, left, top) => {
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(left, top, size, size);
+    grid.rows.forEach((row, j) => {
+      row.forEach((column, i) => {
+        if (!column) return;
+        counts.set(column.name, (counts.get(column.name) || 0) + 1);
+        const north = j > 0 ? grid.rows[j - 1][i] : null;
+        ctx.fillStyle = css(columnColor(bot.registry, column, north, grid.feet.y));
+        ctx.fillRect(left + i * scale, top + j * scale, scale, scale);
+      });
+    });
+
+    // Chunk borders, and world coordinates every 8 blocks along the edges
+    ctx.strokeStyle = 'rgba(255,255,255,0.35)';
+    ctx.lineWidth = 1;
+    ctx.font = FONT;
+    for (let d = -radius; d <= radius + 1; d++) {
+      const x = grid.feet.x + d;
+      const z = grid.feet.z + d;
+      const offset = (d + radius) * scale;
+      if (x % 16 === 0) {
+        ctx.beginPath();
+        ctx.moveTo(left + offset, top);
+        ctx.lineTo(left + offset, top + size);
+        ctx.stroke();
+      }
+      if (z % 16 === 0) {
+        ctx.beginPath();
+        ctx.moveTo(left, top + offset);
+        ctx.lineTo(left + size, top + offset);
+        ctx.stroke();
+      }
+      ctx.fillStyle = '#dddddd';
+      if (x % 8 === 0 && d <= radius) ctx.fillText(String(x), left + offset, top - 4);
+      if (z % 8 === 0 && d <= radius) ctx.fillText(String(z), left - MARGIN + 2, top + offset + scale);
+    }
+
+    const at = ({ x, z }) => [left + (x - grid.feet.x + radius) * scale, top + (z - grid.feet.z + radius) * scale];
+    for (const entry of nearbyEntities(bot, radius)) {
+      const [x, y] = at(entry.entity.position);
+      drawEntity(ctx, x, y, entry, scale);
+    }
+    const yaw = bot.entity.yaw || 0;
+    const [bx, by] = at(bot.entity.position);
+    drawBot(ctx, bx, by, -Math.sin(yaw), -Math.cos(yaw), scale);
+    label(ctx, 'N', left + size / 2, top + 14);
+  };
+
+  return {
+    width: size,
+    height: size,
+    draw,
+    counts,
+    description: `Top-down, north up, 1 block = ${scale}px, terrain from y ${grid.feet.y + options.above} down to y ${grid.feet.y - options.depth}`
+  };
+}
+
+// Projection for the isometric view, in blocks relative to the bot's feet:
+// the viewer is south-east of the bot and above it, so east runs down-right
+// and south down-left
+function isoProjector(scale, radius, above, depth) {
+  const width = (radius * 2 + 1) * scale * 2;
+  const offsetY = (above + 1) * scale + scale / 2;
+  return {
+    width,
+    height: offsetY + (radius * 2 + 1 + depth) * scale,
+    point: (x, y, z) => [width / 2 + (x - z) * scale, offsetY + (x + z + radius * 2) * scale / 2 - y * scale]
+  };
+}
+
+function isoView(bot, options) {
+  const { radius, scale, above, depth } = options;
+  const feet = feetOf(bot);
+  const top = feet.y + above;
+  const bottom = feet.y - depth;
+  const counts = new Map();
+
+  const solid = new Map();
+  const key = (x, y, z) => `${x},${y},${z}`;
+  const opaque = (x, y, z) => {
+    const name = solid.get(key(x, y, z));
+    return Boolean(name) && !FLUIDS.has(name) && !/glass|leaves|ice$/.test(name);
+  };
+  for (let dx = -radius; dx <= radius; dx++) {
+    for (let dz = -radius; dz <= radius; dz++) {
+      for (let y = bottom; y <= top; y++) {
+        const name = nameAt(bot, feet.x + dx, y, feet.z + dz);
+        if (name !== null && !CLEAR.has(name)) solid.set(key(dx, y - feet.y, dz), name);
+      }
+    }
+  }
+
+  const projector = isoProjector(scale, radius, above, depth);
+  const cubes = [...solid.entries()]
+    .map(([position, name]) => {
+      const [x, y, z] = position.split(',').map(Number);
+      return { x, y, z, name };
+    })
+    // Back to front
+    .sort((a, b) => (a.x + a.z + a.y) - (b.x + b.z + b.y) || a.y - b.y);
+
+  const draw = (ctx, left, offsetTop) => {
+    ctx.fillStyle = '#1b1f24';
+    ctx.fillRect(left, offsetTop, projector.width, projector.height);
+    const p = (x, y, z) => {
+      const [px, py] = projector.point(x, y, z);
+      return [left + px, offsetTop + py];
+    };
+    ctx.lineWidth = 1;
+    for (const { x, y, z, name } of cubes) {
+      const showTop = !opaque(x, y + 1, z);
+      const showEast = !opaque(x + 1, y, z) || x === radius;
+      const showSouth = !opaque(x, y, z + 1) || z === radius;
+      if (!showTop && !showEast && !showSouth) continue;
+      counts.set(name, (counts.get(name) || 0) + 1);
+      const color = shade(colorOf(bot.registry, name), 1 + Math.max(-0.3, Math.min(0.3, y * 0.03)));
+      const edge = scale >= 6 ? 'rgba(0,0,0,0.25)' : null;
+      if (showTop) {
+        polygon(ctx, [p(x, y + 1, z), p(x + 1, y + 1, z), p(x + 1, y + 1, z + 1), p(x, y + 1, z + 1)], css(color), edge);
+      }
+      if (showEast) {
+        polygon(ctx, [p(x + 1, y + 1, z), p(x + 1, y + 1, z + 1), p(x + 1, y, z + 1), p(x + 1, y, z)], css(shade(color, 0.78)), edge);
+      }
+      if (showSouth) {
+        polygon(ctx, [p(x, y + 1, z + 1), p(x + 1, y + 1, z + 1), p(x + 1, y, z + 1), p(x, y, z + 1)], css(shade(color, 0.62)), edge);
+      }
+    }
+
+    const origin = bot.entity.position;
+    for (const entry of nearbyEntities(bot, radius)) {
+      const [x, y] = p(entry.dx + origin.x - feet.x, entry.dy + origin.y - feet.y + 0.9, entry.dz + origin.z - feet.z);
+      drawEntity(ctx, x, y, entry, scale);
+    }
+    const yaw = bot.entity.yaw || 0;
+    const [bx, by] = p(origin.x - feet.x, origin.y - feet.y + 0.9, origin.z - feet.z);
+    // Facing on screen: x and z unit vectors projected
+    const fx = -Math.sin(yaw);
+    const fz = -Math.cos(yaw);
+    const sx = fx - fz;
+    const sy = (fx + fz) / 2;
+    const length = Math.sqrt(sx * sx + sy * sy) || 1;
+    drawBot(ctx, bx, by, sx / length, sy / length, scale);
+  };
+
+  return {
+    width: projector.width,
+    height: projector.height,
+    draw,
+    counts,
+    description: `Isometric from the south-east, 1 block = ${scale}px, y ${bottom} to ${top}; east is down-right, south down-left`
+  };
+}
+
+function sectionView(bot, options) {
+  const { radius, scale, above, depth, axis } = options;
+  const feet = feetOf(bot);
+  const top = feet.y + above;
+  const bottom = feet.y - depth;
+  const columns = radius * 2 + 1;
+  const rows = top - bottom + 1;
+  const counts = new Map();
+
+  const draw = (ctx, left, offsetTop) => {
+    for (let row = 0; row < rows; row++) {
+      const y = top - row;
+      for (let d = -radius; d <= radius; d++) {
+        const x = axis === 'x' ? feet.x + d : feet.x;
+        const z = axis === 'x' ? feet.z : feet.z + d;
+        const name = nameAt(bot, x, y, z);
+        let color;
+        if (name === null) color = [0, 0, 0];
+        else if (name === 'cave_air') color = [40, 40, 46];
+        else if (CLEAR.has(name)) color = [150, 200, 235];
+        else {
+          counts.set(name, (counts.get(name) || 0) + 1);
+          color = colorOf(bot.registry, name);
+        }
+        ctx.fillStyle = css(color);
+        ctx.fillRect(left + (d + radius) * scale, offsetTop + row * scale, scale, scale);
+      }
+    }
+
+    // The bot's own level
+    ctx.strokeStyle = 'rgba(255,255,255,0.4)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, offsetTop + (top - feet.y + 1) * scale);
+    ctx.lineTo(left + columns * scale, offsetTop + (top - feet.y + 1) * scale);
+    ctx.stroke();
+
+    const origin = bot.entity.position;
+    const at = (x, y, z) => [left + ((axis === 'x' ? x - feet.x : z - feet.z) + radius) * scale, offsetTop + (top + 1 - y) * scale];
+    for (const entry of nearbyEntities(bot, radius)) {
+      const { x, y, z } = entry.entity.position;
+      // Entities within two blocks of the plane
+      if (Math.abs(axis === 'x' ? z - origin.z : x - origin.x) > 2) continue;
+      const [sx, sy] = at(x, y + 0.9, z);
+      drawEntity(ctx, sx, sy, entry, scale);
+    }
+    const [bx, by] = at(origin.x, origin.y, origin.z);
+    ctx.strokeStyle = '#ff1744';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(bx - scale * 0.3, by - scale * 1.8, scale * 0.6, scale * 1.8);
+  };
+
+  const facing = axis === 'x' ? 'looking north, east to the right' : 'looking east, south to the right';
+  return {
+    width: columns * scale,
+    height: rows * scale,
+    draw,
+    counts,
+    description: `Cross section along ${axis} through the bot, ${facing}, 1 block = ${scale}px, y ${bottom} to ${top}`
+  };
+}
+
+const VIEWS = { top: topDownView, iso: isoView, section: sectionView };
+
+// --- Page ---
+
+function drawHeader(ctx, bot, view, width) {
+  const { x, y, z } = bot.entity.position;
+  const yaw = bot.entity.yaw || 0;
+  const dimension = bot.game && bot.game.dimension ? bot.game.dimension : 'unknown';
+  const time = bot.time && typeof bot.time.isDay === 'boolean' ? (bot.time.isDay ? 'day' : 'night') : 'unknown';
+
+  ctx.fillStyle = '#101418';
+  ctx.fillRect(0, 0, width, HEADER_HEIGHT);
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 14px sans-serif';
+  ctx.fillText(`Position ${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)} | Facing ${getCompassDirection(yaw)} | Health ${bot.health}/20 | Food ${bot.food}/20`, 12, 22);
+  ctx.font = FONT;
+  ctx.fillStyle = '#b0bec5';
+  ctx.fillText(`${view.description} | ${dimension}, ${time}`, 12, 44);
+}
+
+function drawPanel(ctx, bot, view, options, left, top) {
+  let y = top + 4;
+  const line = (text, color = '#e0e0e0') => {
+    ctx.fillStyle = color;
+    ctx.fillText(text, left, y);
+    y += 16;
+  };
+  ctx.font = 'bold 13px sans-serif';
+  line('Entities', '#ffffff');
+  ctx.font = FONT;
+  const entities = nearbyEntities(bot, options.radius).slice(0, 15);
+  if (entities.length === 0) line('none in view', '#9e9e9e');
+  for (const entry of entities) {
+    ctx.fillStyle = ENTITY_COLORS[entry.kind];
+    ctx.fillRect(left, y - 10, 10, 10);
+    ctx.fillStyle = '#e0e0e0';
+    ctx.fillText(`${entry.label} ${entry.distance.toFixed(1)}m (${Math.round(entry.dx)}, ${Math.round(entry.dy)}, ${Math.round(entry.dz)})`, left + 16, y);
+    y += 16;
+  }
+
+  y += 12;
+  ctx.font = 'bold 13px sans-serif';
+  line('Blocks', '#ffffff');
+  ctx.font = FONT;
+  const common = [...view.counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, LEGEND_SIZE);
+  for (const [name] of common) {
+    ctx.fillStyle = css(colorOf(bot.registry, name));
+    ctx.fillRect(left, y - 10, 10, 10);
+    ctx.fillStyle = '#e0e0e0';
+    ctx.fillText(name, left + 16, y);
+    y += 16;
+  }
+  return y;
+}
+
+// Draw params.mode ('top', 'iso' or 'section') around the bot onto a canvas
+// from createCanvas(width, height). Options: radius, scale (pixels per
+// block), above and depth (blocks above and below the bot's feet drawn),
+// axis ('x' or 'z', section only). Returns { canvas, mode, width, height }.
+function render(bot, createCanvas, params = {}) {
+  const options = readOptions({ yaw: bot.entity.yaw, ...params });
+  const view = VIEWS[options.mode](bot, options);
+
+  // The panel is drawn after the view, which fills view.counts
+  const width = MARGIN + view.width + MARGIN + PANEL_WIDTH;
+  const height = Math.max(HEADER_HEIGHT + MARGIN + view.height + MARGIN, HEADER_HEIGHT + 520);
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = '#263238';
+  ctx.fillRect(0, 0, width, height);
+  view.draw(ctx, MARGIN, HEADER_HEIGHT + MARGIN);
+  drawHeader(ctx, bot, view, width);
+  drawPanel(ctx, bot, view, options, MARGIN + view.width + MARGIN, HEADER_HEIGHT + MARGIN);
+
+  return { canvas, mode: options.mode, width, height };
+}
+
+module.exports = {
+  blockColor,
+  paletteFor,
+  colorOf,
+  sampleTopDown,
+  readOptions,
+  render
+};
@@ -0,0 +1,88 @@
+// HTTP routes for bot commands, shared by MinecraftBotServer and IsolatedBotServer.
+// resolveTarget(req) returns what the request controls: an object with
+// runCommand(name, params, { signal }) and reconnect(). Errors carry the HTTP
+// status to send (CommandError, IpcError); anything else is a 500.
+
+const QUERY_ROUTES = ['state', 'inventory', 'entities', 'screenshot', 'recipes'];
+const ACTION_ROUTES = [
+  'respawn', 'chat', 'move', 'stop', 'look', 'dig', 'place',
+  'attack', 'craft', 'smelt', 'equip', 'eat', 'pillar', 'batch', 'quit'
+];
+
+function sendError(res, error) {
+  if (res.headersSent || res.destroyed) return;
+
+  const body = { error: error.message };
+  if (error.code) body.code = error.code;
+  if (error.details) body.details = error.details;
+  res.status(error.status || 500).json(body);
+}
+
+// Aborts when the client goes away before we answer, so the command is cancelled
+function requestSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+function setupCommandRoutes(app, resolveTarget) {
+  const handle = (name, params) => async (req, res) => {
+    try {
+      res.json(await resolveTarget(req).runCommand(name, params(req), { signal: requestSignal(res) }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+
+  for (const name of QUERY_ROUTES) {
+    app.get(`/${name}`, handle(name, req => req.query));
+  }
+
+  for (const name of ACTION_ROUTES) {
+    app.post(`/${name}`, handle(name, req => req.body || {}));
+  }
+
+  // Preview the route goto would take, without moving
+  app.get('/path/plan', handle('planPath', req => req.query));
+
+  // Preview what a recursive craft would make and what is missing
+  app.get('/craft/plan', handle('craftPlan', req => req.query));
+
+  // Slot-level inventory management (see commands/inventory.js)
+  app.post('/inventory/toss', handle('toss', req => req.body || {}));
+  app.post('/inventory/move', handle('moveSlot', req => req.body || {}));
+  app.post('/inventory/hotbar', handle('hotbar', req => req.body || {}));
+  app.post('/inventory/armor', handle('autoArmor', req => req.body || {}));
+  app.post('/inventory/tidy', handle('tidy', req => req.body || {}));
+
+  // Chests, barrels and shulker boxes at ?x=&y=&z= (see commands/containers.js)
+  app.get('/container', handle('container', req => req.query));
+  app.post('/container/deposit', handle('deposit', req => req.body || {}));
+  app.post('/container/withdraw', handle('withdraw', req => req.body || {}));
+
+  // Blueprints and schematics (see commands/building.js)
+  app.post('/build', handle('build', req => req.body || {}));
+  app.get('/build', handle('buildStatus', req => req.query));
+  app.post('/build/resume', handle('buildResume', req => req.body || {}));
+
+  // Fight nearby mobs (see commands/combat.js for the options)
+  app.post('/combat/engage', handle('combat', req => req.body || {}));
+
+  // Capture the blocks, inventory and entities around the bot for offline dry runs
+  app.post('/world/snapshot', handle('snapshot', req => req.body || {}));
+
+  // Drop the Minecraft connection and connect again
+  app.post('/reconnect', (req, res) => {
+    try {
+      console.log('[API] Manual reconnection requested');
+      resolveTarget(req).reconnect();
+      res.json({ success: true, message: 'Reconnection initiated' });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+}
+
+module.exports = { setupCommandRoutes };
@@ -0,0 +1,53 @@
+// Map image of the area around the bot (see renderer.js), returned as base64
+const { CommandError } = require('./errors');
+const { render } = require('./renderer');
+
+const FORMATS = { png: 'image/png', jpeg: 'image/jpeg', jpg: 'image/jpeg' };
+const DEFAULT_QUALITY = 85;
+
+// JPEG quality from performance.screenshotQuality, set by configureScreenshots
+const qualities = new WeakMap();
+
+// Apply the performance config section to bot's screenshots
+function configureScreenshots(bot, performance) {
+  if (performance && performance.screenshotQuality) {
+    qualities.set(bot, performance.screenshotQuality);
+  }
+}
+
+function readQuality(bot, value) {
+  if (value === undefined || value === '') return qualities.get(bot) || DEFAULT_QUALITY;
+  const quality = Number(value);
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+    throw new CommandError('quality must be a whole number from 1 to 100');
+  }
+  return quality;
+}
+
+// Render params.mode around the bot (see renderer.render for the options) as
+// a PNG, or a JPEG when params.format is 'jpeg'. Returns { screenshot
+// (base64), format, mode, width, height }.
+async function captureScreenshot(bot, params = {}) {
+  const format = params.format || 'png';
+  if (!FORMATS[format]) {
+    throw new CommandError('format must be png or jpeg');
+  }
+  const quality = readQuality(bot, params.quality);
+
+  // Dynamically import canvas only when screenshot is requested
+  let createCanvas;
+  try {
+    const canvasModule = await import('canvas');
+    createCanvas = canvasModule.createCanvas;
+  } catch (error) {
+    throw new Error('Canvas module not available (missing native library dependencies): ' + error.message);
+  }
+
+  const { canvas, mode, width, height } = render(bot, createCanvas, params);
+  const buffer = FORMATS[format] === 'image/png'
+    ? canvas.toBuffer('image/png')
+    : canvas.toBuffer('image/jpeg', { quality: quality / 100 });
+  return { screenshot: buffer.toString('base64'), format: format === 'jpg' ? 'jpeg' : format, mode, width, height };
+}
+
+module.exports = { captureScreenshot, configureScreenshots };
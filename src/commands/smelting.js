@@ -0,0 +1,267 @@
+// Smelting: finds (or places, or crafts and places) a furnace, smoker or blast
+// furnace, loads the input and the cheapest fuel, refuels as it burns out and
+// collects the output. Used by POST /smelt, the `smelt` batch instruction and
+// the program SDK's ctx.actions.smelt.
+const { CommandError } = require('./errors');
+const { gotoPosition } = require('./navigation');
+const crafting = require('./crafting');
+
+const WOODS = ['oak', 'spruce', 'birch', 'jungle', 'acacia', 'dark_oak', 'mangrove', 'cherry'];
+const LOGS = WOODS.flatMap(wood => [`${wood}_log`, `${wood}_wood`, `stripped_${wood}_log`, `stripped_${wood}_wood`]);
+
+// Input -> output. Blast furnaces only smelt ORES, smokers only FOODS
+const ORES = {
+  raw_iron: 'iron_ingot', iron_ore: 'iron_ingot', deepslate_iron_ore: 'iron_ingot',
+  raw_gold: 'gold_ingot', gold_ore: 'gold_ingot', deepslate_gold_ore: 'gold_ingot', nether_gold_ore: 'gold_ingot',
+  raw_copper: 'copper_ingot', copper_ore: 'copper_ingot', deepslate_copper_ore: 'copper_ingot',
+  ancient_debris: 'netherite_scrap'
+};
+const FOODS = {
+  beef: 'cooked_beef', porkchop: 'cooked_porkchop', chicken: 'cooked_chicken', mutton: 'cooked_mutton',
+  rabbit: 'cooked_rabbit', cod: 'cooked_cod', salmon: 'cooked_salmon', potato: 'baked_potato', kelp: 'dried_kelp'
+};
+const OTHER = {
+  sand: 'glass', red_sand: 'glass', cobblestone: 'stone', stone: 'smooth_stone',
+  cobbled_deepslate: 'deepslate', sandstone: 'smooth_sandstone', clay_ball: 'brick', clay: 'terracotta',
+  netherrack: 'nether_brick', cactus: 'green_dye', wet_sponge: 'sponge', stone_bricks: 'cracked_stone_bricks',
+  ...Object.fromEntries(LOGS.map(log => [log, 'charcoal']))
+};
+
+const SMELTING = { ...ORES, ...FOODS, ...OTHER };
+const FURNACES = {
+  furnace: () => true,
+  blast_furnace: input => input in ORES,
+  smoker: input => input in FOODS
+};
+
+// Burnable items, least valuable first, with how many items one of them smelts
+const FUELS = [
+  ...WOODS.map(wood => [`${wood}_sapling`, 0.5]),
+  ['dead_bush', 0.5], ['stick', 0.5], ['bowl', 0.5], ['bamboo', 0.25], ['scaffolding', 0.25],
+  ...WOODS.map(wood => [`${wood}_slab`, 0.75]),
+  ...WOODS.map(wood => [`${wood}_planks`, 1.5]),
+  ...LOGS.map(log => [log, 1.5]),
+  ['charcoal', 8], ['coal', 8], ['dried_kelp_block', 20], ['blaze_rod', 12],
+  ['coal_block', 80], ['lava_bucket', 100]
+];
+const FUEL_SMELTS = Object.fromEntries(FUELS);
+
+// Furnaces this far away are walked to; further ones are ignored
+const FURNACE_RANGE = 32;
+const REACH = 4;
+const POLL = 250;
+// A furnace takes 10 s an item (smokers and blast furnaces 5 s)
+const ITEM_TIME = 10000;
+const MAX_TIMEOUT = 600000;
+const APPROACH_TIMEOUT = 30000;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function countOf(bot, name) {
+  return bot.inventory.items().filter(i => i.name === name).reduce((sum, i) => sum + i.count, 0);
+}
+
+function smeltingOutput(input) {
+  return SMELTING[input] || null;
+}
+
+// Fuel from the inventory for smelting count items, least valuable first:
+// [{ name, count }]. params.fuel picks the fuel; params.exclude is never burnt
+// (the input). covered is how many items the picked fuel smelts.
+function selectFuel(bot, count, { fuel, exclude } = {}) {
+  if (fuel && !FUEL_SMELTS[fuel]) {
+    throw new CommandError(`${fuel} is not a fuel`);
+  }
+
+  const candidates = fuel ? [[fuel, FUEL_SMELTS[fuel]]] : FUELS;
+  const picked = [];
+  let covered = 0;
+  for (const [name, smelts] of candidates) {
+    if (covered >= count) break;
+    if (name === exclude) continue;
+    const have = countOf(bot, name);
+    if (have === 0) continue;
+
+    const units = Math.min(have, Math.ceil((count - covered) / smelts));
+    picked.push({ name, count: units });
+    covered += units * smelts;
+  }
+  return { fuel: picked, covered: Math.min(count, Math.floor(covered)) };
+}
+
+function readParams(bot, params) {
+  const { item } = params;
+  if (!item) {
+    throw new CommandError('item name required');
+  }
+  if (!bot.registry.itemsByName[item]) {
+    throw new CommandError(`Unknown item: ${item}`);
+  }
+  const output = smeltingOutput(item);
+  if (!output || !bot.registry.itemsByName[output]) {
+    throw new CommandError(`${item} cannot be smelted`);
+  }
+
+  const have = countOf(bot, item);
+  const count = params.count === undefined ? have : Number(params.count);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new CommandError('count must be a positive integer');
+  }
+  if (have < count) {
+    throw new CommandError(`Not enough ${item} (have ${have}, need ${count})`, 422);
+  }
+
+  const kinds = params.furnace ? [params.furnace] : Object.keys(FURNACES);
+  for (const kind of kinds) {
+    if (!FURNACES[kind]) {
+      throw new CommandError("furnace must be 'furnace', 'smoker' or 'blast_furnace'");
+    }
+  }
+  const usable = kinds.filter(kind => FURNACES[kind](item) && bot.registry.blocksByName[kind]);
+  if (usable.length === 0) {
+    throw new CommandError(`A ${params.furnace} cannot smelt ${item}`);
+  }
+
+  const timeout = params.timeout === undefined ? Math.min(MAX_TIMEOUT, count * ITEM_TIME + 30000) : Number(params.timeout);
+  if (!Number.isFinite(timeout) || timeout < 0 || timeout > MAX_TIMEOUT) {
+    throw new CommandError(`timeout must be a number from 0 to ${MAX_TIMEOUT}`);
+  }
+
+  return { item, output, count, kinds: usable, timeout };
+}
+
+// The nearest usable furnace block, walking up to it when it is out of reach.
+// Without one, a furnace from the inventory (or crafted from cobblestone) is
+// placed next to the bot.
+async function findFurnace(bot, kinds, ctx) {
+  const ids = kinds.map(kind => bot.registry.blocksByName[kind].id);
+  const block = bot.findBlock({ matching: ids, maxDistance: FURNACE_RANGE });
+
+  if (block) {
+    if (block.position.distanceTo(bot.entity.position) > REACH) {
+      const { x, y, z } = block.position;
+      await gotoPosition(bot, { x, y, z, range: 2, timeout: APPROACH_TIMEOUT }, ctx);
+    }
+    return { block, placed: false, crafted: false };
+  }
+
+  let kind = kinds.find(k => countOf(bot, k) > 0);
+  let crafted = false;
+  if (!kind && kinds.includes('furnace') && crafting.planCraft(bot, { item: 'furnace' }).complete) {
+    await crafting.craftRecursive(bot, { item: 'furnace' });
+    kind = 'furnace';
+    crafted = true;
+  }
+  if (!kind) {
+    throw new CommandError(`No ${kinds.join(' or ')} within ${FURNACE_RANGE} blocks or in inventory`, 422);
+  }
+  return { block: await crafting.placeBeside(bot, kind), placed: true, crafted };
+}
+
+// Smelt params.count (default: all) of params.item. Options: fuel (item name,
+// default the least valuable fuel in the inventory), furnace ('furnace',
+// 'smoker' or 'blast_furnace'; default any that can smelt the item), timeout
+// (ms). Logs a smelt_progress event per collected batch through ctx.logEvent.
+// Resolves with why it stopped (done, timeout, out_of_fuel, cancelled), the
+// items smelted and the fuel burnt; unsmelted input goes back to the inventory.
+async function smelt(bot, params = {}, ctx = {}) {
+  const { item, output, count, kinds, timeout } = readParams(bot, params);
+  const logEvent = ctx.logEvent || (() => {});
+
+  const { fuel: fuelQueue, covered } = selectFuel(bot, count, { fuel: params.fuel, exclude: item });
+
+  const found = await findFurnace(bot, kinds, ctx);
+  const furnace = await bot.openFurnace(found.block);
+  const inputType = bot.registry.itemsByName[item].id;
+  const stackSize = bot.registry.itemsByName[item].stackSize;
+
+  const deadline = Date.now() + timeout;
+  const burnt = {};
+  let loaded = 0;
+  let smelted = 0;
+  let reason = null;
+
+  try {
+    const current = furnace.inputItem();
+    if (current && current.name !== item) {
+      throw new CommandError(`Furnace is busy smelting ${current.name}`, 409);
+    }
+    // A furnace still burning from an earlier job needs no fuel to start
+    if (fuelQueue.length === 0 && !furnace.fuelItem() && !(furnace.fuel > 0)) {
+      throw new CommandError(params.fuel ? `No ${params.fuel} in inventory` : 'No fuel in inventory', 422);
+    }
+    // Output from an earlier job is collected but not counted
+    if (furnace.outputItem()) await furnace.takeOutput();
+
+    while (!reason) {
+      if (ctx.signal && ctx.signal.aborted) { reason = 'cancelled'; break; }
+
+      const ready = furnace.outputItem();
+      if (ready) {
+        await furnace.takeOutput();
+        smelted += ready.count;
+        logEvent('smelt_progress', { item, output, smelted, total: count });
+      }
+      if (smelted >= count) { reason = 'done'; break; }
+      if (Date.now() >= deadline) { reason = 'timeout'; break; }
+
+      if (!furnace.inputItem() && loaded < count) {
+        const batch = Math.min(count - loaded, stackSize);
+        await furnace.putInput(inputType, null, batch);
+        loaded += batch;
+      }
+
+      // Refuel once the last fuel item has burnt out
+      if (!furnace.fuelItem() && !(furnace.fuel > 0)) {
+        const next = fuelQueue.shift();
+        if (!next) { reason = 'out_of_fuel'; break; }
+        const have = Math.min(next.count, countOf(bot, next.name));
+        if (have > 0) {
+          await furnace.putFuel(bot.registry.itemsByName[next.name].id, null, have);
+          burnt[next.name] = (burnt[next.name] || 0) + have;
+        }
+        continue;
+      }
+
+      await delay(POLL);
+    }
+  } finally {
+    // Take back what was not used
+    try {
+      const input = furnace.inputItem();
+      if (input && input.name === item && reason !== 'done') await furnace.takeInput();
+      const fuel = furnace.fuelItem();
+      if (fuel && burnt[fuel.name]) {
+        burnt[fuel.name] -= fuel.count;
+        if (burnt[fuel.name] <= 0) delete burnt[fuel.name];
+        await furnace.takeFuel();
+      }
+    } finally {
+      furnace.close();
+    }
+  }
+
+  const { x, y, z } = found.block.position;
+  return {
+    reason,
+    item,
+    output,
+    requested: count,
+    count: smelted,
+    fuel: burnt,
+    fuelCovered: covered,
+    furnace: { type: found.block.name, position: { x, y, z }, placed: found.placed, crafted: found.crafted }
+  };
+}
+
+module.exports = {
+  SMELTING,
+  FURNACES,
+  FUELS,
+  FUEL_SMELTS,
+  smeltingOutput,
+  selectFuel,
+  smelt
+};
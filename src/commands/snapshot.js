@@ -0,0 +1,92 @@
+// World snapshot capture: serializes the loaded blocks around the bot, plus its
+// inventory and nearby entities, in the format the dry-run simulator loads
+// (see src/program-system/simulator/snapshot.js).
+const Vec3 = require('vec3');
+const { CommandError } = require('./errors');
+const {
+  FORMAT, FORMAT_VERSION, MAX_REGION_BLOCKS, regionVolume, encodeRegion
+} = require('../program-system/simulator/snapshot');
+
+const DEFAULTS = { radius: 16, below: 8, above: 8 };
+const MAX_RADIUS = 64;
+const INCLUDES = ['inventory', 'entities'];
+
+function readLimit(params, name, max) {
+  const value = params[name] === undefined ? DEFAULTS[name] : Number(params[name]);
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    throw new CommandError(`${name} must be an integer from 0 to ${max}`);
+  }
+  return value;
+}
+
+// include may be an array or a comma-separated string (query strings, CLI)
+function readIncludes(include) {
+  if (include === undefined) return INCLUDES;
+
+  const names = (Array.isArray(include) ? include : String(include).split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  const unknown = names.filter(name => !INCLUDES.includes(name));
+  if (unknown.length > 0) {
+    throw new CommandError(`Unknown include: ${unknown.join(', ')} (use ${INCLUDES.join(', ')})`);
+  }
+  return names;
+}
+
+function captureSnapshot(bot, params = {}) {
+  const radius = readLimit(params, 'radius', MAX_RADIUS);
+  const below = readLimit(params, 'below', 256);
+  const above = readLimit(params, 'above', 256);
+  const include = readIncludes(params.include);
+
+  const { position } = bot.entity;
+  const center = { x: Math.floor(position.x), y: Math.floor(position.y), z: Math.floor(position.z) };
+  const origin = { x: center.x - radius, y: center.y - below, z: center.z - radius };
+  const size = { x: radius * 2 + 1, y: below + above + 1, z: radius * 2 + 1 };
+
+  if (regionVolume(size) > MAX_REGION_BLOCKS) {
+    throw new CommandError(`Snapshot too large (${regionVolume(size)} blocks, max ${MAX_REGION_BLOCKS}); reduce radius or vertical range`);
+  }
+
+  // Unloaded chunks come back as null and are stored as air
+  let unloaded = 0;
+  const region = encodeRegion(origin, size, (x, y, z) => {
+    const block = bot.blockAt(new Vec3(x, y, z), false);
+    if (!block) unloaded++;
+    return block ? block.name : 'air';
+  });
+
+  const snapshot = {
+    format: FORMAT,
+    formatVersion: FORMAT_VERSION,
+    version: bot.version,
+    capturedAt: new Date().toISOString(),
+    position: { x: position.x, y: position.y, z: position.z },
+    time: bot.time ? bot.time.timeOfDay : 0,
+    health: bot.health,
+    food: bot.food,
+    region,
+    unloaded
+  };
+
+  if (include.includes('inventory')) {
+    snapshot.inventory = bot.inventory.items().map(({ name, count }) => ({ name, count }));
+  }
+
+  if (include.includes('entities')) {
+    snapshot.entities = Object.values(bot.entities)
+      .filter(e => e !== bot.entity && e.position)
+      .filter(e => Math.abs(e.position.x - center.x) <= radius && Math.abs(e.position.z - center.z) <= radius &&
+        e.position.y >= origin.y && e.position.y < origin.y + size.y)
+      .map(e => ({
+        id: e.id,
+        name: e.name || e.displayName,
+        type: e.type,
+        position: { x: e.position.x, y: e.position.y, z: e.position.z }
+      }));
+  }
+
+  return snapshot;
+}
+
+module.exports = { captureSnapshot };
@@ -0,0 +1,130 @@
+// Survival actions: eating and pillaring up. Used by the /eat and /pillar
+// routes, batch instructions and the program SDK's safety routines.
+const Vec3 = require('vec3');
+const { CommandError } = require('./errors');
+
+// Foods that poison, starve or teleport the bot; never picked automatically
+const HARMFUL_FOODS = new Set([
+  'rotten_flesh', 'spider_eye', 'poisonous_potato', 'pufferfish',
+  'chicken', 'suspicious_stew', 'chorus_fruit'
+]);
+
+// Cheap blocks used for pillars, floors and dousing lava, most expendable first
+const FILLER_BLOCKS = [
+  'cobblestone', 'cobbled_deepslate', 'netherrack', 'dirt', 'andesite',
+  'diorite', 'granite', 'tuff', 'stone', 'deepslate', 'sandstone', 'blackstone'
+];
+
+const JUMP_TIMEOUT = 1000;
+
+// Edible items in the inventory, best saturation first
+function foodsInInventory(bot) {
+  const foods = bot.registry.foodsByName || {};
+  return bot.inventory.items()
+    .filter(item => foods[item.name] && !HARMFUL_FOODS.has(item.name))
+    .sort((a, b) => foods[b.name].saturation - foods[a.name].saturation || a.name.localeCompare(b.name));
+}
+
+function pickFiller(items, preferred) {
+  if (preferred) {
+    return items.find(item => item.name === preferred) || null;
+  }
+  for (const name of FILLER_BLOCKS) {
+    const item = items.find(i => i.name === name);
+    if (item) return item;
+  }
+  return null;
+}
+
+function isSolid(block) {
+  return Boolean(block) && block.boundingBox === 'block';
+}
+
+function waitFor(predicate, timeout) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const poll = () => {
+      if (predicate()) return resolve(true);
+      if (Date.now() - started >= timeout) return resolve(false);
+      setTimeout(poll, 50);
+    };
+    poll();
+  });
+}
+
+// Eat params.item, or the most saturating safe food in the inventory
+async function eat(bot, { item } = {}) {
+  const food = item
+    ? bot.inventory.items().find(i => i.name === item)
+    : foodsInInventory(bot)[0];
+
+  if (!food) {
+    throw new CommandError(item ? `No ${item} in inventory` : 'No food in inventory');
+  }
+  if (!bot.registry.foodsByName[food.name]) {
+    throw new CommandError(`${food.name} is not edible`);
+  }
+  if (bot.food >= 20) {
+    throw new CommandError('Not hungry', 409);
+  }
+
+  await bot.equip(food, 'hand');
+  await bot.consume();
+
+  return { item: food.name, food: bot.food, saturation: bot.registry.foodsByName[food.name].saturation };
+}
+
+// Jump and place a block underneath, height times. params.blockName picks the
+// block; otherwise the cheapest filler in the inventory is used.
+async function pillarUp(bot, { height = 1, blockName } = {}) {
+  height = Number(height);
+  if (!Number.isInteger(height) || height < 1 || height > 64) {
+    throw new CommandError('height must be an integer from 1 to 64');
+  }
+
+  const start = bot.entity.position.y;
+
+  for (let level = 0; level < height; level++) {
+    const block = pickFiller(bot.inventory.items(), blockName);
+    if (!block) {
+      throw new CommandError(blockName ? `No ${blockName} in inventory` : 'No blocks to pillar with', 400, { placed: level });
+    }
+
+    const { x, y, z } = bot.entity.position;
+    const feet = { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) };
+    const below = bot.blockAt(new Vec3(feet.x, feet.y - 1, feet.z));
+    if (!isSolid(below)) {
+      throw new CommandError('Cannot pillar: not standing on a solid block', 422, { placed: level });
+    }
+    if (isSolid(bot.blockAt(new Vec3(feet.x, feet.y + 2, feet.z)))) {
+      throw new CommandError('Cannot pillar: no headroom', 422, { placed: level });
+    }
+
+    await bot.equip(block, 'hand');
+    await bot.look(bot.entity.yaw, -Math.PI / 2, true);
+
+    // Place once the jump has lifted the bot clear of its old feet block
+    bot.setControlState('jump', true);
+    const airborne = await waitFor(() => bot.entity.position.y >= feet.y + 1, JUMP_TIMEOUT);
+    try {
+      if (!airborne) {
+        throw new CommandError('Cannot pillar: jump did not clear the block', 422, { placed: level });
+      }
+      await bot.placeBlock(below, new Vec3(0, 1, 0));
+    } finally {
+      bot.setControlState('jump', false);
+    }
+    await waitFor(() => bot.entity.onGround, JUMP_TIMEOUT);
+  }
+
+  return { height, climbed: Math.floor(bot.entity.position.y) - Math.floor(start) };
+}
+
+module.exports = {
+  HARMFUL_FOODS,
+  FILLER_BLOCKS,
+  foodsInInventory,
+  pickFiller,
+  eat,
+  pillarUp
+};
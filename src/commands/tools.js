@@ -0,0 +1,78 @@
+// Tools: which inventory tool mines a block fastest, whether the block drops
+// anything with it, how long it takes, and which blocks drop an item. Used by
+// digging and area operations and the program SDK's gathering routine.
+
+// Mining speed multiplier by tool material (bare hands and wrong tools are 1)
+const TOOL_SPEEDS = { wooden: 2, stone: 4, iron: 6, diamond: 8, netherite: 9, golden: 12 };
+const TOOL = /^([a-z]+)_(pickaxe|axe|shovel|hoe)$/;
+
+// Speed of item (null = bare hands) against block, from the tool kinds the
+// block's material lists (e.g. 'mineable/pickaxe', 'leaves;mineable/hoe')
+function toolSpeed(block, item) {
+  if (!item) return 1;
+  const material = block.material || '';
+  if (item.name === 'shears' && /leaves|wool|coweb/.test(material)) return material.includes('coweb') ? 15 : 5;
+  if (item.name.endsWith('_sword') && material.includes('coweb')) return 15;
+
+  const match = item.name.match(TOOL);
+  if (!match || !material.split(';').includes(`mineable/${match[2]}`)) return 1;
+  return TOOL_SPEEDS[match[1]] || 1;
+}
+
+// Blocks with harvestTools drop nothing unless mined with one of them
+function canHarvest(block, item) {
+  return !block.harvestTools || Boolean(item && block.harvestTools[item.type]);
+}
+
+// The inventory item that mines block fastest among those that harvest it:
+// { item (null = bare hands), harvestable, speed }. Tools that do not speed
+// the block up are left in the inventory.
+function bestTool(bot, block) {
+  let best = { item: null, harvestable: canHarvest(block, null), speed: 1 };
+  for (const item of bot.inventory.items()) {
+    const harvestable = canHarvest(block, item);
+    const speed = toolSpeed(block, item);
+    const better = harvestable === best.harvestable ? speed > best.speed : harvestable;
+    if (better) best = { item, harvestable, speed };
+  }
+  return best;
+}
+
+// Estimated ms to dig block holding item (null = bare hands), by the game's
+// formula without enchantments, effects or digging underwater or in the air;
+// null when the registry lists no hardness
+function digTime(registry, block, item) {
+  const data = registry.blocksByName[block.name];
+  if (!data || typeof data.hardness !== 'number' || data.hardness < 0) return null;
+  if (data.hardness === 0) return 0;
+  const damage = toolSpeed(block, item) / data.hardness / (canHarvest(block, item) ? 30 : 100);
+  // Blocks broken in one tick are instant
+  return damage > 1 ? 0 : Math.ceil(1 / damage) * 50;
+}
+
+// Item ids a block drops; minecraft-data lists them as ids, or as
+// { drop: id | { id } } in older versions
+function dropsOf(block) {
+  return (block.drops || []).map(drop => {
+    if (typeof drop === 'number') return drop;
+    return typeof drop.drop === 'number' ? drop.drop : drop.drop.id;
+  });
+}
+
+// Names of the blocks that drop the item
+function sourceBlocks(registry, itemName) {
+  const item = registry.itemsByName[itemName];
+  if (!item) return [];
+  return registry.blocksArray
+    .filter(block => dropsOf(block).includes(item.id))
+    .map(block => block.name);
+}
+
+module.exports = {
+  toolSpeed,
+  canHarvest,
+  bestTool,
+  digTime,
+  dropsOf,
+  sourceBlocks
+};
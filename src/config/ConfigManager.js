@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_JUNK } = require('./defaults');
 
 class ConfigManager {
   constructor() {
@@ -38,6 +39,34 @@ class ConfigManager {
       performance: {
         maxEventsHistory: { type: 'number', default: 10000, min: 100, description: 'Maximum events to keep in history' },
         screenshotQuality: { type: 'number', default: 85, min: 1, max: 100, description: 'Screenshot JPEG quality' }
+      },
+      programs: {
+        maxRunHistory: { type: 'number', default: 500, min: 1, description: 'Maximum program run records to keep' },
+        runRetentionDays: { type: 'number', default: 30, min: 0, description: 'Delete run records older than this many days (0 = keep forever)' }
+      },
+      events: {
+        store: { type: 'string', default: 'file', enum: ['memory', 'file'], description: 'Event store backend' },
+        filePath: { type: 'string', default: './.mineflare/events.jsonl', description: 'Event log file (file store only)' },
+        maxAgeHours: { type: 'number', default: 168, min: 0, description: 'Drop events older than this many hours (0 = keep forever)' }
+      },
+      guardian: {
+        enabled: { type: 'boolean', default: true, description: 'Watch the bot and pause programs to recover from danger' },
+        whenIdle: { type: 'boolean', default: false, description: 'Also recover while no program or guarded command is running' },
+        checkIntervalMs: { type: 'number', default: 500, min: 50, description: 'How often the guardian checks the bot in ms' },
+        minHealth: { type: 'number', default: 8, min: 0, max: 20, description: 'Recover when health drops below this (0 = off)' },
+        minFood: { type: 'number', default: 12, min: 0, max: 20, description: 'Eat when food drops below this (0 = off)' },
+        hostileRadius: { type: 'number', default: 6, min: 0, max: 32, description: 'Retreat from hostile mobs this close (0 = off)' },
+        retreatDistance: { type: 'number', default: 12, min: 1, max: 64, description: 'How far to retreat from hostile mobs' },
+        lava: { type: 'boolean', default: true, description: 'Move away when lava is next to the bot' },
+        drowning: { type: 'boolean', default: true, description: 'Surface when underwater and low on air' },
+        minOxygen: { type: 'number', default: 8, min: 0, max: 20, description: 'Air level that counts as drowning' },
+        restTimeoutMs: { type: 'number', default: 30000, min: 0, description: 'How long to wait for health to regenerate in ms' },
+        onRecovered: { type: 'string', default: 'resume', enum: ['resume', 'abort'], description: 'What to do with paused programs after a recovery' },
+        onFailed: { type: 'string', default: 'abort', enum: ['abort', 'resume'], description: 'What to do with paused programs when a recovery fails' }
+      },
+      inventory: {
+        maxUsedSlots: { type: 'number', default: 0, min: 0, max: 36, description: 'Toss junk when pickups use more inventory slots than this (0 = off)' },
+        junk: { type: 'string', default: DEFAULT_JUNK.join(','), description: 'Comma-separated items the junk policy tosses, first listed first' }
       }
     };
     
@@ -125,6 +154,9 @@ class ConfigManager {
     // Deep clone to avoid mutations
     config = JSON.parse(JSON.stringify(config));
     
+    // Profiles saved before a field was added to the schema fall back to its default
+    config = this.applySchemaDefaults(config);
+    
     // Apply environment variable overrides
     config = this.applyEnvironmentOverrides(config);
     
@@ -143,6 +175,22 @@ class ConfigManager {
     return value;
   }
   
+  applySchemaDefaults(config) {
+    const defaults = this.getDefaults();
+    for (const [section, fields] of Object.entries(defaults)) {
+      if (!config[section] || typeof config[section] !== 'object') {
+        config[section] = fields;
+        continue;
+      }
+      for (const [field, value] of Object.entries(fields)) {
+        if (config[section][field] === undefined) {
+          config[section][field] = value;
+        }
+      }
+    }
+    return config;
+  }
+  
   applyEnvironmentOverrides(config) {
     // Map of environment variables to config paths
     const envMappings = {
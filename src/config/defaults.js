@@ -0,0 +1,10 @@
+// Defaults shared by the config schema and the modules that fall back to them
+// when no config is given. Kept free of requires so ConfigManager stays light.
+
+// Junk tossed by the inventory policy, first listed first
+const DEFAULT_JUNK = [
+  'dirt', 'cobblestone', 'cobbled_deepslate', 'gravel', 'sand', 'andesite', 'diorite',
+  'granite', 'tuff', 'netherrack', 'rotten_flesh', 'poisonous_potato'
+];
+
+module.exports = { DEFAULT_JUNK };
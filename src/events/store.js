@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+
+// Event stores back logEvent/GET /events. Both keep the working set in memory;
+// FileEventStore also appends every event to a JSONL file so history survives restarts.
+
+// How long FileEventStore buffers appended events before writing them in one go
+const FLUSH_DELAY = 200;
+
+class MemoryEventStore {
+  constructor(options = {}) {
+    this.maxEvents = options.maxEvents || 10000;
+    // 0 disables age-based retention
+    this.maxAgeMs = options.maxAgeMs || 0;
+    this.events = [];
+    this.lastId = 0;
+  }
+
+  append(event) {
+    if (event.id === undefined) {
+      event.id = ++this.lastId;
+    } else {
+      this.lastId = Math.max(this.lastId, event.id);
+    }
+
+    this.events.push(event);
+    this.prune();
+    return event;
+  }
+
+  // Replace the whole history (used when callers assign server.events directly)
+  replace(events) {
+    this.events = Array.isArray(events) ? events : [];
+    this.lastId = this.events.reduce((max, e) => Math.max(max, e.id || 0), 0);
+  }
+
+  // Runs on every append, so it only scans or shifts the array when something
+  // is actually dropped
+  prune(now = Date.now()) {
+    const before = this.events.length;
+
+    if (this.maxAgeMs > 0 && this.events.length > 0 && this.events[0].timestamp < now - this.maxAgeMs) {
+      const cutoff = now - this.maxAgeMs;
+      const firstKept = this.events.findIndex(e => e.timestamp >= cutoff);
+      this.events.splice(0, firstKept === -1 ? this.events.length : firstKept);
+    }
+
+    const overflow = this.events.length - this.maxEvents;
+    if (overflow > 0) {
+      this.events.splice(0, overflow);
+    }
+
+    return before - this.events.length;
+  }
+
+  // Filter events by time range, type and free text. Returns the newest `limit` matches
+  query(filters = {}) {
+    const since = filters.since || 0;
+    const until = filters.until || Infinity;
+    const types = filters.types && filters.types.length > 0 ? new Set(filters.types) : null;
+    const text = filters.text ? String(filters.text).toLowerCase() : null;
+
+    let results = this.events.filter(event => {
+      if (!(event.timestamp > since) || event.timestamp > until) return false;
+      if (filters.afterId !== undefined && !(event.id > filters.afterId)) return false;
+      if (types && !types.has(event.type)) return false;
+      if (filters.bot && event.bot !== filters.bot) return false;
+      if (text && !JSON.stringify(event).toLowerCase().includes(text)) return false;
+      return true;
+    });
+
+    if (filters.limit && results.length > filters.limit) {
+      results = results.slice(-filters.limit);
+    }
+
+    return results;
+  }
+
+  close() {}
+}
+
+class FileEventStore extends MemoryEventStore {
+  constructor(options = {}) {
+    super(options);
+    this.filePath = path.resolve(options.filePath || path.join('.mineflare', 'events.jsonl'));
+    this.fileLines = 0;
+    // Lines appended since the last flush, written together after FLUSH_DELAY
+    // so the bot's event loop does not block on a write per event
+    this.pending = [];
+    this.flushTimer = null;
+    this.onExit = () => this.flush();
+    process.on('exit', this.onExit);
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      this.fileLines++;
+      try {
+        const event = JSON.parse(line);
+        this.events.push(event);
+        this.lastId = Math.max(this.lastId, event.id || 0);
+      } catch (error) {
+        // A crash mid-write can leave a partial last line - skip it
+        console.warn(`[EVENTS] Skipping malformed line in ${this.filePath}`);
+      }
+    }
+
+    if (super.prune() > 0) {
+      this.compact();
+    }
+  }
+
+  append(event) {
+    super.append(event);
+
+    this.pending.push(JSON.stringify(event) + '\n');
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY);
+      if (this.flushTimer.unref) this.flushTimer.unref();
+    }
+
+    return event;
+  }
+
+  // Write buffered events to the file (also on process exit and close)
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.pending.length === 0) return;
+
+    const lines = this.pending;
+    this.pending = [];
+    try {
+      fs.appendFileSync(this.filePath, lines.join(''));
+      this.fileLines += lines.length;
+    } catch (error) {
+      console.error('[EVENTS] Failed to persist events:', error.message);
+    }
+
+    // Rewrite the file once it holds twice as many lines as we retain
+    if (this.fileLines > Math.max(this.events.length * 2, 1000)) {
+      this.compact();
+    }
+  }
+
+  close() {
+    this.flush();
+    process.removeListener('exit', this.onExit);
+  }
+
+  replace(events) {
+    super.replace(events);
+    this.compact();
+  }
+
+  compact() {
+    // The rewrite includes anything still buffered
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.pending = [];
+    const tmpPath = `${this.filePath}.tmp`;
+    const data = this.events.map(e => JSON.stringify(e) + '\n').join('');
+
+    try {
+      fs.writeFileSync(tmpPath, data);
+      fs.renameSync(tmpPath, this.filePath);
+      this.fileLines = this.events.length;
+    } catch (error) {
+      console.error('[EVENTS] Failed to compact event log:', error.message);
+    }
+  }
+}
+
+// Retention settings shared by both store types
+function retentionOptions(config = {}) {
+  return {
+    maxEvents: config.performance?.maxEventsHistory,
+    maxAgeMs: (config.events?.maxAgeHours || 0) * 60 * 60 * 1000
+  };
+}
+
+function createEventStore(config = {}) {
+  const options = retentionOptions(config);
+
+  if (config.events?.store === 'file') {
+    return new FileEventStore({ ...options, filePath: config.events.filePath });
+  }
+
+  return new MemoryEventStore(options);
+}
+
+module.exports = {
+  MemoryEventStore,
+  FileEventStore,
+  createEventStore,
+  retentionOptions
+};
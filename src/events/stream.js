@@ -0,0 +1,118 @@
+// Server-Sent Events broadcaster for logEvent entries
+// Used by GET /events/stream so agents get events pushed instead of polling GET /events
+
+class EventStream {
+  constructor(options = {}) {
+    this.clients = new Set();
+    this.heartbeatInterval = options.heartbeatInterval || 15000;
+  }
+
+  // Parse the stream filters from an incoming request. options.bot keeps only
+  // that bot's events (run log records carry no bot, so it is opt-in)
+  static parseFilters(req, options = {}) {
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean)
+      : null;
+
+    // Standard EventSource reconnects send Last-Event-ID; allow a query param for curl users
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+    const since = parseInt(req.query.since);
+
+    return {
+      types: types && types.length > 0 ? new Set(types) : null,
+      bot: options.bot || null,
+      lastEventId: isNaN(lastEventId) ? null : lastEventId,
+      since: isNaN(since) ? null : since
+    };
+  }
+
+  static matches(event, filters) {
+    if (filters.types && !filters.types.has(event.type)) {
+      return false;
+    }
+    if (filters.bot && event.bot !== filters.bot) {
+      return false;
+    }
+    return true;
+  }
+
+  // Attach a response as a stream client, replaying any backlog it asked for.
+  // options.replayAll sends the whole backlog even without a resume point (run logs)
+  handle(req, res, backlog = [], options = {}) {
+    const filters = EventStream.parseFilters(req, options);
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Tell EventSource clients how long to wait before reconnecting
+    res.write('retry: 3000\n\n');
+
+    // Replay missed events when resuming from an id or timestamp
+    if (options.replayAll || filters.lastEventId !== null || filters.since !== null) {
+      for (const event of backlog) {
+        if (filters.lastEventId !== null && !(event.id > filters.lastEventId)) continue;
+        if (filters.since !== null && !(event.timestamp > filters.since)) continue;
+        if (EventStream.matches(event, filters)) {
+          this.write(res, event);
+        }
+      }
+    }
+
+    const client = { res, filters };
+    client.heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, this.heartbeatInterval);
+
+    this.clients.add(client);
+
+    req.on('close', () => {
+      clearInterval(client.heartbeat);
+      this.clients.delete(client);
+    });
+
+    return client;
+  }
+
+  write(res, event) {
+    let frame = '';
+    if (event.id !== undefined) {
+      frame += `id: ${event.id}\n`;
+    }
+    frame += `data: ${JSON.stringify(event)}\n\n`;
+    res.write(frame);
+  }
+
+  publish(event) {
+    for (const client of this.clients) {
+      if (!EventStream.matches(event, client.filters)) continue;
+
+      try {
+        this.write(client.res, event);
+      } catch (error) {
+        // Client went away between checks - drop it
+        clearInterval(client.heartbeat);
+        this.clients.delete(client);
+      }
+    }
+  }
+
+  close() {
+    for (const client of this.clients) {
+      clearInterval(client.heartbeat);
+      try {
+        client.res.end();
+      } catch (error) {
+        // Ignore errors from already-closed responses
+      }
+    }
+    this.clients.clear();
+  }
+}
+
+module.exports = EventStream;
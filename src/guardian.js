@@ -0,0 +1,434 @@
+// Vitals guardian: watches the bot (health, food, lava, drowning, hostile mobs)
+// and recovers from danger - eating, retreating, pillaring up - while the
+// active program runs are paused. Runs next to the bot in both hosts
+// (bot-server.js and bot-process.js); the policy is the `guardian` config section.
+// Programs are paused at their next instruction (hosts route program
+// instructions and POST /combat/engage through guard()); an instruction the
+// recovery interrupted is retried once afterwards. Mobs and low health are left
+// to a fight in progress (see commands/combat.js), which stops at the same
+// minHealth. An idle bot, or one running plain HTTP commands that would fight
+// it for the pathfinder, is left alone unless policy.whenIdle is set.
+const Vec3 = require('vec3');
+const { isHostile } = require('./commands/queries');
+const { gotoPosition } = require('./commands/navigation');
+const { foodsInInventory, pickFiller, eat, pillarUp } = require('./commands/survival');
+const { configureCombat, isEngaged } = require('./commands/combat');
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  whenIdle: false,
+  checkIntervalMs: 500,
+  minHealth: 8,
+  minFood: 12,
+  hostileRadius: 6,
+  retreatDistance: 12,
+  lava: true,
+  drowning: true,
+  minOxygen: 8,
+  restTimeoutMs: 30000,
+  onRecovered: 'resume',
+  onFailed: 'abort'
+};
+
+// A danger is not acted on again this soon after a recovery for it
+const RETRY_DELAY = 10000;
+// Food level at which health regenerates
+const REGEN_FOOD = 18;
+const ESCAPE_RADIUS = 6;
+const PILLAR_HEIGHT = 3;
+const MOVE_TIMEOUT = 15000;
+const SWIM_TIMEOUT = 5000;
+
+function blockPosition(position) {
+  return new Vec3(Math.floor(position.x), Math.floor(position.y), Math.floor(position.z));
+}
+
+function isLava(block) {
+  return Boolean(block) && block.name.includes('lava');
+}
+
+function isWater(block) {
+  return Boolean(block) && (block.name === 'water' || block.name === 'bubble_column');
+}
+
+function isSolid(block) {
+  return Boolean(block) && block.boundingBox === 'block';
+}
+
+function isOpen(block) {
+  return Boolean(block) && block.boundingBox === 'empty' && !isLava(block) && !isWater(block) && block.name !== 'fire';
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class VitalsGuardian {
+  constructor(bot, policy = {}, options = {}) {
+    this.bot = bot;
+    this.policy = { ...DEFAULT_POLICY, ...policy };
+    this.logEvent = options.logEvent || (() => {});
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : RETRY_DELAY;
+
+    this.runs = new Set();
+    this.recovery = null;
+    this.inFlight = 0;
+    this.interruptions = 0;
+    this.lastCheck = 0;
+    this.backoff = new Map();
+
+    this.onTick = () => {
+      if (Date.now() - this.lastCheck < this.policy.checkIntervalMs) return;
+      this.lastCheck = Date.now();
+      this.check();
+    };
+  }
+
+  start() {
+    if (!this.policy.enabled || typeof this.bot.on !== 'function') return;
+    configureCombat(this.bot, { minHealth: this.policy.minHealth });
+    this.bot.on('physicsTick', this.onTick);
+  }
+
+  stop() {
+    if (typeof this.bot.removeListener === 'function') {
+      this.bot.removeListener('physicsTick', this.onTick);
+    }
+  }
+
+  // Program runs to pause while recovering (ProgramRunner attaches itself)
+  attach(runner) {
+    this.runs.add(runner);
+  }
+
+  detach(runner) {
+    this.runs.delete(runner);
+  }
+
+  isRecovering() {
+    return this.recovery !== null;
+  }
+
+  // Run a program instruction, waiting out any recovery first
+  async guard(execute, ctx = {}) {
+    await this.whileRecovering(ctx);
+
+    const interruptions = this.interruptions;
+    this.inFlight++;
+    try {
+      return await execute();
+    } catch (error) {
+      if (this.interruptions === interruptions) throw error;
+    } finally {
+      this.inFlight--;
+    }
+
+    // The recovery interrupted this instruction: retry it once the bot is safe
+    await this.whileRecovering(ctx);
+    return execute();
+  }
+
+  async whileRecovering(ctx) {
+    while (this.recovery) {
+      await this.recovery;
+    }
+    if (ctx.signal && ctx.signal.aborted) {
+      throw new Error('Program was stopped');
+    }
+  }
+
+  // The most pressing danger the bot is in, or null
+  assess() {
+    const { bot, policy } = this;
+    if (!bot.entity || bot.health <= 0) return null;
+
+    const feet = blockPosition(bot.entity.position);
+
+    if (policy.lava && (bot.entity.isInLava || this.lavaNear(feet))) {
+      return { danger: 'lava', message: 'Lava next to the bot' };
+    }
+    if (policy.drowning && isWater(bot.blockAt(feet.offset(0, 1, 0))) && bot.oxygenLevel < policy.minOxygen) {
+      return { danger: 'drowning', message: `Oxygen at ${bot.oxygenLevel}/20` };
+    }
+    // A fight handles its mobs and stops itself at minHealth
+    const fighting = isEngaged(bot);
+    if (bot.health < policy.minHealth && !fighting) {
+      return { danger: 'low_health', message: `Health at ${bot.health}/20` };
+    }
+    const hostile = fighting ? null : this.nearestHostile(policy.hostileRadius);
+    if (hostile) {
+      return { danger: 'hostile', message: `${hostile.name} within ${Math.round(hostile.position.distanceTo(bot.entity.position))} blocks` };
+    }
+    if (bot.food < policy.minFood) {
+      return { danger: 'low_food', message: `Food at ${bot.food}/20` };
+    }
+    return null;
+  }
+
+  // Program runs attached or a guarded command in flight
+  isBusy() {
+    return this.runs.size > 0 || this.inFlight > 0;
+  }
+
+  // Look for danger and start a recovery. Returns the recovery promise, or null
+  check() {
+    if (!this.policy.enabled || this.recovery) return null;
+    if (!this.policy.whenIdle && !this.isBusy()) return null;
+
+    let found;
+    try {
+      found = this.assess();
+    } catch (error) {
+      console.error('[GUARDIAN] Check failed:', error.message);
+      return null;
+    }
+    if (!found || (this.backoff.get(found.danger) || 0) > Date.now()) return null;
+
+    this.recovery = this.recover(found).finally(() => {
+      this.recovery = null;
+    });
+    return this.recovery;
+  }
+
+  async recover({ danger, message }) {
+    const { bot } = this;
+    const started = Date.now();
+    const runs = [...this.runs];
+    const runIds = runs.map(run => run.runId);
+
+    this.logEvent('guardian_triggered', {
+      danger,
+      message,
+      health: bot.health,
+      food: bot.food,
+      position: blockPosition(bot.entity.position)
+    });
+    if (runs.length > 0) {
+      this.logEvent('guardian_paused', { danger, runs: runIds });
+    }
+    this.interrupt();
+
+    let failure = null;
+    let actions = [];
+    try {
+      actions = await this.routine(danger);
+      this.logEvent('guardian_recovered', { danger, actions, duration: Date.now() - started });
+    } catch (error) {
+      failure = error;
+      console.error(`[GUARDIAN] Recovery from ${danger} failed:`, error.message);
+      this.logEvent('guardian_failed', { danger, error: error.message, duration: Date.now() - started });
+    } finally {
+      bot.clearControlStates();
+      this.backoff.set(danger, Date.now() + this.retryDelay);
+    }
+
+    if (runs.length === 0) return;
+
+    const policy = failure ? this.policy.onFailed : this.policy.onRecovered;
+    if (policy === 'abort') {
+      const reason = failure
+        ? `Stopped by guardian: ${message}; recovery failed: ${failure.message}`
+        : `Stopped by guardian: ${message}`;
+      for (const run of runs) {
+        try {
+          run.cancel(reason);
+        } catch (error) {
+          // Already finished
+        }
+      }
+      this.logEvent('guardian_aborted', { danger, runs: runIds, reason });
+    } else {
+      this.logEvent('guardian_resumed', { danger, runs: runIds });
+    }
+  }
+
+  // Stop whatever an in-flight program instruction is doing
+  interrupt() {
+    if (this.inFlight === 0) return;
+
+    this.interruptions++;
+    const { bot } = this;
+    if (bot.pathfinder) bot.pathfinder.stop();
+    if (bot.targetDigBlock && typeof bot.stopDigging === 'function') bot.stopDigging();
+    bot.clearControlStates();
+  }
+
+  // Recovery actions for a danger, as a list of what was done. Throws when the
+  // bot could not be made safe.
+  async routine(danger) {
+    switch (danger) {
+      case 'lava':
+        return [await this.moveToSafety(feet => !this.lavaNear(feet), 'No safe ground away from lava')];
+      case 'drowning':
+        return [await this.surface()];
+      case 'hostile':
+        return [await this.retreat(this.nearestHostile(this.policy.hostileRadius))];
+      case 'low_food': {
+        const actions = await this.eatUntil(this.policy.minFood);
+        if (this.bot.food < this.policy.minFood) {
+          throw new Error(actions.length > 0 ? 'Ran out of food' : 'No food in inventory');
+        }
+        return actions;
+      }
+      case 'low_health':
+        return this.heal();
+      default:
+        throw new Error(`Unknown danger: ${danger}`);
+    }
+  }
+
+  // Eat the best food available until food reaches level or runs out
+  async eatUntil(level) {
+    const actions = [];
+    while (this.bot.food < level && foodsInInventory(this.bot).length > 0) {
+      const result = await eat(this.bot);
+      actions.push(`ate ${result.item}`);
+    }
+    return actions;
+  }
+
+  // Eat, get away from mobs, then wait for health to regenerate
+  async heal() {
+    const { bot, policy } = this;
+    const actions = [];
+
+    actions.push(...await this.eatUntil(Math.max(REGEN_FOOD, policy.minFood)));
+
+    const hostile = this.nearestHostile(Math.max(policy.hostileRadius, 8));
+    if (hostile) {
+      actions.push(await this.retreat(hostile));
+    }
+
+    if (bot.health >= policy.minHealth) return actions;
+    if (bot.food < REGEN_FOOD) {
+      throw new Error(`Cannot regenerate health with food at ${bot.food}`);
+    }
+
+    const deadline = Date.now() + policy.restTimeoutMs;
+    while (bot.health < policy.minHealth && Date.now() < deadline) {
+      await delay(Math.min(250, policy.restTimeoutMs));
+    }
+    if (bot.health < policy.minHealth) {
+      throw new Error(`Health still at ${bot.health} after resting`);
+    }
+    actions.push('rested');
+    return actions;
+  }
+
+  // Walk away from a mob, or pillar up out of reach when that fails
+  async retreat(mob) {
+    const { bot, policy } = this;
+    if (!mob) return 'no mob left';
+
+    const from = bot.entity.position;
+    let dx = from.x - mob.position.x;
+    let dz = from.z - mob.position.z;
+    const length = Math.sqrt(dx * dx + dz * dz) || 1;
+    dx /= length;
+    dz /= length;
+    const target = {
+      x: Math.floor(from.x + dx * policy.retreatDistance),
+      y: Math.floor(from.y),
+      z: Math.floor(from.z + dz * policy.retreatDistance)
+    };
+
+    try {
+      await gotoPosition(bot, { ...target, range: 3, timeout: MOVE_TIMEOUT, movements: { canDig: false } });
+      return `retreated from ${mob.name}`;
+    } catch (error) {
+      if (!pickFiller(bot.inventory.items())) {
+        throw new Error(`Could not retreat from ${mob.name} (${error.message}) and no blocks to pillar with`);
+      }
+    }
+
+    await pillarUp(bot, { height: PILLAR_HEIGHT });
+    return `pillared up away from ${mob.name}`;
+  }
+
+  // Swim straight up, or walk to the nearest spot with air to breathe
+  async surface() {
+    const { bot } = this;
+    const breathing = () => !isWater(bot.blockAt(blockPosition(bot.entity.position).offset(0, 1, 0)));
+
+    const spot = this.findSpot(feet => isOpen(bot.blockAt(feet.offset(0, 1, 0))));
+    if (spot) {
+      await gotoPosition(bot, { x: spot.x, y: spot.y, z: spot.z, range: 0, timeout: MOVE_TIMEOUT });
+      return 'moved to air';
+    }
+
+    bot.setControlState('jump', true);
+    const deadline = Date.now() + SWIM_TIMEOUT;
+    while (!breathing() && Date.now() < deadline) {
+      await delay(100);
+    }
+    bot.setControlState('jump', false);
+
+    if (!breathing()) {
+      throw new Error('Could not reach air');
+    }
+    return 'swam up';
+  }
+
+  async moveToSafety(isSafe, failure) {
+    const spot = this.findSpot(isSafe);
+    if (!spot) throw new Error(failure);
+
+    await gotoPosition(this.bot, { x: spot.x, y: spot.y, z: spot.z, range: 0, timeout: MOVE_TIMEOUT, movements: { canDig: false } });
+    return `moved to ${spot.x}, ${spot.y}, ${spot.z}`;
+  }
+
+  // Nearest cell the bot can stand in (solid below, open feet and head) that
+  // passes isSafe, within ESCAPE_RADIUS blocks
+  findSpot(isSafe) {
+    const { bot } = this;
+    const origin = blockPosition(bot.entity.position);
+    const spots = [];
+
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -ESCAPE_RADIUS; dx <= ESCAPE_RADIUS; dx++) {
+        for (let dz = -ESCAPE_RADIUS; dz <= ESCAPE_RADIUS; dz++) {
+          const feet = origin.offset(dx, dy, dz);
+          if (feet.equals(origin)) continue;
+          if (!isSolid(bot.blockAt(feet.offset(0, -1, 0)))) continue;
+          if (!isOpen(bot.blockAt(feet)) || !isOpen(bot.blockAt(feet.offset(0, 1, 0)))) continue;
+          if (!isSafe(feet)) continue;
+          spots.push({ feet, distance: feet.distanceTo(origin) });
+        }
+      }
+    }
+
+    spots.sort((a, b) => a.distance - b.distance || a.feet.x - b.feet.x || a.feet.z - b.feet.z || a.feet.y - b.feet.y);
+    return spots.length > 0 ? spots[0].feet : null;
+  }
+
+  // Lava in or next to the feet and head cells, or underneath
+  lavaNear(feet) {
+    const cells = [feet.offset(0, -1, 0)];
+    for (const dy of [0, 1]) {
+      const cell = feet.offset(0, dy, 0);
+      cells.push(cell, cell.offset(1, 0, 0), cell.offset(-1, 0, 0), cell.offset(0, 0, 1), cell.offset(0, 0, -1));
+    }
+    return cells.some(cell => isLava(this.bot.blockAt(cell)));
+  }
+
+  nearestHostile(radius) {
+    if (!radius) return null;
+
+    const { bot } = this;
+    const position = bot.entity.position;
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const entity of Object.values(bot.entities)) {
+      if (entity === bot.entity || !entity.position || !isHostile(entity)) continue;
+      const distance = entity.position.distanceTo(position);
+      if (distance <= radius && distance < nearestDistance) {
+        nearest = entity;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+}
+
+module.exports = { VitalsGuardian, DEFAULT_POLICY };
@@ -0,0 +1,114 @@
+const { MessageType, IpcErrorCode, IpcError, deserializeError } = require('./protocol');
+
+const DEFAULT_TIMEOUT = 5000;
+
+// Parent side of the bot process channel. Each request gets its own id, so
+// concurrent requests can't pick up each other's responses, and its own timeout,
+// so a lost response fails the request instead of hanging it.
+// channel is anything with send(msg), normally the ChildProcess; incoming
+// messages are fed in through handleMessage().
+class IpcClient {
+  constructor(channel, options = {}) {
+    this.channel = channel;
+    this.defaultTimeout = options.timeout || DEFAULT_TIMEOUT;
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  // options: timeout (ms), signal (AbortSignal that cancels the request),
+  // onProgress (called with each progress message the handler sends)
+  request(method, params = {}, options = {}) {
+    const id = this.nextId++;
+    const timeout = options.timeout || this.defaultTimeout;
+    const { signal } = options;
+
+    return new Promise((resolve, reject) => {
+      const entry = { method, resolve, reject, onProgress: options.onProgress || null };
+      this.pending.set(id, entry);
+
+      entry.timer = setTimeout(() => {
+        this.abort(id, new IpcError(IpcErrorCode.TIMEOUT, `${method} request timed out after ${timeout}ms`));
+      }, timeout);
+
+      if (signal) {
+        if (signal.aborted) {
+          this.settle(id, new IpcError(IpcErrorCode.CANCELLED, `${method} request cancelled`));
+          return;
+        }
+        const onAbort = () => this.cancel(id);
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.cleanup = () => signal.removeEventListener('abort', onAbort);
+      }
+
+      try {
+        this.channel.send({ type: MessageType.REQUEST, id, method, params });
+      } catch (error) {
+        this.settle(id, new IpcError(IpcErrorCode.DISCONNECTED, `Could not send ${method} request: ${error.message}`));
+      }
+    });
+  }
+
+  // Stop waiting for a request and tell the bot process to abort it
+  cancel(id) {
+    const entry = this.pending.get(id);
+    if (!entry) return false;
+
+    this.abort(id, new IpcError(IpcErrorCode.CANCELLED, `${entry.method} request cancelled`));
+    return true;
+  }
+
+  // Returns true when msg belonged to a request (response or progress)
+  handleMessage(msg) {
+    if (!msg || (msg.type !== MessageType.RESPONSE && msg.type !== MessageType.PROGRESS)) {
+      return false;
+    }
+
+    const entry = this.pending.get(msg.id);
+    if (!entry) {
+      // Late answer to a request that already timed out or was cancelled
+      return true;
+    }
+
+    if (msg.type === MessageType.PROGRESS) {
+      if (entry.onProgress) entry.onProgress(msg.data);
+    } else if (msg.error) {
+      this.settle(msg.id, deserializeError(msg.error));
+    } else {
+      this.settle(msg.id, null, msg.result);
+    }
+    return true;
+  }
+
+  // Fail everything in flight, e.g. when the bot process exits
+  rejectAll(error) {
+    for (const id of [...this.pending.keys()]) {
+      this.settle(id, error);
+    }
+  }
+
+  abort(id, error) {
+    try {
+      this.channel.send({ type: MessageType.CANCEL, id });
+    } catch (sendError) {
+      // The process is gone; nothing left to cancel
+    }
+    this.settle(id, error);
+  }
+
+  settle(id, error, result) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+
+    this.pending.delete(id);
+    clearTimeout(entry.timer);
+    if (entry.cleanup) entry.cleanup();
+
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve(result);
+    }
+  }
+}
+
+module.exports = IpcClient;
@@ -0,0 +1,13 @@
+const IpcClient = require('./client');
+const IpcServer = require('./server');
+const { MessageType, IpcErrorCode, IpcError, serializeError, deserializeError } = require('./protocol');
+
+module.exports = {
+  IpcClient,
+  IpcServer,
+  MessageType,
+  IpcErrorCode,
+  IpcError,
+  serializeError,
+  deserializeError
+};
@@ -0,0 +1,68 @@
+// Request/response protocol between IsolatedBot (parent) and bot-process.js (child).
+//
+//   parent -> child  { type: 'request', id, method, params }
+//                    { type: 'cancel', id }
+//   child -> parent  { type: 'response', id, result }
+//                    { type: 'response', id, error: { code, message, status, details } }
+//                    { type: 'progress', id, data }
+//
+// Every other message (ready, spawned, chat, event, ...) is a one-way notification
+// and is left to the caller.
+
+const MessageType = {
+  REQUEST: 'request',
+  RESPONSE: 'response',
+  PROGRESS: 'progress',
+  CANCEL: 'cancel'
+};
+
+const IpcErrorCode = {
+  TIMEOUT: 'E_IPC_TIMEOUT',
+  CANCELLED: 'E_IPC_CANCELLED',
+  DISCONNECTED: 'E_IPC_DISCONNECTED',
+  UNKNOWN_METHOD: 'E_IPC_UNKNOWN_METHOD'
+};
+
+// HTTP status sent by the routes for each transport failure
+const DEFAULT_STATUS = {
+  [IpcErrorCode.TIMEOUT]: 504,
+  [IpcErrorCode.CANCELLED]: 499,
+  [IpcErrorCode.DISCONNECTED]: 503,
+  [IpcErrorCode.UNKNOWN_METHOD]: 400
+};
+
+class IpcError extends Error {
+  constructor(code, message, { status, details = null } = {}) {
+    super(message);
+    this.name = 'IpcError';
+    this.code = code;
+    this.status = status || DEFAULT_STATUS[code] || 500;
+    this.details = details;
+  }
+}
+
+// Errors thrown by a handler keep their message, code and HTTP status across the
+// process boundary. Plain errors have no status and come back as a 500.
+function serializeError(error) {
+  return {
+    code: error.code || null,
+    message: error.message || String(error),
+    status: error.status || null,
+    details: error.details || null
+  };
+}
+
+function deserializeError(payload = {}) {
+  return new IpcError(payload.code || null, payload.message || 'Request failed', {
+    status: payload.status,
+    details: payload.details
+  });
+}
+
+module.exports = {
+  MessageType,
+  IpcErrorCode,
+  IpcError,
+  serializeError,
+  deserializeError
+};
@@ -0,0 +1,70 @@
+const { MessageType, IpcErrorCode, IpcError, serializeError } = require('./protocol');
+
+// Child side of the bot process channel. handlers maps a method name to
+// (params, ctx) => result, where ctx.signal aborts when the parent cancels the
+// request and ctx.progress(data) streams intermediate data back to it.
+class IpcServer {
+  constructor(channel, handlers = {}) {
+    this.channel = channel;
+    this.handlers = handlers;
+    this.active = new Map();
+  }
+
+  // Returns true when msg belonged to the request protocol
+  handleMessage(msg) {
+    if (!msg) return false;
+
+    if (msg.type === MessageType.REQUEST) {
+      this.handleRequest(msg);
+      return true;
+    }
+
+    if (msg.type === MessageType.CANCEL) {
+      const controller = this.active.get(msg.id);
+      if (controller) controller.abort();
+      return true;
+    }
+
+    return false;
+  }
+
+  async handleRequest({ id, method, params }) {
+    const handler = this.handlers[method];
+    if (!handler) {
+      this.send({
+        type: MessageType.RESPONSE,
+        id,
+        error: serializeError(new IpcError(IpcErrorCode.UNKNOWN_METHOD, `Unknown method: ${method}`))
+      });
+      return;
+    }
+
+    const controller = new AbortController();
+    this.active.set(id, controller);
+
+    const ctx = {
+      signal: controller.signal,
+      progress: (data) => this.send({ type: MessageType.PROGRESS, id, data })
+    };
+
+    try {
+      const result = await handler(params || {}, ctx);
+      this.send({ type: MessageType.RESPONSE, id, result });
+    } catch (error) {
+      console.error(`[IPC] ${method} request failed:`, error.message);
+      this.send({ type: MessageType.RESPONSE, id, error: serializeError(error) });
+    } finally {
+      this.active.delete(id);
+    }
+  }
+
+  send(msg) {
+    try {
+      this.channel.send(msg);
+    } catch (error) {
+      console.error('[IPC] Failed to send message:', error.message);
+    }
+  }
+}
+
+module.exports = IpcServer;
@@ -0,0 +1,270 @@
+const path = require('path');
+const { spawn } = require('child_process');
+const RemoteProgramRunner = require('./program-system/remote-runner');
+const { IpcClient, IpcError, IpcErrorCode } = require('./ipc');
+const { commandTimeout, CommandError } = require('./commands');
+
+// One named bot hosted by IsolatedBotServer: its config, child bot-process.js
+// and the state mirrored from it. Events are logged through the server, tagged
+// with the bot name.
+class IsolatedBot {
+  constructor(server, name, config) {
+    this.server = server;
+    this.name = name;
+    this.config = config;
+    this.botProcess = null;
+    this.ipc = null;
+    this.botState = {
+      connected: false,
+      spawned: false,
+      position: null,
+      health: 20,
+      isDead: false
+    };
+    this.isRestarting = false;
+    this.stopped = false;
+  }
+
+  isConnected() {
+    return this.botState.connected && this.isProcessRunning();
+  }
+
+  isProcessRunning() {
+    return !!this.botProcess && !this.botProcess.killed;
+  }
+
+  logEvent(type, data = {}) {
+    this.server.logEvent(type, data, this.name);
+  }
+
+  // Summary used by GET /bots and /status
+  describe() {
+    return {
+      name: this.name,
+      username: this.config.username,
+      host: this.config.host,
+      port: this.config.port,
+      profile: this.config.profile || null,
+      connected: this.botState.connected,
+      spawned: this.botState.spawned,
+      position: this.botState.position,
+      health: this.botState.health,
+      isDead: this.botState.isDead,
+      processRunning: this.isProcessRunning()
+    };
+  }
+
+  getProgramRegistry() {
+    return this.server.getProgramRegistry();
+  }
+
+  // Programs need the live bot, so they execute inside the bot process
+  createProgramRunner(options) {
+    return new RemoteProgramRunner(this, options);
+  }
+
+  // Send a request to the bot process (see ipc/protocol.js). Fails with
+  // E_IPC_DISCONNECTED when there is no process to answer it
+  request(method, params = {}, options = {}) {
+    if (!this.ipc || !this.isProcessRunning()) {
+      return Promise.reject(new IpcError(IpcErrorCode.DISCONNECTED, 'Bot process not running'));
+    }
+    return this.ipc.request(method, params, options);
+  }
+
+  // Command target for the shared routes (commands/routes.js): the command runs in
+  // the bot process. options.signal cancels it there too
+  runCommand(name, params = {}, options = {}) {
+    if (!this.botState.connected) {
+      return Promise.reject(new CommandError('Bot not connected'));
+    }
+
+    return this.request(`command.${name}`, params, {
+      timeout: commandTimeout(name, params),
+      signal: options.signal
+    });
+  }
+
+  reconnect() {
+    if (this.isRestarting) {
+      throw new CommandError('Reconnection already in progress');
+    }
+    this.logEvent('reconnect', {});
+    this.scheduleRestart();
+  }
+
+  startBotProcess() {
+    if (this.isProcessRunning()) {
+      console.log(`[SERVER] Bot process for '${this.name}' already running`);
+      return;
+    }
+
+    this.stopped = false;
+    console.log(`[SERVER] Starting isolated bot process for '${this.name}'...`);
+
+    const botProcessPath = path.join(__dirname, 'bot-process.js');
+    // Use bun to execute the bot process
+    const child = spawn('bun', [botProcessPath], {
+      cwd: process.cwd(),
+      env: process.env,
+      stdio: ['pipe', 'pipe', 'pipe', 'ipc'] // Enable IPC for communication
+    });
+
+    // Log stdout and stderr for debugging
+    child.stdout.on('data', (data) => {
+      console.log(`[BOT-PROCESS ${this.name} STDOUT]:`, data.toString());
+    });
+
+    child.stderr.on('data', (data) => {
+      console.error(`[BOT-PROCESS ${this.name} STDERR]:`, data.toString());
+    });
+
+    this.attachProcess(child);
+  }
+
+  // Wire up a bot process: requests go through an IpcClient on its channel, and
+  // everything it sends lands in handleMessage()
+  attachProcess(child) {
+    const ipc = new IpcClient(child);
+    this.botProcess = child;
+    this.ipc = ipc;
+
+    child.on('message', (msg) => this.handleMessage(msg));
+
+    child.on('error', (err) => {
+      console.error(`[SERVER] Failed to start bot process for '${this.name}':`, err);
+      this.logEvent('process_error', { error: err.message });
+    });
+
+    child.on('exit', (code, signal) => {
+      console.log(`[SERVER] Bot process for '${this.name}' exited with code ${code} and signal ${signal}`);
+      this.logEvent('process_exit', { code, signal });
+      ipc.rejectAll(new IpcError(
+        IpcErrorCode.DISCONNECTED,
+        `Bot process exited (code ${code}, signal ${signal})`
+      ));
+
+      // A replacement process may already be running
+      if (this.ipc !== ipc) {
+        return;
+      }
+
+      this.ipc = null;
+      this.botProcess = null;
+      this.botState.connected = false;
+      this.botState.spawned = false;
+
+      // Auto-restart if not already restarting
+      if (!this.isRestarting) {
+        this.scheduleRestart();
+      }
+    });
+  }
+
+  handleMessage(msg) {
+    // Responses and progress for requests made through this.ipc
+    if (this.ipc && this.ipc.handleMessage(msg)) {
+      return;
+    }
+
+    switch (msg.type) {
+      case 'ready':
+        console.log(`[SERVER] Bot process for '${this.name}' ready, sending start command...`);
+        this.botProcess.send({ type: 'start', config: this.config });
+        break;
+
+      case 'spawned':
+        this.botState.spawned = true;
+        this.botState.connected = true;
+        this.botState.position = msg.position;
+        this.botState.health = msg.health;
+        this.botState.isDead = msg.health === 0;
+        this.logEvent('spawn', { position: msg.position, health: msg.health });
+
+        if (msg.health === 0) {
+          console.log('[SERVER] Bot spawned dead! Will handle respawn in isolated process.');
+        }
+        break;
+
+      case 'died':
+        this.botState.isDead = true;
+        this.botState.health = 0;
+        this.logEvent('death', {});
+        break;
+
+      case 'respawned':
+        this.botState.isDead = false;
+        this.botState.health = 20;
+        this.botState.position = msg.position;
+        this.logEvent('respawn', { position: msg.position });
+        break;
+
+      case 'chat':
+        this.logEvent('chat', { username: msg.username, message: msg.message });
+        break;
+
+      case 'error':
+        this.logEvent('error', { error: msg.error });
+        break;
+
+      case 'kicked':
+        this.logEvent('kicked', { reason: msg.reason });
+        this.botState.connected = false;
+        this.scheduleRestart();
+        break;
+
+      case 'ended':
+        this.logEvent('disconnected', { reason: msg.reason });
+        this.botState.connected = false;
+        this.botState.spawned = false;
+        this.scheduleRestart();
+        break;
+
+      case 'crash':
+        console.error(`[SERVER] Bot process for '${this.name}' crashed:`, msg.error);
+        this.logEvent('crash', { error: msg.error, stack: msg.stack });
+        this.scheduleRestart();
+        break;
+
+      // Events raised by shared commands, e.g. batch_instruction
+      case 'event':
+        this.logEvent(msg.event, msg.data);
+        break;
+    }
+  }
+
+  scheduleRestart() {
+    if (this.isRestarting || this.stopped) {
+      return;
+    }
+
+    this.isRestarting = true;
+    console.log(`[SERVER] Scheduling restart of bot '${this.name}' in 3 seconds...`);
+
+    // A process whose bot was kicked or disconnected is still running; replace it
+    this.stopBotProcess();
+
+    setTimeout(() => {
+      this.isRestarting = false;
+      if (!this.stopped) {
+        this.startBotProcess();
+      }
+    }, 3000);
+  }
+
+  // Stop the bot process for good (no auto-restart), e.g. when the bot is removed
+  stop() {
+    this.stopped = true;
+    this.stopBotProcess();
+  }
+
+  stopBotProcess() {
+    if (this.isProcessRunning()) {
+      console.log(`[SERVER] Stopping bot process for '${this.name}'...`);
+      this.botProcess.kill('SIGTERM');
+      this.botProcess = null;
+    }
+  }
+}
+
+module.exports = IsolatedBot;
@@ -43,13 +43,64 @@ function displayConfigTable(config, schema) {
   return table.toString();
 }
 
+// Helper function to consume a Server-Sent Events endpoint, calling onEvent for each data frame
+async function followEventStream(urlPath, params, onEvent) {
+  const response = await api.get(urlPath, {
+    params,
+    responseType: 'stream',
+    timeout: 0,
+    headers: { Accept: 'text/event-stream' }
+  });
+
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+
+    response.data.on('data', (chunk) => {
+      buffer += chunk.toString();
+
+      // Frames are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const frame = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const data = frame
+          .split('\n')
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trim())
+          .join('\n');
+
+        if (data) {
+          try {
+            onEvent(JSON.parse(data));
+          } catch (error) {
+            onEvent(data);
+          }
+        }
+      }
+    });
+
+    response.data.on('end', resolve);
+    response.data.on('error', reject);
+  });
+}
+
 // Use build-time VERSION constant, fallback to package.json for development
 const VERSION = typeof __VERSION__ !== 'undefined' ? __VERSION__ : require('../package.json').version;
 
 program
   .name('mineflare')
   .description('Minecraft bot controller with HTTP API')
-  .version(VERSION);
+  .version(VERSION)
+  .option('--bot <name>', 'Target a named bot instead of the default bot');
+
+// Route bot commands to /bots/<name>/... when --bot is given
+program.hook('preAction', () => {
+  const { bot } = program.opts();
+  if (bot) {
+    api.defaults.baseURL = `${API_BASE}/bots/${encodeURIComponent(bot)}`;
+  }
+});
 
 // Server commands
 const serverCmd = program
@@ -455,9 +506,12 @@ program
 program
   .command('inventory')
   .description('Get bot inventory')
-  .action(async () => {
+  .option('--slots', 'Show every slot: hotbar, armor, off-hand and durability')
+  .action(async (options) => {
     try {
-      const response = await api.get('/inventory');
+      const response = await api.get('/inventory', {
+        params: options.slots ? { view: 'slots' } : {}
+      });
       console.log(JSON.stringify(response.data, null, 2));
     } catch (error) {
       console.error('Error:', error.message);
@@ -480,10 +534,32 @@ program
   .command('events')
   .description('Get events since timestamp')
   .option('-s, --since <timestamp>', 'Timestamp to fetch events from', '0')
+  .option('-f, --follow', 'Stream new events as they happen')
+  .option('-u, --until <timestamp>', 'Only events up to this timestamp')
+  .option('-t, --types <types>', 'Comma-separated event types to include')
+  .option('-q, --query <text>', 'Only events containing this text')
+  .option('-l, --limit <n>', 'Only the newest n matching events')
   .action(async (options) => {
     try {
+      if (options.follow) {
+        const params = {};
+        if (options.types) params.types = options.types;
+        if (options.since !== '0') params.since = options.since;
+
+        await followEventStream('/events/stream', params, (event) => {
+          console.log(JSON.stringify(event));
+        });
+        return;
+      }
+
       const response = await api.get('/events', {
-        params: { since: options.since }
+        params: {
+          since: options.since,
+          until: options.until,
+          types: options.types,
+          q: options.query,
+          limit: options.limit
+        }
       });
       console.log(JSON.stringify(response.data, null, 2));
     } catch (error) {
@@ -493,15 +569,31 @@ program
 
 program
   .command('screenshot')
-  .description('Get base64 encoded screenshot')
+  .description('Get a map of the surroundings as base64 PNG or JPEG')
   .option('-o, --output <file>', 'Save screenshot to file')
+  .option('-m, --mode <mode>', 'View: top, iso or section', 'top')
+  .option('-r, --radius <blocks>', 'Blocks drawn around the bot')
+  .option('-s, --scale <pixels>', 'Pixels per block')
+  .option('--axis <axis>', 'Section axis: x or z (default: the way the bot faces)')
+  .option('-f, --format <format>', 'png or jpeg', 'png')
+  .option('-q, --quality <quality>', 'JPEG quality 1-100 (default: performance.screenshotQuality)')
   .action(async (options) => {
     try {
-      const response = await api.get('/screenshot');
+      const response = await api.get('/screenshot', {
+        params: {
+          mode: options.mode,
+          radius: options.radius,
+          scale: options.scale,
+          axis: options.axis,
+          format: options.format,
+          quality: options.quality
+        }
+      });
       if (options.output) {
         const fs = require('fs');
         fs.writeFileSync(options.output, response.data.screenshot, 'base64');
-        console.log(`Screenshot saved to ${options.output}`);
+        const { mode, width, height } = response.data;
+        console.log(`Screenshot saved to ${options.output} (${mode}, ${width}x${height})`);
       } else {
         console.log(JSON.stringify(response.data, null, 2));
       }
@@ -630,16 +722,20 @@ program
 
 program
   .command('dig')
-  .description('Dig block at coordinates')
+  .description('Dig block at coordinates with the best tool and pick up the drops')
   .requiredOption('-x <value>', 'X coordinate', parseInt)
   .requiredOption('-y <value>', 'Y coordinate', parseInt)
   .requiredOption('-z <value>', 'Z coordinate', parseInt)
+  .option('--force', 'Dig even when the block would drop nothing with the tools at hand')
+  .option('--no-collect', 'Do not walk over to the drops')
   .action(async (options) => {
     try {
       const response = await api.post('/dig', {
         x: options.x,
         y: options.y,
-        z: options.z
+        z: options.z,
+        force: options.force,
+        collect: options.collect
       });
       console.log(JSON.stringify(response.data, null, 2));
     } catch (error) {
@@ -649,18 +745,22 @@ program
 
 program
   .command('place')
-  .description('Place block at coordinates')
+  .description('Place block into the empty cell at coordinates')
   .requiredOption('-x <value>', 'X coordinate', parseInt)
   .requiredOption('-y <value>', 'Y coordinate', parseInt)
   .requiredOption('-z <value>', 'Z coordinate', parseInt)
   .requiredOption('-b, --block <name>', 'Block name')
+  .option('--facing <direction>', 'Way the block faces: north, south, east, west, up, down')
+  .option('--half <half>', 'Half for stairs, slabs and trapdoors: top or bottom')
   .action(async (options) => {
     try {
       const response = await api.post('/place', {
         x: options.x,
         y: options.y,
         z: options.z,
-        blockName: options.block
+        blockName: options.block,
+        facing: options.facing,
+        half: options.half
       });
       console.log(JSON.stringify(response.data, null, 2));
     } catch (error) {
@@ -704,12 +804,147 @@ program
   .requiredOption('-i, --item <name>', 'Item name to craft')
   .option('-c, --count <number>', 'Number to craft', parseInt, 1)
   .option('-t, --table', 'Use crafting table if needed')
+  .option('-r, --recursive', 'Also craft the intermediate items, placing a crafting table if needed')
+  .option('--plan', 'Show the recursive crafting plan without crafting')
   .action(async (options) => {
     try {
+      if (options.plan) {
+        const response = await api.get('/craft/plan', {
+          params: { item: options.item, count: options.count }
+        });
+        console.log(JSON.stringify(response.data, null, 2));
+        return;
+      }
       const response = await api.post('/craft', {
         item: options.item,
         count: options.count,
-        craftingTable: options.table || false
+        craftingTable: options.table || false,
+        recursive: options.recursive || false
+      });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('smelt')
+  .description('Smelt items in a nearby furnace, placing one if needed')
+  .requiredOption('-i, --item <name>', 'Item to smelt')
+  .option('-c, --count <number>', 'Number to smelt (default: all in inventory)', parseInt)
+  .option('-f, --fuel <name>', 'Fuel to burn (default: least valuable in inventory)')
+  .option('--furnace <type>', 'furnace, smoker or blast_furnace')
+  .action(async (options) => {
+    try {
+      // About 10 s per item; the server enforces its own timeout
+      const response = await api.post('/smelt', {
+        item: options.item,
+        count: options.count,
+        fuel: options.fuel,
+        furnace: options.furnace
+      }, { timeout: 0 });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('container')
+  .description('List the contents of a chest, barrel or shulker box')
+  .requiredOption('-x <value>', 'X coordinate', parseInt)
+  .requiredOption('-y <value>', 'Y coordinate', parseInt)
+  .requiredOption('-z <value>', 'Z coordinate', parseInt)
+  .action(async (options) => {
+    try {
+      const response = await api.get('/container', {
+        params: { x: options.x, y: options.y, z: options.z }
+      });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('deposit')
+  .description('Put items into a container')
+  .requiredOption('-x <value>', 'X coordinate', parseInt)
+  .requiredOption('-y <value>', 'Y coordinate', parseInt)
+  .requiredOption('-z <value>', 'Z coordinate', parseInt)
+  .option('-i, --item <name>', 'Item to deposit')
+  .option('-c, --count <number>', 'Number to deposit (default: all of the item)', parseInt)
+  .option('-a, --all', 'Deposit everything except the --except categories')
+  .option('-e, --except <list>', 'Categories (tools, food, armor) or items to keep with --all', 'tools,food,armor')
+  .action(async (options) => {
+    try {
+      const response = await api.post('/container/deposit', {
+        x: options.x,
+        y: options.y,
+        z: options.z,
+        item: options.item,
+        count: options.count,
+        all: options.all || false,
+        except: options.except
+      });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('withdraw')
+  .description('Take items out of a container')
+  .requiredOption('-x <value>', 'X coordinate', parseInt)
+  .requiredOption('-y <value>', 'Y coordinate', parseInt)
+  .requiredOption('-z <value>', 'Z coordinate', parseInt)
+  .requiredOption('-i, --item <name>', 'Item to withdraw')
+  .option('-c, --count <number>', 'Number to withdraw (default: all of the item)', parseInt)
+  .action(async (options) => {
+    try {
+      const response = await api.post('/container/withdraw', {
+        x: options.x,
+        y: options.y,
+        z: options.z,
+        item: options.item,
+        count: options.count
+      });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('toss')
+  .description('Drop items from the inventory')
+  .option('-i, --item <name>', 'Item to drop')
+  .option('-c, --count <number>', 'Number to drop (default: all of the item)', parseInt)
+  .option('-s, --slot <number>', 'Drop the whole stack in this slot instead', parseInt)
+  .action(async (options) => {
+    try {
+      const response = await api.post('/inventory/toss', {
+        item: options.item,
+        count: options.count,
+        slot: options.slot
+      });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('move-slot')
+  .description('Move a stack between inventory slots (armor 5-8, main 9-35, hotbar 36-44, off-hand 45)')
+  .requiredOption('--from <slot>', 'Source slot', parseInt)
+  .requiredOption('--to <slot>', 'Destination slot', parseInt)
+  .action(async (options) => {
+    try {
+      const response = await api.post('/inventory/move', {
+        from: options.from,
+        to: options.to
       });
       console.log(JSON.stringify(response.data, null, 2));
     } catch (error) {
@@ -717,6 +952,102 @@ program
     }
   });
 
+program
+  .command('hotbar')
+  .description('Select a hotbar slot')
+  .requiredOption('-s, --slot <number>', 'Hotbar slot (0-8)', parseInt)
+  .option('-i, --item <name>', 'Move this item into the slot first')
+  .action(async (options) => {
+    try {
+      const response = await api.post('/inventory/hotbar', {
+        slot: options.slot,
+        item: options.item
+      });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('armor')
+  .description('Wear the best armor in the inventory')
+  .action(async () => {
+    try {
+      const response = await api.post('/inventory/armor');
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('tidy')
+  .description('Toss junk to free inventory slots (default: the configured junk policy)')
+  .option('-m, --max-used <number>', 'Most inventory slots to leave used', parseInt)
+  .option('-j, --junk <list>', 'Comma-separated items that may be tossed')
+  .action(async (options) => {
+    try {
+      const response = await api.post('/inventory/tidy', {
+        maxUsedSlots: options.maxUsed,
+        junk: options.junk
+      });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
+program
+  .command('build')
+  .description('Build a blueprint (.json voxels, .schem or .litematic) with its lowest corner at x, y, z')
+  .option('-f, --file <path>', 'Blueprint or schematic file')
+  .option('-x <value>', 'X coordinate', parseInt)
+  .option('-y <value>', 'Y coordinate', parseInt)
+  .option('-z <value>', 'Z coordinate', parseInt)
+  .option('-r, --rotation <degrees>', 'Clockwise rotation: 0, 90, 180 or 270', parseInt)
+  .option('--plan', 'Show the placement order and materials without building')
+  .option('--no-scaffold', 'Fail blocks with nothing to place against instead of scaffolding')
+  .option('--resume', 'Continue the last build')
+  .option('--status', 'Show the progress of the last build')
+  .action(async (options) => {
+    try {
+      let response;
+      if (options.status) {
+        response = await api.get('/build');
+      } else if (options.resume) {
+        response = await api.post('/build/resume', { scaffold: options.scaffold }, { timeout: 0 });
+      } else {
+        if (!options.file) {
+          console.error('Error: --file is required (or --resume / --status)');
+          return;
+        }
+        const fs = require('fs');
+        const path = require('path');
+        const extension = path.extname(options.file).toLowerCase();
+        const body = {
+          x: options.x,
+          y: options.y,
+          z: options.z,
+          rotation: options.rotation,
+          plan: options.plan,
+          scaffold: options.scaffold
+        };
+        if (extension === '.json') {
+          body.blueprint = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+        } else {
+          body.schematic = fs.readFileSync(options.file).toString('base64');
+          body.format = extension === '.litematic' ? 'litematic' : 'schem';
+        }
+        // Builds run for minutes; the server enforces its own timeout
+        response = await api.post('/build', body, { timeout: 0 });
+      }
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
+  });
+
 program
   .command('equip')
   .description('Equip an item')
@@ -745,10 +1076,11 @@ program
       const instructionsJson = fs.readFileSync(options.file, 'utf8');
       const instructions = JSON.parse(instructionsJson);
       
+      // Batches can hold builds and area jobs; the server enforces its own timeout
       const response = await api.post('/batch', {
         instructions,
         stopOnError: options.stop !== false
-      });
+      }, { timeout: 0 });
       
       console.log(JSON.stringify(response.data, null, 2));
     } catch (error) {
@@ -756,7 +1088,103 @@ program
     }
   });
 
+program
+  .command('snapshot')
+  .description('Capture the world around the bot for program exec --dry-run')
+  .requiredOption('-o, --output <file>', 'Snapshot file to write (gzipped if it ends in .gz)')
+  .option('-r, --radius <blocks>', 'Horizontal radius around the bot', parseInt)
+  .option('--below <blocks>', 'Blocks below the bot to include', parseInt)
+  .option('--above <blocks>', 'Blocks above the bot to include', parseInt)
+  .option('--include <list>', 'Extras to capture: inventory,entities (default both)')
+  .action(async (options) => {
+    try {
+      const { writeSnapshotFile } = require('./program-system/simulator/snapshot');
+      const response = await api.post('/world/snapshot', {
+        radius: options.radius,
+        below: options.below,
+        above: options.above,
+        include: options.include
+      }, { timeout: 60000 });
+      
+      const snapshot = response.data;
+      writeSnapshotFile(options.output, snapshot);
+      const { size } = snapshot.region;
+      console.log(`Snapshot saved to ${options.output} (${size.x}x${size.y}x${size.z} blocks, ${snapshot.region.palette.length} block types)`);
+    } catch (error) {
+      console.error('Error:', error.response?.data?.error || error.message);
+    }
+  });
+
 // Program commands for user-submitted JavaScript/TypeScript programs
+// Bot management commands (always against the server root, whatever --bot says)
+const botsCmd = program
+  .command('bots')
+  .description('Manage the named bots hosted by the server');
+
+botsCmd
+  .command('list')
+  .alias('ls')
+  .description('List bots')
+  .action(async () => {
+    try {
+      const response = await api.get('/bots', { baseURL: API_BASE });
+      const table = new Table({
+        head: ['Name', 'Username', 'Server', 'Profile', 'Connected', 'Health'],
+        colWidths: [15, 18, 25, 12, 11, 8]
+      });
+
+      for (const bot of response.data.bots) {
+        table.push([
+          bot.name === response.data.default ? `${bot.name} *` : bot.name,
+          bot.username,
+          `${bot.host}:${bot.port}`,
+          bot.profile || '-',
+          bot.connected ? 'yes' : 'no',
+          bot.health
+        ]);
+      }
+
+      console.log(table.toString());
+    } catch (error) {
+      console.error('Error:', error.response?.data?.error || error.message);
+      process.exit(1);
+    }
+  });
+
+botsCmd
+  .command('add <name>')
+  .description('Add a bot and connect it')
+  .option('-u, --username <username>', 'Bot username (defaults to the bot name)')
+  .option('-p, --profile <profile>', 'Configuration profile for the Minecraft connection')
+  .option('--host <host>', 'Minecraft server host')
+  .option('--port <port>', 'Minecraft server port', parseInt)
+  .option('--mc-version <version>', 'Minecraft version')
+  .option('--auth <auth>', 'Authentication mode (offline, microsoft)')
+  .action(async (name, options) => {
+    try {
+      const { mcVersion, ...rest } = options;
+      const response = await api.post('/bots', { name, ...rest, version: mcVersion }, { baseURL: API_BASE });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.response?.data?.error || error.message);
+      process.exit(1);
+    }
+  });
+
+botsCmd
+  .command('remove <name>')
+  .alias('rm')
+  .description('Disconnect and remove a bot')
+  .action(async (name) => {
+    try {
+      const response = await api.delete(`/bots/${encodeURIComponent(name)}`, { baseURL: API_BASE });
+      console.log(JSON.stringify(response.data, null, 2));
+    } catch (error) {
+      console.error('Error:', error.response?.data?.error || error.message);
+      process.exit(1);
+    }
+  });
+
 const programCmd = program
   .command('program')
   .description('Manage and run user programs');
@@ -795,6 +1223,49 @@ function collect(val, memo) {
   return memo;
 }
 
+// Poll a program run until it leaves the running state
+async function waitForRun(runId, intervalMs = 1000) {
+  while (true) {
+    const response = await api.get(`/program/runs/${runId}`);
+    const run = response.data.run;
+    if (run.status !== 'running' && run.status !== 'pending') {
+      return run;
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+// Print the outcome of a finished program run
+function printRunResult(run) {
+  const output = run.result || {};
+
+  if (output.logs && output.logs.length > 0) {
+    console.log('[PROGRAM] Execution logs:');
+    output.logs.forEach(log => {
+      const timestamp = new Date(log.timestamp).toISOString();
+      console.log(`  [${timestamp}] [${log.level.toUpperCase()}] ${log.message}`);
+      if (log.args && log.args.length > 0) {
+        console.log('    Args:', ...log.args);
+      }
+    });
+  }
+
+  if (run.status === 'succeeded') {
+    console.log('[PROGRAM] Execution completed successfully');
+    if (output.result) {
+      console.log('[PROGRAM] Result:', JSON.stringify(output.result, null, 2));
+    }
+  } else if (run.status === 'cancelled') {
+    console.log('[PROGRAM] Execution cancelled');
+  } else {
+    console.log('[PROGRAM] Execution failed:', run.error);
+  }
+
+  if (run.duration !== null && run.duration !== undefined) {
+    console.log(`[PROGRAM] Duration: ${run.duration}ms`);
+  }
+}
+
 programCmd
   .command('exec <file>')
   .description('Execute a program file immediately')
@@ -804,7 +1275,9 @@ programCmd
   .option('--arg <key=value>', 'Program arguments (can be used multiple times)', collect, [])
   .option('--dry-run', 'Simulate execution without connecting to server')
   .option('--world-snapshot <file>', 'World snapshot file for dry-run mode')
+  .option('-o, --output <file>', 'Dry-run mode: write the world after the run as a snapshot')
   .option('--seed <number>', 'Random seed for deterministic execution', '1')
+  .option('--detach', 'Print the run ID and return without waiting for completion')
   .action(async (file, options) => {
     try {
       // Load program source
@@ -812,39 +1285,56 @@ programCmd
       const args = parseArgs(options.arg);
       const capabilities = options.cap.split(',').map(c => c.trim());
       
-      // Check if server is running
-      try {
-        await api.get('/health');
-      } catch (error) {
-        console.error('Bot server is not running. Start it with: mineflare server start');
-        process.exit(1);
-      }
-      
       if (options.dryRun) {
-        // Dry-run mode with simulation
-        const { ProgramSimulator } = require('./program-system/runner');
+        // Dry-run mode: simulate against a world snapshot, no server needed
+        const ProgramSimulator = require('./program-system/simulator');
+        
+        const { readSnapshotFile, writeSnapshotFile } = require('./program-system/simulator/snapshot');
         
         let worldSnapshot = {};
         if (options.worldSnapshot) {
-          worldSnapshot = JSON.parse(fs.readFileSync(options.worldSnapshot, 'utf8'));
+          worldSnapshot = readSnapshotFile(options.worldSnapshot);
         } else {
-          // Generate basic snapshot
+          // Flat stone floor around the origin
           worldSnapshot = {
-            spawn: { x: 0, y: 63, z: 0 },
-            blocks: {},
+            position: { x: 0, y: 64, z: 0 },
+            fill: [{ from: { x: -32, y: 63, z: -32 }, to: { x: 32, y: 63, z: 32 }, block: 'stone' }],
             inventory: [],
             time: 0
           };
         }
         
         const simulator = new ProgramSimulator(worldSnapshot);
-        const result = await simulator.execute(source, args, capabilities, parseInt(options.timeout));
+        let result;
+        try {
+          result = await simulator.execute(source, args, capabilities, parseInt(options.timeout), {
+            programName: path.basename(file, path.extname(file)),
+            seed: parseInt(options.seed)
+          });
+        } catch (error) {
+          console.error('Simulation failed:', error.message);
+          console.log(JSON.stringify({ diff: error.diff }, null, 2));
+          process.exit(1);
+        }
         
         console.log('Simulation completed:');
-        console.log(JSON.stringify(result, null, 2));
+        console.log(JSON.stringify({ result: result.result, logs: result.logs, diff: result.diff }, null, 2));
+        if (options.output) {
+          writeSnapshotFile(options.output, simulator.toSnapshot());
+          console.log(`World after the run written to ${options.output}`);
+        }
       } else {
-        // Real execution - use the API to execute on the running server
-        const response = await api.post('/program/exec', {
+        // Check if server is running
+        try {
+          await api.get('/health');
+        } catch (error) {
+          console.error('Bot server is not running. Start it with: mineflare server start');
+          process.exit(1);
+        }
+        
+        // Real execution - start the run on the server, then follow it by runId
+        const response = await api.post('/program/run', {
+          name: path.basename(file, path.extname(file)),
           source,
           capabilities,
           args,
@@ -852,36 +1342,21 @@ programCmd
           seed: parseInt(options.seed)
         });
         
-        const result = response.data;
+        const runId = response.data.runId;
+        console.log(`[PROGRAM] Started run ${runId}`);
         
-        // Display execution results
-        if (result.logs && result.logs.length > 0) {
-          console.log('[PROGRAM] Execution logs:');
-          result.logs.forEach(log => {
-            const timestamp = new Date(log.timestamp).toISOString();
-            console.log(`  [${timestamp}] [${log.level.toUpperCase()}] ${log.message}`);
-            if (log.args && log.args.length > 0) {
-              console.log('    Args:', ...log.args);
-            }
-          });
+        if (options.detach) {
+          return;
         }
         
-        if (result.success) {
-          console.log('[PROGRAM] Execution completed successfully');
-          if (result.result) {
-            console.log('[PROGRAM] Result:', JSON.stringify(result.result, null, 2));
-          }
-        } else {
-          console.log('[PROGRAM] Execution failed:', result.error);
-          if (result.details) {
-            console.log('[PROGRAM] Details:', JSON.stringify(result.details, null, 2));
-          }
+        const run = await waitForRun(runId);
+        printRunResult(run);
+        if (run.status !== 'succeeded') {
+          process.exit(1);
         }
-        
-        console.log(`[PROGRAM] Duration: ${result.duration}ms`);
       }
     } catch (error) {
-      console.error('Error:', error.message);
+      console.error('Error:', error.response?.data?.error || error.message);
       process.exit(1);
     }
   });
@@ -916,6 +1391,7 @@ programCmd
   .option('--arg <key=value>', 'Program arguments (can be used multiple times)', collect, [])
   .option('--timeout <ms>', 'Execution timeout in milliseconds')
   .option('--seed <number>', 'Random seed for deterministic execution')
+  .option('--detach', 'Print the run ID and return without waiting for completion')
   .action(async (name, options) => {
     try {
       // Check if server is running
@@ -928,22 +1404,27 @@ programCmd
       
       const args = parseArgs(options.arg);
       
-      const MinecraftBotServer = require('./bot-server');
-      const ProgramRegistry = require('./program-system/registry');
-      
-      // Note: In real usage, we'd get the existing bot server instance
-      const botServer = new MinecraftBotServer();
-      const registry = new ProgramRegistry(configManager);
-      
-      const result = await registry.run(botServer, name, args, {
+      const response = await api.post('/program/run', {
+        name,
+        args,
         timeout: options.timeout ? parseInt(options.timeout) : undefined,
         seed: options.seed ? parseInt(options.seed) : undefined
       });
       
-      console.log('Program executed successfully:');
-      console.log(JSON.stringify(result, null, 2));
+      const runId = response.data.runId;
+      console.log(`[PROGRAM] Started run ${runId}`);
+      
+      if (options.detach) {
+        return;
+      }
+      
+      const run = await waitForRun(runId);
+      printRunResult(run);
+      if (run.status !== 'succeeded') {
+        process.exit(1);
+      }
     } catch (error) {
-      console.error('Error:', error.message);
+      console.error('Error:', error.response?.data?.error || error.message);
       process.exit(1);
     }
   });
@@ -1005,13 +1486,10 @@ programCmd
   .description('Cancel a running program')
   .action(async (runId) => {
     try {
-      const ProgramRegistry = require('./program-system/registry');
-      const registry = new ProgramRegistry(configManager);
-      
-      await registry.cancel(runId);
+      await api.post(`/program/runs/${runId}/cancel`);
       console.log(`Program ${runId} cancelled`);
     } catch (error) {
-      console.error('Error:', error.message);
+      console.error('Error:', error.response?.data?.error || error.message);
       process.exit(1);
     }
   });
@@ -1021,13 +1499,45 @@ programCmd
   .description('Get status of a program execution')
   .action(async (runId) => {
     try {
-      const ProgramRegistry = require('./program-system/registry');
-      const registry = new ProgramRegistry(configManager);
-      
-      const status = registry.getStatus(runId);
-      console.log(JSON.stringify(status, null, 2));
+      const response = await api.get(`/program/runs/${runId}`);
+      console.log(JSON.stringify(response.data.run, null, 2));
     } catch (error) {
-      console.error('Error:', error.message);
+      console.error('Error:', error.response?.data?.error || error.message);
+      process.exit(1);
+    }
+  });
+
+// Print one entry from a run's log output
+function printRunOutput(entry) {
+  const timestamp = new Date(entry.timestamp).toISOString();
+
+  if (entry.type === 'progress') {
+    console.log(`[${timestamp}] [PROGRESS] ${entry.pct}%${entry.message ? ' ' + entry.message : ''}`);
+  } else if (entry.type === 'end') {
+    console.log(`[PROGRAM] Run ${entry.status}${entry.error ? ': ' + entry.error : ''}`);
+  } else {
+    console.log(`[${timestamp}] [${entry.level.toUpperCase()}] ${entry.message}`);
+  }
+}
+
+programCmd
+  .command('logs <runId>')
+  .description('Show log and progress output of a program run')
+  .option('-f, --follow', 'Keep streaming output until the run finishes')
+  .action(async (runId, options) => {
+    try {
+      if (options.follow) {
+        await followEventStream(`/program/runs/${runId}/logs`, { follow: true }, printRunOutput);
+        return;
+      }
+
+      const response = await api.get(`/program/runs/${runId}/logs`);
+      response.data.logs.forEach(printRunOutput);
+      if (response.data.progress) {
+        console.log(`[PROGRAM] Progress: ${response.data.progress.pct}%`);
+      }
+    } catch (error) {
+      console.error('Error:', error.response?.data?.error || error.message);
       process.exit(1);
     }
   });
@@ -1036,12 +1546,18 @@ programCmd
   .command('history')
   .description('View program execution history')
   .option('--limit <n>', 'Number of entries to show', '20')
+  .option('--program <name>', 'Only runs of this program')
+  .option('--status <status>', 'Only runs with this status (running, succeeded, failed, cancelled)')
   .action(async (options) => {
     try {
-      const ProgramRegistry = require('./program-system/registry');
-      const registry = new ProgramRegistry(configManager);
-      
-      const history = registry.getHistory(parseInt(options.limit));
+      const response = await api.get('/program/runs', {
+        params: {
+          limit: parseInt(options.limit),
+          program: options.program,
+          status: options.status
+        }
+      });
+      const history = response.data.runs;
       
       if (history.length === 0) {
         console.log('No program execution history');
@@ -1065,7 +1581,7 @@ programCmd
       
       console.log(table.toString());
     } catch (error) {
-      console.error('Error:', error.message);
+      console.error('Error:', error.response?.data?.error || error.message);
       process.exit(1);
     }
   });
@@ -1,6 +1,9 @@
 const { Vec3, ProgramError, ErrorCode } = require('./sdk/types');
 const { SeededRandom } = require('./sdk/helpers');
 
+// Used when blocks don't carry a boundingBox (e.g. simulated worlds)
+const PASSABLE_BLOCKS = new Set(['air', 'cave_air', 'void_air', 'water', 'grass', 'short_grass', 'tall_grass']);
+
 class DeterministicSearch {
   constructor(botServer, seed = 1) {
     this.botServer = botServer;
@@ -131,11 +134,16 @@ class DeterministicSearch {
     };
   }
   
-  // Deterministic pathfinding with fixed neighbor ordering
+  // Deterministic pathfinding with fixed neighbor ordering. start and goal are
+  // feet positions; returns the list of block positions to walk through.
+  // The same world and options always give the same path.
   deterministicPathfind(start, goal, options = {}) {
     const maxIterations = options.maxIterations || 10000;
-    const maxDrop = options.maxDrop || 4;
-    const avoidHoles = options.avoidHoles || true;
+    const maxDrop = options.maxDrop !== undefined ? options.maxDrop : 4;
+    const range = options.range !== undefined ? options.range : 1;
+    
+    start = new Vec3(Math.floor(start.x), Math.floor(start.y), Math.floor(start.z));
+    goal = new Vec3(Math.floor(goal.x), Math.floor(goal.y), Math.floor(goal.z));
     
     // A* pathfinding with deterministic neighbor ordering
     const openSet = [start];
@@ -158,8 +166,8 @@ class DeterministicSearch {
       let currentIndex = 0;
       
       for (let i = 1; i < openSet.length; i++) {
-        const f = fScore.get(posKey(openSet[i])) || Infinity;
-        const currentF = fScore.get(posKey(current)) || Infinity;
+        const f = fScore.get(posKey(openSet[i])) ?? Infinity;
+        const currentF = fScore.get(posKey(current)) ?? Infinity;
         
         if (f < currentF) {
           current = openSet[i];
@@ -174,7 +182,7 @@ class DeterministicSearch {
       }
       
       // Check if we reached the goal
-      if (this.isGoal(current, goal)) {
+      if (this.isGoal(current, goal, range)) {
         return this.reconstructPath(cameFrom, current);
       }
       
@@ -182,14 +190,14 @@ class DeterministicSearch {
       openSet.splice(currentIndex, 1);
       
       // Check neighbors in deterministic order
-      const neighbors = this.getNeighbors(current, { maxDrop, avoidHoles });
+      const neighbors = this.getNeighbors(current, { maxDrop });
       
       for (const neighbor of neighbors) {
         const neighborKey = posKey(neighbor);
-        const tentativeGScore = (gScore.get(posKey(current)) || 0) + 
+        const tentativeGScore = (gScore.get(posKey(current)) ?? 0) + 
                                this.distance(current, neighbor);
         
-        if (tentativeGScore < (gScore.get(neighborKey) || Infinity)) {
+        if (tentativeGScore < (gScore.get(neighborKey) ?? Infinity)) {
           // This path to neighbor is better
           cameFrom.set(neighborKey, current);
           gScore.set(neighborKey, tentativeGScore);
@@ -206,66 +214,75 @@ class DeterministicSearch {
     // No path found
     throw new ProgramError(
       ErrorCode.PATHFIND,
-      `No path found from ${posKey(start)} to ${posKey(goal)} after ${iterations} iterations`
+      `No path found from ${posKey(start)} to ${posKey(goal)} after ${iterations} iterations`,
+      { iterations }
     );
   }
   
-  // Get neighbors in deterministic order
+  // Get neighbors in deterministic order: North, East, South, West. In each
+  // direction the bot can walk on the level, step up one block, or drop down
+  // (at most maxDrop blocks).
   getNeighbors(position, options = {}) {
     const neighbors = [];
+    const maxDrop = options.maxDrop !== undefined ? options.maxDrop : 4;
+    const x = Math.floor(position.x);
+    const y = Math.floor(position.y);
+    const z = Math.floor(position.z);
     
-    // Fixed order: North, East, South, West, Up, Down
     const offsets = [
-      [0, 0, -1],  // North
-      [1, 0, 0],   // East
-      [0, 0, 1],   // South
-      [-1, 0, 0],  // West
-      [0, 1, 0],   // Up
-      [0, -1, 0]   // Down
+      [0, -1],  // North
+      [1, 0],   // East
+      [0, 1],   // South
+      [-1, 0]   // West
     ];
     
-    for (const [dx, dy, dz] of offsets) {
-      const neighbor = new Vec3(
-        Math.floor(position.x) + dx,
-        Math.floor(position.y) + dy,
-        Math.floor(position.z) + dz
-      );
+    for (const [dx, dz] of offsets) {
+      const level = new Vec3(x + dx, y, z + dz);
+      if (this.isValidPosition(level, position, options)) {
+        neighbors.push(level);
+        continue;
+      }
       
-      // Check if neighbor is valid
-      if (this.isValidPosition(neighbor, position, options)) {
-        neighbors.push(neighbor);
+      // Step up: needs room to jump from where we stand
+      const up = new Vec3(x + dx, y + 1, z + dz);
+      if (this.isPassable(new Vec3(x, y + 2, z)) && this.isValidPosition(up, position, options)) {
+        neighbors.push(up);
+        continue;
+      }
+      
+      // Drop down: the column we walk into has to be clear until we land
+      if (!this.isPassable(level) || !this.isPassable(level.offset(0, 1, 0))) {
+        continue;
+      }
+      for (let drop = 1; drop <= maxDrop; drop++) {
+        const below = new Vec3(x + dx, y - drop, z + dz);
+        if (this.isValidPosition(below, position, options)) {
+          neighbors.push(below);
+          break;
+        }
+        if (!this.isPassable(below)) break;
       }
     }
     
     return neighbors;
   }
   
-  // Check if a position is valid for pathfinding
+  // A position is valid to stand in when feet and head are clear and the block
+  // below can be stood on
   isValidPosition(position, fromPosition, options = {}) {
     if (!this.botServer.bot) return false;
     
-    const block = this.botServer.bot.blockAt(position);
-    if (!block) return false;
-    
-    // Check if we can stand on this block
-    const blockBelow = this.botServer.bot.blockAt(
-      position.offset(0, -1, 0)
-    );
-    
-    if (!blockBelow || blockBelow.name === 'air' || blockBelow.name === 'water') {
-      if (options.avoidHoles) return false;
+    const blockBelow = this.botServer.bot.blockAt(position.offset(0, -1, 0));
+    if (!blockBelow || this.isPassable(blockBelow) || blockBelow.name === 'lava') {
+      return false;
     }
     
-    // Check if block is passable
-    if (block.name !== 'air' && 
-        block.name !== 'water' && 
-        block.name !== 'grass' &&
-        block.name !== 'tall_grass') {
+    if (!this.isPassable(position) || !this.isPassable(position.offset(0, 1, 0))) {
       return false;
     }
     
     // Check drop distance
-    if (options.maxDrop) {
+    if (options.maxDrop !== undefined) {
       const dropDistance = fromPosition.y - position.y;
       if (dropDistance > options.maxDrop) {
         return false;
@@ -275,6 +292,17 @@ class DeterministicSearch {
     return true;
   }
   
+  // Whether the bot's body can occupy a block (accepts a position or a block)
+  isPassable(positionOrBlock) {
+    const block = positionOrBlock && positionOrBlock.name !== undefined
+      ? positionOrBlock
+      : this.botServer.bot && this.botServer.bot.blockAt(positionOrBlock);
+    if (!block) return false;
+    if (block.name === 'lava') return false;
+    if (block.boundingBox) return block.boundingBox === 'empty';
+    return PASSABLE_BLOCKS.has(block.name);
+  }
+  
   // Heuristic function for A* (Manhattan distance)
   heuristic(position, goal) {
     return Math.abs(position.x - goal.x) + 
@@ -290,9 +318,8 @@ class DeterministicSearch {
     return Math.sqrt(dx * dx + dy * dy + dz * dz);
   }
   
-  // Check if position matches goal
-  isGoal(position, goal) {
-    const tolerance = 1; // Within 1 block
+  // Check if position matches goal (within range blocks on each axis)
+  isGoal(position, goal, tolerance = 1) {
     return Math.abs(position.x - goal.x) <= tolerance &&
            Math.abs(position.y - goal.y) <= tolerance &&
            Math.abs(position.z - goal.z) <= tolerance;
@@ -3,28 +3,100 @@ const path = require('path');
 const crypto = require('crypto');
 const { ProgramMetadata, ProgramStatus, ProgramError, ErrorCode } = require('./sdk/types');
 const ProgramSandbox = require('./runtime/sandbox');
+const EventStream = require('../events/stream');
+const RunStore = require('./run-store');
+
+// Log entries kept per run (older entries are dropped first)
+const MAX_RUN_LOGS = 1000;
 
 class ProgramRegistry {
-  constructor(configManager) {
+  constructor(configManager, options = {}) {
     this.configManager = configManager;
     this.programs = new Map();
     this.runningPrograms = new Map();
     this.programHistory = [];
+    this.logStreams = new Map();
     
     // Set up program storage directory
     this.programsDir = path.join(process.cwd(), '.mineflare', 'programs');
-    this.initStorage();
+    
+    // Run records (history) are persisted next to the programs
+    const retention = (configManager && configManager.get('programs')) || {};
+    this.runStore = new RunStore(options.runsDir || path.join(process.cwd(), '.mineflare', 'runs'), {
+      maxRuns: retention.maxRunHistory,
+      retentionDays: retention.runRetentionDays
+    });
+    
+    // Only the server's own registry owns the runs on disk; throwaway
+    // registries (CLI program add/ls/rm) must not fail or prune them
+    this.recoverRuns = Boolean(options.recoverRuns);
+    
+    this.ready = this.initStorage();
   }
   
   async initStorage() {
     try {
       await fs.mkdir(this.programsDir, { recursive: true });
       await this.loadPrograms();
+      await this.loadRuns();
     } catch (error) {
       console.error('Failed to initialize program storage:', error);
     }
   }
   
+  async loadRuns() {
+    const records = await this.runStore.loadAll();
+    
+    for (const record of records) {
+      // The server stopped while this run was in progress
+      if (this.recoverRuns && (record.status === ProgramStatus.RUNNING || record.status === ProgramStatus.PENDING)) {
+        record.status = ProgramStatus.FAILED;
+        record.endTime = record.endTime || record.startTime;
+        record.error = record.error || 'Server stopped before the run finished';
+        await this.saveRun(record);
+      }
+      
+      if (!this.findHistoryEntry(record.runId)) {
+        this.programHistory.push(record);
+      }
+    }
+    
+    this.programHistory.sort((a, b) => a.startTime - b.startTime);
+    if (this.recoverRuns) {
+      await this.pruneRuns();
+    }
+  }
+  
+  toRecord(historyEntry) {
+    const { nextLogId, ...record } = historyEntry;
+    return {
+      ...record,
+      duration: historyEntry.endTime ? historyEntry.endTime - historyEntry.startTime : null
+    };
+  }
+  
+  async saveRun(historyEntry) {
+    try {
+      await this.runStore.save(this.toRecord(historyEntry));
+    } catch (error) {
+      console.error(`Failed to save run record ${historyEntry.runId}:`, error.message);
+    }
+  }
+  
+  // Drop finished runs beyond the configured count/age from memory and disk
+  async pruneRuns() {
+    const finished = this.programHistory.filter(h => h.endTime && !this.runningPrograms.has(h.runId));
+    const expired = this.runStore.selectExpired(finished);
+    
+    if (expired.size === 0) {
+      return 0;
+    }
+    
+    this.programHistory = this.programHistory.filter(h => !expired.has(h.runId));
+    await this.runStore.remove(expired);
+    return expired.size;
+  }
+  
   async loadPrograms() {
     try {
       const entries = await fs.readdir(this.programsDir, { withFileTypes: true });
@@ -217,70 +289,221 @@ class ProgramRegistry {
   }
   
   async run(botServer, name, args = {}, options = {}) {
-    const program = this.get(name);
-    
-    // Generate run ID
-    const runId = crypto.randomUUID();
+    const { runId, completion } = await this.launch(botServer, await this.resolve(name), args, options);
+    const result = await completion;
+    const entry = this.findHistoryEntry(runId);
     
-    // Create program runner
-    const ProgramRunner = require('./runner');
-    const runner = new ProgramRunner(botServer, {
+    return {
       runId,
-      programName: name,
-      source: program.source,
-      metadata: program.metadata,
-      args,
-      timeout: options.timeout || 900000,
-      capabilities: options.capabilities || program.metadata.capabilities,
-      seed: options.seed
-    });
+      status: entry.status,
+      result,
+      duration: entry.endTime - entry.startTime
+    };
+  }
+  
+  // Start a registered program in the background and return its run status immediately
+  async start(botServer, name, args = {}, options = {}) {
+    const { runId, completion } = await this.launch(botServer, await this.resolve(name), args, options);
     
-    // Track running program
-    this.runningPrograms.set(runId, runner);
+    // Failures are recorded in the history entry; callers poll getStatus(runId)
+    completion.catch(() => {});
+    
+    return this.getStatus(runId);
+  }
+  
+  // Start ad-hoc program source (program exec) without registering it
+  async startSource(botServer, source, args = {}, options = {}) {
+    const { runId, completion } = await this.launch(botServer, this.fromSource(source, options), args, options);
+    completion.catch(() => {});
+    return this.getStatus(runId);
+  }
+  
+  // Run ad-hoc program source and wait for the runner result
+  async runSource(botServer, source, args = {}, options = {}) {
+    const { completion } = await this.launch(botServer, this.fromSource(source, options), args, options);
+    return completion;
+  }
+  
+  fromSource(source, options = {}) {
+    const sandbox = new ProgramSandbox();
+    const validation = sandbox.validateProgram(source);
+    
+    if (!validation.valid) {
+      throw new ProgramError(ErrorCode.INVALID_ARGUMENT, `Invalid program: ${validation.error}`);
+    }
+    
+    return {
+      name: options.name || `temp_${Date.now()}`,
+      source,
+      metadata: {
+        ...validation.metadata,
+        capabilities: options.capabilities || validation.metadata.capabilities
+      }
+    };
+  }
+  
+  async resolve(name) {
+    await this.ready;
+    
+    // Programs may have been added by another process (e.g. the CLI) since we loaded
+    if (!this.programs.has(name)) {
+      await this.loadPrograms();
+    }
+    
+    const program = this.get(name);
+    return { name, source: program.source, metadata: program.metadata };
+  }
+  
+  async launch(botServer, program, args, options) {
+    const runId = crypto.randomUUID();
+    const capabilities = options.capabilities || program.metadata.capabilities || [];
     
     // Add to history
     const historyEntry = {
       runId,
-      programName: name,
+      programName: program.name,
+      // Name of the bot the run targets when the server hosts several
+      bot: options.bot || null,
       args,
-      status: ProgramStatus.PENDING,
+      capabilities,
+      seed: options.seed,
+      status: ProgramStatus.RUNNING,
       startTime: Date.now(),
       endTime: null,
       result: null,
-      error: null
+      error: null,
+      progress: null,
+      usage: null,
+      logs: [],
+      nextLogId: 1
+    };
+    
+    const runOptions = {
+      runId,
+      programName: program.name,
+      source: program.source,
+      metadata: program.metadata,
+      args,
+      timeout: options.timeout || 900000,
+      capabilities,
+      seed: options.seed,
+      onLog: (output) => this.recordOutput(historyEntry, output)
     };
     
+    // Servers that run programs elsewhere (the isolated bot process) supply their own runner
+    let runner;
+    if (typeof botServer.createProgramRunner === 'function') {
+      runner = botServer.createProgramRunner(runOptions);
+    } else {
+      const ProgramRunner = require('./runner');
+      runner = new ProgramRunner(botServer, runOptions);
+    }
+    
+    // Track running program
+    this.runningPrograms.set(runId, runner);
     this.programHistory.push(historyEntry);
+    await this.saveRun(historyEntry);
+    
+    const completion = (async () => {
+      try {
+        const result = await runner.execute();
+        
+        // The program can finish just as a cancel lands - the cancel stands
+        if (historyEntry.status !== ProgramStatus.CANCELLED) {
+          historyEntry.status = ProgramStatus.SUCCEEDED;
+        }
+        historyEntry.endTime = historyEntry.endTime || Date.now();
+        historyEntry.result = result;
+        
+        return result;
+      } catch (error) {
+        // A cancelled run rejects as well - keep the cancelled status
+        if (historyEntry.status !== ProgramStatus.CANCELLED) {
+          historyEntry.status = ProgramStatus.FAILED;
+        }
+        historyEntry.endTime = historyEntry.endTime || Date.now();
+        historyEntry.error = error.message;
+        
+        throw error;
+      } finally {
+        // Remove from running programs
+        this.runningPrograms.delete(runId);
+        historyEntry.usage = typeof runner.getUsage === 'function' ? runner.getUsage() : null;
+        this.finishOutput(historyEntry);
+        
+        await this.saveRun(historyEntry);
+        await this.pruneRuns();
+      }
+    })();
     
-    try {
-      // Update status
-      historyEntry.status = ProgramStatus.RUNNING;
-      
-      // Execute program
-      const result = await runner.execute();
-      
-      // Update history
-      historyEntry.status = ProgramStatus.SUCCEEDED;
-      historyEntry.endTime = Date.now();
-      historyEntry.result = result;
-      
-      return {
-        runId,
-        status: ProgramStatus.SUCCEEDED,
-        result,
-        duration: historyEntry.endTime - historyEntry.startTime
-      };
-    } catch (error) {
-      // Update history
-      historyEntry.status = ProgramStatus.FAILED;
-      historyEntry.endTime = Date.now();
-      historyEntry.error = error.message;
-      
-      throw error;
-    } finally {
-      // Remove from running programs
-      this.runningPrograms.delete(runId);
+    return { runId, completion };
+  }
+  
+  // Live log/progress entry from a running program
+  recordOutput(historyEntry, output) {
+    const record = { id: historyEntry.nextLogId++, runId: historyEntry.runId, ...output };
+    
+    historyEntry.logs.push(record);
+    if (historyEntry.logs.length > MAX_RUN_LOGS) {
+      historyEntry.logs.shift();
+    }
+    
+    if (output.type === 'progress') {
+      historyEntry.progress = { pct: output.pct, message: output.message, timestamp: output.timestamp };
+    }
+    
+    const stream = this.logStreams.get(historyEntry.runId);
+    if (stream) {
+      stream.publish(record);
     }
+    
+    return record;
+  }
+  
+  // Mark the end of a run's output and disconnect followers
+  finishOutput(historyEntry) {
+    this.recordOutput(historyEntry, {
+      type: 'end',
+      status: historyEntry.status,
+      error: historyEntry.error,
+      timestamp: historyEntry.endTime || Date.now()
+    });
+    
+    const stream = this.logStreams.get(historyEntry.runId);
+    if (stream) {
+      stream.close();
+      this.logStreams.delete(historyEntry.runId);
+    }
+  }
+  
+  getLogs(runId, afterId = 0) {
+    const historyEntry = this.findHistoryEntry(runId);
+    if (!historyEntry) {
+      throw new Error(`No program with ID: ${runId}`);
+    }
+    
+    return {
+      runId,
+      status: historyEntry.status,
+      progress: historyEntry.progress,
+      logs: historyEntry.logs.filter(log => log.id > afterId)
+    };
+  }
+  
+  // Stream for following a run's output live; null once the run has finished
+  getLogStream(runId) {
+    if (!this.runningPrograms.has(runId)) {
+      return null;
+    }
+    
+    if (!this.logStreams.has(runId)) {
+      this.logStreams.set(runId, new EventStream());
+    }
+    return this.logStreams.get(runId);
+  }
+  
+  findHistoryEntry(runId) {
+    return this.programHistory.find(h => h.runId === runId);
   }
   
   async cancel(runId) {
@@ -289,48 +512,41 @@ class ProgramRegistry {
       throw new Error(`No running program with ID: ${runId}`);
     }
     
-    // Cancel the program
-    runner.cancel();
-    
-    // Update history
-    const historyEntry = this.programHistory.find(h => h.runId === runId);
+    // Mark first so the rejected execution does not overwrite it with FAILED
+    const historyEntry = this.findHistoryEntry(runId);
     if (historyEntry) {
       historyEntry.status = ProgramStatus.CANCELLED;
       historyEntry.endTime = Date.now();
     }
     
+    // Cancel the program
+    runner.cancel();
+    
     return { success: true };
   }
   
   getStatus(runId) {
-    // Check if currently running
-    if (this.runningPrograms.has(runId)) {
-      const runner = this.runningPrograms.get(runId);
-      return {
-        runId,
-        programName: runner.programName,
-        status: ProgramStatus.RUNNING,
-        args: runner.args
-      };
-    }
-    
-    // Check history
-    const historyEntry = this.programHistory.find(h => h.runId === runId);
-    if (historyEntry) {
-      return {
-        runId: historyEntry.runId,
-        programName: historyEntry.programName,
-        status: historyEntry.status,
-        args: historyEntry.args,
-        startTime: historyEntry.startTime,
-        endTime: historyEntry.endTime,
-        duration: historyEntry.endTime ? historyEntry.endTime - historyEntry.startTime : null,
-        result: historyEntry.result,
-        error: historyEntry.error
-      };
+    const historyEntry = this.findHistoryEntry(runId);
+    if (!historyEntry) {
+      throw new Error(`No program with ID: ${runId}`);
     }
     
-    throw new Error(`No program with ID: ${runId}`);
+    return {
+      runId: historyEntry.runId,
+      programName: historyEntry.programName,
+      bot: historyEntry.bot || null,
+      status: historyEntry.status,
+      args: historyEntry.args,
+      capabilities: historyEntry.capabilities,
+      seed: historyEntry.seed,
+      startTime: historyEntry.startTime,
+      endTime: historyEntry.endTime,
+      duration: historyEntry.endTime ? historyEntry.endTime - historyEntry.startTime : null,
+      result: historyEntry.result,
+      error: historyEntry.error,
+      progress: historyEntry.progress,
+      usage: historyEntry.usage
+    };
   }
   
   getRunning() {
@@ -348,17 +564,28 @@ class ProgramRegistry {
     return running;
   }
   
-  getHistory(limit = 100) {
+  // Past and current runs, newest first. Filter by program name, status and/or bot
+  getHistory(options = {}) {
+    if (typeof options === 'number') {
+      options = { limit: options };
+    }
+    const { limit = 100, program, status, bot } = options;
+    
     return this.programHistory
+      .filter(h => !program || h.programName === program)
+      .filter(h => !status || h.status === status)
+      .filter(h => !bot || h.bot === bot)
       .slice(-limit)
       .reverse()
       .map(h => ({
         runId: h.runId,
         programName: h.programName,
+        bot: h.bot || null,
         status: h.status,
         startTime: h.startTime,
         endTime: h.endTime,
-        duration: h.endTime ? h.endTime - h.startTime : null
+        duration: h.endTime ? h.endTime - h.startTime : null,
+        error: h.error
       }));
   }
 }
@@ -0,0 +1,141 @@
+const { ProgramStatus, ProgramError, ErrorCode } = require('./sdk/types');
+const { IpcErrorCode } = require('../ipc');
+
+// Extra time the bot process gets past the program timeout to report back
+const RESPONSE_GRACE_MS = 10000;
+
+// Runner used by IsolatedBotServer. The program executes inside the bot process
+// (where the mineflayer bot lives); this object mirrors ProgramRunner's interface
+// so ProgramRegistry can track it like a local run. The run is a single
+// program.execute IPC request; log entries arrive as its progress messages.
+class RemoteProgramRunner {
+  constructor(botServer, options) {
+    this.botServer = botServer;
+    this.runId = options.runId;
+    this.programName = options.programName;
+    this.source = options.source;
+    this.metadata = options.metadata;
+    this.args = options.args;
+    this.timeout = options.timeout || 900000;
+    this.capabilities = options.capabilities || [];
+    this.seed = options.seed || 1;
+    this.onLog = options.onLog || null;
+
+    this.status = ProgramStatus.PENDING;
+    this.startTime = null;
+    this.endTime = null;
+    this.result = null;
+    this.error = null;
+
+    this.usage = null;
+    this.controller = null;
+  }
+
+  async execute() {
+    if (this.status !== ProgramStatus.PENDING) {
+      throw new ProgramError(
+        ErrorCode.OPERATION_FAILED,
+        'Program has already been executed'
+      );
+    }
+
+    this.status = ProgramStatus.RUNNING;
+    this.startTime = Date.now();
+    this.controller = new AbortController();
+
+    let outcome;
+    try {
+      outcome = await this.botServer.request('program.execute', {
+        runId: this.runId,
+        programName: this.programName,
+        source: this.source,
+        metadata: this.metadata,
+        args: this.args,
+        timeout: this.timeout,
+        capabilities: this.capabilities,
+        seed: this.seed
+      }, {
+        timeout: this.timeout + RESPONSE_GRACE_MS,
+        signal: this.controller.signal,
+        onProgress: (entry) => {
+          if (this.onLog) this.onLog(entry);
+        }
+      });
+    } catch (error) {
+      throw this.fail(toProgramError(error));
+    }
+
+    this.usage = outcome.usage || null;
+
+    if (!outcome.success) {
+      const error = outcome.error || {};
+      throw this.fail(new ProgramError(
+        error.code || ErrorCode.OPERATION_FAILED,
+        error.message || 'Program execution failed',
+        error.details
+      ));
+    }
+
+    if (this.status !== ProgramStatus.CANCELLED) {
+      this.status = ProgramStatus.SUCCEEDED;
+    }
+    this.endTime = Date.now();
+    this.result = outcome.result.result;
+    return outcome.result;
+  }
+
+  fail(error) {
+    if (this.status !== ProgramStatus.CANCELLED) {
+      this.status = ProgramStatus.FAILED;
+      this.endTime = Date.now();
+    }
+    this.error = error.message;
+    return error;
+  }
+
+  cancel() {
+    if (this.status !== ProgramStatus.RUNNING) {
+      throw new Error('Program is not running');
+    }
+
+    console.log(`[PROGRAM] Cancelling execution of '${this.programName}' (${this.runId})`);
+
+    this.status = ProgramStatus.CANCELLED;
+    this.endTime = Date.now();
+    this.controller.abort();
+
+    return { success: true };
+  }
+
+  getUsage() {
+    return this.usage;
+  }
+
+  getStatus() {
+    return {
+      runId: this.runId,
+      programName: this.programName,
+      status: this.status,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      duration: this.endTime ? this.endTime - this.startTime : null,
+      result: this.result,
+      error: this.error
+    };
+  }
+}
+
+function toProgramError(error) {
+  switch (error.code) {
+    case IpcErrorCode.DISCONNECTED:
+      return new ProgramError(ErrorCode.BOT_DISCONNECTED, error.message);
+    case IpcErrorCode.TIMEOUT:
+      return new ProgramError(ErrorCode.TIMEOUT, error.message);
+    case IpcErrorCode.CANCELLED:
+      return new ProgramError(ErrorCode.OPERATION_FAILED, 'Program execution cancelled');
+    default:
+      return new ProgramError(error.code || ErrorCode.OPERATION_FAILED, error.message, error.details);
+  }
+}
+
+module.exports = RemoteProgramRunner;
@@ -0,0 +1,160 @@
+// HTTP routes for the program system, shared by MinecraftBotServer and IsolatedBotServer.
+// The server owns a single ProgramRegistry (getProgramRegistry) so run status, cancellation
+// and history are visible to every client. resolveBot(req) returns the bot a request
+// targets (the server itself, or one of IsolatedBotServer's named bots).
+const EventStream = require('../events/stream');
+
+function setupProgramRoutes(app, resolveBot) {
+  const registry = (req) => resolveBot(req).getProgramRegistry();
+
+  const runOptions = (body, botServer) => ({
+    capabilities: body.capabilities,
+    timeout: body.timeout,
+    seed: body.seed,
+    bot: botServer.name
+  });
+
+  // Execute program source and wait for it to finish
+  app.post('/program/exec', async (req, res) => {
+    try {
+      const { source, capabilities = [], args = {}, timeout = 900000, seed = 1 } = req.body;
+      const botServer = resolveBot(req);
+
+      if (!botServer.isConnected()) {
+        return res.status(503).json({
+          success: false,
+          error: 'Bot is not connected to server'
+        });
+      }
+
+      const result = await registry(req).runSource(botServer, source, args, {
+        capabilities,
+        timeout,
+        seed,
+        bot: botServer.name
+      });
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Start a registered program (name) or program source in the background
+  app.post('/program/run', async (req, res) => {
+    try {
+      const { name, source, args = {} } = req.body;
+      const botServer = resolveBot(req);
+
+      if (!name && !source) {
+        return res.status(400).json({ success: false, error: 'Provide a program name or source' });
+      }
+
+      if (!botServer.isConnected()) {
+        return res.status(503).json({
+          success: false,
+          error: 'Bot is not connected to server'
+        });
+      }
+
+      const run = source
+        ? await registry(req).startSource(botServer, source, args, { ...runOptions(req.body, botServer), name })
+        : await registry(req).start(botServer, name, args, runOptions(req.body, botServer));
+
+      res.status(202).json({ success: true, runId: run.runId, run });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/program/runs', (req, res) => {
+    const runs = registry(req).getHistory({
+      limit: parseInt(req.query.limit) || 100,
+      program: req.query.program,
+      status: req.query.status,
+      // /bots/:name/program/runs lists that bot's runs
+      bot: req.params.name || req.query.bot
+    });
+    res.json({ success: true, runs });
+  });
+
+  app.get('/program/runs/:id', (req, res) => {
+    try {
+      res.json({ success: true, run: registry(req).getStatus(req.params.id) });
+    } catch (error) {
+      res.status(404).json({ success: false, error: error.message });
+    }
+  });
+
+  // Run output (logs, progress, end marker). ?follow=true streams it as Server-Sent Events
+  app.get('/program/runs/:id/logs', (req, res) => {
+    let output;
+    try {
+      output = registry(req).getLogs(req.params.id, parseInt(req.query.after) || 0);
+    } catch (error) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (req.query.follow !== 'true' && req.query.follow !== '1') {
+      return res.json({ success: true, ...output });
+    }
+
+    const stream = registry(req).getLogStream(req.params.id);
+    if (stream) {
+      stream.handle(req, res, output.logs, { replayAll: true });
+      return;
+    }
+
+    // Already finished: replay everything (including the end marker) and close
+    const replay = new EventStream();
+    replay.handle(req, res, output.logs, { replayAll: true });
+    replay.close();
+  });
+
+  app.post('/program/runs/:id/cancel', async (req, res) => {
+    try {
+      await registry(req).cancel(req.params.id);
+      res.json({ success: true, message: `Program ${req.params.id} cancelled` });
+    } catch (error) {
+      res.status(404).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/program/add', async (req, res) => {
+    try {
+      const { name, source, capabilities } = req.body;
+
+      await registry(req).ready;
+      await registry(req).add(name, source, { capabilities });
+
+      res.json({ success: true, message: `Program '${name}' added successfully` });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/program/list', async (req, res) => {
+    try {
+      await registry(req).ready;
+      const programs = await registry(req).list();
+      res.json({ success: true, programs });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.delete('/program/:name', async (req, res) => {
+    try {
+      await registry(req).ready;
+      await registry(req).remove(req.params.name);
+      res.json({ success: true, message: `Program '${req.params.name}' removed successfully` });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+}
+
+module.exports = { setupProgramRoutes };
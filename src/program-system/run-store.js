@@ -0,0 +1,85 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Persists program run records as .mineflare/runs/<runId>.json so run history
+// survives server restarts and failed runs can be inspected afterwards.
+class RunStore {
+  constructor(runsDir, options = {}) {
+    this.runsDir = runsDir;
+    this.maxRuns = options.maxRuns || 500;
+    // 0 disables age-based pruning
+    this.maxAgeMs = (options.retentionDays || 0) * 24 * 60 * 60 * 1000;
+  }
+
+  recordPath(runId) {
+    return path.join(this.runsDir, `${runId}.json`);
+  }
+
+  async save(record) {
+    await fs.mkdir(this.runsDir, { recursive: true });
+
+    // Write then rename so a crash never leaves a truncated record
+    const target = this.recordPath(record.runId);
+    const tmp = `${target}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(record, null, 2), 'utf8');
+    await fs.rename(tmp, target);
+  }
+
+  // Load every stored record, oldest first
+  async loadAll() {
+    let files;
+    try {
+      files = await fs.readdir(this.runsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const data = await fs.readFile(path.join(this.runsDir, file), 'utf8');
+        records.push(JSON.parse(data));
+      } catch (error) {
+        console.error(`Failed to load run record ${file}:`, error.message);
+      }
+    }
+
+    return records.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  // Returns the run IDs (from the given records, oldest first) that fall outside retention
+  selectExpired(records, now = Date.now()) {
+    const expired = new Set();
+
+    if (this.maxAgeMs > 0) {
+      for (const record of records) {
+        if ((record.endTime || record.startTime) < now - this.maxAgeMs) {
+          expired.add(record.runId);
+        }
+      }
+    }
+
+    const remaining = records.filter(r => !expired.has(r.runId));
+    const overflow = remaining.length - this.maxRuns;
+    for (let i = 0; i < overflow; i++) {
+      expired.add(remaining[i].runId);
+    }
+
+    return expired;
+  }
+
+  async remove(runIds) {
+    for (const runId of runIds) {
+      try {
+        await fs.rm(this.recordPath(runId), { force: true });
+      } catch (error) {
+        console.error(`Failed to remove run record ${runId}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = RunStore;
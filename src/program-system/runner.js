@@ -14,6 +14,7 @@ class ProgramRunner {
     this.timeout = options.timeout || 900000; // 15 minutes default
     this.capabilities = options.capabilities || [];
     this.seed = options.seed || 1;
+    this.onLog = options.onLog || null;
     
     this.status = ProgramStatus.PENDING;
     this.startTime = null;
@@ -23,6 +24,7 @@ class ProgramRunner {
     
     this.sandbox = null;
     this.contextBuilder = null;
+    this.cancelReason = null;
   }
   
   async execute() {
@@ -36,6 +38,10 @@ class ProgramRunner {
     this.status = ProgramStatus.RUNNING;
     this.startTime = Date.now();
     
+    // The host's vitals guardian (see src/guardian.js) pauses or stops the run when the bot is in danger
+    const guardian = this.botServer && this.botServer.guardian;
+    if (guardian) guardian.attach(this);
+    
     try {
       // Check bot connection using unified method
       if (!this.botServer || !this.botServer.isConnected()) {
@@ -52,14 +58,16 @@ class ProgramRunner {
       );
       
       // Create sandbox
-      this.sandbox = new ProgramSandbox(this.capabilities, this.timeout);
+      this.sandbox = new ProgramSandbox(this.capabilities, this.timeout, {
+        onLog: this.onLog
+      });
       
       // Create context
       this.contextBuilder = new ContextBuilder(
         this.botServer,
         this.capabilities,
         mergedArgs,
-        { seed: this.seed }
+        { seed: this.seed, onLog: this.onLog }
       );
       
       const context = this.contextBuilder.build();
@@ -102,22 +110,36 @@ class ProgramRunner {
       console.log(`[PROGRAM] Resource usage:`, usage);
       
       // Return execution result
+      // Merge console output and ctx.log entries in the order they happened
+      const logs = [...executionResult.logs, ...this.contextBuilder.getLogs()]
+        .sort((a, b) => a.timestamp - b.timestamp);
+      
       return {
         success: true,
         result: this.result,
-        logs: executionResult.logs,
+        logs,
+        progress: this.contextBuilder.progress,
         usage,
         duration: this.endTime - this.startTime
       };
     } catch (error) {
-      this.status = ProgramStatus.FAILED;
-      this.endTime = Date.now();
+      // cancel() already recorded the final status
+      if (this.status !== ProgramStatus.CANCELLED) {
+        this.status = ProgramStatus.FAILED;
+        this.endTime = Date.now();
+      }
       this.error = error.message;
       
       // Log execution failure
       console.error(`[PROGRAM] Execution failed:`, error.message);
       console.error(`[PROGRAM] Duration: ${this.endTime - this.startTime}ms`);
       
+      // Stopped with a reason (the guardian): report that instead of a plain cancellation
+      if (this.cancelReason) {
+        this.error = this.cancelReason;
+        throw new ProgramError(ErrorCode.OPERATION_FAILED, this.cancelReason);
+      }
+      
       // Re-throw as ProgramError if not already
       if (error instanceof ProgramError) {
         throw error;
@@ -128,15 +150,18 @@ class ProgramRunner {
         `Program execution failed: ${error.message}`,
         { originalError: error.toString() }
       );
+    } finally {
+      if (guardian) guardian.detach(this);
     }
   }
   
-  cancel() {
+  cancel(reason = null) {
     if (this.status !== ProgramStatus.RUNNING) {
       throw new Error('Program is not running');
     }
     
-    console.log(`[PROGRAM] Cancelling execution of '${this.programName}' (${this.runId})`);
+    console.log(`[PROGRAM] Cancelling execution of '${this.programName}' (${this.runId})${reason ? `: ${reason}` : ''}`);
+    this.cancelReason = reason;
     
     // Cancel via sandbox
     if (this.sandbox) {
@@ -154,6 +179,11 @@ class ProgramRunner {
     return { success: true };
   }
   
+  // Budget usage so far (available for failed and cancelled runs too)
+  getUsage() {
+    return this.contextBuilder ? this.contextBuilder.getUsage() : null;
+  }
+  
   getStatus() {
     return {
       runId: this.runId,
@@ -168,109 +198,4 @@ class ProgramRunner {
   }
 }
 
-// Simulator for dry-run mode
-class ProgramSimulator {
-  constructor(worldSnapshot) {
-    this.worldSnapshot = worldSnapshot;
-    this.simulatedBot = this.createSimulatedBot();
-  }
-  
-  createSimulatedBot() {
-    // Create a mock bot that operates on the snapshot
-    return {
-      entity: {
-        position: this.worldSnapshot.spawn || { x: 0, y: 63, z: 0 },
-        yaw: 0,
-        pitch: 0,
-        onGround: true,
-        isInWater: false,
-        isInLava: false
-      },
-      health: 20,
-      food: 20,
-      oxygen: 20,
-      inventory: {
-        items: () => this.worldSnapshot.inventory || []
-      },
-      blockAt: (pos) => {
-        // Look up block in snapshot
-        const key = `${Math.floor(pos.x)},${Math.floor(pos.y)},${Math.floor(pos.z)}`;
-        return this.worldSnapshot.blocks?.[key] || { name: 'air' };
-      },
-      time: {
-        timeOfDay: this.worldSnapshot.time || 0
-      }
-    };
-  }
-  
-  async execute(source, args, capabilities, timeout = 30000) {
-    // Create a mock bot server
-    const mockBotServer = {
-      bot: this.simulatedBot,
-      executeInstruction: async (instruction) => {
-        // Simulate instruction execution
-        console.log(`[SIMULATOR] Executing: ${instruction.type}`, instruction.params);
-        
-        switch (instruction.type) {
-          case 'move':
-          case 'goto':
-            // Simulate movement
-            const target = instruction.params;
-            this.simulatedBot.entity.position = {
-              x: target.x,
-              y: target.y,
-              z: target.z
-            };
-            return { moved: true };
-            
-          case 'dig':
-            // Simulate digging
-            const digPos = instruction.params;
-            const key = `${Math.floor(digPos.x)},${Math.floor(digPos.y)},${Math.floor(digPos.z)}`;
-            if (this.worldSnapshot.blocks?.[key]) {
-              delete this.worldSnapshot.blocks[key];
-            }
-            return { success: true };
-            
-          case 'place':
-            // Simulate placing
-            const placePos = instruction.params;
-            const placeKey = `${Math.floor(placePos.x)},${Math.floor(placePos.y)},${Math.floor(placePos.z)}`;
-            this.worldSnapshot.blocks[placeKey] = {
-              name: instruction.params.block
-            };
-            return { success: true };
-            
-          case 'craft':
-            // Simulate crafting
-            return { crafted: instruction.params.item, count: instruction.params.count };
-            
-          default:
-            return { simulated: true };
-        }
-      }
-    };
-    
-    // Run with mock bot server
-    const runner = new ProgramRunner(mockBotServer, {
-      runId: 'simulation',
-      programName: 'simulation',
-      source,
-      metadata: { defaults: {} },
-      args,
-      timeout,
-      capabilities,
-      seed: 1
-    });
-    
-    const result = await runner.execute();
-    
-    return {
-      ...result,
-      worldSnapshot: this.worldSnapshot // Return modified snapshot
-    };
-  }
-}
-
 module.exports = ProgramRunner;
-module.exports.ProgramSimulator = ProgramSimulator;
\ No newline at end of file
@@ -8,6 +8,17 @@ const safetyUtils = require('../sdk/safety');
 const watcherUtils = require('../sdk/watchers');
 const searchUtils = require('../sdk/search');
 const geometryUtils = require('../sdk/geometry');
+const { planPath } = require('../../commands/navigation');
+const { isHostile } = require('../../commands/queries');
+const { pickFiller, FILLER_BLOCKS } = require('../../commands/survival');
+const combat = require('../../commands/combat');
+const crafting = require('../../commands/crafting');
+const smelting = require('../../commands/smelting');
+const inventory = require('../../commands/inventory');
+const tools = require('../../commands/tools');
+
+// Blocks this close (from their center) are mined without walking over
+const GATHER_REACH = 4;
 
 class ContextBuilder {
   constructor(botServer, capabilities, args, options = {}) {
@@ -20,7 +31,12 @@ class ContextBuilder {
       isCancelled: false,
       callbacks: []
     };
+    // Aborts long-running instructions (e.g. goto) when the run is cancelled
+    this.abortController = new AbortController();
     this.logs = [];
+    this.progress = null;
+    // Called with each log/progress entry as it happens (live run logs)
+    this.onLog = options.onLog || null;
   }
   
   build() {
@@ -33,6 +49,7 @@ class ContextBuilder {
       events: this.buildEventsAPI(),
       control: this.buildControlAPI(),
       log: this.buildLoggerAPI(),
+      progress: this.buildProgressAPI(),
       clock: this.buildClockAPI(),
       
       // Add new SDK utilities
@@ -155,6 +172,46 @@ class ContextBuilder {
       }
     };
     
+    // Single block lookup: null when the chunk isn't loaded
+    world.blockAt = async (position) => {
+      if (!this.botServer.bot) {
+        throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+      }
+      
+      const pos = new Vec3(Math.floor(position.x), Math.floor(position.y), Math.floor(position.z));
+      const block = this.botServer.bot.blockAt(pos);
+      if (!block) return null;
+      
+      return {
+        position: pos,
+        name: block.name,
+        solid: block.boundingBox === 'block',
+        light: block.light !== undefined ? block.light : null
+      };
+    };
+    
+    // Entities within radius of the bot, nearest first
+    world.entities = async ({ radius = 16, hostile = false } = {}) => {
+      if (!this.botServer.bot) {
+        throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+      }
+      
+      const bot = this.botServer.bot;
+      const origin = bot.entity.position;
+      return Object.values(bot.entities)
+        .filter(e => e !== bot.entity && e.position)
+        .map(e => ({
+          id: e.id,
+          name: e.name || e.displayName,
+          type: e.type,
+          hostile: isHostile(e),
+          position: new Vec3(e.position.x, e.position.y, e.position.z),
+          distance: origin.distanceTo(e.position)
+        }))
+        .filter(e => e.distance <= radius && (!hostile || e.hostile))
+        .sort((a, b) => a.distance - b.distance || a.id - b.id);
+    };
+    
     // World information
     world.seaLevel = () => 63; // Standard sea level in Minecraft
     
@@ -195,15 +252,20 @@ class ContextBuilder {
                 x: target.x,
                 y: target.y,
                 z: target.z,
+                range: opts.range,
+                movements: opts.movements,
+                planner: opts.planner,
+                seed: this.seed,
                 timeout: opts.timeoutMs || 30000
               }
-            });
+            }, { signal: this.abortController.signal });
             
             return result;
           } catch (error) {
             throw new ProgramError(
               ErrorCode.PATHFIND,
-              `Failed to navigate to target: ${error.message}`
+              `Failed to navigate to target: ${error.message}`,
+              error.details || null
             );
           }
         },
@@ -223,7 +285,10 @@ class ContextBuilder {
     // Mining/gathering actions
     if (this.capabilities.has('dig')) {
       actions.gather = {
-        mineBlock: async ({ position, expect, timeoutMs = 10000 }) => {
+        // Dig the block at position with the best tool in the inventory and
+        // pick up its drops (walking to them with the move capability). A
+        // block that would drop nothing is refused unless force is set.
+        mineBlock: async ({ position, expect, force = false, timeoutMs = 10000 }) => {
           this.budget.check('dig');
           
           if (!this.botServer.bot) {
@@ -247,9 +312,11 @@ class ContextBuilder {
               params: {
                 x: position.x,
                 y: position.y,
-                z: position.z
+                z: position.z,
+                force,
+                collect: this.capabilities.has('move')
               }
-            });
+            }, { signal: this.abortController.signal });
             
             return result;
           } catch (error) {
@@ -257,9 +324,314 @@ class ContextBuilder {
             
             throw new ProgramError(
               ErrorCode.OPERATION_FAILED,
-              `Failed to mine block: ${error.message}`
+              `Failed to mine block: ${error.message}`,
+              error.details || null
             );
           }
+        },
+        
+        // Mine nearby blocks until the inventory holds the items in
+        // requirements ({ name: count } or [{ name, count }]); options:
+        // { radius = 16, maxBlocks = 64 }. Each block counts against the dig budget.
+        collect: async (requirements, options = {}) => {
+          if (!this.botServer.bot) {
+            throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+          }
+          
+          return this.gatherItems(this.readRequirements(requirements), options, actions);
+        }
+      };
+    }
+    
+    // Block placement
+    if (this.capabilities.has('place')) {
+      actions.build = {
+        // Put a block into the empty cell at position; without block, the
+        // cheapest filler block in the inventory is used. facing and half
+        // orient stairs, logs, slabs and the like (see commands/placement.js)
+        placeBlock: async ({ position, block, facing, half }) => {
+          this.budget.check('place');
+          
+          if (!this.botServer.bot) {
+            throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+          }
+          
+          const item = pickFiller(this.botServer.bot.inventory.items(), block);
+          if (!item) {
+            throw new ProgramError(ErrorCode.PRECONDITION, block ? `No ${block} in inventory` : 'No blocks to place');
+          }
+          
+          try {
+            await this.botServer.executeInstruction({
+              type: 'place',
+              params: {
+                x: Math.floor(position.x),
+                y: Math.floor(position.y),
+                z: Math.floor(position.z),
+                blockName: item.name,
+                facing,
+                half
+              }
+            });
+            return { placed: item.name, position };
+          } catch (error) {
+            throw new ProgramError(ErrorCode.OPERATION_FAILED, `Failed to place ${item.name}: ${error.message}`);
+          }
+        },
+        
+        // Jump and place blocks underneath to climb height blocks
+        pillarUp: async ({ height = 1, block } = {}) => {
+          this.budget.check('place', height);
+          
+          if (!this.botServer.bot) {
+            throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+          }
+          
+          try {
+            return await this.botServer.executeInstruction({
+              type: 'pillar',
+              params: { height, blockName: block }
+            });
+          } catch (error) {
+            throw new ProgramError(ErrorCode.OPERATION_FAILED, `Failed to pillar up: ${error.message}`, error.details || null);
+          }
+        },
+        
+        // Build a blueprint (JSON voxel format, see commands/blueprints.js) with
+        // its lowest corner at origin; options: { rotation, scaffold, timeoutMs }.
+        // Every placed block counts against the place budget.
+        blueprint: async (blueprint, origin, options = {}) => {
+          if (!this.botServer.bot) {
+            throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+          }
+          if (!origin) {
+            throw new ProgramError(ErrorCode.INVALID_ARGUMENT, 'Build origin required');
+          }
+          
+          const remaining = this.budget.getRemaining('place');
+          const maxBlocks = Math.min(remaining.perMinute, remaining.total);
+          if (maxBlocks <= 0) {
+            this.budget.check('place');
+          }
+          
+          let result;
+          try {
+            result = await this.botServer.executeInstruction({
+              type: 'build',
+              params: {
+                blueprint,
+                x: Math.floor(origin.x),
+                y: Math.floor(origin.y),
+                z: Math.floor(origin.z),
+                rotation: options.rotation,
+                scaffold: options.scaffold,
+                timeout: options.timeoutMs,
+                maxBlocks
+              }
+            }, { signal: this.abortController.signal });
+          } catch (error) {
+            throw new ProgramError(ErrorCode.OPERATION_FAILED, `Failed to build: ${error.message}`, error.details || null);
+          }
+          
+          if (result.placed > 0) {
+            this.budget.check('place', result.placed);
+          }
+          return result;
+        }
+      };
+    }
+    
+    // Area operations (see commands/area.js); dug blocks count against the dig
+    // budget, placed ones against the place budget
+    if (this.capabilities.has('dig') || this.capabilities.has('place')) {
+      const areaAction = async (type, operation, verb, params) => {
+        if (!this.botServer.bot) {
+          throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+        }
+        
+        const remaining = this.budget.getRemaining(operation);
+        const maxBlocks = Math.min(params.maxBlocks !== undefined ? params.maxBlocks : Infinity, remaining.perMinute, remaining.total);
+        if (maxBlocks <= 0) {
+          this.budget.check(operation);
+        }
+        
+        let result;
+        try {
+          result = await this.botServer.executeInstruction({
+            type,
+            params: { ...params, maxBlocks }
+          }, { signal: this.abortController.signal });
+        } catch (error) {
+          throw new ProgramError(ErrorCode.OPERATION_FAILED, `Failed to ${verb}: ${error.message}`, error.details || null);
+        }
+        
+        const used = operation === 'dig' ? result.dug : result.placed;
+        if (used > 0) {
+          this.budget.check(operation, used);
+        }
+        // Blocks fillRegion replaced
+        if (operation !== 'dig' && result.dug > 0) {
+          this.budget.check('dig', result.dug);
+        }
+        return result;
+      };
+      
+      actions.area = {};
+      if (this.capabilities.has('dig')) {
+        // Dig out the box between two corners, top layer first
+        actions.area.clearRegion = (min, max, options = {}) =>
+          areaAction('clearRegion', 'dig', 'clear region', { ...options, min, max });
+        
+        // Dig a tunnel from the bot's position in a cardinal direction
+        actions.area.tunnel = (direction, length, width = 1, height = 2, options = {}) =>
+          areaAction('tunnel', 'dig', 'dig tunnel', { ...options, direction, length, width, height });
+        
+        // Dig a staircase depth steps down and walk down it
+        actions.area.staircase = (direction, depth, options = {}) =>
+          areaAction('staircase', 'dig', 'dig staircase', { ...options, direction, depth });
+        
+        // Main tunnel with side branches, mining the ores on the way; pattern:
+        // { direction, length, branchLength, spacing, height, ores }
+        actions.area.stripMine = (pattern = {}) =>
+          areaAction('stripMine', 'dig', 'strip mine', pattern);
+      }
+      if (this.capabilities.has('place')) {
+        // Fill the empty cells of the box with block; options.replace (needs
+        // dig) digs out other blocks first
+        actions.area.fillRegion = (min, max, block, options = {}) => {
+          if (options.replace && !this.capabilities.has('dig')) {
+            throw new ProgramError(ErrorCode.CAPABILITY, 'Replacing blocks requires the "dig" capability');
+          }
+          return areaAction('fillRegion', 'place', 'fill region', { ...options, min, max, block });
+        };
+      }
+    }
+    
+    // Combat actions
+    if (this.capabilities.has('attack')) {
+      actions.combat = {
+        attack: async ({ entityId }) => {
+          this.budget.check('attack');
+          
+          if (!this.botServer.bot) {
+            throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+          }
+          
+          try {
+            await this.botServer.executeInstruction({ type: 'attack', params: { entityId } });
+            return { attacked: entityId };
+          } catch (error) {
+            throw new ProgramError(ErrorCode.OPERATION_FAILED, `Failed to attack ${entityId}: ${error.message}`);
+          }
+        },
+        
+        // Mobs worth fighting, most threatening first ({ types, radius, prefer: 'threat' | 'nearest' })
+        targets: async (options = {}) => {
+          if (!this.botServer.bot) {
+            throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+          }
+          
+          try {
+            return combat.selectTargets(this.botServer.bot, options).map(target => {
+              const described = combat.describeTarget(target);
+              return { ...described, position: new Vec3(described.position.x, described.position.y, described.position.z) };
+            });
+          } catch (error) {
+            throw new ProgramError(ErrorCode.INVALID_ARGUMENT, error.message);
+          }
+        },
+        
+        // Hold the inventory weapon with the most damage per second
+        equipWeapon: async () => {
+          if (!this.botServer.bot) {
+            throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+          }
+          
+          const weapon = combat.bestWeapon(this.botServer.bot);
+          if (!weapon) return { equipped: null };
+          await this.botServer.executeInstruction({ type: 'equip', params: { item: weapon.name } });
+          return { equipped: weapon.name };
+        },
+        
+        // Fight the selected mobs (see commands/combat.js engage for the options).
+        // Every hit counts against the attack budget.
+        engage: async (options = {}) => {
+          if (!this.botServer.bot) {
+            throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+          }
+          
+          const remaining = this.budget.getRemaining('attack');
+          const maxHits = Math.min(options.maxHits !== undefined ? options.maxHits : 100, remaining.perMinute, remaining.total);
+          if (maxHits <= 0) {
+            this.budget.check('attack');
+          }
+          
+          let result;
+          try {
+            result = await this.botServer.executeInstruction({
+              type: 'combat',
+              params: {
+                entityId: options.entityId,
+                types: options.types,
+                radius: options.radius,
+                prefer: options.prefer,
+                maxTargets: options.maxTargets,
+                minHealth: options.minHealth,
+                timeout: options.timeoutMs,
+                maxHits,
+                weapon: options.weapon,
+                shield: options.shield,
+                strafe: options.strafe,
+                kite: options.kite,
+                cooldownMs: options.cooldownMs
+              }
+            }, { signal: this.abortController.signal });
+          } catch (error) {
+            throw new ProgramError(ErrorCode.OPERATION_FAILED, `Failed to fight: ${error.message}`);
+          }
+          
+          if (result.hits > 0) {
+            this.budget.check('attack', result.hits);
+          }
+          return result;
+        },
+        
+        // Fight one target at a time until until() returns true or no targets are
+        // left. Gives up (ok: false) when health drops below options.minHealth.
+        fightUntil: async (until = null, options = {}) => {
+          if (until && typeof until === 'object') {
+            options = until;
+            until = null;
+          }
+          const { minHealth = 8, timeoutMs = 60000, ...engageOptions } = options;
+          const deadline = Date.now() + timeoutMs;
+          const summary = { ok: true, reason: null, kills: 0, hits: 0 };
+          
+          while (!summary.reason) {
+            if (until && await until()) {
+              summary.reason = 'condition';
+              break;
+            }
+            
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+              summary.reason = 'timeout';
+              break;
+            }
+            
+            // engage caps its timeout, so long fights run as several slices
+            const slice = Math.min(remaining, combat.MAX_TIMEOUT);
+            const result = await actions.combat.engage({ ...engageOptions, minHealth, maxTargets: 1, timeoutMs: slice });
+            summary.kills += result.kills;
+            summary.hits += result.hits;
+            if (result.reason !== 'done' && !(result.reason === 'timeout' && slice < remaining)) {
+              summary.reason = result.reason;
+            }
+          }
+          
+          summary.ok = ['condition', 'clear'].includes(summary.reason);
+          summary.health = this.botServer.bot.health;
+          return summary;
         }
       };
     }
@@ -267,19 +639,45 @@ class ContextBuilder {
     // Crafting actions
     if (this.capabilities.has('craft')) {
       actions.craft = {
-        craft: async (recipe, count = 1) => {
-          this.budget.check('craft');
+        // What a recursive craft of count items would make, in order, and which
+        // raw materials are missing
+        plan: async (item, count = 1) => {
+          if (!this.botServer.bot) {
+            throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+          }
           
+          try {
+            return crafting.planCraft(this.botServer.bot, { item, count });
+          } catch (error) {
+            throw new ProgramError(ErrorCode.INVALID_ARGUMENT, error.message);
+          }
+        },
+        
+        // With options.recursive the intermediates (planks, sticks, a crafting
+        // table...) are crafted too; each step counts against the craft budget
+        craft: async (recipe, count = 1, options = {}) => {
           if (!this.botServer.bot) {
             throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
           }
           
+          if (options.recursive) {
+            const plan = await actions.craft.plan(recipe, count);
+            if (!plan.complete) {
+              const missing = plan.missing.map(m => `${m.count} ${m.item}`).join(', ');
+              throw new ProgramError(ErrorCode.OPERATION_FAILED, `Failed to craft ${recipe}: missing ${missing}`);
+            }
+            this.budget.check('craft', Math.max(1, plan.steps.length));
+          } else {
+            this.budget.check('craft');
+          }
+          
           try {
             const result = await this.botServer.executeInstruction({
               type: 'craft',
               params: {
                 item: recipe,
-                count: count
+                count: count,
+                recursive: options.recursive || undefined
               }
             });
             
@@ -293,48 +691,113 @@ class ContextBuilder {
         },
         
         ensureCraftingTable: async () => {
-          this.budget.check('craft');
-          
           if (!this.botServer.bot) {
             throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
           }
           
+          const bot = this.botServer.bot;
+          const nearby = bot.findBlock({ matching: bot.registry.blocksByName.crafting_table.id, maxDistance: 6 });
+          if (nearby) {
+            return { success: true, position: new Vec3(nearby.position.x, nearby.position.y, nearby.position.z) };
+          }
+          
           // Check inventory for crafting table
-          const inventory = this.botServer.bot.inventory.items();
+          const inventory = bot.inventory.items();
           const hasTable = inventory.some(item => item.name === 'crafting_table');
           
           if (!hasTable) {
-            // Craft a crafting table
-            await this.craft('crafting_table', 1);
+            // Craft a crafting table, and the planks for it if need be
+            await actions.craft.craft('crafting_table', 1, { recursive: true });
           }
           
-          // Find a place to put it
+          // Put it in a free cell next to the bot, on solid ground
           if (this.capabilities.has('place')) {
-            const position = this.botServer.bot.entity.position;
-            const nearbyPos = new Vec3(
-              Math.floor(position.x) + 1,
-              Math.floor(position.y),
-              Math.floor(position.z)
-            );
+            const { x, y, z } = bot.entity.position;
+            const feet = new Vec3(Math.floor(x), Math.floor(y), Math.floor(z));
+            const spot = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+              .map(([dx, dz]) => feet.offset(dx, 0, dz))
+              .find(cell => {
+                const block = bot.blockAt(cell);
+                const below = bot.blockAt(cell.offset(0, -1, 0));
+                return block && block.boundingBox === 'empty' && below && below.boundingBox === 'block';
+              });
+            if (!spot) {
+              throw new ProgramError(ErrorCode.PRECONDITION, 'No free spot next to the bot to place a crafting table');
+            }
             
             await this.botServer.executeInstruction({
               type: 'place',
-              params: {
-                x: nearbyPos.x,
-                y: nearbyPos.y,
-                z: nearbyPos.z,
-                block: 'crafting_table'
-              }
+              params: { x: spot.x, y: spot.y, z: spot.z, blockName: 'crafting_table' }
             });
+            return { success: true, position: spot };
           }
           
           return { success: true };
         }
       };
+      
+      // Smelting (see commands/smelting.js smelt for the options)
+      const log = this.buildLoggerAPI();
+      actions.smelt = {
+        // The fuel a smelt of count items would burn, least valuable first
+        fuelFor: async (count, options = {}) => {
+          if (!this.botServer.bot) {
+            throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+          }
+          
+          try {
+            return smelting.selectFuel(this.botServer.bot, count, options);
+          } catch (error) {
+            throw new ProgramError(ErrorCode.INVALID_ARGUMENT, error.message);
+          }
+        },
+        
+        // Smelt count items (default: all in the inventory); each call counts
+        // against the craft budget
+        smelt: async (item, count, options = {}) => {
+          this.budget.check('craft');
+          
+          if (!this.botServer.bot) {
+            throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+          }
+          
+          try {
+            return await this.botServer.executeInstruction({
+              type: 'smelt',
+              params: {
+                item,
+                count,
+                fuel: options.fuel,
+                furnace: options.furnace,
+                timeout: options.timeoutMs
+              }
+            }, {
+              signal: this.abortController.signal,
+              logEvent: (type, data) => log.info(`Smelted ${data.smelted}/${data.total} ${data.output}`, data)
+            });
+          } catch (error) {
+            throw new ProgramError(ErrorCode.OPERATION_FAILED, `Failed to smelt ${item}: ${error.message}`);
+          }
+        }
+      };
     }
     
     // Inventory actions
     if (this.capabilities.has('inventory')) {
+      const inventoryAction = async (type, verb, params) => {
+        this.budget.check('inventory');
+        
+        if (!this.botServer.bot) {
+          throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+        }
+        
+        try {
+          return await this.botServer.executeInstruction({ type, params }, { signal: this.abortController.signal });
+        } catch (error) {
+          throw new ProgramError(ErrorCode.OPERATION_FAILED, `Failed to ${verb}: ${error.message}`);
+        }
+      };
+      
       actions.inventory = {
         get: async () => {
           if (!this.botServer.bot) {
@@ -350,32 +813,135 @@ class ContextBuilder {
           }));
         },
         
-        requireBlocks: async ({ count, allowGather }) => {
+        // Eat item, or the most saturating safe food in the inventory
+        eat: async ({ item } = {}) => {
           this.budget.check('inventory');
           
-          const inventory = await actions.inventory.get();
-          const blockCount = inventory
-            .filter(item => item.name.includes('_planks') || item.name === 'cobblestone')
-            .reduce((sum, item) => sum + item.count, 0);
+          if (!this.botServer.bot) {
+            throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+          }
           
-          if (blockCount < count) {
-            if (!allowGather) {
-              throw new ProgramError(
-                ErrorCode.PRECONDITION,
-                `Need ${count} blocks but only have ${blockCount}`
-              );
+          try {
+            return await this.botServer.executeInstruction({ type: 'eat', params: { item } });
+          } catch (error) {
+            throw new ProgramError(ErrorCode.PRECONDITION, `Failed to eat: ${error.message}`);
+          }
+        },
+        
+        // Slot by slot: { selected, held, hotbar, armor, offHand, main, used, free }
+        slots: async () => {
+          if (!this.botServer.bot) {
+            throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+          }
+          
+          return inventory.slotView(this.botServer.bot);
+        },
+        
+        // toss('dirt', 10), toss('dirt') for all of it, or toss({ slot: 12 })
+        toss: (item, count) => inventoryAction(
+          'toss',
+          'toss',
+          typeof item === 'object' && item !== null ? item : { item, count }
+        ),
+        
+        // Move a stack between window slots (armor 5-8, main 9-35, hotbar 36-44, off-hand 45)
+        move: (from, to) => inventoryAction('moveSlot', 'move item', { from, to }),
+        
+        // Select hotbar slot 0-8, moving item there first when given
+        hotbar: (slot, item) => inventoryAction('hotbar', 'select hotbar slot', { slot, item }),
+        
+        // Wear the best armor in the inventory
+        autoArmor: () => inventoryAction('autoArmor', 'equip armor', {}),
+        
+        // Toss junk down to policy.maxUsedSlots (default: the server's junk policy)
+        tidy: (policy = {}) => inventoryAction('tidy', 'tidy inventory', policy),
+        
+        // Make sure the inventory holds count building blocks (filler blocks and
+        // planks), or the items given as { name: count } / [{ name, count }].
+        // With allowGather, what is missing is mined nearby (see gather.collect).
+        requireBlocks: async ({ count, items, allowGather = false, radius, maxBlocks } = {}) => {
+          this.budget.check('inventory');
+          
+          const bot = this.botServer.bot;
+          if (!bot) {
+            throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+          }
+          
+          let requirements;
+          if (items) {
+            requirements = this.readRequirements(items);
+          } else {
+            if (!Number.isInteger(count) || count < 1) {
+              throw new ProgramError(ErrorCode.INVALID_ARGUMENT, 'count or items required');
             }
-            
-            // TODO: Implement gathering logic
+            const names = [
+              ...FILLER_BLOCKS,
+              ...Object.keys(bot.registry.itemsByName).filter(name => name.endsWith('_planks'))
+            ];
+            const sources = [...new Set(names.flatMap(name => tools.sourceBlocks(bot.registry, name)))];
+            requirements = [{ label: 'blocks', names, sources, count }];
+          }
+          
+          const have = requirement => bot.inventory.items()
+            .filter(item => requirement.names.includes(item.name))
+            .reduce((sum, item) => sum + item.count, 0);
+          const shortfall = () => requirements
+            .filter(requirement => have(requirement) < requirement.count)
+            .map(requirement => `${requirement.count} ${requirement.label} but only have ${have(requirement)}`)
+            .join(', ');
+          
+          if (!shortfall()) {
+            return { success: true, gathered: null };
+          }
+          if (!allowGather) {
+            throw new ProgramError(ErrorCode.PRECONDITION, `Need ${shortfall()}`);
+          }
+          if (!actions.gather) {
+            throw new ProgramError(ErrorCode.CAPABILITY, 'Gathering requires the "dig" capability');
+          }
+          
+          const gathered = await this.gatherItems(requirements, { radius, maxBlocks }, actions);
+          if (!gathered.ok) {
             throw new ProgramError(
-              ErrorCode.OPERATION_FAILED,
-              'Automatic gathering not yet implemented'
+              ErrorCode.PRECONDITION,
+              `Need ${shortfall()} after gathering (${gathered.reason})`,
+              gathered
             );
           }
-          
-          return { success: true };
+          return { success: true, gathered };
         }
       };
+      
+      // Chests, barrels and shulker boxes (see commands/containers.js). The bot
+      // walks to the container when it is out of reach.
+      const containerAction = (type, verb) => async (position, spec = {}) => {
+        this.budget.check('inventory');
+        
+        if (!this.botServer.bot) {
+          throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+        }
+        if (!position) {
+          throw new ProgramError(ErrorCode.INVALID_ARGUMENT, 'Container position required');
+        }
+        
+        try {
+          return await this.botServer.executeInstruction({
+            type,
+            params: { ...spec, x: position.x, y: position.y, z: position.z }
+          }, { signal: this.abortController.signal });
+        } catch (error) {
+          throw new ProgramError(ErrorCode.OPERATION_FAILED, `Failed to ${verb}: ${error.message}`);
+        }
+      };
+      
+      actions.container = {
+        // { container, size, free, items, totals }
+        list: containerAction('container', 'open container'),
+        // spec: { item, count }, { items: [{ name, count }] } or { all: true, except }
+        deposit: containerAction('deposit', 'deposit'),
+        // spec: { item, count } or { items: [{ name, count }] }
+        withdraw: containerAction('withdraw', 'withdraw')
+      };
     }
     
     // Search actions (high-level patterns)
@@ -459,35 +1025,47 @@ class ContextBuilder {
   }
   
   buildLoggerAPI() {
+    const record = (level, message, meta) => {
+      const entry = {
+        level,
+        message,
+        meta,
+        timestamp: Date.now()
+      };
+      this.logs.push(entry);
+      console.log(`[PROGRAM ${level.toUpperCase()}]`, message, meta || '');
+      
+      if (this.onLog) {
+        this.onLog({ type: 'log', ...entry });
+      }
+    };
+    
     return {
-      info: (message, meta) => {
-        this.logs.push({
-          level: 'info',
-          message,
-          meta,
-          timestamp: Date.now()
-        });
-        console.log('[PROGRAM INFO]', message, meta || '');
-      },
+      info: (message, meta) => record('info', message, meta),
+      warn: (message, meta) => record('warn', message, meta),
+      error: (message, meta) => record('error', message, meta)
+    };
+  }
+  
+  // ctx.progress(pct, message) - report how far along a long-running program is
+  buildProgressAPI() {
+    return (pct, message) => {
+      const value = Number(pct);
+      if (!isFinite(value)) {
+        throw new ProgramError(
+          ErrorCode.INVALID_ARGUMENT,
+          `progress() expects a percentage, got ${pct}`
+        );
+      }
       
-      warn: (message, meta) => {
-        this.logs.push({
-          level: 'warn',
-          message,
-          meta,
-          timestamp: Date.now()
-        });
-        console.log('[PROGRAM WARN]', message, meta || '');
-      },
+      this.progress = {
+        pct: Math.max(0, Math.min(100, value)),
+        message: message !== undefined ? String(message) : null,
+        timestamp: Date.now()
+      };
       
-      error: (message, meta) => {
-        this.logs.push({
-          level: 'error',
-          message,
-          meta,
-          timestamp: Date.now()
-        });
-        console.log('[PROGRAM ERROR]', message, meta || '');
+      if (this.onLog) {
+        this.onLog({ type: 'progress', ...this.progress });
       }
     };
   }
@@ -527,10 +1105,156 @@ class ContextBuilder {
       followPath: (path, options) => movementUtils.followPath(self.build(), path, options),
       strafe: (direction, distance, options) => movementUtils.strafe(self.build(), direction, distance, options),
       jumpTo: (target, options) => movementUtils.jumpTo(self.build(), target, options),
-      circleAround: (center, radius, options) => movementUtils.circleAround(self.build(), center, radius, options)
+      circleAround: (center, radius, options) => movementUtils.circleAround(self.build(), center, radius, options),
+      // options.planner: 'pathfinder' (default) or 'deterministic' for a route
+      // that is the same for the same seed and world
+      goto: (target, options) => self.requireNavigation().goto(target, options),
+      planPath: async (target, options = {}) => {
+        self.requireNavigation();
+        if (!self.botServer.bot) {
+          throw new ProgramError(ErrorCode.BOT_DISCONNECTED, 'Bot is not connected');
+        }
+        
+        try {
+          const plan = planPath(self.botServer.bot, {
+            x: target.x,
+            y: target.y,
+            z: target.z,
+            planner: options.planner,
+            range: options.range,
+            maxDrop: options.maxDrop,
+            maxIterations: options.maxIterations,
+            movements: options.movements,
+            seed: self.seed
+          });
+          return { ...plan, path: plan.path.map(p => new Vec3(p.x, p.y, p.z)) };
+        } catch (error) {
+          throw new ProgramError(ErrorCode.PATHFIND, `Failed to plan path: ${error.message}`, error.details || null);
+        }
+      }
     };
   }
   
+  requireNavigation() {
+    const { navigate } = this.buildActionsAPI();
+    if (!navigate) {
+      throw new ProgramError(
+        ErrorCode.CAPABILITY,
+        'Navigation requires the "move" or "pathfind" capability'
+      );
+    }
+    return navigate;
+  }
+  
+  // [{ label, names, sources, count }] from { name: count }, [{ name, count }]
+  // or item names (1 each). A requirement counts any of its names.
+  readRequirements(requirements) {
+    const registry = this.botServer.bot.registry;
+    const entries = Array.isArray(requirements)
+      ? requirements.map(entry => (typeof entry === 'string' ? { name: entry, count: 1 } : entry))
+      : Object.entries(requirements || {}).map(([name, count]) => ({ name, count }));
+    if (entries.length === 0) {
+      throw new ProgramError(ErrorCode.INVALID_ARGUMENT, 'Item requirements required');
+    }
+    
+    return entries.map(({ name, count = 1 }) => {
+      if (!registry.itemsByName[name]) {
+        throw new ProgramError(ErrorCode.INVALID_ARGUMENT, `Unknown item: ${name}`);
+      }
+      if (!Number.isInteger(count) || count < 1) {
+        throw new ProgramError(ErrorCode.INVALID_ARGUMENT, `Count for ${name} must be a positive integer`);
+      }
+      const sources = tools.sourceBlocks(registry, name);
+      if (sources.length === 0) {
+        throw new ProgramError(ErrorCode.INVALID_ARGUMENT, `No block drops ${name}`);
+      }
+      return { label: name, names: [name], sources, count };
+    });
+  }
+  
+  // Mine the nearest blocks that drop what requirements still lack, with the
+  // fastest tool that harvests them, and pick up the drops. Stops when every
+  // requirement is met, nothing left in options.radius drops anything with the
+  // tools at hand, options.maxBlocks were mined or the dig/move budget runs out.
+  // Returns { ok, reason, collected, missing, blocks: [{ block, position, drops }] }.
+  async gatherItems(requirements, options, actions) {
+    const bot = this.botServer.bot;
+    const { radius = 16, maxBlocks = 64 } = options;
+    const scan = this.buildWorldAPI().scan;
+    
+    const counts = () => {
+      const totals = {};
+      for (const item of bot.inventory.items()) totals[item.name] = (totals[item.name] || 0) + item.count;
+      return totals;
+    };
+    const have = requirement => {
+      const totals = counts();
+      return requirement.names.reduce((sum, name) => sum + (totals[name] || 0), 0);
+    };
+    const center = position => new Vec3(position.x + 0.5, position.y + 0.5, position.z + 0.5);
+    
+    const collected = {};
+    const blocks = [];
+    const tried = new Set();
+    let reason = 'done';
+    
+    while (requirements.some(requirement => have(requirement) < requirement.count)) {
+      if (this.abortController.signal.aborted) {
+        reason = 'cancelled';
+        break;
+      }
+      if (blocks.length >= maxBlocks) {
+        reason = 'max_blocks';
+        break;
+      }
+      
+      const kinds = [...new Set(requirements
+        .filter(requirement => have(requirement) < requirement.count)
+        .flatMap(requirement => requirement.sources))];
+      const origin = bot.entity.position;
+      const found = (await scan.blocks({ kinds, radius, max: 1000 }))
+        .map(block => ({ name: block.name, position: new Vec3(Math.floor(block.position.x), Math.floor(block.position.y), Math.floor(block.position.z)) }))
+        .filter(block => !tried.has(`${block.position.x},${block.position.y},${block.position.z}`))
+        .filter(block => actions.navigate || center(block.position).distanceTo(origin) <= GATHER_REACH)
+        .sort((a, b) => center(a.position).distanceTo(origin) - center(b.position).distanceTo(origin));
+      // Blocks that would drop nothing with the tools at hand are left alone
+      const target = found.find(block => tools.bestTool(bot, bot.blockAt(block.position)).harvestable);
+      if (!target) {
+        reason = found.length > 0 ? 'no_tool' : 'not_found';
+        break;
+      }
+      
+      const { position } = target;
+      tried.add(`${position.x},${position.y},${position.z}`);
+      try {
+        if (center(position).distanceTo(bot.entity.position) > GATHER_REACH) {
+          await actions.navigate.goto(position, { range: 2 });
+        }
+        
+        // The dig instruction holds the best tool and picks up the drops
+        const { collected: drops } = await actions.gather.mineBlock({ position });
+        
+        for (const [name, count] of Object.entries(drops)) collected[name] = (collected[name] || 0) + count;
+        blocks.push({ block: target.name, position, drops });
+      } catch (error) {
+        if (error.code === ErrorCode.RESOURCE_LIMIT) {
+          reason = 'budget';
+          break;
+        }
+        if (error.code === ErrorCode.BOT_DISCONNECTED || error.code === ErrorCode.CAPABILITY) throw error;
+        // Unreachable or undiggable: try the next block
+        this.buildLoggerAPI().warn(`Skipped ${target.name} at ${position.x}, ${position.y}, ${position.z}: ${error.message}`);
+      }
+    }
+    
+    const missing = {};
+    for (const requirement of requirements) {
+      const short = requirement.count - have(requirement);
+      if (short > 0) missing[requirement.label] = short;
+    }
+    return { ok: Object.keys(missing).length === 0, reason: Object.keys(missing).length === 0 ? 'done' : reason, collected, missing, blocks };
+  }
+  
   buildSafetyAPI() {
     // Bind safety utilities with context
     const self = this;
@@ -608,6 +1332,7 @@ class ContextBuilder {
   
   cancel() {
     this.cancelToken.isCancelled = true;
+    this.abortController.abort();
     for (const callback of this.cancelToken.callbacks) {
       callback();
     }
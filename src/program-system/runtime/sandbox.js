@@ -2,11 +2,13 @@ const vm = require('vm');
 const { ProgramError, ErrorCode } = require('../sdk/types');
 
 class ProgramSandbox {
-  constructor(capabilities = [], timeout = 900000) {
+  constructor(capabilities = [], timeout = 900000, options = {}) {
     this.capabilities = new Set(capabilities);
     this.timeout = timeout;
     this.isRunning = false;
     this.abortController = null;
+    // Called with each console entry as it happens (live run logs)
+    this.onLog = options.onLog || null;
     
     // Create a clean context with only safe globals
     this.contextObject = {
@@ -71,11 +73,16 @@ class ProgramSandbox {
         return String(arg);
       }).join(' ');
       
-      logs.push({
+      const entry = {
         level,
         message,
         timestamp: Date.now()
-      });
+      };
+      logs.push(entry);
+      
+      if (this.onLog) {
+        this.onLog({ type: 'log', ...entry });
+      }
       
       // Prevent log flooding
       if (logs.length > maxLogs) {
@@ -121,6 +128,7 @@ class ProgramSandbox {
     
     this.isRunning = true;
     this.abortController = new AbortController();
+    let timeoutTimer;
     
     try {
       // Inject the SDK and context into the sandbox
@@ -135,7 +143,7 @@ class ProgramSandbox {
       
       // Create a timeout promise
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => {
+        timeoutTimer = setTimeout(() => {
           reject(new ProgramError(
             ErrorCode.TIMEOUT,
             `Program execution timed out after ${this.timeout}ms`
@@ -191,9 +199,16 @@ class ProgramSandbox {
           const executionResult = runScript.runInContext(this.context);
           
           // Handle the promise result
+          // ctx.control.success/fail throw marker objects - those are results, not errors
           Promise.resolve(executionResult)
             .then(resolve)
-            .catch(reject);
+            .catch(error => {
+              if (error && (error.__mfSuccess || error.__mfFailure)) {
+                resolve(error);
+              } else {
+                reject(error);
+              }
+            });
         } catch (error) {
           reject(error);
         }
@@ -223,6 +238,8 @@ class ProgramSandbox {
         { originalError: error.toString() }
       );
     } finally {
+      // A pending timer would keep short-lived processes (CLI dry runs) alive
+      clearTimeout(timeoutTimer);
       this.isRunning = false;
       this.abortController = null;
     }
@@ -7,6 +7,20 @@ const { Vec3, ProgramError, ErrorCode } = require('./types');
 const { step, moveCardinal } = require('./movement');
 const { withTimeout } = require('./flow');
 
+const FLUIDS = ['lava', 'water'];
+const FIRE = ['fire', 'soul_fire'];
+const TORCH_LIGHT = 14;
+// Distances the bot can place/dig at, and hit mobs at (blocks)
+const REACH = 4;
+const MELEE_REACH = 3;
+// Stair digging tries these in order, so escapes are repeatable
+const STAIR_DIRECTIONS = [
+  new Vec3(0, 0, -1),
+  new Vec3(1, 0, 0),
+  new Vec3(0, 0, 1),
+  new Vec3(-1, 0, 0)
+];
+
 /**
  * Escape from a hole or pit by finding and navigating to higher ground
  * @param {Object} context - Bot context
@@ -163,6 +177,9 @@ async function safeStep(context, direction, options = {}) {
  * @param {number} [options.radius=2] - Radius of safe zone
  * @param {boolean} [options.placeTorches=true] - Place torches for lighting
  * @param {boolean} [options.clearHostiles=true] - Clear hostile mobs
+ * @param {string} [options.block] - Block for filling holes and lava (default: cheapest filler in inventory)
+ * @param {number} [options.minLight=8] - Light level the torch grid keeps the zone at
+ * @param {number} [options.attackCooldownMs=650] - Wait between attacks
  * @returns {Promise<{ok: boolean, value?: Object, error?: string}>}
  * 
  * @example
@@ -183,24 +200,24 @@ async function createSafeZone(context, center = null, options = {}) {
   
   const actions = [];
   
-  // Clear dangerous blocks (lava, water sources)
-  if (context.capabilities.includes('dig')) {
-    actions.push(await clearDangerousBlocks(context, centerPos, radius));
+  // Douse lava (place) and put out fire (dig)
+  if (context.capabilities.includes('dig') || context.capabilities.includes('place')) {
+    actions.push(await clearDangerousBlocks(context, centerPos, radius, options));
   }
   
   // Place floor if there are gaps
   if (context.capabilities.includes('place')) {
-    actions.push(await ensureSolidFloor(context, centerPos, radius));
+    actions.push(await ensureSolidFloor(context, centerPos, radius, options));
   }
   
   // Place torches for mob prevention
   if (placeTorches && context.capabilities.includes('place')) {
-    actions.push(await placeLighting(context, centerPos, radius));
+    actions.push(await placeLighting(context, centerPos, radius, options));
   }
   
   // Clear hostile mobs if combat is enabled
   if (clearHostiles && context.capabilities.includes('attack')) {
-    actions.push(await clearHostileMobs(context, centerPos, radius));
+    actions.push(await clearHostileMobs(context, centerPos, radius, options));
   }
   
   const failures = actions.filter(a => a && !a.ok);
@@ -336,9 +353,13 @@ async function retreatToSafety(context, options = {}) {
 // Helper functions
 
 async function attemptPillarJump(context, targetHeight) {
-  // Simplified pillar jump logic
-  // In production, would place blocks below and jump up
-  return { ok: false, error: 'Pillar jump not yet implemented' };
+  try {
+    await context.actions.build.pillarUp({ height: targetHeight });
+    const state = await context.bot.getState();
+    return { ok: true, value: state.position, attempts: 1 };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
 }
 
 async function findEscapeRoutes(context, radius) {
@@ -371,9 +392,70 @@ async function attemptEscapeRoute(context, route) {
   });
 }
 
+// Dig a staircase up and out, trying each direction in a fixed order
 async function digStairway(context, targetHeight) {
-  // Simplified stair digging logic
-  return { ok: false, error: 'Stair digging not yet implemented' };
+  if (!context.actions.navigate) {
+    return { ok: false, error: 'Stair digging requires the "move" capability' };
+  }
+  
+  let lastError = null;
+  for (const direction of STAIR_DIRECTIONS) {
+    let climbed = 0;
+    try {
+      while (climbed < targetHeight) {
+        await digStairStep(context, direction);
+        climbed++;
+      }
+      const state = await context.bot.getState();
+      return { ok: true, value: state.position };
+    } catch (error) {
+      lastError = error.message;
+      // Partway up, turning around would undo the climb
+      if (climbed > 0) break;
+    }
+  }
+  
+  return { ok: false, error: `Stair digging failed: ${lastError}` };
+}
+
+// One step: clear headroom to jump, clear the next step's two cells, make sure
+// it has something to stand on, then walk up onto it
+async function digStairStep(context, direction) {
+  const { position } = await context.bot.getState();
+  const feet = new Vec3(Math.floor(position.x), Math.floor(position.y), Math.floor(position.z));
+  const next = feet.offset(direction.x, 1, direction.z);
+  
+  for (const cell of [feet.offset(0, 2, 0), next, next.offset(0, 1, 0)]) {
+    await clearCell(context, cell);
+  }
+  
+  const support = await context.world.blockAt(next.offset(0, -1, 0));
+  if (!support || !support.solid) {
+    if (!context.actions.build) {
+      throw new Error(`No step to stand on at ${next.x}, ${next.y - 1}, ${next.z}`);
+    }
+    await context.actions.build.placeBlock({ position: next.offset(0, -1, 0) });
+  }
+  
+  await context.actions.navigate.goto(next, { range: 0, timeoutMs: 5000 });
+}
+
+async function clearCell(context, position) {
+  // Sand and gravel fall into the cell again, so dig until it stays clear
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const block = await context.world.blockAt(position);
+    if (!block) {
+      throw new Error(`Block at ${position.x}, ${position.y}, ${position.z} is not loaded`);
+    }
+    if (FLUIDS.includes(block.name)) {
+      throw new Error(`${block.name} at ${position.x}, ${position.y}, ${position.z}`);
+    }
+    if (!block.solid) return;
+    
+    // Clearing the way: dig even what drops nothing with the tools at hand
+    await context.actions.gather.mineBlock({ position, force: true });
+  }
+  throw new Error(`Could not clear ${position.x}, ${position.y}, ${position.z}`);
 }
 
 async function performSafetyChecks(context, targetPos, options) {
@@ -409,29 +491,218 @@ async function performSafetyChecks(context, targetPos, options) {
   return { ok: true };
 }
 
-async function clearDangerousBlocks(context, center, radius) {
-  // Clear lava, water sources, etc.
-  return { ok: true };
+// Move within reach of position first, when the program may move
+async function approach(context, position, reach = REACH) {
+  const state = await context.bot.getState();
+  if (!context.actions.navigate || state.position.distanceTo(position) <= reach) return;
+  
+  await context.actions.navigate.goto(position, { range: Math.floor(reach) - 1, timeoutMs: 15000 });
 }
 
-async function ensureSolidFloor(context, center, radius) {
-  // Fill gaps in floor
-  return { ok: true };
+async function placeAt(context, position, block) {
+  await approach(context, position);
+  await context.actions.build.placeBlock({ position, block });
 }
 
-async function placeLighting(context, center, radius) {
-  // Place torches for mob prevention
-  return { ok: true };
+function cellsAround(center, radius, yRadius = radius) {
+  const cells = [];
+  const cx = Math.floor(center.x);
+  const cy = Math.floor(center.y);
+  const cz = Math.floor(center.z);
+  
+  for (let y = cy - yRadius; y <= cy + yRadius; y++) {
+    for (let x = cx - radius; x <= cx + radius; x++) {
+      for (let z = cz - radius; z <= cz + radius; z++) {
+        cells.push(new Vec3(x, y, z));
+      }
+    }
+  }
+  return cells;
 }
 
-async function clearHostileMobs(context, center, radius) {
-  // Attack hostile mobs in area
-  return { ok: true };
+// Douse lava by filling it with blocks (needs 'place') and put out fire by
+// digging it (needs 'dig'). Works bottom-up so each block has support.
+async function clearDangerousBlocks(context, center, radius, options = {}) {
+  const { block } = options;
+  const canPlace = context.capabilities.includes('place');
+  const canDig = context.capabilities.includes('dig');
+  const value = { doused: 0, extinguished: 0, skipped: [] };
+  
+  try {
+    for (const position of cellsAround(center, radius)) {
+      const found = await context.world.blockAt(position);
+      if (!found) continue;
+      
+      if (found.name === 'lava') {
+        if (!canPlace) {
+          value.skipped.push(position);
+          continue;
+        }
+        await placeAt(context, position, block);
+        value.doused++;
+      } else if (FIRE.includes(found.name)) {
+        if (!canDig) {
+          value.skipped.push(position);
+          continue;
+        }
+        await approach(context, position);
+        await context.actions.gather.mineBlock({ position, force: true });
+        value.extinguished++;
+      }
+    }
+  } catch (error) {
+    return { ok: false, error: `Clearing hazards stopped: ${error.message}`, value };
+  }
+  
+  if (value.skipped.length > 0) {
+    return { ok: false, error: `${value.skipped.length} hazards left (missing capability)`, value };
+  }
+  return { ok: true, value };
+}
+
+// Fill holes in the floor (the layer under center) up to maxDepth deep
+async function ensureSolidFloor(context, center, radius, options = {}) {
+  const { block, maxDepth = 3 } = options;
+  const floorY = Math.floor(center.y) - 1;
+  const value = { placed: 0, unfilled: [] };
+  
+  try {
+    for (const cell of cellsAround(new Vec3(center.x, floorY, center.z), radius, 0)) {
+      const top = await context.world.blockAt(cell);
+      if (!top || top.solid) continue;
+      
+      // Find the bottom of the hole, then fill it upward
+      let bottom = floorY;
+      while (bottom > floorY - maxDepth + 1) {
+        const below = await context.world.blockAt(new Vec3(cell.x, bottom - 1, cell.z));
+        if (!below || below.solid) break;
+        bottom--;
+      }
+      
+      const base = await context.world.blockAt(new Vec3(cell.x, bottom - 1, cell.z));
+      if (!base || !base.solid) {
+        value.unfilled.push(cell);
+        continue;
+      }
+      
+      for (let y = bottom; y <= floorY; y++) {
+        await placeAt(context, new Vec3(cell.x, y, cell.z), block);
+        value.placed++;
+      }
+    }
+  } catch (error) {
+    return { ok: false, error: `Floor fill stopped: ${error.message}`, value };
+  }
+  
+  if (value.unfilled.length > 0) {
+    return { ok: false, error: `${value.unfilled.length} floor holes deeper than ${maxDepth} blocks`, value };
+  }
+  return { ok: true, value };
+}
+
+// Torches on a grid fixed to world coordinates. A torch gives light 14, losing
+// one per block, so a spacing of (14 - minLight) keeps every cell at minLight
+// or brighter. Grid points already lit by a source within half a spacing are
+// skipped.
+async function placeLighting(context, center, radius, options = {}) {
+  const { minLight = 8, torch = 'torch' } = options;
+  const spacing = Math.max(1, TORCH_LIGHT - minLight);
+  const litEnough = TORCH_LIGHT - Math.floor(spacing / 2);
+  const onGrid = (n) => ((n % spacing) + spacing) % spacing === 0;
+  
+  const state = await context.bot.getState();
+  const feet = new Vec3(Math.floor(state.position.x), Math.floor(state.position.y), Math.floor(state.position.z));
+  const value = { placed: 0, positions: [] };
+  
+  try {
+    for (const column of cellsAround(center, radius, 0)) {
+      if (!onGrid(column.x) || !onGrid(column.z)) continue;
+      
+      const spot = await findTorchSpot(context, column);
+      if (!spot || spot.equals(feet)) continue;
+      
+      const here = await context.world.blockAt(spot);
+      if (here.light !== null && here.light >= litEnough) continue;
+      
+      await placeAt(context, spot, torch);
+      value.placed++;
+      value.positions.push(spot);
+    }
+  } catch (error) {
+    return { ok: false, error: `Lighting stopped: ${error.message}`, value };
+  }
+  
+  return { ok: true, value };
+}
+
+// An empty cell on top of a solid block, near the column's y
+async function findTorchSpot(context, column) {
+  for (let y = column.y + 1; y >= column.y - 2; y--) {
+    const cell = new Vec3(column.x, y, column.z);
+    const here = await context.world.blockAt(cell);
+    const below = await context.world.blockAt(cell.offset(0, -1, 0));
+    if (here && below && here.name === 'air' && below.solid) {
+      return cell;
+    }
+  }
+  return null;
+}
+
+// Attack the nearest hostile mob within radius of center until none are left,
+// walking up to mobs out of melee reach when the program may move
+async function clearHostileMobs(context, center, radius, options = {}) {
+  const { attackCooldownMs = 650, maxActions = 60 } = options;
+  const unreachable = new Set();
+  let attacks = 0;
+  
+  const hostilesInZone = async () => {
+    const nearby = await context.world.entities({ radius: radius * 2 + MELEE_REACH, hostile: true });
+    return nearby.filter(e => e.position.distanceTo(center) <= radius && !unreachable.has(e.id));
+  };
+  
+  try {
+    for (let action = 0; action < maxActions; action++) {
+      const [target] = await hostilesInZone();
+      if (!target) break;
+      
+      if (target.distance > MELEE_REACH) {
+        if (!context.actions.navigate) {
+          unreachable.add(target.id);
+          continue;
+        }
+        try {
+          await context.actions.navigate.goto(target.position, { range: 2, timeoutMs: 10000 });
+        } catch (error) {
+          unreachable.add(target.id);
+        }
+        continue;
+      }
+      
+      await context.actions.combat.attack({ entityId: target.id });
+      attacks++;
+      if (attackCooldownMs > 0) {
+        await context.clock.sleep(attackCooldownMs);
+      }
+    }
+  } catch (error) {
+    return { ok: false, error: `Combat stopped: ${error.message}`, value: { attacks } };
+  }
+  
+  unreachable.clear();
+  const remaining = await hostilesInZone();
+  if (remaining.length > 0) {
+    return { ok: false, error: `${remaining.length} hostile mobs left`, value: { attacks, remaining: remaining.map(e => e.name) } };
+  }
+  return { ok: true, value: { attacks } };
 }
 
 async function eatAvailableFood(context) {
-  // Try to eat food from inventory
-  return { ok: false, error: 'No food available' };
+  try {
+    const result = await context.actions.inventory.eat();
+    return { ok: true, value: { item: result.item, food: result.food } };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
 }
 
 module.exports = {
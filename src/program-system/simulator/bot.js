@@ -0,0 +1,667 @@
+const EventEmitter = require('events');
+const { Vec3 } = require('../sdk/types');
+const DeterministicSearch = require('../deterministic');
+const { SimulatedFurnace, createFurnaceState } = require('./furnace');
+const { SimulatedContainer, createContainerState } = require('./container');
+const { isContainer } = require('../../commands/containers');
+const { isFalling } = require('../../commands/area');
+const { wallVariant } = require('../../commands/placement');
+
+// How far the bot can reach when digging or placing (blocks, from its eyes)
+const REACH = 5;
+const EYE_HEIGHT = 1.62;
+// Falls longer than this hurt (one health point per extra block)
+const SAFE_FALL = 3;
+// Player inventory window slots (see the constructor)
+const INVENTORY_SIZE = 46;
+const MAIN_START = 9;
+const HOTBAR_START = 36;
+const OFF_HAND = 45;
+const EQUIPMENT_SLOTS = { head: 5, torso: 6, legs: 7, feet: 8, 'off-hand': OFF_HAND };
+// How far below/above the current level to look for ground for XZ goals
+const GROUND_SEARCH = 16;
+// Damage per hit by held item; anything else hits for 1
+const WEAPON_DAMAGE = {
+  wooden_sword: 4, golden_sword: 4, stone_sword: 5, iron_sword: 6, diamond_sword: 7, netherite_sword: 8,
+  wooden_axe: 7, golden_axe: 7, stone_axe: 9, iron_axe: 9, diamond_axe: 9, netherite_axe: 10
+};
+
+function simulationError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+// A mineflayer-shaped bot that acts on a SimulatedWorld. It implements the
+// subset of the mineflayer (and mineflayer-pathfinder) API used by the shared
+// command handlers and the program context, so dry runs go through the same
+// code as real runs. Movement follows DeterministicSearch paths, so it respects
+// collisions, step heights and drops; the bot falls when the ground is removed.
+class SimulatedBot extends EventEmitter {
+  constructor(world, snapshot = {}) {
+    super();
+    this.world = world;
+    this.registry = world.registry;
+    this.version = this.registry.version.minecraftVersion;
+    this.Recipe = require('prismarine-recipe')(this.registry).Recipe;
+
+    const start = snapshot.position || snapshot.spawn || { x: 0, y: 64, z: 0 };
+    this.entity = {
+      position: new Vec3(start.x, start.y, start.z),
+      velocity: new Vec3(0, 0, 0),
+      yaw: 0,
+      pitch: 0,
+      height: 1.8,
+      onGround: true,
+      isInWater: false,
+      isInLava: false
+    };
+
+    this.health = snapshot.health !== undefined ? snapshot.health : 20;
+    this.food = snapshot.food !== undefined ? snapshot.food : 20;
+    this.oxygenLevel = 20;
+    this.oxygen = 20;
+    this.game = { gameMode: 'survival', dimension: 'overworld' };
+    const timeOfDay = snapshot.time || 0;
+    this.time = { timeOfDay, isDay: timeOfDay < 12000 };
+    this.isRaining = false;
+
+    this.entities = {};
+    for (const entity of snapshot.entities || []) {
+      this.entities[entity.id] = {
+        health: 20,
+        ...entity,
+        position: new Vec3(entity.position.x, entity.position.y, entity.position.z)
+      };
+    }
+
+    // mineflayer's player window: armor 5-8, main 9-35, hotbar 36-44, off-hand 45.
+    // Snapshot items go where their slot says, or into the next free slot.
+    this.inventory = {
+      slots: new Array(INVENTORY_SIZE).fill(null),
+      items: () => this.listItems()
+    };
+    this.quickBarSlot = 0;
+    for (const item of snapshot.inventory || []) {
+      if (item.slot !== undefined) {
+        this.setSlot(item.slot, item.name, item.count || 1, item.durabilityUsed);
+      } else {
+        this.addItem(item.name, item.count || 1);
+      }
+    }
+    this.initialItems = this.countItems();
+    this.usingItem = null;
+
+    this.furnaces = new Map();
+    // Container contents by 'x,y,z'; containers not in the snapshot start empty
+    this.containers = new Map();
+    for (const [key, items] of Object.entries(snapshot.containers || {})) {
+      this.containers.set(key, createContainerState(this.registry, items));
+    }
+
+    this.controlState = {};
+    this.chatLog = [];
+    this.attacks = [];
+
+    this.pathfinder = this.createPathfinder();
+    this.applyGravity();
+  }
+
+  // --- Inventory ---
+
+  get heldItem() {
+    return this.inventory.slots[HOTBAR_START + this.quickBarSlot];
+  }
+
+  get offHandItem() {
+    return this.inventory.slots[OFF_HAND];
+  }
+
+  setSlot(slot, name, count, durabilityUsed = 0) {
+    if (!Number.isInteger(slot) || slot < 0 || slot >= INVENTORY_SIZE) {
+      throw new Error(`Invalid inventory slot: ${slot}`);
+    }
+    if (!name || count <= 0) {
+      this.inventory.slots[slot] = null;
+      return null;
+    }
+    const data = this.registry.itemsByName[name];
+    if (!data) {
+      throw new Error(`Unknown item: ${name}`);
+    }
+    const item = {
+      name,
+      type: data.id,
+      count,
+      slot,
+      displayName: data.displayName,
+      stackSize: data.stackSize,
+      durabilityUsed
+    };
+    if (data.maxDurability) item.maxDurability = data.maxDurability;
+    this.inventory.slots[slot] = item;
+    return item;
+  }
+
+  // What bot.inventory.items() returns: the main inventory and hotbar
+  listItems() {
+    return this.inventory.slots.slice(MAIN_START, OFF_HAND).filter(Boolean);
+  }
+
+  // Held, main, hotbar and off-hand items of one name (armor is worn, not used)
+  countItem(name) {
+    return this.inventory.slots
+      .slice(MAIN_START)
+      .reduce((sum, item) => sum + (item && item.name === name ? item.count : 0), 0);
+  }
+
+  // Everything the bot has, worn armor included: Map of name -> count
+  countItems() {
+    const counts = new Map();
+    for (const item of this.inventory.slots) {
+      if (item) counts.set(item.name, (counts.get(item.name) || 0) + item.count);
+    }
+    return counts;
+  }
+
+  // Tops up stacks of the same item, then fills empty slots. What does not fit
+  // is lost, as a real bot would leave it on the ground.
+  addItem(name, count) {
+    const data = this.registry.itemsByName[name];
+    if (!data) {
+      throw new Error(`Unknown item: ${name}`);
+    }
+    const slots = this.inventory.slots;
+    let left = count;
+    for (let slot = MAIN_START; slot < OFF_HAND && left > 0; slot++) {
+      const item = slots[slot];
+      if (item && item.name === name && item.count < data.stackSize) {
+        const moved = Math.min(left, data.stackSize - item.count);
+        item.count += moved;
+        left -= moved;
+      }
+    }
+    for (let slot = MAIN_START; slot < OFF_HAND && left > 0; slot++) {
+      if (!slots[slot]) {
+        const moved = Math.min(left, data.stackSize);
+        this.setSlot(slot, name, moved);
+        left -= moved;
+      }
+    }
+  }
+
+  // Takes from the held stack first, then the other stacks and the off-hand
+  removeItem(name, count) {
+    const have = this.countItem(name);
+    if (have < count) {
+      throw new Error(`Not enough ${name} (have ${have}, need ${count})`);
+    }
+    const order = [HOTBAR_START + this.quickBarSlot];
+    for (let slot = OFF_HAND - 1; slot >= MAIN_START; slot--) order.push(slot);
+    order.push(OFF_HAND);
+
+    let left = count;
+    for (const slot of order) {
+      const item = this.inventory.slots[slot];
+      if (left === 0) break;
+      if (!item || item.name !== name) continue;
+      const taken = Math.min(left, item.count);
+      item.count -= taken;
+      left -= taken;
+      if (item.count === 0) this.inventory.slots[slot] = null;
+    }
+  }
+
+  // Inventory changes since the snapshot: { name: delta }
+  inventoryDiff() {
+    const items = this.countItems();
+    const names = new Set([...this.initialItems.keys(), ...items.keys()]);
+    const diff = {};
+    for (const name of [...names].sort()) {
+      const delta = (items.get(name) || 0) - (this.initialItems.get(name) || 0);
+      if (delta !== 0) diff[name] = delta;
+    }
+    return diff;
+  }
+
+  getEquipmentDestSlot(destination) {
+    if (destination === 'hand') return HOTBAR_START + this.quickBarSlot;
+    if (EQUIPMENT_SLOTS[destination] === undefined) {
+      throw new Error(`Invalid equipment destination: ${destination}`);
+    }
+    return EQUIPMENT_SLOTS[destination];
+  }
+
+  setQuickBarSlot(slot) {
+    if (!Number.isInteger(slot) || slot < 0 || slot > 8) {
+      throw new Error(`Invalid quick bar slot: ${slot}`);
+    }
+    this.quickBarSlot = slot;
+  }
+
+  // Picks up the source stack and clicks it onto the destination: moves it,
+  // merges it with the same item or swaps it with another
+  async moveSlotItem(sourceSlot, destSlot) {
+    const slots = this.inventory.slots;
+    const source = slots[sourceSlot];
+    const dest = slots[destSlot];
+    if (!source) {
+      throw new Error(`Slot ${sourceSlot} is empty`);
+    }
+    if (sourceSlot === destSlot) return;
+
+    if (dest && dest.name === source.name) {
+      const moved = Math.min(source.count, source.stackSize - dest.count);
+      dest.count += moved;
+      source.count -= moved;
+      if (source.count === 0) slots[sourceSlot] = null;
+      return;
+    }
+    slots[destSlot] = source;
+    source.slot = destSlot;
+    slots[sourceSlot] = dest;
+    if (dest) dest.slot = sourceSlot;
+  }
+
+  async equip(item, destination = 'hand') {
+    const name = typeof item === 'number' ? this.registry.items[item]?.name : item.name;
+    const slots = this.inventory.slots;
+    const source = item.slot !== undefined && slots[item.slot] && slots[item.slot].name === name
+      ? item.slot
+      : slots.findIndex((held, slot) => slot >= MAIN_START && held && held.name === name);
+    if (source < 0) {
+      throw new Error(`No ${name} in inventory`);
+    }
+
+    if (destination !== 'hand') {
+      await this.moveSlotItem(source, this.getEquipmentDestSlot(destination));
+      return;
+    }
+    if (source >= HOTBAR_START && source < OFF_HAND) {
+      this.setQuickBarSlot(source - HOTBAR_START);
+      return;
+    }
+    const empty = slots.findIndex((held, slot) => slot >= HOTBAR_START && slot < OFF_HAND && !held);
+    if (empty >= 0) this.setQuickBarSlot(empty - HOTBAR_START);
+    await this.moveSlotItem(source, HOTBAR_START + this.quickBarSlot);
+  }
+
+  async unequip(destination) {
+    const slot = this.getEquipmentDestSlot(destination);
+    if (!this.inventory.slots[slot]) return;
+    const empty = this.inventory.slots.findIndex((held, index) => index >= MAIN_START && index < OFF_HAND && !held);
+    if (empty < 0) {
+      throw new Error('Inventory is full');
+    }
+    await this.moveSlotItem(slot, empty);
+  }
+
+  async toss(itemType, metadata, count) {
+    const name = this.registry.items[itemType].name;
+    this.removeItem(name, count === null || count === undefined ? 1 : count);
+  }
+
+  async tossStack(item) {
+    if (!item || !this.inventory.slots[item.slot]) {
+      throw new Error('No item to toss');
+    }
+    this.inventory.slots[item.slot] = null;
+  }
+
+  // --- World ---
+
+  blockAt(pos) {
+    const position = new Vec3(Math.floor(pos.x), Math.floor(pos.y), Math.floor(pos.z));
+    const name = this.world.getBlockName(position);
+    const data = this.registry.blocksByName[name];
+    return {
+      name,
+      type: data.id,
+      displayName: data.displayName,
+      position,
+      boundingBox: data.boundingBox,
+      hardness: data.hardness,
+      material: data.material,
+      diggable: data.diggable,
+      harvestTools: data.harvestTools,
+      drops: data.drops,
+      light: this.world.lightAt(position),
+      skyLight: 15
+    };
+  }
+
+  findBlock({ matching, maxDistance = 16, point } = {}) {
+    const origin = point || this.entity.position;
+    const matches = typeof matching === 'function'
+      ? matching
+      : (block) => [].concat(matching).includes(block.type);
+
+    let best = null;
+    let bestDistance = Infinity;
+    for (const position of this.world.positions()) {
+      const distance = position.distanceTo(origin);
+      if (distance > maxDistance || distance >= bestDistance) continue;
+
+      const block = this.blockAt(position);
+      if (matches(block)) {
+        best = block;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  isPassable(position) {
+    const block = this.blockAt(position);
+    return block.boundingBox === 'empty' && block.name !== 'lava';
+  }
+
+  requireReach(position) {
+    const eye = this.entity.position.offset(0, EYE_HEIGHT, 0);
+    const distance = eye.distanceTo(new Vec3(position.x + 0.5, position.y + 0.5, position.z + 0.5));
+    if (distance > REACH + 0.5) {
+      throw new Error(`Block at ${position.x}, ${position.y}, ${position.z} is out of reach (${distance.toFixed(1)} blocks)`);
+    }
+  }
+
+  async dig(block) {
+    if (block.name === 'air' || !block.diggable) {
+      throw new Error(`Cannot dig ${block.name}`);
+    }
+    this.requireReach(block.position);
+
+    // Blocks that need a tool drop nothing without it
+    const heldType = this.heldItem ? this.heldItem.type : null;
+    const harvestable = !block.harvestTools || (heldType !== null && block.harvestTools[heldType]);
+    if (harvestable && block.drops && block.drops.length > 0) {
+      // minecraft-data lists drops as item ids, or { drop: id | { id } } in older versions
+      const drop = block.drops[0];
+      const id = typeof drop === 'number' ? drop : (typeof drop.drop === 'number' ? drop.drop : drop.drop.id);
+      const item = this.registry.items[id];
+      if (item) this.addItem(item.name, 1);
+    }
+
+    this.world.setBlock(block.position, 'air');
+    this.dropFallingBlocks(block.position);
+    this.applyGravity();
+  }
+
+  // Sand, gravel and the like above a dug cell fall until they land
+  dropFallingBlocks(position) {
+    const { x, z } = position;
+    const floor = position.y - 64;
+    for (let y = position.y + 1; isFalling(this.world.getBlockName(new Vec3(x, y, z))); y++) {
+      let landing = y;
+      while (landing > floor && this.world.getBlockName(new Vec3(x, landing - 1, z)) === 'air') landing--;
+      if (landing === y) continue;
+      this.world.setBlock(new Vec3(x, landing, z), this.world.getBlockName(new Vec3(x, y, z)));
+      this.world.setBlock(new Vec3(x, y, z), 'air');
+    }
+  }
+
+  async placeBlock(referenceBlock, faceVector) {
+    const target = referenceBlock.position.offset(faceVector.x, faceVector.y, faceVector.z);
+    const item = this.heldItem;
+
+    if (!item) {
+      throw new Error('No block in hand');
+    }
+    if (!this.registry.blocksByName[item.name]) {
+      throw new Error(`${item.name} is not a placeable block`);
+    }
+    if (referenceBlock.boundingBox === 'empty') {
+      throw new Error('Reference block must be solid');
+    }
+    // Air and fluids are replaced by the new block
+    if (this.blockAt(target).boundingBox !== 'empty') {
+      throw new Error(`Block at ${target.x}, ${target.y}, ${target.z} is occupied`);
+    }
+
+    const feet = this.feetBlock();
+    if (target.x === feet.x && target.z === feet.z && (target.y === feet.y || target.y === feet.y + 1)) {
+      throw new Error('Cannot place a block inside the bot');
+    }
+    this.requireReach(target);
+
+    // Torches, signs and the like hang on walls when placed against a side
+    const wall = faceVector.y === 0 ? wallVariant(this.registry, item.name) : null;
+    this.world.setBlock(target, wall || item.name);
+    this.removeItem(item.name, 1);
+  }
+
+  // --- Crafting (against the registry's real recipes) ---
+
+  recipesFor(itemType, metadata, minResultCount, craftingTable) {
+    const crafts = Math.max(1, minResultCount || 1);
+    return this.Recipe.find(itemType, metadata).filter(recipe => {
+      if (recipe.requiresTable && !craftingTable) return false;
+      return this.missingIngredients(recipe, Math.ceil(crafts / recipe.result.count)).length === 0;
+    });
+  }
+
+  missingIngredients(recipe, times) {
+    const missing = [];
+    for (const { id, count } of recipe.delta) {
+      if (count >= 0) continue;
+      const name = this.registry.items[id].name;
+      const have = this.countItem(name);
+      if (have < -count * times) missing.push(name);
+    }
+    return missing;
+  }
+
+  async craft(recipe, count = 1, craftingTable = null) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Invalid craft count: ${count}`);
+    }
+    if (recipe.requiresTable && !craftingTable) {
+      throw new Error('Recipe requires craftingTable, but one was not supplied');
+    }
+
+    const missing = this.missingIngredients(recipe, count);
+    if (missing.length > 0) {
+      throw new Error(`Missing ingredients: ${missing.join(', ')}`);
+    }
+
+    for (const { id, count: delta } of recipe.delta) {
+      const name = this.registry.items[id].name;
+      if (delta < 0) {
+        this.removeItem(name, -delta * count);
+      } else {
+        this.addItem(name, delta * count);
+      }
+    }
+  }
+
+  // --- Furnaces ---
+
+  async openFurnace(block) {
+    if (!['furnace', 'smoker', 'blast_furnace'].includes(block.name)) {
+      throw new Error(`${block.name} is not a furnace`);
+    }
+    this.requireReach(block.position);
+
+    const key = `${block.position.x},${block.position.y},${block.position.z}`;
+    if (!this.furnaces.has(key)) {
+      this.furnaces.set(key, createFurnaceState(block.name));
+    }
+    return new SimulatedFurnace(this, this.furnaces.get(key));
+  }
+
+  // --- Containers ---
+
+  async openContainer(block) {
+    if (!isContainer(block)) {
+      throw new Error(`${block.name} is not a container`);
+    }
+    this.requireReach(block.position);
+
+    const key = `${block.position.x},${block.position.y},${block.position.z}`;
+    if (!this.containers.has(key)) {
+      this.containers.set(key, createContainerState(this.registry));
+    }
+    return new SimulatedContainer(this, this.containers.get(key));
+  }
+
+  // --- Movement ---
+
+  feetBlock() {
+    const { x, y, z } = this.entity.position;
+    return new Vec3(Math.floor(x), Math.floor(y), Math.floor(z));
+  }
+
+  // Drop onto the first solid block below, taking fall damage
+  applyGravity() {
+    const feet = this.feetBlock();
+    let y = feet.y;
+    const floor = y - 64;
+
+    while (y > floor && this.isPassable(new Vec3(feet.x, y - 1, feet.z))) {
+      y--;
+    }
+
+    const fallen = feet.y - y;
+    if (fallen > 0) {
+      this.entity.position = new Vec3(this.entity.position.x, y, this.entity.position.z);
+      if (fallen > SAFE_FALL) {
+        this.health = Math.max(0, this.health - (fallen - SAFE_FALL));
+      }
+    }
+    this.entity.onGround = true;
+  }
+
+  // Highest standable y in column (x, z) near the bot's level
+  groundAt(x, z) {
+    const level = this.feetBlock().y;
+    for (let y = level + GROUND_SEARCH; y >= level - GROUND_SEARCH; y--) {
+      const feet = new Vec3(x, y, z);
+      if (!this.isPassable(feet.offset(0, -1, 0)) && this.isPassable(feet) && this.isPassable(feet.offset(0, 1, 0))) {
+        return y;
+      }
+    }
+    return null;
+  }
+
+  // Stand-in for mineflayer-pathfinder: plans with DeterministicSearch and walks
+  // the path. goto() rejects with the same error names as the real plugin.
+  createPathfinder() {
+    let movements = { maxDropDown: 4 };
+
+    return {
+      setMovements: (value) => { movements = value; },
+      stop: () => {},
+      isMoving: () => false,
+      getPathTo: (pathMovements, goal) => {
+        try {
+          return { status: 'success', path: this.planTo(goal, pathMovements || movements).slice(1) };
+        } catch (error) {
+          return { status: 'noPath', path: [] };
+        }
+      },
+      goto: async (goal) => {
+        let path;
+        try {
+          path = this.planTo(goal, movements);
+        } catch (error) {
+          throw simulationError('NoPath', 'No path to the goal!');
+        }
+        for (const node of path.slice(1)) {
+          this.entity.position = new Vec3(node.x + 0.5, node.y, node.z + 0.5);
+        }
+        this.applyGravity();
+      }
+    };
+  }
+
+  planTo(goal, movements) {
+    const range = goal.rangeSq !== undefined ? Math.floor(Math.sqrt(goal.rangeSq)) : 0;
+    let y = goal.y;
+    if (y === undefined) {
+      y = this.groundAt(goal.x, goal.z);
+      if (y === null) throw new Error('No ground at goal');
+    }
+
+    const search = new DeterministicSearch({ bot: this });
+    return search.deterministicPathfind(this.feetBlock(), new Vec3(goal.x, y, goal.z), {
+      maxDrop: movements.maxDropDown !== undefined ? movements.maxDropDown : 4,
+      range
+    });
+  }
+
+  look(yaw, pitch) {
+    this.entity.yaw = yaw;
+    this.entity.pitch = pitch;
+  }
+
+  lookAt(point) {
+    const eye = this.entity.position.offset(0, EYE_HEIGHT, 0);
+    const dx = point.x - eye.x;
+    const dy = point.y - eye.y;
+    const dz = point.z - eye.z;
+    this.look(Math.atan2(-dx, -dz), Math.atan2(dy, Math.sqrt(dx * dx + dz * dz)));
+  }
+
+  // Control states are recorded but only jump moves the simulated bot (straight
+  // to the top of the jump); walking happens through the pathfinder
+  setControlState(control, state) {
+    this.controlState[control] = state;
+
+    if (control === 'jump') {
+      if (state && this.entity.onGround && this.isPassable(this.feetBlock().offset(0, 2, 0))) {
+        this.entity.position = this.entity.position.offset(0, 1, 0);
+        this.entity.onGround = false;
+      } else if (!state) {
+        this.applyGravity();
+      }
+    }
+  }
+
+  clearControlStates() {
+    this.controlState = {};
+    this.applyGravity();
+  }
+
+  async consume() {
+    const food = this.heldItem && this.registry.foodsByName[this.heldItem.name];
+    if (!food) {
+      throw new Error('Not holding food');
+    }
+    this.removeItem(this.heldItem.name, 1);
+    this.food = Math.min(20, this.food + food.foodPoints);
+  }
+
+  chat(message) {
+    this.chatLog.push(message);
+  }
+
+  // Entities lose health by the held weapon's damage and die (entityDead,
+  // like mineflayer) and vanish at 0
+  attack(entity) {
+    this.attacks.push(entity.id);
+
+    const target = this.entities[entity.id];
+    if (!target) return;
+    target.health -= WEAPON_DAMAGE[this.heldItem ? this.heldItem.name : ''] || 1;
+    if (target.health <= 0) {
+      this.emit('entityDead', target);
+      delete this.entities[entity.id];
+    }
+  }
+
+  // Using an item (raising a shield) is only recorded
+  activateItem(offHand = false) {
+    this.usingItem = offHand ? this.offHandItem : this.heldItem;
+  }
+
+  deactivateItem() {
+    this.usingItem = null;
+  }
+
+  respawn() {
+    this.health = 20;
+  }
+
+  quit() {}
+}
+
+module.exports = SimulatedBot;
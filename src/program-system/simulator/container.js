@@ -0,0 +1,89 @@
+// Chests, barrels and shulker boxes hold 27 stacks
+const CONTAINER_SIZE = 27;
+
+// Slots of a container block, kept by the SimulatedBot between openContainer
+// calls. items: [{ name, count }] from the snapshot's containers.
+function createContainerState(registry, items = []) {
+  const slots = new Array(CONTAINER_SIZE).fill(null);
+  let slot = 0;
+  for (const { name, count = 1 } of items) {
+    const data = registry.itemsByName[name];
+    if (!data) throw new Error(`Unknown item: ${name}`);
+    for (let left = count; left > 0; left -= data.stackSize) {
+      if (slot >= CONTAINER_SIZE) throw new Error('Too many items for a container');
+      slots[slot++] = { name, count: Math.min(left, data.stackSize) };
+    }
+  }
+  return { slots };
+}
+
+// A mineflayer-shaped container window (bot.openContainer) over a container
+// block's slots
+class SimulatedContainer {
+  constructor(bot, state) {
+    this.bot = bot;
+    this.state = state;
+    this.inventoryStart = CONTAINER_SIZE;
+  }
+
+  containerItems() {
+    return this.state.slots.flatMap((item, slot) => {
+      if (!item) return [];
+      const data = this.bot.registry.itemsByName[item.name];
+      return [{ name: item.name, type: data.id, count: item.count, slot, displayName: data.displayName, stackSize: data.stackSize }];
+    });
+  }
+
+  // Fills stacks of the same item first, then empty slots
+  async deposit(itemType, metadata, count) {
+    const data = this.bot.registry.items[itemType];
+    const have = this.bot.countItem(data.name);
+    if (have < count) {
+      throw new Error(`Can't find ${data.name} in inventory`);
+    }
+
+    let left = count;
+    const slots = this.state.slots;
+    for (let i = 0; i < slots.length && left > 0; i++) {
+      if (slots[i] && slots[i].name === data.name && slots[i].count < data.stackSize) {
+        const moved = Math.min(left, data.stackSize - slots[i].count);
+        slots[i].count += moved;
+        left -= moved;
+      }
+    }
+    for (let i = 0; i < slots.length && left > 0; i++) {
+      if (!slots[i]) {
+        const moved = Math.min(left, data.stackSize);
+        slots[i] = { name: data.name, count: moved };
+        left -= moved;
+      }
+    }
+
+    this.bot.removeItem(data.name, count - left);
+    if (left > 0) throw new Error('destination full');
+  }
+
+  async withdraw(itemType, metadata, count) {
+    const data = this.bot.registry.items[itemType];
+    const slots = this.state.slots;
+    const have = slots.reduce((sum, item) => sum + (item && item.name === data.name ? item.count : 0), 0);
+    if (have < count) {
+      throw new Error(`Can't find ${data.name} in the container`);
+    }
+
+    let left = count;
+    for (let i = slots.length - 1; i >= 0 && left > 0; i--) {
+      if (slots[i] && slots[i].name === data.name) {
+        const moved = Math.min(left, slots[i].count);
+        slots[i].count -= moved;
+        if (slots[i].count === 0) slots[i] = null;
+        left -= moved;
+      }
+    }
+    this.bot.addItem(data.name, count);
+  }
+
+  close() {}
+}
+
+module.exports = { SimulatedContainer, createContainerState };
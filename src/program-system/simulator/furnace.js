@@ -0,0 +1,127 @@
+const { SMELTING, FURNACES, FUEL_SMELTS } = require('../../commands/smelting');
+
+// Dry runs cook 200 times faster than the game: 50 ms an item in a furnace,
+// 25 ms in a smoker or blast furnace
+const COOK_TIME = { furnace: 50, smoker: 25, blast_furnace: 25 };
+
+// Contents of a furnace block, kept by the SimulatedBot between openFurnace calls
+function createFurnaceState(kind) {
+  return { kind, input: null, fuel: null, output: null, burnLeft: 0, burnTotal: 0, cooked: 0, updated: Date.now() };
+}
+
+// A mineflayer-shaped furnace window (bot.openFurnace) over a furnace block's
+// state. Cooking catches up with the clock whenever the window is looked at.
+class SimulatedFurnace {
+  constructor(bot, state) {
+    this.bot = bot;
+    this.state = state;
+    this.cookTime = COOK_TIME[state.kind];
+  }
+
+  get fuel() {
+    this.update();
+    return this.state.burnTotal > 0 ? this.state.burnLeft / this.state.burnTotal : 0;
+  }
+
+  get progress() {
+    this.update();
+    return this.state.cooked / this.cookTime;
+  }
+
+  // What the input slot turns into, or null when it does not smelt here
+  result() {
+    const { input, output, kind } = this.state;
+    if (!input || !FURNACES[kind](input.name)) return null;
+    const name = SMELTING[input.name];
+    if (!name || (output && (output.name !== name || output.count >= 64))) return null;
+    return name;
+  }
+
+  update() {
+    const state = this.state;
+    let elapsed = Date.now() - state.updated;
+    state.updated = Date.now();
+
+    while (elapsed > 0) {
+      const result = this.result();
+      if (!result) {
+        state.cooked = 0;
+        state.burnLeft = Math.max(0, state.burnLeft - elapsed);
+        break;
+      }
+      if (state.burnLeft <= 0) {
+        if (!state.fuel) break;
+        state.burnTotal = state.burnLeft = FUEL_SMELTS[state.fuel.name] * this.cookTime;
+        this.takeFrom('fuel', 1);
+      }
+
+      const step = Math.min(elapsed, this.cookTime - state.cooked, state.burnLeft);
+      state.cooked += step;
+      state.burnLeft -= step;
+      elapsed -= step;
+
+      if (state.cooked >= this.cookTime) {
+        state.cooked = 0;
+        this.takeFrom('input', 1);
+        state.output = { name: result, count: (state.output ? state.output.count : 0) + 1 };
+      }
+    }
+    if (!this.result()) state.cooked = 0;
+  }
+
+  takeFrom(slot, count) {
+    const item = this.state[slot];
+    item.count -= count;
+    if (item.count <= 0) this.state[slot] = null;
+  }
+
+  slotItem(slot) {
+    this.update();
+    const item = this.state[slot];
+    if (!item) return null;
+    const data = this.bot.registry.itemsByName[item.name];
+    return { name: item.name, type: data.id, count: item.count, displayName: data.displayName, stackSize: data.stackSize };
+  }
+
+  inputItem() { return this.slotItem('input'); }
+  fuelItem() { return this.slotItem('fuel'); }
+  outputItem() { return this.slotItem('output'); }
+
+  async put(slot, itemType, count) {
+    this.update();
+    const name = this.bot.registry.items[itemType].name;
+    const current = this.state[slot];
+    if (current && current.name !== name) {
+      throw new Error(`The ${slot} slot holds ${current.name}`);
+    }
+    this.bot.removeItem(name, count);
+    this.state[slot] = { name, count: (current ? current.count : 0) + count };
+  }
+
+  async putInput(itemType, metadata, count) {
+    await this.put('input', itemType, count);
+  }
+
+  async putFuel(itemType, metadata, count) {
+    if (!FUEL_SMELTS[this.bot.registry.items[itemType].name]) {
+      throw new Error(`${this.bot.registry.items[itemType].name} is not a fuel`);
+    }
+    await this.put('fuel', itemType, count);
+  }
+
+  async take(slot) {
+    const item = this.slotItem(slot);
+    if (!item) throw new Error(`The ${slot} slot is empty`);
+    this.state[slot] = null;
+    this.bot.addItem(item.name, item.count);
+    return item;
+  }
+
+  takeInput() { return this.take('input'); }
+  takeFuel() { return this.take('fuel'); }
+  takeOutput() { return this.take('output'); }
+
+  close() {}
+}
+
+module.exports = { SimulatedFurnace, createFurnaceState };
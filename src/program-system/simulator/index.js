@@ -0,0 +1,105 @@
+const SimulatedWorld = require('./world');
+const SimulatedBot = require('./bot');
+const ProgramSandbox = require('../runtime/sandbox');
+const { ProgramError, ErrorCode } = require('../sdk/types');
+const { executeInstruction } = require('../../commands');
+
+const DEFAULT_VERSION = '1.21.1';
+
+// Offline dry runs: executes a program against a world snapshot instead of a
+// live server. Instructions go through the shared command handlers (see
+// src/commands) with a SimulatedBot in place of the mineflayer bot.
+//
+// Snapshot: { version, position, region, fill, blocks, inventory: [{ name, count, slot? }],
+//             entities: [{ id, name, position }], time, health, food,
+//             containers: { 'x,y,z': [{ name, count }] } }
+// (see world.js for the block formats, snapshot.js for the file format)
+class ProgramSimulator {
+  constructor(worldSnapshot = {}) {
+    this.worldSnapshot = worldSnapshot;
+
+    const registry = require('prismarine-registry')(worldSnapshot.version || DEFAULT_VERSION);
+    this.world = new SimulatedWorld(worldSnapshot, registry);
+    this.simulatedBot = new SimulatedBot(this.world, worldSnapshot);
+  }
+
+  // Program host for ProgramRunner, shaped like the one in bot-process.js
+  createHost() {
+    const bot = this.simulatedBot;
+    return {
+      bot,
+      isConnected: () => true,
+      executeInstruction: (instruction, ctx) => {
+        console.log(`[SIMULATOR] Executing: ${instruction.type}`, instruction.params || {});
+        return executeInstruction(bot, instruction, ctx);
+      }
+    };
+  }
+
+  // What the run changed: blocks, inventory counts, position and health
+  diff() {
+    const bot = this.simulatedBot;
+    const start = this.worldSnapshot.position || this.worldSnapshot.spawn || { x: 0, y: 64, z: 0 };
+    const end = bot.feetBlock();
+
+    return {
+      blocks: this.world.diff(),
+      inventory: bot.inventoryDiff(),
+      position: {
+        from: { x: Math.floor(start.x), y: Math.floor(start.y), z: Math.floor(start.z) },
+        to: { x: end.x, y: end.y, z: end.z }
+      },
+      health: bot.health,
+      chat: bot.chatLog
+    };
+  }
+
+  // The world as it stands now, in snapshot format
+  toSnapshot() {
+    const bot = this.simulatedBot;
+    const { x, y, z } = bot.entity.position;
+    const { region, fill, ...rest } = this.worldSnapshot;
+    return {
+      ...rest,
+      position: { x, y, z },
+      health: bot.health,
+      blocks: this.world.toJSON(),
+      inventory: bot.inventory.slots.filter(Boolean).map(({ name, count, slot }) => ({ name, count, slot })),
+      containers: Object.fromEntries([...bot.containers].map(([key, { slots }]) => [
+        key,
+        slots.filter(Boolean).map(({ name, count }) => ({ name, count }))
+      ]))
+    };
+  }
+
+  async execute(source, args, capabilities, timeout = 30000, options = {}) {
+    const validation = new ProgramSandbox().validateProgram(source);
+    if (!validation.valid) {
+      throw new ProgramError(ErrorCode.INVALID_ARGUMENT, `Invalid program: ${validation.error}`);
+    }
+
+    const ProgramRunner = require('../runner');
+    const runner = new ProgramRunner(this.createHost(), {
+      runId: 'simulation',
+      programName: options.programName || validation.metadata.name,
+      source,
+      metadata: validation.metadata,
+      args,
+      timeout,
+      capabilities: capabilities || validation.metadata.capabilities,
+      seed: options.seed || 1,
+      onLog: options.onLog
+    });
+
+    try {
+      const result = await runner.execute();
+      return { ...result, diff: this.diff() };
+    } catch (error) {
+      // Callers still want to see how far the program got
+      error.diff = this.diff();
+      throw error;
+    }
+  }
+}
+
+module.exports = ProgramSimulator;
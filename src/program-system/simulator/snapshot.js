@@ -0,0 +1,115 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { ProgramError, ErrorCode } = require('../sdk/types');
+
+// World snapshot file format, written by POST /world/snapshot and loaded by
+// the dry-run simulator. Captured terrain goes in `region`: a box of blocks
+// starting at `origin`, stored as a palette of block names plus run-length
+// encoded palette indexes ([run, index, run, index, ...]) in x, then z, then
+// y order. Files ending in .gz are gzipped.
+const FORMAT = 'mineflare-world-snapshot';
+const FORMAT_VERSION = 1;
+
+// Largest region a snapshot may hold (blocks)
+const MAX_REGION_BLOCKS = 2000000;
+
+function regionVolume(size) {
+  return size.x * size.y * size.z;
+}
+
+// blockName(x, y, z) -> name for every block in the box
+function encodeRegion(origin, size, blockName) {
+  const palette = [];
+  const paletteIndex = new Map();
+  const data = [];
+  let current = -1;
+  let run = 0;
+
+  for (let y = 0; y < size.y; y++) {
+    for (let z = 0; z < size.z; z++) {
+      for (let x = 0; x < size.x; x++) {
+        const name = blockName(origin.x + x, origin.y + y, origin.z + z);
+        let index = paletteIndex.get(name);
+        if (index === undefined) {
+          index = palette.length;
+          palette.push(name);
+          paletteIndex.set(name, index);
+        }
+
+        if (index === current) {
+          run++;
+        } else {
+          if (run > 0) data.push(run, current);
+          current = index;
+          run = 1;
+        }
+      }
+    }
+  }
+  if (run > 0) data.push(run, current);
+
+  return { origin: { ...origin }, size: { ...size }, palette, data };
+}
+
+// Calls visit(x, y, z, name) for every non-air block in the region
+function decodeRegion(region, visit) {
+  const { origin, size, palette, data } = region;
+  const volume = regionVolume(size);
+
+  if (volume > MAX_REGION_BLOCKS) {
+    throw new ProgramError(ErrorCode.INVALID_ARGUMENT, `Snapshot region too large (${volume} blocks, max ${MAX_REGION_BLOCKS})`);
+  }
+
+  let offset = 0;
+  for (let i = 0; i < data.length; i += 2) {
+    const [run, index] = [data[i], data[i + 1]];
+    const name = palette[index];
+    if (name === undefined) {
+      throw new ProgramError(ErrorCode.INVALID_ARGUMENT, `Snapshot palette has no entry ${index}`);
+    }
+
+    if (name !== 'air') {
+      for (let n = offset; n < offset + run; n++) {
+        const x = n % size.x;
+        const z = Math.floor(n / size.x) % size.z;
+        const y = Math.floor(n / (size.x * size.z));
+        visit(origin.x + x, origin.y + y, origin.z + z, name);
+      }
+    }
+    offset += run;
+  }
+
+  if (offset !== volume) {
+    throw new ProgramError(ErrorCode.INVALID_ARGUMENT, `Snapshot region holds ${offset} blocks, expected ${volume}`);
+  }
+}
+
+function readSnapshotFile(file) {
+  const raw = fs.readFileSync(file);
+  const text = file.endsWith('.gz') ? zlib.gunzipSync(raw).toString('utf8') : raw.toString('utf8');
+  const snapshot = JSON.parse(text);
+
+  if (snapshot.format && snapshot.format !== FORMAT) {
+    throw new ProgramError(ErrorCode.INVALID_ARGUMENT, `Not a world snapshot: ${snapshot.format}`);
+  }
+  if (snapshot.formatVersion > FORMAT_VERSION) {
+    throw new ProgramError(ErrorCode.INVALID_ARGUMENT, `Unsupported snapshot format version ${snapshot.formatVersion}`);
+  }
+  return snapshot;
+}
+
+function writeSnapshotFile(file, snapshot) {
+  const text = JSON.stringify(snapshot);
+  fs.writeFileSync(file, file.endsWith('.gz') ? zlib.gzipSync(text) : text);
+}
+
+module.exports = {
+  FORMAT,
+  FORMAT_VERSION,
+  MAX_REGION_BLOCKS,
+  regionVolume,
+  encodeRegion,
+  decodeRegion,
+  readSnapshotFile,
+  writeSnapshotFile
+};
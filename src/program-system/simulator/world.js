@@ -0,0 +1,132 @@
+const { Vec3, ProgramError, ErrorCode } = require('../sdk/types');
+const { decodeRegion } = require('./snapshot');
+
+// Largest fill region accepted from a snapshot, to keep dry runs cheap
+const MAX_FILL_BLOCKS = 1000000;
+
+function posKey(pos) {
+  return `${Math.floor(pos.x)},${Math.floor(pos.y)},${Math.floor(pos.z)}`;
+}
+
+function parseKey(key) {
+  const [x, y, z] = key.split(',').map(Number);
+  return new Vec3(x, y, z);
+}
+
+// Block storage for the dry-run simulator. Only blocks listed in the snapshot
+// exist; everything else is air. Snapshot format, applied in this order:
+//   region: captured terrain (see snapshot.js)
+//   fill:   [{ from: {x,y,z}, to: {x,y,z}, block: "dirt" }]
+//   blocks: { "x,y,z": "stone" | { name } } or [{ x, y, z, name }]
+class SimulatedWorld {
+  constructor(snapshot = {}, registry) {
+    this.registry = registry;
+    this.blocks = new Map();
+    // Light-emitting blocks: key -> light level
+    this.emitters = new Map();
+
+    if (snapshot.region) {
+      decodeRegion(snapshot.region, (x, y, z, name) => this.setBlock({ x, y, z }, name));
+    }
+
+    for (const region of snapshot.fill || []) {
+      this.fill(region);
+    }
+
+    const blocks = snapshot.blocks || {};
+    const entries = Array.isArray(blocks)
+      ? blocks.map(b => [posKey(b), b.name])
+      : Object.entries(blocks).map(([key, value]) => [key, typeof value === 'string' ? value : value.name]);
+
+    for (const [key, name] of entries) {
+      this.setBlock(parseKey(key), name);
+    }
+
+    this.initial = new Map(this.blocks);
+  }
+
+  fill({ from, to, block }) {
+    const [x0, x1] = [Math.min(from.x, to.x), Math.max(from.x, to.x)];
+    const [y0, y1] = [Math.min(from.y, to.y), Math.max(from.y, to.y)];
+    const [z0, z1] = [Math.min(from.z, to.z), Math.max(from.z, to.z)];
+
+    const size = (x1 - x0 + 1) * (y1 - y0 + 1) * (z1 - z0 + 1);
+    if (size > MAX_FILL_BLOCKS) {
+      throw new ProgramError(ErrorCode.INVALID_ARGUMENT, `Fill region too large (${size} blocks, max ${MAX_FILL_BLOCKS})`);
+    }
+
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        for (let z = z0; z <= z1; z++) {
+          this.setBlock({ x, y, z }, block);
+        }
+      }
+    }
+  }
+
+  getBlockName(pos) {
+    return this.blocks.get(posKey(pos)) || 'air';
+  }
+
+  setBlock(pos, name) {
+    if (!this.registry.blocksByName[name]) {
+      throw new ProgramError(ErrorCode.INVALID_ARGUMENT, `Unknown block in snapshot: ${name}`);
+    }
+
+    const key = posKey(pos);
+    if (name === 'air') {
+      this.blocks.delete(key);
+    } else {
+      this.blocks.set(key, name);
+    }
+
+    const emit = this.registry.blocksByName[name].emitLight;
+    if (emit > 0) {
+      this.emitters.set(key, emit);
+    } else {
+      this.emitters.delete(key);
+    }
+  }
+
+  // Block light: each emitter loses one level per block of (Manhattan)
+  // distance. Walls don't block light in the simulation.
+  lightAt(pos) {
+    let light = 0;
+    for (const [key, emit] of this.emitters) {
+      const source = parseKey(key);
+      const distance = Math.abs(source.x - Math.floor(pos.x)) + Math.abs(source.y - Math.floor(pos.y)) +
+        Math.abs(source.z - Math.floor(pos.z));
+      light = Math.max(light, emit - distance);
+    }
+    return light;
+  }
+
+  // Known (non-air) block positions
+  positions() {
+    return [...this.blocks.keys()].map(parseKey);
+  }
+
+  // Blocks that differ from the loaded snapshot, sorted by position
+  diff() {
+    const keys = new Set([...this.initial.keys(), ...this.blocks.keys()]);
+    const changes = [];
+
+    for (const key of keys) {
+      const from = this.initial.get(key) || 'air';
+      const to = this.blocks.get(key) || 'air';
+      if (from !== to) {
+        const { x, y, z } = parseKey(key);
+        changes.push({ x, y, z, from, to });
+      }
+    }
+
+    return changes.sort((a, b) => a.x - b.x || a.y - b.y || a.z - b.z);
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.blocks);
+  }
+}
+
+module.exports = SimulatedWorld;
+module.exports.posKey = posKey;
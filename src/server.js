@@ -1,6 +1,7 @@
 // Use the isolated bot server to prevent crashes
 const IsolatedBotServer = require('./bot-server-isolated');
 const configManager = require('./config/ConfigManager');
+const { createEventStore } = require('./events/store');
 
 // Get configuration from config manager (supports env var overrides)
 const fullConfig = configManager.get();
@@ -18,7 +19,8 @@ const config = {
 
 const serverPort = fullConfig.server.port;
 
-const server = new IsolatedBotServer();
+// Events are persisted according to the `events` config section so history survives restarts
+const server = new IsolatedBotServer({ eventStore: createEventStore(fullConfig) });
 server.start(config, serverPort);
 
 process.on('SIGINT', () => {
@@ -0,0 +1,201 @@
+/**
+ * Unit tests for area operations (clear, fill, tunnel, staircase, strip mine),
+ * run against the dry-run simulator's bot
+ */
+const { describe, it, expect } = require('bun:test');
+const { simulatedWorld } = require('../utils/simulated-world');
+const ContextBuilder = require('../../src/program-system/runtime/context');
+const { executeInstruction } = require('../../src/commands');
+const area = require('../../src/commands/area');
+
+const TOOLS = [{ name: 'stone_pickaxe', count: 1 }, { name: 'iron_shovel', count: 1 }];
+
+// Stone floor from y=60 to 63, bot standing on it at the origin
+const setup = ({ inventory = TOOLS, fill = [], blocks = {} } = {}) => simulatedWorld({ radius: 10, depth: 4, fill, blocks, inventory });
+
+const at = (bot, x, y, z) => bot.blockAt({ x, y, z }).name;
+
+describe('area', () => {
+  describe('clearRegion', () => {
+    it('should dig top-down with the right tool for each block', async () => {
+      const { bot } = setup({
+        fill: [
+          { from: { x: 2, y: 64, z: 0 }, to: { x: 4, y: 64, z: 2 }, block: 'dirt' },
+          { from: { x: 2, y: 65, z: 0 }, to: { x: 4, y: 65, z: 2 }, block: 'stone' }
+        ]
+      });
+
+      const result = await area.clearRegion(bot, { min: { x: 4, y: 65, z: 2 }, max: { x: 2, y: 64, z: 0 } });
+
+      expect(result).toEqual({ reason: 'done', dug: 18, placed: 0, plugged: 0, skipped: [] });
+      expect(at(bot, 3, 64, 1)).toBe('air');
+      expect(at(bot, 3, 65, 1)).toBe('air');
+      // Stone only drops cobblestone when mined with the pickaxe
+      expect(bot.inventoryDiff()).toEqual({ cobblestone: 9, dirt: 9 });
+      expect(bot.heldItem.name).toBe('iron_shovel');
+    });
+
+    it('should dig sand and gravel that fall into dug cells', async () => {
+      const { bot } = setup({ blocks: { '3,64,0': 'dirt', '3,65,0': 'sand', '3,66,0': 'gravel', '3,67,0': 'sand' } });
+
+      const result = await area.clearRegion(bot, { min: { x: 3, y: 64, z: 0 }, max: { x: 3, y: 64, z: 0 } });
+
+      expect(result).toMatchObject({ reason: 'done', dug: 4 });
+      expect([64, 65, 66, 67].map(y => at(bot, 3, y, 0))).toEqual(['air', 'air', 'air', 'air']);
+      expect(bot.inventoryDiff()).toEqual({ dirt: 1, sand: 2, gravel: 1 });
+    });
+
+    it('should plug fluids next to dug cells and displace fluids inside the region', async () => {
+      const { bot } = setup({
+        inventory: [...TOOLS, { name: 'cobblestone', count: 8 }],
+        blocks: { '2,64,0': 'dirt', '3,64,0': 'water', '4,64,0': 'lava', '2,64,1': 'stone' }
+      });
+
+      const result = await area.clearRegion(bot, { min: { x: 2, y: 64, z: 0 }, max: { x: 3, y: 64, z: 0 } });
+
+      expect(result).toMatchObject({ reason: 'done', dug: 2, plugged: 2 });
+      expect([at(bot, 2, 64, 0), at(bot, 3, 64, 0), at(bot, 4, 64, 0)]).toEqual(['air', 'air', 'cobblestone']);
+    });
+
+    it('should leave cells next to fluids without filler to plug them', async () => {
+      const { bot } = setup({ blocks: { '2,64,0': 'dirt', '2,65,0': 'water' } });
+
+      const result = await area.clearRegion(bot, { min: { x: 2, y: 64, z: 0 }, max: { x: 2, y: 64, z: 0 } });
+
+      expect(result).toMatchObject({ dug: 0, skipped: [{ position: { x: 2, y: 64, z: 0 }, block: 'dirt', reason: 'fluid' }] });
+      expect(at(bot, 2, 64, 0)).toBe('dirt');
+    });
+
+    it('should stop at maxBlocks and reject oversized regions', async () => {
+      const { bot } = setup({ fill: [{ from: { x: 2, y: 64, z: 0 }, to: { x: 4, y: 64, z: 0 }, block: 'dirt' }] });
+
+      expect(await area.clearRegion(bot, { min: { x: 2, y: 64, z: 0 }, max: { x: 4, y: 64, z: 0 }, maxBlocks: 2 }))
+        .toMatchObject({ reason: 'max_blocks', dug: 2 });
+      await expect(area.clearRegion(bot, { min: { x: 0, y: 0, z: 0 }, max: { x: 100, y: 10, z: 100 } }))
+        .rejects.toThrow('Region has 112211 blocks (max 32768)');
+      await expect(area.clearRegion(bot, { min: { x: 0, y: 0 } })).rejects.toThrow('min corner needs x, y, z');
+    });
+  });
+
+  describe('fillRegion', () => {
+    it('should fill empty cells bottom-up, skipping or replacing other blocks', async () => {
+      const { bot } = setup({ inventory: [...TOOLS, { name: 'cobblestone', count: 20 }], blocks: { '3,64,1': 'dirt' } });
+
+      const skipped = await area.fillRegion(bot, { min: { x: 2, y: 64, z: 0 }, max: { x: 4, y: 65, z: 1 }, block: 'cobblestone' });
+      expect(skipped).toMatchObject({ reason: 'done', placed: 11, present: 0, skipped: [{ position: { x: 3, y: 64, z: 1 }, block: 'dirt', reason: 'occupied' }] });
+
+      const replaced = await area.fillRegion(bot, { min: { x: 2, y: 64, z: 0 }, max: { x: 4, y: 65, z: 1 }, block: 'cobblestone', replace: true });
+      expect(replaced).toMatchObject({ reason: 'done', dug: 1, placed: 1, present: 11 });
+      expect(at(bot, 3, 64, 1)).toBe('cobblestone');
+    });
+
+    it('should stop when the inventory runs out', async () => {
+      const { bot } = setup({ inventory: [{ name: 'oak_planks', count: 2 }] });
+
+      expect(await area.fillRegion(bot, { min: { x: 2, y: 64, z: 0 }, max: { x: 4, y: 64, z: 0 }, block: 'oak_planks' }))
+        .toMatchObject({ reason: 'out_of_blocks', placed: 2 });
+      await expect(area.fillRegion(bot, { min: { x: 2, y: 64, z: 0 }, max: { x: 4, y: 64, z: 0 } })).rejects.toThrow('block required');
+    });
+
+    it('should skip unloaded cells and reject blocks no item places', async () => {
+      const { bot } = setup({ inventory: [{ name: 'cobblestone', count: 5 }], blocks: { '3,64,0': 'dirt' } });
+      const blockAt = bot.blockAt.bind(bot);
+      bot.blockAt = position => (position.x === 4 ? null : blockAt(position));
+
+      const result = await area.fillRegion(bot, { min: { x: 2, y: 64, z: 0 }, max: { x: 4, y: 64, z: 0 }, block: 'cobblestone' });
+      expect(result).toMatchObject({ reason: 'done', placed: 1 });
+      expect(result.skipped).toEqual([
+        { position: { x: 3, y: 64, z: 0 }, block: 'dirt', reason: 'occupied' },
+        { position: { x: 4, y: 64, z: 0 }, block: null, reason: 'unloaded' }
+      ]);
+
+      // Fails before replace digs anything
+      const error = await area.fillRegion(bot, { min: { x: 2, y: 64, z: 0 }, max: { x: 3, y: 64, z: 0 }, block: 'water', replace: true }).catch(e => e);
+      expect(error).toMatchObject({ message: 'Cannot place water: no item places it', status: 400 });
+      expect(at(bot, 3, 64, 0)).toBe('dirt');
+    });
+  });
+
+  describe('tunnel', () => {
+    it('should dig ahead, bridge gaps and walk to the end', async () => {
+      const { bot } = setup({
+        inventory: [...TOOLS, { name: 'cobblestone', count: 4 }],
+        fill: [{ from: { x: 1, y: 64, z: -2 }, to: { x: 8, y: 66, z: 2 }, block: 'stone' }],
+        blocks: { '3,63,0': 'air' }
+      });
+
+      const result = await area.tunnel(bot, { direction: 'east', length: 5 });
+
+      expect(result).toMatchObject({ reason: 'done', dug: 10, plugged: 1, end: { x: 5, y: 64, z: 0 } });
+      expect(at(bot, 3, 63, 0)).toBe('cobblestone');
+      expect(at(bot, 6, 64, 0)).toBe('stone');
+      expect(bot.feetBlock()).toMatchObject({ x: 5, y: 64, z: 0 });
+    });
+
+    it('should dig wide tunnels centred on the bot', async () => {
+      const { bot } = setup({ fill: [{ from: { x: -2, y: 64, z: -8 }, to: { x: 2, y: 67, z: -1 }, block: 'stone' }] });
+
+      const result = await area.tunnel(bot, { direction: 'north', length: 2, width: 3, height: 3 });
+
+      expect(result).toMatchObject({ reason: 'done', dug: 18, end: { x: 0, y: 64, z: -2 } });
+      expect([-2, -1, 0, 1, 2].map(x => at(bot, x, 66, -2))).toEqual(['stone', 'air', 'air', 'air', 'stone']);
+      await expect(area.tunnel(bot, { direction: 'up', length: 2 })).rejects.toThrow('direction must be north, south, east or west');
+    });
+  });
+
+  it('should dig a staircase down and walk it', async () => {
+    const { bot } = setup({ fill: [{ from: { x: 1, y: 64, z: -1 }, to: { x: 6, y: 67, z: 1 }, block: 'stone' }] });
+
+    const result = await area.staircase(bot, { direction: 'east', depth: 3 });
+
+    expect(result).toMatchObject({ reason: 'done', dug: 9, end: { x: 3, y: 61, z: 0 } });
+    expect([63, 64, 65].map(y => at(bot, 1, y, 0))).toEqual(['air', 'air', 'air']);
+    expect(at(bot, 3, 60, 0)).toBe('stone');
+    expect(bot.feetBlock()).toMatchObject({ x: 3, y: 61, z: 0 });
+  });
+
+  it('should strip mine branches and the ores they uncover', async () => {
+    const { bot } = setup({
+      fill: [{ from: { x: 1, y: 64, z: -6 }, to: { x: 8, y: 66, z: 6 }, block: 'stone' }],
+      blocks: { '2,64,-3': 'iron_ore', '2,64,-4': 'iron_ore', '5,65,0': 'diamond_ore' }
+    });
+
+    const result = await area.stripMine(bot, { direction: 'east', length: 4, spacing: 1, branchLength: 2 });
+
+    // 4 main blocks and 4 branches 2 long, 2 high, plus the iron vein
+    expect(result).toMatchObject({ reason: 'done', dug: 26, branches: 4, ores: { iron_ore: 2 }, end: { x: 4, y: 64, z: 0 } });
+    expect(at(bot, 2, 65, -2)).toBe('air');
+    expect(at(bot, 4, 64, 2)).toBe('air');
+    expect(at(bot, 3, 64, 1)).toBe('stone');
+    // The stone pickaxe cannot harvest diamond ore
+    expect(at(bot, 5, 65, 0)).toBe('diamond_ore');
+    expect(bot.inventoryDiff()).toMatchObject({ raw_iron: 2 });
+  });
+
+  it('should run as batch instructions', async () => {
+    const { bot } = setup({ inventory: [{ name: 'dirt', count: 9 }] });
+
+    const result = await executeInstruction(bot, { type: 'fillRegion', params: { min: { x: 1, y: 64, z: 1 }, max: { x: 3, y: 64, z: 3 }, block: 'dirt' } });
+    expect(result).toMatchObject({ reason: 'done', placed: 9 });
+    expect(await executeInstruction(bot, { type: 'clearRegion', params: { min: { x: 1, y: 64, z: 1 }, max: { x: 3, y: 64, z: 3 } } }))
+      .toMatchObject({ reason: 'done', dug: 9 });
+  });
+
+  it('should count area operations against the dig and place budgets', async () => {
+    const { simulator, bot } = setup({ fill: [{ from: { x: 2, y: 64, z: 0 }, to: { x: 4, y: 65, z: 0 }, block: 'dirt' }] });
+    const builder = new ContextBuilder(simulator.createHost(), ['dig'], {});
+    builder.budget.limits.perMinute.dig = 4;
+    const ctx = builder.build();
+
+    expect(ctx.actions.area.fillRegion).toBeUndefined();
+    const result = await ctx.actions.area.clearRegion({ x: 2, y: 64, z: 0 }, { x: 4, y: 65, z: 0 });
+    expect(result).toMatchObject({ reason: 'max_blocks', dug: 4 });
+    expect(builder.getUsage().total.dig).toBe(4);
+    expect(at(bot, 4, 64, 0)).toBe('dirt');
+    await expect(ctx.actions.area.tunnel('east', 3)).rejects.toThrow();
+
+    const placer = new ContextBuilder(simulator.createHost(), ['place'], {}).build();
+    expect(() => placer.actions.area.fillRegion({ x: 0, y: 70, z: 0 }, { x: 1, y: 70, z: 0 }, 'dirt', { replace: true }))
+      .toThrow('Replacing blocks requires the "dig" capability');
+  });
+});
@@ -617,7 +617,7 @@ describe('MinecraftBotServer', () => {
           .send({ x: 0, y: 64, z: 0 })
           .expect(200);
         
-        expect(response.body).toEqual({ success: true, block: 'stone' });
+        expect(response.body).toEqual({ success: true, block: 'stone', tool: null, harvestable: true, estimatedMs: null, collected: {} });
         expect(mockBot.dig).toHaveBeenCalledWith(mockBlock);
       });
 
@@ -0,0 +1,233 @@
+/**
+ * Unit tests for blueprint loading and the build executor, run against the
+ * dry-run simulator's bot
+ */
+const { describe, it, expect } = require('bun:test');
+const zlib = require('zlib');
+const nbt = require('prismarine-nbt');
+const express = require('express');
+const request = require('supertest');
+const { simulatedWorld } = require('../utils/simulated-world');
+const ContextBuilder = require('../../src/program-system/runtime/context');
+const { runCommand, executeInstruction } = require('../../src/commands');
+const { setupCommandRoutes } = require('../../src/commands/routes');
+const blueprints = require('../../src/commands/blueprints');
+const building = require('../../src/commands/building');
+
+const setup = (inventory = [], blocks = {}) => simulatedWorld({ radius: 8, blocks, inventory });
+
+// 3 wide, 2 high along x
+const WALL = { name: 'wall', palette: { C: 'cobblestone' }, layers: [['CCC'], ['CCC']] };
+
+const schematic = (root, gzip) => {
+  const data = nbt.writeUncompressed(root);
+  return (gzip ? zlib.gzipSync(data) : data).toString('base64');
+};
+
+describe('blueprints', () => {
+  it('should read palette layers and block lists with block states', async () => {
+    const layered = await blueprints.loadBlueprint({
+      blueprint: { name: 'steps', palette: { S: 'stone', T: 'oak_stairs[facing=north,half=bottom]' }, layers: [['SS', 'S.'], ['.T']] }
+    });
+    expect(layered.name).toBe('steps');
+    expect(layered.size).toEqual({ x: 2, y: 2, z: 2 });
+    expect(layered.blocks).toHaveLength(4);
+    expect(layered.blocks[3]).toEqual({ x: 1, y: 1, z: 0, name: 'oak_stairs', properties: { facing: 'north', half: 'bottom' } });
+
+    const listed = await blueprints.loadBlueprint({
+      blueprint: JSON.stringify({ blocks: [{ x: 5, y: 10, z: -2, block: 'minecraft:glass' }, { x: 6, y: 10, z: -2, block: 'air' }] })
+    });
+    expect(listed).toEqual({ name: 'blueprint', size: { x: 1, y: 1, z: 1 }, blocks: [{ x: 0, y: 0, z: 0, name: 'glass', properties: {} }] });
+
+    await expect(blueprints.loadBlueprint({ blueprint: { palette: {}, layers: [['X']] } })).rejects.toThrow("Blueprint palette has no block for 'X'");
+    await expect(blueprints.loadBlueprint({})).rejects.toThrow('blueprint or schematic required');
+  });
+
+  it('should read Sponge schematics', async () => {
+    const root = nbt.comp({
+      Schematic: nbt.comp({
+        Version: nbt.int(2),
+        Width: nbt.short(2),
+        Height: nbt.short(2),
+        Length: nbt.short(1),
+        Palette: nbt.comp({ 'minecraft:air': nbt.int(0), 'minecraft:oak_log[axis=x]': nbt.int(1), 'minecraft:glass': nbt.int(2) }),
+        BlockData: nbt.byteArray([1, 1, 2, 0])
+      })
+    });
+
+    const blueprint = await blueprints.loadBlueprint({ schematic: schematic(root, true) });
+
+    expect(blueprint.size).toEqual({ x: 2, y: 2, z: 1 });
+    expect(blueprint.blocks).toEqual([
+      { x: 0, y: 0, z: 0, name: 'oak_log', properties: { axis: 'x' } },
+      { x: 1, y: 0, z: 0, name: 'oak_log', properties: { axis: 'x' } },
+      { x: 0, y: 1, z: 0, name: 'glass', properties: {} }
+    ]);
+  });
+
+  it('should read Litematica schematics', async () => {
+    // Palette indexes 1, 2, 1 at 2 bits each: 0b011001
+    const root = nbt.comp({
+      Metadata: nbt.comp({ Name: nbt.string('pillar') }),
+      Regions: nbt.comp({
+        main: nbt.comp({
+          Position: nbt.comp({ x: nbt.int(0), y: nbt.int(0), z: nbt.int(0) }),
+          Size: nbt.comp({ x: nbt.int(1), y: nbt.int(-3), z: nbt.int(1) }),
+          BlockStatePalette: nbt.list(nbt.comp([
+            { Name: nbt.string('minecraft:air') },
+            { Name: nbt.string('minecraft:stone_bricks') },
+            { Name: nbt.string('minecraft:lantern'), Properties: nbt.comp({ hanging: nbt.string('false') }) }
+          ])),
+          BlockStates: nbt.longArray([[0, 0b011001]])
+        })
+      })
+    });
+
+    const blueprint = await blueprints.loadBlueprint({ schematic: schematic(root), format: 'litematic' });
+
+    expect(blueprint.name).toBe('pillar');
+    expect(blueprint.blocks.map(block => [block.y, block.name])).toEqual([[0, 'stone_bricks'], [1, 'lantern'], [2, 'stone_bricks']]);
+    expect(blueprint.blocks[1].properties).toEqual({ hanging: 'false' });
+    await expect(blueprints.loadBlueprint({ schematic: 'bm90IG5idA==' })).rejects.toThrow('Invalid schematic');
+  });
+
+  it('should turn blueprints clockwise around the origin', () => {
+    const blueprint = { blocks: [{ x: 1, y: 0, z: 0, name: 'oak_stairs', properties: { facing: 'north' } }, { x: 0, y: 1, z: 2, name: 'oak_log', properties: { axis: 'x' } }] };
+
+    expect(blueprints.anchorBlueprint(blueprint, { x: 10, y: 64, z: 10 }, 90)).toEqual([
+      { position: { x: 10, y: 64, z: 11 }, name: 'oak_stairs', properties: { facing: 'east' } },
+      { position: { x: 8, y: 65, z: 10 }, name: 'oak_log', properties: { axis: 'z' } }
+    ]);
+    expect(blueprints.anchorBlueprint(blueprint, { x: 0, y: 0, z: 0 }, 180)[0]).toMatchObject({ position: { x: -1, y: 0, z: 0 }, properties: { facing: 'south' } });
+    expect(() => blueprints.readRotation(45)).toThrow('rotation must be 0, 90, 180 or 270');
+  });
+});
+
+describe('building', () => {
+  it('should plan bottom-up from supported blocks, attachments last', async () => {
+    const { bot } = setup();
+    // A post at x=0 carrying a beam out to x=3, a torch on the floor and a
+    // block floating off to the side
+    const blueprint = await blueprints.loadBlueprint({
+      blueprint: {
+        blocks: [
+          { x: 1, y: 0, z: 0, block: 'torch' },
+          { x: 3, y: 1, z: 0, block: 'oak_planks' },
+          { x: 0, y: 1, z: 0, block: 'oak_planks' },
+          { x: 2, y: 1, z: 0, block: 'oak_planks' },
+          { x: 1, y: 1, z: 0, block: 'oak_planks' },
+          { x: 0, y: 0, z: 0, block: 'oak_log' },
+          { x: 0, y: 1, z: 4, block: 'glass' }
+        ]
+      }
+    });
+
+    const plan = building.planBuild(bot, blueprint, { x: 2, y: 64, z: 0 }, 0);
+
+    expect(plan.steps.map(({ position, name, scaffold }) => [position.x, position.y, position.z, name, scaffold])).toEqual([
+      [2, 64, 0, 'oak_log', false],
+      [2, 65, 0, 'oak_planks', false],
+      [3, 65, 0, 'oak_planks', false],
+      [4, 65, 0, 'oak_planks', false],
+      [5, 65, 0, 'oak_planks', false],
+      [2, 65, 4, 'glass', true],
+      [3, 64, 0, 'torch', false]
+    ]);
+    expect(plan.materials).toEqual({ oak_log: 1, oak_planks: 4, glass: 1, torch: 1 });
+  });
+
+  it('should place every block and report progress', async () => {
+    const { bot } = setup([{ name: 'cobblestone', count: 10 }]);
+    const events = [];
+
+    const result = await building.build(bot, { blueprint: WALL, x: 2, y: 64, z: 0 }, {
+      logEvent: (type, data) => events.push(type)
+    });
+
+    expect(result).toMatchObject({ status: 'done', name: 'wall', total: 6, placed: 6, present: 0, remaining: 0, failed: [] });
+    for (const [x, y] of [[2, 64], [3, 64], [4, 64], [2, 65], [3, 65], [4, 65]]) {
+      expect(bot.blockAt({ x, y, z: 0 }).name).toBe('cobblestone');
+    }
+    expect(bot.inventoryDiff()).toEqual({ cobblestone: -6 });
+    expect(events).toEqual(['build_started', 'build_finished']);
+  });
+
+  it('should refuse builds the inventory cannot cover', async () => {
+    const { bot } = setup([{ name: 'cobblestone', count: 2 }]);
+
+    const error = await building.build(bot, { blueprint: WALL, x: 2, y: 64, z: 0 }).catch(e => e);
+
+    expect(error.message).toBe('Missing materials: 4 cobblestone');
+    expect(error.status).toBe(422);
+    expect(error.details).toEqual({ missing: { cobblestone: 4 }, materials: { cobblestone: 6 } });
+  });
+
+  it('should scaffold up to floating blocks and take the scaffold down', async () => {
+    const floating = { blocks: [{ x: 0, y: 0, z: 0, block: 'glass' }] };
+
+    const { bot } = setup([{ name: 'glass', count: 1 }, { name: 'dirt', count: 4 }]);
+    const result = await building.build(bot, { blueprint: floating, x: 3, y: 66, z: 0 });
+    expect(result).toMatchObject({ status: 'done', placed: 1, scaffoldsLeft: 0 });
+    expect(bot.blockAt({ x: 3, y: 66, z: 0 }).name).toBe('glass');
+    expect(bot.blockAt({ x: 3, y: 65, z: 0 }).name).toBe('air');
+    expect(bot.blockAt({ x: 3, y: 64, z: 0 }).name).toBe('air');
+    expect(bot.inventoryDiff()).toEqual({ glass: -1 });
+
+    const bare = setup([{ name: 'glass', count: 1 }, { name: 'dirt', count: 4 }]);
+    const failed = await building.build(bare.bot, { blueprint: floating, x: 3, y: 66, z: 0, scaffold: false });
+    expect(failed).toMatchObject({ status: 'incomplete', placed: 0, remaining: 1 });
+    expect(failed.failed).toEqual([{ position: { x: 3, y: 66, z: 0 }, block: 'glass', error: 'Nothing solid next to 3, 66, 0 to place glass against' }]);
+  });
+
+  it('should resume the last build, skipping blocks already in place', async () => {
+    const { bot, simulator } = setup([{ name: 'cobblestone', count: 10 }], { '4,64,0': 'dirt' });
+
+    expect(() => building.buildStatus(bot)).toThrow('No build has been started');
+    const first = await building.build(bot, { blueprint: WALL, x: 2, y: 64, z: 0 });
+    expect(first).toMatchObject({ status: 'incomplete', placed: 5, remaining: 1 });
+    expect(first.failed[0].error).toBe('4, 64, 0 is occupied by dirt');
+
+    simulator.world.setBlock({ x: 4, y: 64, z: 0 }, 'air');
+    const resumed = await building.resumeBuild(bot);
+    expect(resumed).toMatchObject({ status: 'done', placed: 1, present: 5, remaining: 0 });
+    expect(building.buildStatus(bot)).toMatchObject({ name: 'wall', status: 'done', remaining: 0 });
+  });
+
+  it('should serve the build routes and batch instruction', async () => {
+    const { bot } = setup([{ name: 'cobblestone', count: 12 }]);
+    const app = express();
+    app.use(express.json());
+    setupCommandRoutes(app, () => ({ runCommand: (name, params) => runCommand(bot, name, params) }));
+
+    await request(app).get('/build').expect(404);
+    await request(app).post('/build/resume').expect(404);
+    const bad = await request(app).post('/build').send({ blueprint: WALL, x: 2, y: 64, z: 0, rotation: 45 }).expect(400);
+    expect(bad.body.error).toBe('rotation must be 0, 90, 180 or 270');
+
+    const plan = await request(app).post('/build').send({ blueprint: WALL, x: 2, y: 64, z: 0, rotation: 90, plan: true }).expect(200);
+    expect(plan.body).toMatchObject({ success: true, total: 6, toPlace: 6, scaffolds: 0, materials: { cobblestone: 6 }, missing: {} });
+    expect(plan.body.steps[0]).toEqual({ position: { x: 2, y: 64, z: 0 }, block: 'cobblestone' });
+
+    const built = await request(app).post('/build').send({ blueprint: WALL, x: 2, y: 64, z: 0, rotation: 90 }).expect(200);
+    expect(built.body).toMatchObject({ success: true, status: 'done', placed: 6 });
+    expect(bot.blockAt({ x: 2, y: 65, z: 2 }).name).toBe('cobblestone');
+    expect((await request(app).get('/build').expect(200)).body.status).toBe('done');
+
+    const batch = await executeInstruction(bot, { type: 'build', params: { blueprint: WALL, x: -4, y: 64, z: 3 } });
+    expect(batch).toMatchObject({ status: 'done', placed: 6 });
+  });
+
+  it('should build from ctx.actions.build.blueprint within the place budget', async () => {
+    const { simulator, bot } = setup([{ name: 'cobblestone', count: 10 }]);
+    const builder = new ContextBuilder(simulator.createHost(), ['place', 'inventory'], {});
+    builder.budget.limits.perMinute.place = 4;
+    const ctx = builder.build();
+
+    const result = await ctx.actions.build.blueprint(WALL, { x: 2, y: 64, z: 0 });
+
+    expect(result).toMatchObject({ status: 'limit', placed: 4, remaining: 2 });
+    expect(builder.getUsage().total.place).toBe(4);
+    expect(bot.inventoryDiff()).toEqual({ cobblestone: -4 });
+    await expect(ctx.actions.build.blueprint(WALL, { x: 2, y: 64, z: 0 })).rejects.toThrow();
+  });
+});
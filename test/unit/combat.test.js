@@ -0,0 +1,222 @@
+/**
+ * Unit tests for the combat subsystem, run against the dry-run simulator's bot
+ */
+const { describe, it, expect, jest } = require('bun:test');
+const express = require('express');
+const request = require('supertest');
+const { simulatedWorld } = require('../utils/simulated-world');
+const ContextBuilder = require('../../src/program-system/runtime/context');
+const { runCommand, executeInstruction } = require('../../src/commands');
+const { setupCommandRoutes } = require('../../src/commands/routes');
+const combat = require('../../src/commands/combat');
+
+const setup = simulatedWorld;
+
+const mob = (id, name, x, z, type = 'hostile') => ({ id, name, type, position: { x, y: 64, z } });
+
+describe('combat', () => {
+  describe('selectTargets', () => {
+    const entities = [
+      mob(1, 'zombie', 2, 0),
+      mob(2, 'creeper', 5, 0),
+      mob(3, 'cow', 1, 1, 'passive'),
+      mob(4, 'skeleton', 40, 0),
+      mob(5, 'Steve', 1, 0, 'player')
+    ];
+
+    it('should pick hostile mobs in range, most threatening first', () => {
+      const { bot } = setup({ entities });
+
+      expect(combat.selectTargets(bot).map(t => t.entity.id)).toEqual([2, 1]);
+      expect(combat.selectTargets(bot, { prefer: 'nearest' }).map(t => t.entity.id)).toEqual([1, 2]);
+      expect(combat.selectTargets(bot, { radius: 64 }).map(t => t.entity.id)).toEqual([2, 4, 1]);
+    });
+
+    it('should pick the named mob types only, never players', () => {
+      const { bot } = setup({ entities });
+
+      expect(combat.selectTargets(bot, { types: 'cow,zombie' }).map(t => t.entity.id)).toEqual([1, 3]);
+      expect(combat.selectTargets(bot, { types: ['Steve'] })).toEqual([]);
+    });
+
+    it('should reject bad selection options', () => {
+      const { bot } = setup();
+
+      expect(() => combat.selectTargets(bot, { radius: 500 })).toThrow('radius must be a number from 1 to 64');
+      expect(() => combat.selectTargets(bot, { prefer: 'weakest' })).toThrow("prefer must be 'threat' or 'nearest'");
+    });
+  });
+
+  it('should rank weapons by damage per second', () => {
+    const { bot } = setup({ inventory: [{ name: 'iron_axe', count: 1 }, { name: 'diamond_sword', count: 1 }, { name: 'stick', count: 1 }] });
+
+    expect(combat.bestWeapon(bot).name).toBe('diamond_sword');
+    expect(combat.attackCooldown({ name: 'iron_axe' })).toBe(1111);
+    expect(combat.attackCooldown(null)).toBe(250);
+  });
+
+  describe('engage', () => {
+    it('should equip the best weapon and kill the hostile mobs in range', async () => {
+      const { bot } = setup({
+        entities: [mob(1, 'zombie', 2, 0), mob(2, 'spider', 0, -2), mob(3, 'cow', 1, 1, 'passive')],
+        inventory: [{ name: 'stone_sword', count: 1 }, { name: 'iron_sword', count: 1 }]
+      });
+
+      const result = await combat.engage(bot, { cooldownMs: 0 });
+
+      expect(result).toMatchObject({ reason: 'clear', kills: 2, hits: 8, weapon: 'iron_sword' });
+      expect(result.targets.map(t => [t.name, t.hits, t.killed])).toEqual([['zombie', 4, true], ['spider', 4, true]]);
+      expect(Object.keys(bot.entities)).toEqual(['3']);
+    });
+
+    it('should walk up to targets out of reach', async () => {
+      const { bot } = setup({ entities: [mob(1, 'zombie', 8, 0)], inventory: [{ name: 'iron_sword', count: 1 }] });
+
+      const result = await combat.engage(bot, { cooldownMs: 0 });
+
+      expect(result.reason).toBe('clear');
+      expect(bot.entity.position.distanceTo({ x: 8, y: 64, z: 0 })).toBeLessThanOrEqual(3);
+    });
+
+    it('should stop after maxTargets kills or maxHits hits', async () => {
+      const entities = [mob(1, 'zombie', 2, 0), mob(2, 'zombie', -2, 0)];
+
+      const first = setup({ entities, inventory: [{ name: 'iron_sword', count: 1 }] });
+      expect(await combat.engage(first.bot, { cooldownMs: 0, maxTargets: 1 })).toMatchObject({ reason: 'done', kills: 1 });
+
+      const second = setup({ entities });
+      expect(await combat.engage(second.bot, { cooldownMs: 0, maxHits: 3 })).toMatchObject({ reason: 'max_hits', hits: 3, kills: 0 });
+    });
+
+    it('should report targets that leave tracking range as lost, not killed', async () => {
+      const { bot } = setup({ entities: [mob(1, 'zombie', 2, 0), mob(2, 'skeleton', -2, 0)] });
+      const attack = bot.attack.bind(bot);
+      // The skeleton walks out of range after the first hit
+      bot.attack = (entity) => {
+        attack(entity);
+        if (entity.id === 2) delete bot.entities[2];
+      };
+
+      const result = await combat.engage(bot, { cooldownMs: 0 });
+
+      expect(result).toMatchObject({ reason: 'clear', kills: 1, lost: 1 });
+      expect(result.targets.map(t => [t.name, t.killed, t.lost])).toEqual([['skeleton', false, true], ['zombie', true, false]]);
+
+      const single = setup({ entities: [mob(1, 'zombie', 2, 0)] });
+      single.bot.attack = () => delete single.bot.entities[1];
+      expect(await combat.engage(single.bot, { entityId: 1, cooldownMs: 0 })).toMatchObject({ reason: 'lost', kills: 0, lost: 1 });
+    });
+
+    it('should reject maxTargets that are not positive integers', async () => {
+      const { bot } = setup({ entities: [mob(1, 'zombie', 2, 0)] });
+
+      for (const maxTargets of [0, -1, 1.5, 'many']) {
+        await expect(combat.engage(bot, { maxTargets })).rejects.toThrow('maxTargets must be a positive integer');
+      }
+      expect(bot.attacks).toEqual([]);
+    });
+
+    it('should stop at the guardian\'s minHealth by default', async () => {
+      const { bot } = setup({ health: 10, entities: [mob(1, 'zombie', 2, 0)] });
+
+      combat.configureCombat(bot, { minHealth: 12 });
+
+      expect(await combat.engage(bot)).toMatchObject({ reason: 'low_health', hits: 0 });
+      expect(await combat.engage(bot, { minHealth: 6, cooldownMs: 0 })).toMatchObject({ reason: 'clear', kills: 1 });
+    });
+
+    it('should give up on low health', async () => {
+      const { bot } = setup({ health: 4, entities: [mob(1, 'zombie', 2, 0)] });
+
+      const result = await combat.engage(bot, { minHealth: 6 });
+
+      expect(result).toMatchObject({ reason: 'low_health', hits: 0, health: 4 });
+    });
+
+    it('should fight with a shield in the off hand and lower it afterwards', async () => {
+      const { bot } = setup({
+        entities: [mob(1, 'zombie', 2, 0)],
+        inventory: [{ name: 'iron_sword', count: 1 }, { name: 'shield', count: 1 }]
+      });
+
+      await combat.engage(bot, { cooldownMs: 60 });
+
+      expect(bot.offHandItem.name).toBe('shield');
+      expect(bot.usingItem).toBeNull();
+    });
+
+    it('should fight a single entity by id', async () => {
+      const { bot } = setup({ entities: [mob(1, 'zombie', 2, 0), mob(2, 'cow', 1, 1, 'passive')] });
+
+      const result = await combat.engage(bot, { entityId: 2, cooldownMs: 0 });
+
+      expect(result).toMatchObject({ reason: 'done', kills: 1, hits: 20 });
+      await expect(combat.engage(bot, { entityId: 99 })).rejects.toThrow('Entity not found');
+    });
+  });
+
+  it('should run as a batch instruction and from POST /combat/engage', async () => {
+    const { bot } = setup({ entities: [mob(1, 'zombie', 2, 0)], inventory: [{ name: 'iron_sword', count: 1 }] });
+
+    const app = express();
+    app.use(express.json());
+    setupCommandRoutes(app, () => ({ runCommand: (name, params) => runCommand(bot, name, params) }));
+
+    const bad = await request(app).post('/combat/engage').send({ radius: 0 }).expect(400);
+    expect(bad.body.error).toBe('radius must be a number from 1 to 64');
+
+    const res = await request(app).post('/combat/engage').send({ cooldownMs: 0, types: ['zombie'] }).expect(200);
+    expect(res.body).toMatchObject({ success: true, reason: 'clear', kills: 1 });
+
+    const instruction = await executeInstruction(bot, { type: 'combat', params: {} });
+    expect(instruction).toMatchObject({ engaged: true, reason: 'clear', kills: 0 });
+  });
+
+  describe('ctx.actions.combat', () => {
+    function context(snapshot) {
+      const { simulator, bot } = setup(snapshot);
+      const builder = new ContextBuilder(simulator.createHost(), ['attack'], {});
+      return { bot, builder, ctx: builder.build() };
+    }
+
+    it('should list targets and charge each hit to the attack budget', async () => {
+      const { builder, ctx } = context({
+        entities: [mob(1, 'zombie', 2, 0), mob(2, 'creeper', 4, 0)],
+        inventory: [{ name: 'iron_sword', count: 1 }]
+      });
+
+      const targets = await ctx.actions.combat.targets();
+      expect(targets.map(t => [t.name, t.threat])).toEqual([['creeper', 5], ['zombie', 3]]);
+
+      const result = await ctx.actions.combat.fightUntil({ cooldownMs: 0 });
+      expect(result).toMatchObject({ ok: true, reason: 'clear', kills: 2, hits: 8 });
+      expect(builder.getUsage().total.attack).toBe(8);
+    });
+
+    it('should stop fighting once the condition holds', async () => {
+      const { bot, ctx } = context({ entities: [mob(1, 'zombie', 2, 0), mob(2, 'zombie', -2, 0)] });
+
+      const result = await ctx.actions.combat.fightUntil(() => Object.keys(bot.entities).length < 2, { cooldownMs: 0 });
+
+      expect(result).toMatchObject({ ok: true, reason: 'condition', kills: 1 });
+    });
+
+    it('should fight past the combat timeout cap in slices', async () => {
+      const { ctx } = context({ entities: [mob(1, 'zombie', 2, 0)] });
+      const engage = jest.spyOn(ctx.actions.combat, 'engage');
+
+      const result = await ctx.actions.combat.fightUntil({ timeoutMs: 300000, cooldownMs: 0 });
+
+      expect(result).toMatchObject({ ok: true, reason: 'clear', kills: 1 });
+      expect(engage.mock.calls[0][0].timeoutMs).toBe(120000);
+    });
+
+    it('should give up when health is low', async () => {
+      const { ctx } = context({ health: 5, entities: [mob(1, 'zombie', 2, 0)] });
+
+      const result = await ctx.actions.combat.fightUntil({ minHealth: 8 });
+
+      expect(result).toMatchObject({ ok: false, reason: 'low_health', kills: 0, health: 5 });
+    });
+  });
+});
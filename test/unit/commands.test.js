@@ -0,0 +1,172 @@
+/**
+ * Unit tests for the shared bot command handlers
+ */
+const { describe, it, expect, beforeEach, jest } = require('bun:test');
+const { goals } = require('mineflayer-pathfinder');
+const { runCommand, executeInstruction, commandTimeout, CommandError } = require('../../src/commands');
+
+function position(x, y, z) {
+  return {
+    x, y, z,
+    clone: () => position(x, y, z),
+    offset: (dx, dy, dz) => position(x + dx, y + dy, z + dz),
+    distanceTo: (o) => Math.sqrt((x - o.x) ** 2 + (y - o.y) ** 2 + (z - o.z) ** 2)
+  };
+}
+
+function createBot() {
+  return {
+    entity: {
+      position: position(0, 64, 0),
+      velocity: { x: 0, y: 0, z: 0 },
+      yaw: 0,
+      pitch: 0,
+      onGround: true
+    },
+    health: 20,
+    food: 12,
+    oxygenLevel: 20,
+    game: { gameMode: 'survival', dimension: 'overworld' },
+    time: { isDay: true },
+    isRaining: false,
+    entities: {},
+    registry: {
+      itemsByName: { stick: { id: 280 }, crafting_table: { id: 58 } },
+      blocksByName: { crafting_table: { id: 58 } }
+    },
+    inventory: { items: () => [{ name: 'dirt', count: 3, slot: 36, displayName: 'Dirt' }] },
+    blockAt: jest.fn(() => ({ name: 'stone', light: 15 })),
+    setControlState: jest.fn(),
+    clearControlStates: jest.fn(),
+    look: jest.fn(),
+    chat: jest.fn(),
+    dig: jest.fn(async () => {}),
+    equip: jest.fn(async () => {}),
+    placeBlock: jest.fn(async () => {}),
+    recipesFor: jest.fn(() => [{ requiresTable: false }]),
+    findBlock: jest.fn(() => null),
+    craft: jest.fn(async () => {}),
+    attack: jest.fn()
+  };
+}
+
+describe('shared bot commands', () => {
+  let bot;
+
+  beforeEach(() => {
+    bot = createBot();
+  });
+
+  it('should build the nested state shape', async () => {
+    const state = await runCommand(bot, 'state');
+
+    expect(state.position.formatted).toBe('X: 0, Y: 64, Z: 0');
+    expect(state.orientation.compass_direction).toBe('South');
+    expect(state.food).toMatchObject({ current: 12, status: 'Hungry' });
+    expect(state.environment).toMatchObject({ block_under: 'stone', game_mode: 'survival' });
+  });
+
+  it('should list inventory items', async () => {
+    expect(await runCommand(bot, 'inventory')).toEqual({
+      items: [{ name: 'dirt', count: 3, slot: 36, displayName: 'Dirt' }]
+    });
+  });
+
+  it('should report validation failures as 400 CommandErrors', async () => {
+    const error = await runCommand(bot, 'chat', {}).catch(e => e);
+
+    expect(error).toBeInstanceOf(CommandError);
+    expect(error.status).toBe(400);
+    expect(error.message).toBe('Message required');
+    await expect(runCommand(bot, 'dig', { x: 1, y: 2 })).rejects.toThrow('x, y, z coordinates required');
+    await expect(runCommand(bot, 'fly')).rejects.toThrow('Unknown command: fly');
+  });
+
+  it('should let errors from the bot propagate without a status', async () => {
+    bot.dig = jest.fn(async () => { throw new Error('Digging aborted'); });
+
+    const error = await runCommand(bot, 'dig', { x: 0, y: 63, z: 0 }).catch(e => e);
+    expect(error.message).toBe('Digging aborted');
+    expect(error.status).toBeUndefined();
+  });
+
+  it('should turn to a cardinal direction', async () => {
+    const result = await runCommand(bot, 'look', { cardinal: 'east' });
+
+    expect(bot.look).toHaveBeenCalledWith(-Math.PI / 2, 0, true);
+    expect(result).toMatchObject({ success: true, direction: 'east' });
+    await expect(runCommand(bot, 'look', { cardinal: 'up' })).rejects.toThrow('Invalid cardinal direction');
+  });
+
+  it('should fall back to timed movement for relative moves without a pathfinder', async () => {
+    const result = await runCommand(bot, 'move', { relative: { forward: 8 } });
+
+    expect(result).toEqual({ success: true, method: 'simple_movement', duration_ms: 2000 });
+    expect(bot.setControlState).toHaveBeenCalledWith('forward', true);
+  });
+
+  it('should use the pathfinder for relative moves when it is loaded', async () => {
+    bot.pathfinder = { goto: jest.fn(async () => {}) };
+
+    const result = await runCommand(bot, 'move', { relative: { forward: 2 } });
+
+    const goal = bot.pathfinder.goto.mock.calls[0][0];
+    expect(goal).toBeInstanceOf(goals.GoalNear);
+    expect([goal.z, goal.rangeSq]).toEqual([2, 0]);
+    expect(result).toEqual({
+      success: true,
+      moved_to: { x: 0, y: 64, z: 2 },
+      from: { x: 0, y: 64, z: 0 }
+    });
+  });
+
+  it('should run goto, place and craft batch instructions', async () => {
+    bot.inventory.items = () => [{ name: 'dirt' }];
+    bot.registry.itemsByName.dirt = { id: 28, name: 'dirt' };
+    bot.registry.blocksByName.dirt = { id: 10, name: 'dirt', states: [] };
+    // Air from y=64 up, stone below
+    bot.blockAt = jest.fn(p => (p.y >= 64
+      ? { name: 'air', boundingBox: 'empty', position: p }
+      : { name: 'stone', boundingBox: 'block', position: p }));
+
+    const result = await runCommand(bot, 'batch', {
+      instructions: [
+        { type: 'place', params: { x: 1, y: 64, z: 0, blockName: 'dirt' } },
+        { type: 'craft', params: { item: 'stick', count: 4 } },
+        { type: 'goto', params: { x: 0, y: 64, z: 0 } }
+      ]
+    });
+
+    expect(result.stopped).toBe(false);
+    expect(result.results.map(r => r.response)).toEqual([
+      { placed: true, block: 'dirt', position: { x: 1, y: 64, z: 0 }, against: { x: 1, y: 63, z: 0 }, face: 'up' },
+      { crafted: 'stick', count: 4 },
+      { moved_toward: { x: 0, y: 64, z: 0 }, method: 'simple_movement' }
+    ]);
+  });
+
+  it('should report each batch step through ctx.logEvent', async () => {
+    const logEvent = jest.fn();
+
+    await runCommand(bot, 'batch', {
+      instructions: [{ type: 'chat', params: { message: 'hi' } }, { type: 'bogus' }]
+    }, { logEvent });
+
+    expect(logEvent.mock.calls.map(([, data]) => data.success)).toEqual([true, false]);
+  });
+
+  it('should give batches the time their instructions need', () => {
+    expect(commandTimeout('batch', { instructions: [{ type: 'chat' }] })).toBe(120000);
+    expect(commandTimeout('batch', {
+      instructions: [{ type: 'build' }, { type: 'tunnel' }, { type: 'wait', params: { duration: 5000 } }]
+    })).toBe(605000 + 605000 + 7000);
+    expect(commandTimeout('batch', { instructions: Array(10).fill({ type: 'smelt' }) })).toBe(3600000);
+    expect(commandTimeout('smelt')).toBe(605000);
+  });
+
+  it('should keep the instruction result shapes programs rely on', async () => {
+    expect(await executeInstruction(bot, { type: 'look', params: { yaw: 1, pitch: 0 } })).toEqual({ looked: true });
+    expect(await executeInstruction(bot, { type: 'dig', params: { x: 0, y: 63, z: 0 } }))
+      .toEqual({ dug: true, block: 'stone', tool: null, harvestable: true, estimatedMs: null, collected: {} });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for container interaction, run against the dry-run simulator's bot
+ */
+const { describe, it, expect } = require('bun:test');
+const express = require('express');
+const request = require('supertest');
+const { simulatedWorld, items } = require('../utils/simulated-world');
+const ContextBuilder = require('../../src/program-system/runtime/context');
+const { runCommand, executeInstruction } = require('../../src/commands');
+const { setupCommandRoutes } = require('../../src/commands/routes');
+const containers = require('../../src/commands/containers');
+const { Vec3 } = require('../../src/program-system/sdk/types');
+
+// A chest at 2,64,0 and a barrel at 10,64,0
+const setup = (snapshot = {}) => simulatedWorld({ blocks: { '2,64,0': 'chest', '10,64,0': 'barrel' }, ...snapshot });
+
+const chest = { x: 2, y: 64, z: 0 };
+
+describe('containers', () => {
+  it('should list what a container holds', async () => {
+    const { bot } = setup({ containers: { '2,64,0': items({ cobblestone: 70, diamond: 2 }) } });
+
+    const contents = await containers.listContainer(bot, chest);
+
+    expect(contents).toMatchObject({
+      container: 'chest',
+      position: chest,
+      size: 27,
+      free: 24,
+      totals: { cobblestone: 70, diamond: 2 }
+    });
+    expect(contents.items[0]).toEqual({ name: 'cobblestone', count: 64, slot: 0 });
+  });
+
+  it('should reject blocks that are not containers', async () => {
+    const { bot } = setup();
+
+    await expect(containers.listContainer(bot, { x: 0, y: 63, z: 0 })).rejects.toThrow('stone at 0, 63, 0 is not a container');
+    await expect(containers.listContainer(bot, { x: 2 })).rejects.toThrow('x, y, z coordinates required');
+  });
+
+  describe('deposit', () => {
+    it('should deposit items by name and count', async () => {
+      const { bot } = setup({ inventory: items({ cobblestone: 40, raw_iron: 5 }) });
+
+      const result = await containers.deposit(bot, { ...chest, items: [{ name: 'cobblestone', count: 30 }, 'raw_iron'] });
+
+      expect(result).toMatchObject({ deposited: { cobblestone: 30, raw_iron: 5 }, full: false, totals: { cobblestone: 30, raw_iron: 5 } });
+      expect(bot.inventoryDiff()).toEqual({ cobblestone: -30, raw_iron: -5 });
+    });
+
+    it('should deposit everything except tools, food and armor', async () => {
+      const { bot } = setup({
+        inventory: items({ iron_pickaxe: 1, bread: 4, iron_helmet: 1, dirt: 20, coal: 3, torch: 8 })
+      });
+
+      const result = await containers.deposit(bot, { ...chest, all: true });
+
+      expect(result.deposited).toEqual({ dirt: 20, coal: 3, torch: 8 });
+      expect(result.kept).toEqual(['iron_pickaxe', 'bread', 'iron_helmet']);
+
+      const again = setup({ inventory: items({ iron_pickaxe: 1, bread: 4, torch: 8 }) });
+      const custom = await containers.deposit(again.bot, { ...chest, all: true, except: 'tools,torch' });
+      expect(custom.deposited).toEqual({ bread: 4 });
+    });
+
+    it('should stop when the container is full', async () => {
+      const filler = Array.from({ length: 26 }, () => ({ name: 'dirt', count: 64 }));
+      const { bot } = setup({
+        inventory: items({ cobblestone: 100, coal: 5 }),
+        containers: { '2,64,0': filler }
+      });
+
+      const result = await containers.deposit(bot, { ...chest, all: true });
+
+      expect(result).toMatchObject({ deposited: { cobblestone: 64 }, full: true, free: 0 });
+      expect(bot.inventoryDiff()).toEqual({ cobblestone: -64 });
+    });
+
+    it('should refuse to deposit more than the inventory holds', async () => {
+      const { bot } = setup({ inventory: items({ coal: 2 }) });
+
+      await expect(containers.deposit(bot, { ...chest, item: 'coal', count: 5 }))
+        .rejects.toThrow('Not enough coal in inventory (have 2, need 5)');
+      await expect(containers.deposit(bot, { ...chest, item: 'diamond' }))
+        .rejects.toThrow('Not enough diamond in inventory (have 0, need 1)');
+    });
+  });
+
+  describe('withdraw', () => {
+    it('should walk to the container and withdraw items', async () => {
+      const { bot } = setup({ containers: { '10,64,0': items({ bread: 10, iron_ingot: 3 }) } });
+
+      const result = await containers.withdraw(bot, { x: 10, y: 64, z: 0, item: 'bread', count: 4 });
+
+      expect(result).toMatchObject({ withdrawn: { bread: 4 }, container: 'barrel', totals: { bread: 6, iron_ingot: 3 } });
+      expect(bot.inventoryDiff()).toEqual({ bread: 4 });
+      expect(bot.entity.position.distanceTo({ x: 10, y: 64, z: 0 })).toBeLessThanOrEqual(3);
+    });
+
+    it('should refuse to withdraw what is not there', async () => {
+      const { bot } = setup({ containers: { '2,64,0': items({ iron_ingot: 3 }) } });
+
+      await expect(containers.withdraw(bot, { ...chest, item: 'iron_ingot', count: 4 }))
+        .rejects.toThrow('Not enough iron_ingot in chest (have 3, need 4)');
+    });
+  });
+
+  it('should serve the container routes and batch instructions', async () => {
+    const { bot } = setup({
+      inventory: items({ cobblestone: 10 }),
+      containers: { '2,64,0': items({ coal: 8 }) }
+    });
+
+    const app = express();
+    app.use(express.json());
+    setupCommandRoutes(app, () => ({ runCommand: (name, params) => runCommand(bot, name, params) }));
+
+    const listed = await request(app).get('/container').query(chest).expect(200);
+    expect(listed.body.totals).toEqual({ coal: 8 });
+
+    const deposited = await request(app).post('/container/deposit').send({ ...chest, item: 'cobblestone' }).expect(200);
+    expect(deposited.body).toMatchObject({ success: true, deposited: { cobblestone: 10 } });
+
+    const missing = await request(app).post('/container/withdraw').send({ ...chest, item: 'diamond' }).expect(422);
+    expect(missing.body.error).toBe('Not enough diamond in chest (have 0, need 1)');
+
+    const batch = await runCommand(bot, 'batch', {
+      instructions: [
+        { type: 'withdraw', params: { ...chest, item: 'coal', count: 3 } },
+        { type: 'deposit', params: { ...chest, all: true } }
+      ]
+    });
+    expect(batch.results.map(r => r.success)).toEqual([true, true]);
+    expect(await executeInstruction(bot, { type: 'container', params: chest })).toMatchObject({ totals: { coal: 8, cobblestone: 10 } });
+  });
+
+  it('should use containers from ctx.actions.container', async () => {
+    const { simulator, bot } = setup({
+      inventory: items({ raw_iron: 12, iron_pickaxe: 1 }),
+      containers: { '2,64,0': items({ torch: 16 }) }
+    });
+    const builder = new ContextBuilder(simulator.createHost(), ['inventory'], {});
+    const ctx = builder.build();
+    const position = new Vec3(2, 64, 0);
+
+    await ctx.actions.container.deposit(position, { all: true });
+    await ctx.actions.container.withdraw(position, { item: 'torch', count: 8 });
+
+    expect((await ctx.actions.container.list(position)).totals).toEqual({ torch: 8, raw_iron: 12 });
+    expect(bot.inventoryDiff()).toEqual({ raw_iron: -12, torch: 8 });
+    expect(builder.getUsage().total.inventory).toBe(3);
+    await expect(ctx.actions.container.list(new Vec3(0, 63, 0))).rejects.toThrow('Failed to open container: stone at 0, 63, 0 is not a container');
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for the recursive crafting planner, run against the dry-run simulator's bot
+ */
+const { describe, it, expect } = require('bun:test');
+const express = require('express');
+const request = require('supertest');
+const { simulatedWorld } = require('../utils/simulated-world');
+const ContextBuilder = require('../../src/program-system/runtime/context');
+const { runCommand, executeInstruction } = require('../../src/commands');
+const { setupCommandRoutes } = require('../../src/commands/routes');
+const crafting = require('../../src/commands/crafting');
+
+const setup = simulatedWorld;
+
+const logs = count => [{ name: 'oak_log', count }];
+
+describe('crafting', () => {
+  describe('planCraft', () => {
+    it('should plan planks, a table and sticks before a pickaxe', () => {
+      const { bot } = setup({ inventory: logs(3) });
+
+      const plan = crafting.planCraft(bot, { item: 'wooden_pickaxe' });
+
+      expect(plan).toMatchObject({ item: 'wooden_pickaxe', count: 1, complete: true, table: 'craft', missing: [] });
+      expect(plan.steps.map(s => [s.item, s.times])).toEqual([
+        ['oak_planks', 1],
+        ['crafting_table', 1],
+        ['oak_planks', 2],
+        ['stick', 1],
+        ['wooden_pickaxe', 1]
+      ]);
+      expect(plan.steps[4]).toMatchObject({ table: true, ingredients: { oak_planks: 3, stick: 2 } });
+    });
+
+    it('should use items already in the inventory first', () => {
+      const { bot } = setup({
+        inventory: [{ name: 'oak_planks', count: 3 }, { name: 'stick', count: 2 }],
+        blocks: { '2,64,0': 'crafting_table' }
+      });
+
+      const plan = crafting.planCraft(bot, { item: 'wooden_pickaxe' });
+
+      expect(plan).toMatchObject({ complete: true, table: 'nearby' });
+      expect(plan.steps.map(s => s.item)).toEqual(['wooden_pickaxe']);
+    });
+
+    it('should list the missing raw materials', () => {
+      const { bot } = setup({ inventory: logs(1) });
+
+      const plan = crafting.planCraft(bot, { item: 'wooden_pickaxe', count: 2 });
+
+      expect(plan.complete).toBe(false);
+      expect(plan.missing).toEqual([{ item: 'oak_log', count: 2 }]);
+    });
+
+    it('should not need a table for 2x2 recipes', () => {
+      const { bot } = setup({ inventory: logs(1) });
+
+      const plan = crafting.planCraft(bot, { item: 'stick', count: 4 });
+
+      expect(plan).toMatchObject({ complete: true, table: null });
+      expect(plan.steps.map(s => [s.item, s.count])).toEqual([['oak_planks', 4], ['stick', 4]]);
+    });
+
+    it('should reject bad targets', () => {
+      const { bot } = setup();
+
+      expect(() => crafting.planCraft(bot, {})).toThrow('item name required');
+      expect(() => crafting.planCraft(bot, { item: 'oak_plank' })).toThrow('Unknown item: oak_plank');
+      expect(() => crafting.planCraft(bot, { item: 'stick', count: 0 })).toThrow('count must be an integer from 1 to 2304');
+    });
+  });
+
+  describe('craftRecursive', () => {
+    it('should craft the intermediates and place a crafting table', async () => {
+      const { bot } = setup({ inventory: logs(3) });
+
+      const result = await crafting.craftRecursive(bot, { item: 'wooden_pickaxe' });
+
+      expect(result).toMatchObject({ item: 'wooden_pickaxe', count: 1, table: 'placed' });
+      expect(bot.inventoryDiff()).toEqual({ oak_log: -3, oak_planks: 3, stick: 2, wooden_pickaxe: 1 });
+      expect(bot.findBlock({ matching: bot.registry.blocksByName.crafting_table.id, maxDistance: 2 })).not.toBeNull();
+    });
+
+    it('should reuse a nearby crafting table', async () => {
+      const { bot } = setup({ inventory: logs(2), blocks: { '0,64,3': 'crafting_table' } });
+
+      const result = await crafting.craftRecursive(bot, { item: 'wooden_pickaxe' });
+
+      expect(result.table).toBe('reused');
+      expect(bot.inventoryDiff()).toEqual({ oak_log: -2, oak_planks: 3, stick: 2, wooden_pickaxe: 1 });
+    });
+
+    it('should fail with the plan when materials are missing', async () => {
+      const { bot } = setup({ inventory: logs(1) });
+
+      const error = await crafting.craftRecursive(bot, { item: 'wooden_pickaxe' }).catch(e => e);
+
+      expect(error.message).toBe('Missing ingredients for 1 wooden_pickaxe: 2 oak_log');
+      expect(error.status).toBe(422);
+      expect(error.details.plan.missing).toEqual([{ item: 'oak_log', count: 2 }]);
+      expect(bot.inventoryDiff()).toEqual({});
+    });
+  });
+
+  it('should serve GET /craft/plan and recursive POST /craft', async () => {
+    const { bot } = setup({ inventory: logs(3) });
+
+    const app = express();
+    app.use(express.json());
+    setupCommandRoutes(app, () => ({ runCommand: (name, params) => runCommand(bot, name, params) }));
+
+    const plan = await request(app).get('/craft/plan').query({ item: 'wooden_pickaxe', count: 1 }).expect(200);
+    expect(plan.body).toMatchObject({ complete: true, table: 'craft' });
+
+    const bad = await request(app).post('/craft').send({ item: 'wooden_pickaxe', count: 4, recursive: true }).expect(422);
+    expect(bad.body.details.plan.complete).toBe(false);
+
+    const res = await request(app).post('/craft').send({ item: 'wooden_pickaxe', recursive: true }).expect(200);
+    expect(res.body).toMatchObject({ success: true, crafted: 'wooden_pickaxe', count: 1, table: 'placed' });
+
+    const instruction = await executeInstruction(bot, { type: 'craft', params: { item: 'stick', count: 4, recursive: true } });
+    expect(instruction).toMatchObject({ crafted: 'stick', count: 4 });
+  });
+
+  describe('ctx.actions.craft', () => {
+    function context(snapshot, capabilities = ['craft', 'place']) {
+      const { simulator, bot } = setup(snapshot);
+      const builder = new ContextBuilder(simulator.createHost(), capabilities, {});
+      return { bot, builder, ctx: builder.build() };
+    }
+
+    it('should craft recursively and charge each step to the craft budget', async () => {
+      const { bot, builder, ctx } = context({ inventory: logs(3) });
+
+      expect((await ctx.actions.craft.plan('wooden_pickaxe')).steps).toHaveLength(5);
+      await ctx.actions.craft.craft('wooden_pickaxe', 1, { recursive: true });
+
+      expect(bot.inventoryDiff().wooden_pickaxe).toBe(1);
+      expect(builder.getUsage().total.craft).toBe(5);
+    });
+
+    it('should report the missing materials', async () => {
+      const { ctx } = context({ inventory: logs(1) });
+
+      await expect(ctx.actions.craft.craft('wooden_pickaxe', 1, { recursive: true }))
+        .rejects.toThrow('Failed to craft wooden_pickaxe: missing 2 oak_log');
+    });
+
+    it('should craft a crafting table from logs for ensureCraftingTable', async () => {
+      const { bot, ctx } = context({ inventory: logs(1) }, ['craft']);
+
+      await ctx.actions.craft.ensureCraftingTable();
+
+      expect(bot.inventoryDiff()).toEqual({ oak_log: -1, crafting_table: 1 });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for tool-aware digging with drop collection, run against the
+ * dry-run simulator's bot
+ */
+const { describe, it, expect } = require('bun:test');
+const express = require('express');
+const request = require('supertest');
+const { simulatedWorld } = require('../utils/simulated-world');
+const ContextBuilder = require('../../src/program-system/runtime/context');
+const { Vec3 } = require('../../src/program-system/sdk/types');
+const { runCommand, executeInstruction } = require('../../src/commands');
+const { setupCommandRoutes } = require('../../src/commands/routes');
+const digging = require('../../src/commands/digging');
+const tools = require('../../src/commands/tools');
+
+const setup = (inventory = [], blocks = {}) => simulatedWorld({
+  radius: 8,
+  blocks: { '2,64,0': 'stone', '0,64,2': 'dirt', '3,64,0': 'oak_log', ...blocks },
+  inventory
+});
+
+describe('digging', () => {
+  it('should hold the fastest tool that harvests the block and report the drops', async () => {
+    const { bot } = setup([{ name: 'wooden_pickaxe', count: 1 }, { name: 'stone_pickaxe', count: 1 }, { name: 'iron_shovel', count: 1 }]);
+
+    const result = await digging.digBlock(bot, { x: 2, y: 64, z: 0 });
+
+    // Stone (hardness 1.5) with a stone pickaxe: 12 ticks
+    expect(result).toEqual({ block: 'stone', tool: 'stone_pickaxe', harvestable: true, estimatedMs: 600, collected: { cobblestone: 1 } });
+    expect(bot.heldItem.name).toBe('stone_pickaxe');
+    expect(await digging.digBlock(bot, { x: 0, y: 64, z: 2 })).toMatchObject({ tool: 'iron_shovel', collected: { dirt: 1 } });
+  });
+
+  it('should refuse blocks that would drop nothing unless forced', async () => {
+    const { bot } = setup([], { '1,64,1': 'bedrock' });
+
+    const error = await digging.digBlock(bot, { x: 2, y: 64, z: 0 }).catch(e => e);
+    expect(error.status).toBe(422);
+    expect(error.message).toStartWith('stone drops nothing without one of: wooden_pickaxe');
+    expect(error.details.harvestTools).toContain('netherite_pickaxe');
+    expect(bot.blockAt({ x: 2, y: 64, z: 0 }).name).toBe('stone');
+
+    const forced = await digging.digBlock(bot, { x: 2, y: 64, z: 0, force: true });
+    expect(forced).toMatchObject({ block: 'stone', tool: null, harvestable: false, estimatedMs: 7500, collected: {} });
+    expect(forced.warning).toStartWith('stone drops nothing without one of');
+
+    await expect(digging.digBlock(bot, { x: 2, y: 64, z: 0 })).rejects.toThrow('Nothing to dig at 2, 64, 0');
+    await expect(digging.digBlock(bot, { x: 1, y: 64, z: 1, force: true })).rejects.toThrow('bedrock cannot be dug');
+  });
+
+  it('should walk to drops out of pickup range and count what was picked up', async () => {
+    const { bot } = setup();
+    // The log's drop bounces two blocks past it and is picked up once the bot is close
+    bot.dig = async block => {
+      bot.world.setBlock(block.position, 'air');
+      bot.entities[50] = { id: 50, name: 'item', position: new Vec3(5.5, 64, 0.5) };
+    };
+    const pickup = setInterval(() => {
+      if (bot.entities[50] && bot.entity.position.distanceTo(bot.entities[50].position) <= 1) {
+        delete bot.entities[50];
+        bot.addItem('oak_log', 1);
+      }
+    }, 10);
+
+    try {
+      const result = await digging.digBlock(bot, { x: 3, y: 64, z: 0 });
+      expect(result).toMatchObject({ block: 'oak_log', tool: null, collected: { oak_log: 1 } });
+      expect(bot.feetBlock()).toMatchObject({ x: 5, y: 64, z: 0 });
+    } finally {
+      clearInterval(pickup);
+    }
+  });
+
+  it('should estimate dig times from hardness, tool speed and harvestability', () => {
+    const { bot } = setup([{ name: 'iron_pickaxe', count: 1 }]);
+    const pickaxe = bot.inventory.items()[0];
+    const stone = bot.blockAt({ x: 2, y: 64, z: 0 });
+
+    expect(tools.digTime(bot.registry, stone, pickaxe)).toBe(400);
+    expect(tools.digTime(bot.registry, stone, null)).toBe(7500);
+    expect(tools.digTime(bot.registry, bot.blockAt({ x: 0, y: 64, z: 2 }), null)).toBe(750);
+    expect(tools.digTime(bot.registry, { name: 'torch' }, null)).toBe(0);
+  });
+
+  it('should serve POST /dig, the dig instruction and ctx.actions.gather.mineBlock', async () => {
+    const { simulator, bot } = setup([{ name: 'stone_axe', count: 1 }]);
+    const app = express();
+    app.use(express.json());
+    setupCommandRoutes(app, () => ({ runCommand: (name, params) => runCommand(bot, name, params) }));
+
+    const refused = await request(app).post('/dig').send({ x: 2, y: 64, z: 0 }).expect(422);
+    expect(refused.body.error).toContain('stone drops nothing');
+    const dug = await request(app).post('/dig').send({ x: 3, y: 64, z: 0 }).expect(200);
+    expect(dug.body).toMatchObject({ success: true, block: 'oak_log', tool: 'stone_axe', collected: { oak_log: 1 } });
+
+    expect(await executeInstruction(bot, { type: 'dig', params: { x: 0, y: 64, z: 2 } }))
+      .toMatchObject({ dug: true, block: 'dirt', collected: { dirt: 1 } });
+
+    const ctx = new ContextBuilder(simulator.createHost(), ['dig'], {}).build();
+    await expect(ctx.actions.gather.mineBlock({ position: new Vec3(2, 64, 0) })).rejects.toThrow('Failed to mine block: stone drops nothing');
+    expect(await ctx.actions.gather.mineBlock({ position: new Vec3(2, 64, 0), force: true })).toMatchObject({ dug: true, harvestable: false });
+  });
+});
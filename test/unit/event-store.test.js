@@ -0,0 +1,152 @@
+/**
+ * Unit tests for the event stores
+ */
+const { describe, it, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryEventStore, FileEventStore, createEventStore } = require('../../src/events/store');
+
+describe('MemoryEventStore', () => {
+  it('should assign incrementing ids', () => {
+    const store = new MemoryEventStore();
+    const first = store.append({ type: 'chat', timestamp: 1000 });
+    const second = store.append({ type: 'chat', timestamp: 1001 });
+
+    expect(first.id).toBe(1);
+    expect(second.id).toBe(2);
+  });
+
+  it('should keep at most maxEvents events', () => {
+    const store = new MemoryEventStore({ maxEvents: 3 });
+    for (let i = 0; i < 5; i++) {
+      store.append({ type: 'tick', timestamp: Date.now() });
+    }
+
+    expect(store.events.map(e => e.id)).toEqual([3, 4, 5]);
+  });
+
+  it('should prune in place instead of copying the history', () => {
+    const store = new MemoryEventStore({ maxEvents: 3, maxAgeMs: 60000 });
+    const events = store.events;
+    for (let i = 0; i < 5; i++) {
+      store.append({ type: 'tick', timestamp: Date.now() });
+    }
+
+    expect(store.events).toBe(events);
+    expect(store.events).toHaveLength(3);
+  });
+
+  it('should drop events older than maxAgeMs', () => {
+    const store = new MemoryEventStore({ maxAgeMs: 1000 });
+    const now = Date.now();
+    store.events = [
+      { id: 1, type: 'old', timestamp: now - 5000 },
+      { id: 2, type: 'new', timestamp: now - 500 }
+    ];
+
+    expect(store.prune(now)).toBe(1);
+    expect(store.events.map(e => e.type)).toEqual(['new']);
+  });
+
+  describe('query', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new MemoryEventStore();
+      store.append({ type: 'chat', timestamp: 1000, data: { message: 'hello zombie' } });
+      store.append({ type: 'health', timestamp: 2000, data: { health: 10 } });
+      store.append({ type: 'death', timestamp: 3000, data: {} });
+      store.append({ type: 'chat', timestamp: 4000, data: { message: 'bye' } });
+    });
+
+    it('should filter by time range', () => {
+      const results = store.query({ since: 1000, until: 3000 });
+      expect(results.map(e => e.timestamp)).toEqual([2000, 3000]);
+    });
+
+    it('should filter by type', () => {
+      const results = store.query({ types: ['death', 'health'] });
+      expect(results.map(e => e.type)).toEqual(['health', 'death']);
+    });
+
+    it('should filter by text', () => {
+      const results = store.query({ text: 'ZOMBIE' });
+      expect(results).toHaveLength(1);
+      expect(results[0].timestamp).toBe(1000);
+    });
+
+    it('should return the newest matches when limited', () => {
+      const results = store.query({ types: ['chat'], limit: 1 });
+      expect(results[0].data.message).toBe('bye');
+    });
+  });
+});
+
+describe('FileEventStore', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mineflare-events-'));
+    filePath = path.join(tmpDir, 'events.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should reload events and ids after a restart', () => {
+    const store = new FileEventStore({ filePath });
+    store.append({ type: 'spawn', timestamp: Date.now() });
+    store.append({ type: 'chat', timestamp: Date.now() });
+    store.close();
+
+    const reopened = new FileEventStore({ filePath });
+    expect(reopened.events.map(e => e.type)).toEqual(['spawn', 'chat']);
+    expect(reopened.append({ type: 'death', timestamp: Date.now() }).id).toBe(3);
+  });
+
+  it('should buffer appends and write them in one go', async () => {
+    const store = new FileEventStore({ filePath });
+    store.append({ type: 'spawn', timestamp: Date.now() });
+    store.append({ type: 'chat', timestamp: Date.now() });
+    expect(fs.existsSync(filePath)).toBe(false);
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(2);
+    store.close();
+  });
+
+  it('should skip malformed lines', () => {
+    fs.writeFileSync(filePath, '{"id":1,"type":"chat","timestamp":1}\n{"id":2,"ty');
+
+    const store = new FileEventStore({ filePath, maxAgeMs: 0 });
+    expect(store.events).toHaveLength(1);
+  });
+
+  it('should apply retention when loading', () => {
+    const now = Date.now();
+    fs.writeFileSync(filePath, [
+      JSON.stringify({ id: 1, type: 'old', timestamp: now - 10000 }),
+      JSON.stringify({ id: 2, type: 'new', timestamp: now })
+    ].join('\n') + '\n');
+
+    const store = new FileEventStore({ filePath, maxAgeMs: 5000 });
+    expect(store.events.map(e => e.type)).toEqual(['new']);
+    expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(1);
+  });
+});
+
+describe('createEventStore', () => {
+  it('should build a memory store with configured retention', () => {
+    const store = createEventStore({
+      performance: { maxEventsHistory: 500 },
+      events: { store: 'memory', maxAgeHours: 2 }
+    });
+
+    expect(store).toBeInstanceOf(MemoryEventStore);
+    expect(store.maxEvents).toBe(500);
+    expect(store.maxAgeMs).toBe(2 * 60 * 60 * 1000);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for the SSE event stream
+ */
+const { describe, it, expect, beforeEach, afterEach, jest } = require('bun:test');
+const EventEmitter = require('events');
+const EventStream = require('../../src/events/stream');
+
+function createRequest(query = {}, headers = {}) {
+  const req = new EventEmitter();
+  req.query = query;
+  req.get = (name) => headers[name];
+  return req;
+}
+
+function createResponse() {
+  return {
+    frames: [],
+    status: jest.fn(),
+    set: jest.fn(),
+    flushHeaders: jest.fn(),
+    write(chunk) {
+      this.frames.push(chunk);
+    },
+    end: jest.fn()
+  };
+}
+
+function dataFrames(res) {
+  return res.frames
+    .filter(frame => frame.includes('data: '))
+    .map(frame => JSON.parse(frame.split('data: ')[1]));
+}
+
+describe('EventStream', () => {
+  let stream;
+
+  beforeEach(() => {
+    stream = new EventStream({ heartbeatInterval: 60000 });
+  });
+
+  afterEach(() => {
+    stream.close();
+  });
+
+  it('should send SSE headers when a client connects', () => {
+    const res = createResponse();
+    stream.handle(createRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.set.mock.calls[0][0]['Content-Type']).toBe('text/event-stream');
+    expect(stream.clients.size).toBe(1);
+  });
+
+  it('should publish events with their id', () => {
+    const res = createResponse();
+    stream.handle(createRequest(), res);
+
+    stream.publish({ id: 7, type: 'chat', timestamp: 1000 });
+
+    const frame = res.frames[res.frames.length - 1];
+    expect(frame.startsWith('id: 7\n')).toBe(true);
+    expect(dataFrames(res)).toEqual([{ id: 7, type: 'chat', timestamp: 1000 }]);
+  });
+
+  it('should only forward requested types', () => {
+    const res = createResponse();
+    stream.handle(createRequest({ types: 'death, health' }), res);
+
+    stream.publish({ id: 1, type: 'chat', timestamp: 1000 });
+    stream.publish({ id: 2, type: 'health', timestamp: 1001 });
+    stream.publish({ id: 3, type: 'death', timestamp: 1002 });
+
+    expect(dataFrames(res).map(e => e.id)).toEqual([2, 3]);
+  });
+
+  it('should replay missed events after Last-Event-ID', () => {
+    const backlog = [
+      { id: 1, type: 'chat', timestamp: 1000 },
+      { id: 2, type: 'health', timestamp: 1001 },
+      { id: 3, type: 'chat', timestamp: 1002 }
+    ];
+    const res = createResponse();
+    stream.handle(createRequest({ types: 'chat' }, { 'Last-Event-ID': '1' }), res, backlog);
+
+    expect(dataFrames(res).map(e => e.id)).toEqual([3]);
+  });
+
+  it('should replay events newer than since', () => {
+    const backlog = [
+      { id: 1, type: 'chat', timestamp: 1000 },
+      { id: 2, type: 'chat', timestamp: 2000 }
+    ];
+    const res = createResponse();
+    stream.handle(createRequest({ since: '1500' }), res, backlog);
+
+    expect(dataFrames(res).map(e => e.id)).toEqual([2]);
+  });
+
+  it('should not replay history without a resume point', () => {
+    const res = createResponse();
+    stream.handle(createRequest(), res, [{ id: 1, type: 'chat', timestamp: 1000 }]);
+
+    expect(dataFrames(res)).toEqual([]);
+  });
+
+  it('should filter by bot only when asked to', () => {
+    const events = { res: createResponse() };
+    const logs = { res: createResponse() };
+    // Both requests come in under /bots/miner
+    const req = () => Object.assign(createRequest({ since: '0' }), { params: { name: 'miner' } });
+    stream.handle(req(), events.res, [{ id: 1, type: 'spawn', bot: 'miner', timestamp: 1000 }], { bot: 'miner' });
+    const runLogs = new EventStream({ heartbeatInterval: 60000 });
+    runLogs.handle(req(), logs.res, [{ message: 'working', timestamp: 1000 }], { replayAll: true });
+
+    stream.publish({ id: 2, type: 'chat', bot: 'scout', timestamp: 2000 });
+    runLogs.publish({ message: 'done', timestamp: 2000 });
+    runLogs.close();
+
+    expect(dataFrames(events.res).map(e => e.id)).toEqual([1]);
+    // Run log records carry no bot and are all streamed
+    expect(dataFrames(logs.res).map(e => e.message)).toEqual(['working', 'done']);
+  });
+
+  it('should drop clients when the request closes', () => {
+    const req = createRequest();
+    stream.handle(req, createResponse());
+    expect(stream.clients.size).toBe(1);
+
+    req.emit('close');
+    expect(stream.clients.size).toBe(0);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for automatic gathering (ctx.actions.gather.collect and
+ * ctx.actions.inventory.requireBlocks), run against the dry-run simulator
+ */
+const { describe, it, expect } = require('bun:test');
+const { simulatedWorld } = require('../utils/simulated-world');
+const ContextBuilder = require('../../src/program-system/runtime/context');
+const tools = require('../../src/commands/tools');
+
+// Oak logs at x=3 and x=-9
+function setup({ inventory = [], blocks = {}, capabilities = ['dig', 'move', 'inventory'] } = {}) {
+  const { simulator, bot } = simulatedWorld({
+    blocks: { '3,64,0': 'oak_log', '3,65,0': 'oak_log', '-9,64,0': 'oak_log', ...blocks },
+    inventory
+  });
+  const builder = new ContextBuilder(simulator.createHost(), capabilities, {});
+  return { simulator, bot, builder, ctx: builder.build() };
+}
+
+describe('tools', () => {
+  it('should pick the fastest tool that harvests a block', () => {
+    const { bot } = setup({ inventory: [{ name: 'wooden_pickaxe', count: 1 }, { name: 'iron_pickaxe', count: 1 }, { name: 'stone_axe', count: 1 }] });
+
+    expect(tools.bestTool(bot, bot.blockAt({ x: 0, y: 63, z: 0 }))).toMatchObject({ item: { name: 'iron_pickaxe' }, harvestable: true, speed: 6 });
+    expect(tools.bestTool(bot, bot.blockAt({ x: 3, y: 64, z: 0 }))).toMatchObject({ item: { name: 'stone_axe' }, speed: 4 });
+    expect(tools.bestTool(bot, bot.blockAt({ x: 0, y: 70, z: 0 }))).toMatchObject({ item: null, speed: 1 });
+  });
+
+  it('should refuse blocks that need a tool the inventory lacks', () => {
+    const { bot } = setup();
+
+    expect(tools.bestTool(bot, bot.blockAt({ x: 0, y: 63, z: 0 }))).toEqual({ item: null, harvestable: false, speed: 1 });
+  });
+
+  it('should list the blocks that drop an item', () => {
+    const { bot } = setup();
+
+    expect(tools.sourceBlocks(bot.registry, 'cobblestone')).toEqual(['stone', 'cobblestone']);
+    expect(tools.sourceBlocks(bot.registry, 'raw_iron')).toEqual(['iron_ore', 'deepslate_iron_ore']);
+    expect(tools.sourceBlocks(bot.registry, 'bread')).toEqual([]);
+  });
+});
+
+describe('gathering', () => {
+  it('should mine the nearest source blocks until the requirement is met', async () => {
+    const { ctx, bot, builder } = setup();
+
+    const result = await ctx.actions.gather.collect({ oak_log: 2 });
+
+    expect(result).toMatchObject({ ok: true, reason: 'done', collected: { oak_log: 2 }, missing: {} });
+    expect(result.blocks.map(({ block, position, drops }) => ({ block, position: { ...position }, drops }))).toEqual([
+      { block: 'oak_log', position: { x: 3, y: 64, z: 0 }, drops: { oak_log: 1 } },
+      { block: 'oak_log', position: { x: 3, y: 65, z: 0 }, drops: { oak_log: 1 } }
+    ]);
+    expect(bot.blockAt({ x: -9, y: 64, z: 0 }).name).toBe('oak_log');
+    expect(builder.getUsage().total.dig).toBe(2);
+  });
+
+  it('should walk to blocks out of reach', async () => {
+    const { ctx, bot } = setup();
+
+    const result = await ctx.actions.gather.collect([{ name: 'oak_log', count: 3 }]);
+
+    expect(result.collected).toEqual({ oak_log: 3 });
+    expect(bot.entity.position.distanceTo({ x: -9, y: 64, z: 0 })).toBeLessThanOrEqual(3);
+    expect(bot.inventoryDiff()).toEqual({ oak_log: 3 });
+  });
+
+  it('should hold the right tool and skip blocks that would drop nothing', async () => {
+    const bare = setup();
+    const refused = await bare.ctx.actions.gather.collect({ cobblestone: 1 });
+    expect(refused).toMatchObject({ ok: false, reason: 'no_tool', collected: {}, missing: { cobblestone: 1 } });
+
+    const { ctx, bot } = setup({ inventory: [{ name: 'wooden_pickaxe', count: 1 }, { name: 'dirt', count: 3 }] });
+    const result = await ctx.actions.gather.collect({ cobblestone: 2 });
+    expect(result).toMatchObject({ ok: true, collected: { cobblestone: 2 } });
+    expect(bot.heldItem.name).toBe('wooden_pickaxe');
+  });
+
+  it('should stop when sources, blocks or the dig budget run out', async () => {
+    const scarce = setup();
+    expect(await scarce.ctx.actions.gather.collect({ oak_log: 5 }))
+      .toMatchObject({ ok: false, reason: 'not_found', collected: { oak_log: 3 }, missing: { oak_log: 2 } });
+
+    const capped = setup();
+    expect(await capped.ctx.actions.gather.collect({ oak_log: 3 }, { maxBlocks: 1 }))
+      .toMatchObject({ ok: false, reason: 'max_blocks', collected: { oak_log: 1 } });
+
+    const limited = setup();
+    limited.builder.budget.limits.perMinute.dig = 2;
+    expect(await limited.ctx.actions.gather.collect({ oak_log: 3 }))
+      .toMatchObject({ ok: false, reason: 'budget', collected: { oak_log: 2 }, missing: { oak_log: 1 } });
+  });
+
+  it('should only mine blocks in reach without a move capability', async () => {
+    const { ctx } = setup({ capabilities: ['dig', 'inventory'] });
+
+    expect(await ctx.actions.gather.collect({ oak_log: 3 }, { radius: 12 }))
+      .toMatchObject({ ok: false, reason: 'not_found', collected: { oak_log: 2 } });
+  });
+
+  it('should reject requirements nothing drops', async () => {
+    const { ctx } = setup();
+
+    await expect(ctx.actions.gather.collect({ bread: 1 })).rejects.toThrow('No block drops bread');
+    await expect(ctx.actions.gather.collect({ oak_log: 0 })).rejects.toThrow('Count for oak_log must be a positive integer');
+    await expect(ctx.actions.gather.collect({})).rejects.toThrow('Item requirements required');
+  });
+
+  describe('requireBlocks', () => {
+    it('should count any filler blocks and planks', async () => {
+      const { ctx } = setup({ capabilities: ['inventory'], inventory: [{ name: 'dirt', count: 3 }, { name: 'spruce_planks', count: 2 }] });
+
+      expect(await ctx.actions.inventory.requireBlocks({ count: 5 })).toEqual({ success: true, gathered: null });
+      await expect(ctx.actions.inventory.requireBlocks({ count: 6 })).rejects.toThrow('Need 6 blocks but only have 5');
+      await expect(ctx.actions.inventory.requireBlocks({ count: 6, allowGather: true }))
+        .rejects.toThrow('Gathering requires the "dig" capability');
+    });
+
+    it('should gather what is missing', async () => {
+      const { ctx, bot } = setup({ inventory: [{ name: 'stone_pickaxe', count: 1 }, { name: 'cobblestone', count: 1 }] });
+
+      const result = await ctx.actions.inventory.requireBlocks({ count: 3, allowGather: true });
+      expect(result.gathered).toMatchObject({ ok: true, collected: { cobblestone: 2 } });
+
+      const logs = await ctx.actions.inventory.requireBlocks({ items: { oak_log: 2 }, allowGather: true });
+      expect(logs.gathered.collected).toEqual({ oak_log: 2 });
+      expect(bot.inventoryDiff()).toEqual({ cobblestone: 2, oak_log: 2 });
+    });
+
+    it('should report what gathering could not find', async () => {
+      const { ctx } = setup();
+
+      const error = await ctx.actions.inventory.requireBlocks({ items: { oak_log: 4 }, allowGather: true }).catch(e => e);
+      expect(error.message).toBe('Need 4 oak_log but only have 3 after gathering (not_found)');
+      expect(error.details).toMatchObject({ collected: { oak_log: 3 }, missing: { oak_log: 1 } });
+    });
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Unit tests for the vitals guardian, run against the dry-run simulator's bot
+ */
+const { describe, it, expect, jest } = require('bun:test');
+const ProgramSimulator = require('../../src/program-system/simulator');
+const ProgramRunner = require('../../src/program-system/runner');
+const { VitalsGuardian } = require('../../src/guardian');
+const combat = require('../../src/commands/combat');
+const { Vec3 } = require('../../src/program-system/sdk/types');
+
+// Solid stone from y=60 to y=63, bot standing on it at the origin
+function setup(snapshot = {}, policy = {}) {
+  const simulator = new ProgramSimulator({
+    version: '1.20.4',
+    position: { x: 0, y: 64, z: 0 },
+    fill: [{ from: { x: -16, y: 60, z: -16 }, to: { x: 16, y: 63, z: 16 }, block: 'stone' }],
+    ...snapshot
+  });
+  const bot = simulator.simulatedBot;
+  const events = [];
+  // Recover without a program attached, so each routine can be checked alone
+  const guardian = new VitalsGuardian(bot, { whenIdle: true, ...policy }, {
+    logEvent: (type, data) => events.push({ type, ...data })
+  });
+  return { simulator, bot, guardian, events };
+}
+
+const zombie = (x, z) => ({ id: 1, name: 'zombie', type: 'hostile', position: { x, y: 64, z } });
+
+describe('VitalsGuardian', () => {
+  it('should stay idle while the bot is safe', () => {
+    const { guardian, events } = setup({ entities: [zombie(10, 0)] });
+
+    expect(guardian.check()).toBeNull();
+    expect(events).toEqual([]);
+  });
+
+  it('should eat when food drops below the threshold', async () => {
+    const { bot, guardian, events } = setup({ food: 6, inventory: [{ name: 'bread', count: 3 }] });
+
+    await guardian.check();
+
+    expect(bot.food).toBe(16);
+    expect(bot.inventoryDiff()).toEqual({ bread: -2 });
+    expect(events.map(e => e.type)).toEqual(['guardian_triggered', 'guardian_recovered']);
+    expect(events[1]).toMatchObject({ danger: 'low_food', actions: ['ate bread', 'ate bread'] });
+  });
+
+  it('should report a failed recovery and back off', async () => {
+    const { guardian, events } = setup({ food: 6 });
+
+    await guardian.check();
+
+    expect(events[1]).toMatchObject({ type: 'guardian_failed', danger: 'low_food', error: 'No food in inventory' });
+    expect(guardian.check()).toBeNull();
+  });
+
+  it('should retreat from hostile mobs', async () => {
+    const { bot, guardian, events } = setup({ entities: [zombie(2, 0)] });
+
+    await guardian.check();
+
+    expect(events[0]).toMatchObject({ danger: 'hostile', message: 'zombie within 2 blocks' });
+    expect(events[1].actions).toEqual(['retreated from zombie']);
+    expect(bot.feetBlock().x).toBeLessThanOrEqual(-9);
+  });
+
+  it('should pillar up when it cannot get away from a mob', async () => {
+    // Bot at the bottom of a 2-deep pit
+    const { bot, guardian, events } = setup({
+      fill: [{ from: { x: -4, y: 60, z: -4 }, to: { x: 4, y: 65, z: 4 }, block: 'stone' }],
+      blocks: { '0,64,0': 'air', '0,65,0': 'air' },
+      entities: [zombie(1, 1)],
+      inventory: [{ name: 'cobblestone', count: 5 }]
+    });
+
+    await guardian.check();
+
+    expect(events[1].actions).toEqual(['pillared up away from zombie']);
+    expect(bot.feetBlock().y).toBe(67);
+  });
+
+  it('should move away from lava', async () => {
+    const { bot, guardian, events } = setup({ blocks: { '1,64,0': 'lava' } });
+
+    await guardian.check();
+
+    expect(events[0].danger).toBe('lava');
+    expect(events[1].type).toBe('guardian_recovered');
+    expect(guardian.lavaNear(bot.feetBlock())).toBe(false);
+    expect(bot.feetBlock().distanceTo(new Vec3(0, 64, 0))).toBeLessThanOrEqual(2);
+  });
+
+  it('should get out of the water when low on air', async () => {
+    const blocks = {};
+    for (let x = -1; x <= 1; x++) {
+      for (let y = 64; y <= 66; y++) blocks[`${x},${y},0`] = 'water';
+    }
+    const { bot, guardian, events } = setup({ blocks });
+    bot.oxygenLevel = 3;
+
+    await guardian.check();
+
+    expect(events[0]).toMatchObject({ danger: 'drowning', message: 'Oxygen at 3/20' });
+    expect(bot.blockAt(bot.feetBlock().offset(0, 1, 0)).name).toBe('air');
+  });
+
+  it('should eat and rest until health regenerates', async () => {
+    const { bot, guardian, events } = setup(
+      { health: 5, food: 15, inventory: [{ name: 'cooked_beef', count: 2 }] },
+      { restTimeoutMs: 2000 }
+    );
+    setTimeout(() => { bot.health = 9; }, 50);
+
+    await guardian.check();
+
+    expect(bot.food).toBe(20);
+    expect(events[1]).toMatchObject({ type: 'guardian_recovered', danger: 'low_health', actions: ['ate cooked_beef', 'rested'] });
+  });
+
+  it('should fail when health cannot regenerate', async () => {
+    const { guardian, events } = setup({ health: 5, food: 10 });
+
+    await guardian.check();
+
+    expect(events[1]).toMatchObject({ type: 'guardian_failed', error: 'Cannot regenerate health with food at 10' });
+  });
+
+  it('should leave mobs and low health to a fight in progress', async () => {
+    const { bot, guardian } = setup({ health: 7, entities: [zombie(2, 0)] }, { minHealth: 6 });
+    const checks = [];
+    const attack = bot.attack.bind(bot);
+    bot.attack = (entity) => {
+      // Hurt by the zombie below the guardian's minHealth mid-fight
+      bot.health = Math.max(bot.health - 1, 5);
+      checks.push(guardian.check());
+      attack(entity);
+    };
+    guardian.start();
+
+    try {
+      const result = await combat.engage(bot, { cooldownMs: 0 });
+      expect(result.reason).toBe('low_health');
+      expect(checks).toEqual([null, null]);
+      expect(combat.isEngaged(bot)).toBe(false);
+      // The fight stopped at the guardian's minHealth, so the guardian takes over
+      expect(guardian.assess()).toMatchObject({ danger: 'low_health' });
+    } finally {
+      guardian.stop();
+    }
+  });
+
+  it('should hold instructions until the recovery is over', async () => {
+    const { guardian, events } = setup({ food: 6, inventory: [{ name: 'bread', count: 3 }] });
+    const order = [];
+
+    const recovery = guardian.check();
+    const instruction = guardian.guard(async () => {
+      order.push(events.length);
+      return 'done';
+    });
+
+    await recovery;
+    expect(await instruction).toBe('done');
+    expect(order).toEqual([2]);
+  });
+
+  it('should retry an instruction the recovery interrupted', async () => {
+    const { bot, guardian } = setup({ food: 6, inventory: [{ name: 'bread', count: 3 }] });
+    bot.pathfinder.stop = jest.fn();
+    let attempts = 0;
+
+    const instruction = guardian.guard(async () => {
+      attempts++;
+      if (attempts === 1) {
+        await guardian.check();
+        throw new Error('Path was stopped');
+      }
+      return attempts;
+    });
+
+    expect(await instruction).toBe(2);
+    expect(bot.pathfinder.stop).toHaveBeenCalled();
+  });
+
+  it('should leave an idle bot alone unless whenIdle is set', async () => {
+    const { guardian, events } = setup({ entities: [zombie(3, 0)] }, { whenIdle: false });
+
+    expect(guardian.check()).toBeNull();
+
+    guardian.attach({ runId: 'run-1', cancel: jest.fn() });
+    await guardian.check();
+    expect(events.map(e => e.type)).toContain('guardian_recovered');
+  });
+
+  it('should pause and resume attached program runs', async () => {
+    const { guardian, events } = setup({ food: 6, inventory: [{ name: 'bread', count: 3 }] });
+    const run = { runId: 'run-1', cancel: jest.fn() };
+    guardian.attach(run);
+
+    await guardian.check();
+
+    expect(events.map(e => e.type)).toEqual(['guardian_triggered', 'guardian_paused', 'guardian_recovered', 'guardian_resumed']);
+    expect(events[1].runs).toEqual(['run-1']);
+    expect(run.cancel).not.toHaveBeenCalled();
+  });
+
+  it('should abort program runs when the recovery fails', async () => {
+    const { simulator, guardian, events } = setup({ food: 6 });
+    // Wired like the bot hosts: program instructions go through the guardian
+    const simulated = simulator.createHost();
+    const host = {
+      ...simulated,
+      guardian,
+      executeInstruction: (instruction, ctx) => guardian.guard(() => simulated.executeInstruction(instruction, ctx), ctx)
+    };
+    const runner = new ProgramRunner(host, {
+      runId: 'run-2',
+      programName: 'dig-row',
+      source: `
+        const program = defineProgram({
+          name: 'dig-row',
+          capabilities: ['dig'],
+          async run(ctx) {
+            for (let x = 1; x <= 3; x++) {
+              await ctx.actions.gather.mineBlock({ position: new Vec3(x, 63, 0) });
+            }
+          }
+        });
+        program
+      `,
+      metadata: { defaults: {} },
+      args: {},
+      capabilities: ['dig']
+    });
+
+    const execution = runner.execute().catch(error => error);
+    await guardian.check();
+    const error = await execution;
+
+    expect(error.message).toBe('Stopped by guardian: Food at 6/20; recovery failed: No food in inventory');
+    expect(events.map(e => e.type)).toContain('guardian_aborted');
+    expect(guardian.runs.size).toBe(0);
+    expect(runner.getStatus()).toMatchObject({ status: 'cancelled', error: error.message });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Unit tests for inventory management, run against the dry-run simulator's bot
+ */
+const { describe, it, expect } = require('bun:test');
+const { EventEmitter } = require('events');
+const express = require('express');
+const request = require('supertest');
+const ProgramSimulator = require('../../src/program-system/simulator');
+const ContextBuilder = require('../../src/program-system/runtime/context');
+const { runCommand, executeInstruction } = require('../../src/commands');
+const { setupCommandRoutes } = require('../../src/commands/routes');
+const inventory = require('../../src/commands/inventory');
+
+function setup(items = []) {
+  const simulator = new ProgramSimulator({
+    version: '1.20.4',
+    position: { x: 0, y: 64, z: 0 },
+    fill: [{ from: { x: -4, y: 63, z: -4 }, to: { x: 4, y: 63, z: 4 }, block: 'stone' }],
+    inventory: items
+  });
+  return { simulator, bot: simulator.simulatedBot };
+}
+
+describe('inventory', () => {
+  it('should list hotbar, armor, off-hand and durability slot by slot', () => {
+    const { bot } = setup([
+      { name: 'iron_pickaxe', count: 1, slot: 36, durabilityUsed: 10 },
+      { name: 'torch', count: 16, slot: 38 },
+      { name: 'iron_helmet', count: 1, slot: 5 },
+      { name: 'shield', count: 1, slot: 45 },
+      { name: 'cobblestone', count: 100 }
+    ]);
+
+    const view = inventory.slotView(bot);
+
+    expect(view.selected).toBe(0);
+    expect(view.held).toEqual({ name: 'iron_pickaxe', count: 1, slot: 36, durability: { left: 240, max: 250 } });
+    expect(view.hotbar.map(item => item && item.name)).toEqual(['iron_pickaxe', null, 'torch', null, null, null, null, null, null]);
+    expect(view.armor).toMatchObject({ head: { name: 'iron_helmet', slot: 5 }, torso: null, legs: null, feet: null });
+    expect(view.offHand.name).toBe('shield');
+    expect(view.main).toEqual([
+      { name: 'cobblestone', count: 64, slot: 9 },
+      { name: 'cobblestone', count: 36, slot: 10 }
+    ]);
+    expect(view).toMatchObject({ used: 4, free: 32 });
+  });
+
+  describe('toss', () => {
+    it('should toss items by name and whole stacks by slot', async () => {
+      const { bot } = setup([{ name: 'dirt', count: 40 }, { name: 'gravel', count: 5 }]);
+
+      expect(await inventory.toss(bot, { item: 'dirt', count: 15 })).toEqual({ tossed: { dirt: 15 } });
+      expect(await inventory.toss(bot, { slot: 10 })).toEqual({ tossed: { gravel: 5 } });
+      expect(bot.inventoryDiff()).toEqual({ dirt: -15, gravel: -5 });
+    });
+
+    it('should refuse to toss what the inventory does not hold', async () => {
+      const { bot } = setup([{ name: 'dirt', count: 2 }]);
+
+      await expect(inventory.toss(bot, { item: 'dirt', count: 3 })).rejects.toThrow('Not enough dirt in inventory (have 2, need 3)');
+      await expect(inventory.toss(bot, { slot: 20 })).rejects.toThrow('Slot 20 is empty');
+      await expect(inventory.toss(bot, { slot: 50 })).rejects.toThrow('slot must be a slot number from 5 to 45');
+      await expect(inventory.toss(bot, {})).rejects.toThrow('item name or slot required');
+    });
+  });
+
+  it('should move stacks between slots, merging or swapping', async () => {
+    const { bot } = setup([
+      { name: 'cobblestone', count: 50, slot: 9 },
+      { name: 'cobblestone', count: 30, slot: 10 },
+      { name: 'torch', count: 8, slot: 36 }
+    ]);
+
+    const merged = await inventory.moveSlot(bot, { from: 10, to: 9 });
+    expect(merged).toMatchObject({ moved: 'cobblestone', from: { slot: 10, count: 16 }, to: { slot: 9, count: 64 } });
+
+    await inventory.moveSlot(bot, { from: 9, to: 36 });
+    expect(bot.heldItem).toMatchObject({ name: 'cobblestone', count: 64 });
+    expect(bot.inventory.slots[9]).toMatchObject({ name: 'torch', count: 8 });
+
+    await expect(inventory.moveSlot(bot, { from: 20, to: 9 })).rejects.toThrow('Slot 20 is empty');
+  });
+
+  it('should select hotbar slots, moving an item there first', async () => {
+    const { bot } = setup([{ name: 'torch', count: 16 }, { name: 'bread', count: 3, slot: 37 }]);
+
+    expect(await inventory.selectHotbar(bot, { slot: 1 })).toMatchObject({ selected: 1, held: { name: 'bread' } });
+    expect(await inventory.selectHotbar(bot, { slot: 4, item: 'torch' })).toMatchObject({ selected: 4, held: { name: 'torch', slot: 40 } });
+    await expect(inventory.selectHotbar(bot, { slot: 9 })).rejects.toThrow('slot must be a slot number from 0 to 8');
+    await expect(inventory.selectHotbar(bot, { slot: 0, item: 'diamond' })).rejects.toThrow('No diamond in inventory');
+  });
+
+  it('should wear the best armor for each part', async () => {
+    const { bot } = setup([
+      { name: 'leather_helmet', count: 1, slot: 5 },
+      { name: 'diamond_helmet', count: 1 },
+      { name: 'golden_chestplate', count: 1 },
+      { name: 'iron_chestplate', count: 1 },
+      { name: 'chainmail_boots', count: 1, slot: 8 },
+      { name: 'leather_boots', count: 1 }
+    ]);
+
+    const result = await inventory.autoArmor(bot);
+
+    expect(result.equipped).toEqual({ head: 'diamond_helmet', torso: 'iron_chestplate' });
+    expect(result.worn).toEqual({ head: 'diamond_helmet', torso: 'iron_chestplate', legs: null, feet: 'chainmail_boots' });
+    expect(bot.inventory.items().map(item => item.name).sort()).toEqual(['golden_chestplate', 'leather_boots', 'leather_helmet']);
+  });
+
+  describe('tidy', () => {
+    const crowded = () => setup([
+      { name: 'iron_pickaxe', count: 1 },
+      { name: 'dirt', count: 64 },
+      { name: 'dirt', count: 10 },
+      { name: 'gravel', count: 20 },
+      { name: 'cobblestone', count: 64 }
+    ]);
+
+    it('should toss junk, listed items and smaller stacks first, down to the limit', async () => {
+      const { bot } = crowded();
+
+      const result = await inventory.tidy(bot, { maxUsedSlots: 3, junk: 'gravel,dirt' });
+
+      expect(result).toEqual({ tossed: { gravel: 20, dirt: 10 }, used: 3, free: 33, maxUsedSlots: 3, within: true });
+      expect(bot.inventoryDiff()).toEqual({ dirt: -10, gravel: -20 });
+    });
+
+    it('should report when junk alone cannot get under the limit', async () => {
+      const { bot } = crowded();
+
+      const result = await inventory.tidy(bot, { maxUsedSlots: 1, junk: ['gravel'] });
+      expect(result).toMatchObject({ tossed: { gravel: 20 }, used: 4, within: false });
+
+      expect(await inventory.tidy(bot)).toMatchObject({ tossed: {}, maxUsedSlots: 0, within: true });
+      await expect(inventory.tidy(bot, { maxUsedSlots: 40 })).rejects.toThrow('maxUsedSlots must be a number from 0 to 36');
+    });
+
+    it('should give the config schema the same default junk', () => {
+      const configManager = require('../../src/config/ConfigManager');
+
+      expect(configManager.getSchema().inventory.junk.default).toBe(inventory.DEFAULT_JUNK.join(','));
+    });
+
+    it('should apply the watched junk policy after pickups', async () => {
+      const { bot } = crowded();
+      Object.assign(bot, EventEmitter.prototype);
+      EventEmitter.call(bot);
+      const events = [];
+
+      const stop = inventory.watchInventory(bot, { maxUsedSlots: 4, junk: 'dirt' }, {
+        logEvent: (type, data) => events.push({ type, data })
+      });
+      bot.emit('playerCollect', bot.entity, {});
+      await new Promise(resolve => setTimeout(resolve, 600));
+      stop();
+
+      expect(events).toEqual([{ type: 'inventory_tidied', data: { tossed: { dirt: 10 }, used: 4, free: 32, maxUsedSlots: 4, within: true } }]);
+      // tidy without params follows the watched policy
+      expect(await inventory.tidy(bot, { maxUsedSlots: 3 })).toMatchObject({ tossed: { dirt: 64 } });
+    });
+  });
+
+  it('should serve the inventory routes and batch instructions', async () => {
+    const { bot } = setup([
+      { name: 'dirt', count: 30 },
+      { name: 'stone_sword', count: 1 },
+      { name: 'iron_boots', count: 1 }
+    ]);
+
+    const app = express();
+    app.use(express.json());
+    setupCommandRoutes(app, () => ({ runCommand: (name, params) => runCommand(bot, name, params) }));
+
+    const view = await request(app).get('/inventory').query({ view: 'slots' }).expect(200);
+    expect(view.body).toMatchObject({ used: 3, free: 33, held: null });
+    await request(app).get('/inventory').query({ view: 'grid' }).expect(400);
+    expect((await request(app).get('/inventory').expect(200)).body.items).toHaveLength(3);
+
+    const tossed = await request(app).post('/inventory/toss').send({ item: 'dirt', count: 10 }).expect(200);
+    expect(tossed.body).toEqual({ success: true, tossed: { dirt: 10 } });
+    await request(app).post('/inventory/move').send({ from: 10, to: 36 }).expect(200);
+    const hotbar = await request(app).post('/inventory/hotbar').send({ slot: 0 }).expect(200);
+    expect(hotbar.body.held.name).toBe('stone_sword');
+    const armor = await request(app).post('/inventory/armor').expect(200);
+    expect(armor.body.equipped).toEqual({ feet: 'iron_boots' });
+    const missing = await request(app).post('/inventory/toss').send({ item: 'diamond' }).expect(422);
+    expect(missing.body.error).toBe('Not enough diamond in inventory (have 0, need 1)');
+
+    const batch = await runCommand(bot, 'batch', {
+      instructions: [
+        { type: 'toss', params: { item: 'dirt', count: 5 } },
+        { type: 'tidy', params: { maxUsedSlots: 1, junk: 'dirt' } }
+      ]
+    });
+    expect(batch.results.map(r => r.success)).toEqual([true, true]);
+    expect(await executeInstruction(bot, { type: 'hotbar', params: { slot: 3 } })).toMatchObject({ selected: 3, held: null });
+  });
+
+  it('should manage the inventory from ctx.actions.inventory', async () => {
+    const { simulator, bot } = setup([
+      { name: 'rotten_flesh', count: 12 },
+      { name: 'torch', count: 8 },
+      { name: 'golden_helmet', count: 1 }
+    ]);
+    const builder = new ContextBuilder(simulator.createHost(), ['inventory'], {});
+    const ctx = builder.build();
+
+    await ctx.actions.inventory.toss('rotten_flesh');
+    await ctx.actions.inventory.hotbar(2, 'torch');
+    await ctx.actions.inventory.autoArmor();
+    await ctx.actions.inventory.move(38, 9);
+
+    const slots = await ctx.actions.inventory.slots();
+    expect(slots).toMatchObject({ selected: 2, held: null, armor: { head: { name: 'golden_helmet' } }, main: [{ name: 'torch', slot: 9 }] });
+    expect((await ctx.actions.inventory.tidy({ maxUsedSlots: 1 })).within).toBe(true);
+    expect(bot.inventoryDiff()).toEqual({ rotten_flesh: -12 });
+    expect(builder.getUsage().total.inventory).toBe(5);
+    await expect(ctx.actions.inventory.toss({ slot: 30 })).rejects.toThrow('Failed to toss: Slot 30 is empty');
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for the bot process IPC layer
+ */
+const { describe, it, expect, beforeEach, jest } = require('bun:test');
+const { IpcClient, IpcServer, IpcError, IpcErrorCode } = require('../../src/ipc');
+const { CommandError } = require('../../src/commands');
+
+// Client and server wired back to back, delivering messages asynchronously like
+// a real process channel
+function connect(handlers) {
+  const toServer = { send: jest.fn((msg) => setTimeout(() => server.handleMessage(msg), 0)) };
+  const toClient = { send: jest.fn((msg) => setTimeout(() => client.handleMessage(msg), 0)) };
+  const server = new IpcServer(toClient, handlers);
+  const client = new IpcClient(toServer);
+  return { client, server, toServer, toClient };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('IPC client and server', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      echo: async (params) => params,
+      slow: (params, ctx) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve({ done: true }), params.ms || 1000);
+        ctx.signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new Error('aborted'));
+        });
+      })
+    };
+  });
+
+  it('should match responses to requests by id', async () => {
+    handlers.delayed = async ({ ms, value }) => {
+      await sleep(ms);
+      return value;
+    };
+    const { client } = connect(handlers);
+
+    const results = await Promise.all([
+      client.request('delayed', { ms: 30, value: 'first' }),
+      client.request('delayed', { ms: 0, value: 'second' })
+    ]);
+
+    expect(results).toEqual(['first', 'second']);
+    expect(client.pending.size).toBe(0);
+  });
+
+  it('should carry handler errors across with their status and code', async () => {
+    handlers.fail = () => {
+      throw new CommandError('No block at position', 400);
+    };
+    handlers.crash = () => {
+      const error = new Error('Pathfinding failed');
+      error.code = 'E_PATHFIND';
+      error.details = { goal: [1, 2, 3] };
+      throw error;
+    };
+    const { client } = connect(handlers);
+
+    const invalid = await client.request('fail').catch(e => e);
+    expect(invalid).toBeInstanceOf(IpcError);
+    expect([invalid.message, invalid.status, invalid.code]).toEqual(['No block at position', 400, null]);
+
+    const crashed = await client.request('crash').catch(e => e);
+    expect(crashed).toMatchObject({ code: 'E_PATHFIND', status: 500, details: { goal: [1, 2, 3] } });
+  });
+
+  it('should reject unknown methods', async () => {
+    const { client } = connect(handlers);
+
+    const error = await client.request('fly').catch(e => e);
+
+    expect(error.code).toBe(IpcErrorCode.UNKNOWN_METHOD);
+    expect(error.status).toBe(400);
+  });
+
+  it('should time out a request and cancel it in the bot process', async () => {
+    const { client, server, toServer } = connect(handlers);
+
+    const error = await client.request('slow', { ms: 1000 }, { timeout: 20 }).catch(e => e);
+
+    expect(error.code).toBe(IpcErrorCode.TIMEOUT);
+    expect(error.status).toBe(504);
+    expect(toServer.send).toHaveBeenLastCalledWith({ type: 'cancel', id: 1 });
+    await sleep(10);
+    expect(server.active.size).toBe(0);
+  });
+
+  it('should cancel a request through its abort signal', async () => {
+    const { client, server } = connect(handlers);
+    const controller = new AbortController();
+
+    const pending = client.request('slow', {}, { signal: controller.signal });
+    await sleep(10);
+    expect(server.active.size).toBe(1);
+    controller.abort();
+
+    const error = await pending.catch(e => e);
+    expect(error.code).toBe(IpcErrorCode.CANCELLED);
+    await sleep(10);
+    expect(server.active.size).toBe(0);
+  });
+
+  it('should ignore responses that arrive after a request was cancelled', async () => {
+    const { client } = connect(handlers);
+    const pending = client.request('echo', { a: 1 });
+    client.cancel(1);
+
+    await expect(pending).rejects.toThrow('echo request cancelled');
+    expect(client.handleMessage({ type: 'response', id: 1, result: {} })).toBe(true);
+  });
+
+  it('should deliver progress to the caller', async () => {
+    handlers.count = async (params, ctx) => {
+      ctx.progress({ step: 1 });
+      ctx.progress({ step: 2 });
+      return 'done';
+    };
+    const { client } = connect(handlers);
+    const onProgress = jest.fn();
+
+    expect(await client.request('count', {}, { onProgress })).toBe('done');
+    expect(onProgress.mock.calls).toEqual([[{ step: 1 }], [{ step: 2 }]]);
+  });
+
+  it('should fail every pending request when the channel goes away', async () => {
+    const client = new IpcClient({ send: jest.fn() });
+    const pending = [client.request('state'), client.request('inventory')];
+
+    client.rejectAll(new IpcError(IpcErrorCode.DISCONNECTED, 'Bot process exited'));
+
+    for (const result of await Promise.allSettled(pending)) {
+      expect(result.reason).toMatchObject({ code: IpcErrorCode.DISCONNECTED, status: 503 });
+    }
+  });
+
+  it('should leave notifications to the caller', () => {
+    const client = new IpcClient({ send: jest.fn() });
+
+    expect(client.handleMessage({ type: 'spawned' })).toBe(false);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Unit tests for IsolatedBotServer multi-bot routing
+ */
+const { describe, it, expect, beforeEach, afterEach, jest } = require('bun:test');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const IsolatedBotServer = require('../../src/bot-server-isolated');
+const IsolatedBot = require('../../src/isolated-bot');
+const { MemoryEventStore } = require('../../src/events/store');
+const configManager = require('../../src/config/ConfigManager');
+
+const CONFIG = { host: 'localhost', port: 25565, username: 'Builder', version: '1.21.1', auth: 'offline' };
+
+// Pretend the bot process is up without spawning one. Requests are answered by
+// reply(msg), which returns the response fields (result or error); returning
+// null leaves the request unanswered
+function attachFakeProcess(bot, reply = () => ({ result: { success: true } })) {
+  const child = new EventEmitter();
+  child.killed = false;
+  child.kill = jest.fn();
+  child.send = jest.fn((msg) => {
+    if (msg.type !== 'request') return;
+    const response = reply(msg);
+    if (response) {
+      setTimeout(() => child.emit('message', { type: 'response', id: msg.id, ...response }), 0);
+    }
+  });
+
+  bot.attachProcess(child);
+  bot.handleMessage({ type: 'spawned', position: { x: 1, y: 64, z: 2 }, health: 20 });
+  return child;
+}
+
+describe('IsolatedBotServer multi-bot', () => {
+  let server;
+  let tmpDir;
+  let startSpy;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mineflare-bots-'));
+    startSpy = jest.spyOn(IsolatedBot.prototype, 'startBotProcess').mockImplementation(() => {});
+    server = new IsolatedBotServer({
+      eventStore: new MemoryEventStore(),
+      botsFile: path.join(tmpDir, 'bots.json')
+    });
+    server.addBot('default', {}, CONFIG);
+  });
+
+  afterEach(() => {
+    startSpy.mockRestore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should serve the root routes for the default bot', async () => {
+    const res = await request(server.app).get('/health');
+
+    expect(res.body).toEqual({ status: 'ok', bot: 'default', botConnected: false });
+  });
+
+  it('should serve the same routes under /bots/:name', async () => {
+    const miner = server.addBot('miner', {}, { ...CONFIG, username: 'Miner' });
+    attachFakeProcess(miner);
+
+    const res = await request(server.app).get('/bots/miner/status');
+
+    expect(res.body).toMatchObject({ name: 'miner', username: 'Miner', connected: true, processRunning: true });
+    expect((await request(server.app).get('/status')).body.connected).toBe(false);
+  });
+
+  it('should send commands to the addressed bot process only', async () => {
+    const builder = attachFakeProcess(server.bots.get('default'));
+    const scout = attachFakeProcess(server.addBot('scout', {}, CONFIG));
+
+    await request(server.app).post('/bots/scout/chat').send({ message: 'hello' }).expect(200);
+
+    expect(scout.send).toHaveBeenCalledWith({
+      type: 'request',
+      id: 1,
+      method: 'command.chat',
+      params: { message: 'hello' }
+    });
+    expect(builder.send).not.toHaveBeenCalled();
+  });
+
+  it('should return the command result from the bot process', async () => {
+    attachFakeProcess(server.bots.get('default'), () => ({ result: { items: [{ name: 'dirt' }] } }));
+
+    const res = await request(server.app).get('/inventory').expect(200);
+
+    expect(res.body).toEqual({ items: [{ name: 'dirt' }] });
+  });
+
+  it('should pass on command errors with their status', async () => {
+    attachFakeProcess(server.bots.get('default'), () => ({ error: { message: 'No block at position', status: 400 } }));
+
+    const res = await request(server.app).post('/dig').send({ x: 0, y: 0, z: 0 });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'No block at position' });
+  });
+
+  it('should answer concurrent requests with their own responses', async () => {
+    const bot = server.bots.get('default');
+    const child = attachFakeProcess(bot, () => null);
+
+    const state = request(server.app).get('/state');
+    const inventory = request(server.app).get('/inventory');
+    const responses = Promise.all([state, inventory]);
+
+    // Answer in reverse order once both requests are in flight
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const [stateReq, inventoryReq] = child.send.mock.calls.map(([msg]) => msg);
+    child.emit('message', { type: 'response', id: inventoryReq.id, result: { items: [] } });
+    child.emit('message', { type: 'response', id: stateReq.id, result: { health: 20 } });
+
+    const [stateRes, inventoryRes] = await responses;
+    expect(stateRes.body).toEqual({ health: 20 });
+    expect(inventoryRes.body).toEqual({ items: [] });
+  });
+
+  it('should fail pending requests with 503 when the bot process exits', async () => {
+    const bot = server.bots.get('default');
+    const child = attachFakeProcess(bot, () => null);
+    const scheduleSpy = jest.spyOn(bot, 'scheduleRestart').mockImplementation(() => {});
+
+    const pending = request(server.app).get('/state');
+    setTimeout(() => child.emit('exit', 1, null), 50);
+    const res = await pending;
+
+    expect(res.status).toBe(503);
+    expect(res.body).toEqual({ error: 'Bot process exited (code 1, signal null)', code: 'E_IPC_DISCONNECTED' });
+    expect(scheduleSpy).toHaveBeenCalled();
+  });
+
+  it('should run programs in the bot process as a single request', async () => {
+    const bot = server.bots.get('default');
+    const child = attachFakeProcess(bot, () => null);
+    const onLog = jest.fn();
+    const runner = bot.createProgramRunner({ runId: 'run-1', programName: 'demo', onLog });
+
+    const execution = runner.execute();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const [msg] = child.send.mock.calls[0];
+    expect(msg).toMatchObject({ type: 'request', method: 'program.execute', params: { runId: 'run-1' } });
+
+    child.emit('message', { type: 'progress', id: msg.id, data: { message: 'working' } });
+    child.emit('message', {
+      type: 'response',
+      id: msg.id,
+      result: { success: true, result: { success: true, result: 42 }, usage: { ops: 3 } }
+    });
+
+    expect(await execution).toEqual({ success: true, result: 42 });
+    expect(onLog).toHaveBeenCalledWith({ message: 'working' });
+    expect(runner.getStatus()).toMatchObject({ status: 'succeeded', result: 42 });
+    expect(runner.getUsage()).toEqual({ ops: 3 });
+  });
+
+  it('should cancel remote program runs in the bot process', async () => {
+    const bot = server.bots.get('default');
+    const child = attachFakeProcess(bot, () => null);
+    const runner = bot.createProgramRunner({ runId: 'run-2', programName: 'demo' });
+
+    const execution = runner.execute().catch(e => e);
+    runner.cancel();
+
+    expect(child.send).toHaveBeenLastCalledWith({ type: 'cancel', id: 1 });
+    expect((await execution).message).toBe('Program execution cancelled');
+    expect(runner.getStatus().status).toBe('cancelled');
+  });
+
+  it('should log events raised by commands in the bot process', () => {
+    const bot = server.bots.get('default');
+    bot.handleMessage({ type: 'event', event: 'batch_instruction', data: { index: 0, success: true } });
+
+    expect(server.eventStore.query({ types: ['batch_instruction'] })).toMatchObject([
+      { bot: 'default', index: 0, success: true }
+    ]);
+  });
+
+  it('should reject commands for bots that are not connected', async () => {
+    const res = await request(server.app).get('/state');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Bot not connected' });
+  });
+
+  it('should return 404 for unknown bots', async () => {
+    const res = await request(server.app).get('/bots/ghost/health');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Bot not found: ghost');
+  });
+
+  it('should list bots with the default marked', async () => {
+    server.addBot('miner', {}, CONFIG);
+
+    const res = await request(server.app).get('/bots');
+
+    expect(res.body.default).toBe('default');
+    expect(res.body.bots.map(b => b.name)).toEqual(['default', 'miner']);
+  });
+
+  it('should add bots over HTTP and persist them', async () => {
+    const res = await request(server.app).post('/bots').send({ name: 'miner', host: 'mc.example.com' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.bot).toMatchObject({ name: 'miner', username: 'miner', host: 'mc.example.com' });
+    expect(startSpy).toHaveBeenCalledTimes(1);
+
+    const saved = JSON.parse(fs.readFileSync(server.botsFile, 'utf8'));
+    expect(saved.map(b => b.name)).toEqual(['miner']);
+  });
+
+  it('should reject duplicate and invalid bot names', async () => {
+    expect((await request(server.app).post('/bots').send({ name: 'default' })).status).toBe(400);
+    expect((await request(server.app).post('/bots').send({ name: '../x' })).status).toBe(400);
+  });
+
+  it('should remove bots but never the default bot', async () => {
+    const miner = server.addBot('miner', {}, CONFIG);
+    const proc = attachFakeProcess(miner);
+
+    await request(server.app).delete('/bots/miner').expect(200);
+    expect(proc.kill).toHaveBeenCalledWith('SIGTERM');
+    expect(miner.stopped).toBe(true);
+    expect(server.bots.has('miner')).toBe(false);
+
+    expect((await request(server.app).delete('/bots/default')).status).toBe(400);
+  });
+
+  it('should restore saved bots', () => {
+    server.addBot('scout', {}, { ...CONFIG, username: 'Scout' });
+    server.saveBots();
+
+    const restarted = new IsolatedBotServer({ eventStore: new MemoryEventStore(), botsFile: server.botsFile });
+    restarted.loadSavedBots();
+
+    expect(restarted.bots.get('scout').config.username).toBe('Scout');
+  });
+
+  it('should tag events with the bot name and filter them per bot', async () => {
+    attachFakeProcess(server.bots.get('default'));
+    attachFakeProcess(server.addBot('miner', {}, CONFIG));
+
+    const all = await request(server.app).get('/events');
+    const miner = await request(server.app).get('/bots/miner/events');
+
+    expect(all.body.events.map(e => e.bot)).toEqual(['default', 'miner']);
+    expect(miner.body.events).toHaveLength(1);
+    expect(miner.body.events[0]).toMatchObject({ type: 'spawn', bot: 'miner' });
+  });
+
+  it('should give the default bot the configured guardian, inventory and performance sections', () => {
+    const get = configManager.get.bind(configManager);
+    const getSpy = jest.spyOn(configManager, 'get').mockImplementation((section, profile) => (
+      section === 'guardian' ? { ...get(section, profile), enabled: false } : get(section, profile)
+    ));
+    const onSpy = jest.spyOn(process, 'on').mockImplementation(() => process);
+    const fresh = new IsolatedBotServer({ eventStore: new MemoryEventStore(), botsFile: path.join(tmpDir, 'none.json') });
+    fresh.app.listen = jest.fn();
+
+    try {
+      fresh.start(CONFIG, 0);
+    } finally {
+      onSpy.mockRestore();
+      getSpy.mockRestore();
+    }
+
+    // The config sent to bot-process.js with the start message
+    const config = fresh.bots.get('default').config;
+    expect(config).toMatchObject({ ...CONFIG, guardian: { enabled: false } });
+    expect(config.inventory).toEqual(configManager.get('inventory'));
+    expect(config.performance.screenshotQuality).toBe(configManager.get('performance').screenshotQuality);
+  });
+});
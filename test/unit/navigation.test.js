@@ -0,0 +1,198 @@
+/**
+ * Unit tests for pathfinder-backed navigation (goto)
+ */
+const { describe, it, expect, beforeEach, jest } = require('bun:test');
+const express = require('express');
+const request = require('supertest');
+const { goals } = require('mineflayer-pathfinder');
+const { planWaypoints, createMovements, loadPathfinder, planPath, gotoPosition } = require('../../src/commands/navigation');
+const { runCommand, executeInstruction, CommandError } = require('../../src/commands');
+const { setupCommandRoutes } = require('../../src/commands/routes');
+
+const registry = require('prismarine-registry')('1.20.4');
+
+function position(x, y, z) {
+  return {
+    x, y, z,
+    clone: () => position(x, y, z),
+    distanceTo: (o) => Math.sqrt((x - o.x) ** 2 + (y - o.y) ** 2 + (z - o.z) ** 2)
+  };
+}
+
+function pathError(name) {
+  const error = new Error(`${name} error`);
+  error.name = name;
+  return error;
+}
+
+// Flat stone floor at y=63 plus the given solid blocks ("x,y,z")
+function flatWorld(solid = []) {
+  const blocks = new Set(solid);
+  return (pos) => {
+    const key = `${Math.floor(pos.x)},${Math.floor(pos.y)},${Math.floor(pos.z)}`;
+    const isSolid = Math.floor(pos.y) <= 63 || blocks.has(key);
+    return isSolid ? { name: 'stone', boundingBox: 'block' } : { name: 'air', boundingBox: 'empty' };
+  };
+}
+
+// The fake pathfinder teleports the bot to each goal it is given
+function createBot() {
+  const bot = {
+    registry,
+    entity: { position: position(0, 64, 0) },
+    blockAt: flatWorld(),
+    pathfinder: {
+      setMovements: jest.fn(),
+      stop: jest.fn(),
+      goto: jest.fn(async (goal) => {
+        bot.entity.position = position(goal.x, goal.y !== undefined ? goal.y : 64, goal.z);
+      })
+    }
+  };
+  return bot;
+}
+
+describe('navigation', () => {
+  let bot;
+
+  beforeEach(() => {
+    bot = createBot();
+  });
+
+  it('should split long trips into waypoints ending at the target', () => {
+    const waypoints = planWaypoints({ x: 0, y: 64, z: 0 }, { x: 150, y: 70, z: 0 }, 64);
+
+    expect(waypoints).toEqual([
+      { x: 50, y: null, z: 0 },
+      { x: 100, y: null, z: 0 },
+      { x: 150, y: 70, z: 0 }
+    ]);
+    expect(planWaypoints({ x: 0, y: 64, z: 0 }, { x: 5, y: 64, z: 5 })).toHaveLength(1);
+  });
+
+  it('should apply movement rules to the pathfinder movements', () => {
+    const movements = createMovements(bot, { canDig: false, maxDropDown: 2, allowParkour: false, bogus: true });
+
+    expect([movements.canDig, movements.maxDropDown, movements.allowParkour]).toEqual([false, 2, false]);
+    expect(movements.allowSprinting).toBe(true);
+    expect(movements.bogus).toBeUndefined();
+  });
+
+  it('should load the plugin once', () => {
+    const loadPlugin = jest.fn();
+
+    loadPathfinder({ loadPlugin });
+    loadPathfinder({ loadPlugin, pathfinder: {} });
+
+    expect(loadPlugin).toHaveBeenCalledTimes(1);
+  });
+
+  it('should route through waypoints and report arrival', async () => {
+    const result = await gotoPosition(bot, { x: 100, y: 64, z: 0, movements: { canDig: false } });
+
+    const legs = bot.pathfinder.goto.mock.calls.map(([goal]) => goal);
+    expect(legs[0]).toBeInstanceOf(goals.GoalNearXZ);
+    expect(legs[1]).toBeInstanceOf(goals.GoalNear);
+    expect(bot.pathfinder.setMovements.mock.calls[0][0].canDig).toBe(false);
+    expect(result).toEqual({
+      arrived: true,
+      planner: 'pathfinder',
+      position: { x: 100, y: 64, z: 0 },
+      from: { x: 0, y: 64, z: 0 },
+      distance: 0,
+      waypoints: 2
+    });
+  });
+
+  it('should report why the target could not be reached', async () => {
+    bot.pathfinder.goto = jest.fn(async () => { throw pathError('NoPath'); });
+
+    const error = await gotoPosition(bot, { x: 10, y: 64, z: 10 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(CommandError);
+    expect(error.status).toBe(422);
+    expect(error.message).toBe('Could not reach 10, 64, 10: no_path');
+    expect(error.details).toEqual({
+      reason: 'no_path',
+      position: { x: 0, y: 64, z: 0 },
+      waypoints: 1,
+      waypointsReached: 0
+    });
+  });
+
+  it('should stop the pathfinder on timeout and on cancellation', async () => {
+    bot.pathfinder.goto = jest.fn(() => new Promise((resolve, reject) => {
+      bot.pathfinder.stop = jest.fn(() => reject(pathError('PathStopped')));
+    }));
+
+    const timedOut = await gotoPosition(bot, { x: 10, y: 64, z: 10, timeout: 10 }).catch(e => e);
+    expect(timedOut.details.reason).toBe('timeout');
+
+    const controller = new AbortController();
+    const cancelled = gotoPosition(bot, { x: 10, y: 64, z: 10 }, { signal: controller.signal }).catch(e => e);
+    controller.abort();
+    expect((await cancelled).details.reason).toBe('cancelled');
+  });
+
+  it('should use the pathfinder for goto instructions', async () => {
+    const result = await executeInstruction(bot, { type: 'goto', params: { x: 3, y: 64, z: -4, range: 0 } });
+
+    expect(result).toMatchObject({
+      moved_toward: { x: 3, y: 64, z: -4 },
+      arrived: true,
+      position: { x: 3, y: 64, z: -4 }
+    });
+  });
+
+  it('should plan the same deterministic path every time', () => {
+    // A two-high wall at x=2 from z=-8 to z=2, so the way round is through z=3
+    const wall = [];
+    for (let z = -8; z <= 2; z++) wall.push(`2,64,${z}`, `2,65,${z}`);
+    bot.blockAt = flatWorld(wall);
+
+    const plan = planPath(bot, { x: 4, y: 64, z: 0, planner: 'deterministic', range: 0 });
+
+    expect(plan).toMatchObject({ planner: 'deterministic', from: { x: 0, y: 64, z: 0 }, to: { x: 4, y: 64, z: 0 } });
+    expect(plan.path[plan.path.length - 1]).toEqual({ x: 4, y: 64, z: 0 });
+    expect(plan.path.some(p => p.x === 2 && p.z === 3)).toBe(true);
+    expect(planPath(bot, { x: 4, y: 64, z: 0, planner: 'deterministic', range: 0 })).toEqual(plan);
+  });
+
+  it('should step up single blocks and refuse long drops', () => {
+    bot.blockAt = flatWorld(['1,64,0']);
+    const up = planPath(bot, { x: 1, y: 65, z: 0, planner: 'deterministic', range: 0 });
+    expect(up.path).toEqual([{ x: 0, y: 64, z: 0 }, { x: 1, y: 65, z: 0 }]);
+
+    // Standing on a 6-high pillar: stepping off is a drop of 6
+    bot.entity.position = position(0, 70, 0);
+    bot.blockAt = flatWorld(['0,64,0', '0,65,0', '0,66,0', '0,67,0', '0,68,0', '0,69,0']);
+    expect(() => planPath(bot, { x: 3, y: 64, z: 0, planner: 'deterministic', maxDrop: 4, maxIterations: 50 }))
+      .toThrow(CommandError);
+    expect(planPath(bot, { x: 3, y: 64, z: 0, planner: 'deterministic', maxDrop: 6 }).path[1].y).toBe(64);
+  });
+
+  it('should walk the deterministic path block by block', async () => {
+    const result = await gotoPosition(bot, { x: 2, y: 64, z: 0, planner: 'deterministic', range: 0 });
+
+    const legs = bot.pathfinder.goto.mock.calls.map(([goal]) => goal);
+    expect(legs.every(goal => goal instanceof goals.GoalBlock)).toBe(true);
+    expect(legs.map(goal => [goal.x, goal.z])).toEqual([[1, 0], [2, 0]]);
+    expect(result).toMatchObject({ arrived: true, planner: 'deterministic', waypoints: 2 });
+  });
+
+  it('should reject unknown planners', async () => {
+    await expect(runCommand(bot, 'planPath', { x: 1, y: 64, z: 1, planner: 'teleport' }))
+      .rejects.toThrow('Unknown planner: teleport');
+  });
+
+  it('should serve planned paths from /path/plan without moving', async () => {
+    const app = express();
+    setupCommandRoutes(app, () => ({ runCommand: (name, params) => runCommand(bot, name, params) }));
+
+    const res = await request(app).get('/path/plan?x=3&y=64&z=0&planner=deterministic&range=0').expect(200);
+
+    expect(res.body.length).toBe(3);
+    expect(res.body.path[3]).toEqual({ x: 3, y: 64, z: 0 });
+    expect(bot.pathfinder.goto).not.toHaveBeenCalled();
+  });
+});
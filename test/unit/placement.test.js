@@ -0,0 +1,111 @@
+/**
+ * Unit tests for destination-based block placement, run against the dry-run
+ * simulator's bot
+ */
+const { describe, it, expect, jest } = require('bun:test');
+const express = require('express');
+const request = require('supertest');
+const { simulatedWorld } = require('../utils/simulated-world');
+const ContextBuilder = require('../../src/program-system/runtime/context');
+const { runCommand, executeInstruction } = require('../../src/commands');
+const { setupCommandRoutes } = require('../../src/commands/routes');
+const placement = require('../../src/commands/placement');
+
+const setup = (inventory = [], blocks = {}) => simulatedWorld({ radius: 8, blocks, inventory });
+
+const at = (bot, x, y, z) => bot.blockAt({ x, y, z }).name;
+
+describe('placement', () => {
+  it('should place into the destination cell against the block below', async () => {
+    const { bot } = setup([{ name: 'cobblestone', count: 2 }]);
+
+    const result = await placement.placeAt(bot, { x: 2, y: 64, z: 1 }, 'cobblestone');
+
+    expect(result).toEqual({ block: 'cobblestone', position: { x: 2, y: 64, z: 1 }, against: { x: 2, y: 63, z: 1 }, face: 'up' });
+    expect(at(bot, 2, 64, 1)).toBe('cobblestone');
+    expect(bot.inventoryDiff()).toEqual({ cobblestone: -1 });
+  });
+
+  it('should fall back to a side or the block above', async () => {
+    const { bot } = setup([{ name: 'dirt', count: 2 }], { '3,65,0': 'stone', '0,67,1': 'stone' });
+
+    // Nothing below 2,65,0 but stone to its east
+    expect(await placement.placeAt(bot, { x: 2, y: 65, z: 0 }, 'dirt')).toMatchObject({ against: { x: 3, y: 65, z: 0 }, face: 'west' });
+    expect(await placement.placeAt(bot, { x: 0, y: 66, z: 1 }, 'dirt')).toMatchObject({ against: { x: 0, y: 67, z: 1 }, face: 'down' });
+  });
+
+  it('should hang torches on the wall behind a horizontal facing', async () => {
+    const { bot } = setup([{ name: 'torch', count: 2 }], { '2,64,1': 'stone' });
+
+    const result = await placement.placeAt(bot, { x: 2, y: 64, z: 0 }, 'torch', { facing: 'north' });
+
+    expect(result).toEqual({ block: 'wall_torch', position: { x: 2, y: 64, z: 0 }, against: { x: 2, y: 64, z: 1 }, face: 'north' });
+    expect(at(bot, 2, 64, 0)).toBe('wall_torch');
+    await expect(placement.placeAt(bot, { x: -2, y: 64, z: 0 }, 'torch', { facing: 'north' }))
+      .rejects.toThrow('Nothing solid next to -2, 64, 0 to place wall_torch against (it needs a solid block to the south)');
+  });
+
+  it('should look the way stairs face and away from the way furnaces face', async () => {
+    const { bot } = setup([{ name: 'oak_stairs', count: 1 }, { name: 'furnace', count: 1 }]);
+    bot.look = jest.fn(bot.look.bind(bot));
+
+    await placement.placeAt(bot, { x: 2, y: 64, z: 0 }, 'oak_stairs', { facing: 'east' });
+    expect(bot.look.mock.calls[0]).toEqual([-Math.PI / 2, 0, true]);
+
+    await placement.placeAt(bot, { x: -2, y: 64, z: 0 }, 'furnace', { facing: 'north' });
+    expect(bot.look.mock.calls[1]).toEqual([Math.PI, 0, true]);
+  });
+
+  it('should pick the support along a log axis and aim at the half asked for', async () => {
+    const { bot } = setup([{ name: 'oak_log', count: 1 }, { name: 'oak_slab', count: 1 }], { '3,64,0': 'stone', '-2,65,0': 'stone' });
+    bot._placeBlockWithOptions = jest.fn((reference, face) => bot.placeBlock(reference, face));
+
+    expect(await placement.placeAt(bot, { x: 2, y: 64, z: 0 }, 'oak_log', { facing: 'west' })).toMatchObject({ face: 'west' });
+    await expect(placement.placeAt(bot, { x: 0, y: 64, z: 2 }, 'oak_log', { facing: 'south' }))
+      .rejects.toThrow('to the north or to the south');
+
+    expect(await placement.placeAt(bot, { x: -2, y: 64, z: 0 }, 'oak_slab', { half: 'top' })).toMatchObject({ against: { x: -2, y: 65, z: 0 }, face: 'down' });
+    expect(bot._placeBlockWithOptions.mock.calls[1][2]).toEqual({ half: 'top', forceLook: true, swingArm: 'right' });
+  });
+
+  it('should explain what stops a placement', async () => {
+    const { bot } = setup([{ name: 'cobblestone', count: 1 }, { name: 'oak_planks', count: 1 }]);
+
+    await expect(placement.placeAt(bot, { x: 1, y: 63, z: 0 }, 'cobblestone')).rejects.toThrow('1, 63, 0 is occupied by stone');
+    await expect(placement.placeAt(bot, { x: 1, y: 66, z: 0 }, 'cobblestone')).rejects.toThrow('Nothing solid next to 1, 66, 0 to place cobblestone against');
+    await expect(placement.placeAt(bot, { x: 0, y: 64, z: 0 }, 'cobblestone')).rejects.toThrow('The bot is standing in 0, 64, 0');
+    await expect(placement.placeAt(bot, { x: 8, y: 64, z: 0 }, 'cobblestone')).rejects.toThrow('8, 64, 0 is out of reach');
+    await expect(placement.placeAt(bot, { x: 1, y: 64, z: 0 }, 'dirt')).rejects.toThrow('No dirt in inventory');
+    await expect(placement.placeAt(bot, { x: 1, y: 64, z: 0 }, 'oak_planks', { facing: 'east' })).rejects.toThrow('oak_planks has no facing');
+    await expect(placement.placeAt(bot, { x: 1, y: 64, z: 0 }, 'oak_stairs', { facing: 'sideways' }))
+      .rejects.toThrow('facing must be up, down, north, south, east or west');
+    await expect(placement.placeAt(bot, { x: 1, y: 64, z: 0 }, 'oak_planks', { half: 'top' })).rejects.toThrow('oak_planks has no top or bottom half');
+    expect(bot.inventoryDiff()).toEqual({});
+  });
+
+  it('should serve POST /place and the place instruction', async () => {
+    const { bot } = setup([{ name: 'oak_stairs', count: 2 }], { '2,65,0': 'stone' });
+    const app = express();
+    app.use(express.json());
+    setupCommandRoutes(app, () => ({ runCommand: (name, params) => runCommand(bot, name, params) }));
+
+    const placed = await request(app).post('/place').send({ x: 2, y: 64, z: 0, blockName: 'oak_stairs', facing: 'south', half: 'top' }).expect(200);
+    expect(placed.body).toEqual({ success: true, block: 'oak_stairs', position: { x: 2, y: 64, z: 0 }, against: { x: 2, y: 65, z: 0 }, face: 'down' });
+    const occupied = await request(app).post('/place').send({ x: 2, y: 64, z: 0, blockName: 'oak_stairs' }).expect(422);
+    expect(occupied.body.error).toBe('2, 64, 0 is occupied by oak_stairs');
+
+    expect(await executeInstruction(bot, { type: 'place', params: { x: -1, y: 64, z: 0, blockName: 'oak_stairs' } }))
+      .toMatchObject({ placed: true, block: 'oak_stairs', face: 'up' });
+  });
+
+  it('should place a crafted crafting table next to the bot for ensureCraftingTable', async () => {
+    const { simulator, bot } = setup([{ name: 'oak_log', count: 1 }], { '1,64,0': 'stone' });
+    const ctx = new ContextBuilder(simulator.createHost(), ['craft', 'place'], {}).build();
+
+    const result = await ctx.actions.craft.ensureCraftingTable();
+
+    expect(result.position).toMatchObject({ x: -1, y: 64, z: 0 });
+    expect(at(bot, -1, 64, 0)).toBe('crafting_table');
+    expect(bot.inventoryDiff()).toEqual({ oak_log: -1 });
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Unit tests for ProgramRegistry run tracking
+ */
+const { describe, it, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProgramRegistry = require('../../src/program-system/registry');
+const { ProgramStatus, ProgramError, ErrorCode } = require('../../src/program-system/sdk/types');
+
+const SOURCE = `
+  const program = defineProgram({
+    name: 'registry-test',
+    capabilities: ['move'],
+    async run(ctx) {
+      return ctx.control.success({ done: true });
+    }
+  });
+  program
+`;
+
+// Runner whose outcome the test controls
+class ControlledRunner {
+  constructor(options) {
+    Object.assign(this, options);
+    this.status = ProgramStatus.PENDING;
+  }
+
+  execute() {
+    this.status = ProgramStatus.RUNNING;
+    return new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+  }
+
+  cancel() {
+    this.status = ProgramStatus.CANCELLED;
+    this.reject(new ProgramError(ErrorCode.OPERATION_FAILED, 'Program execution aborted'));
+  }
+}
+
+function createBotServer() {
+  const botServer = {
+    runners: [],
+    isConnected: () => true,
+    createProgramRunner(options) {
+      const runner = new ControlledRunner(options);
+      botServer.runners.push(runner);
+      return runner;
+    }
+  };
+  return botServer;
+}
+
+describe('ProgramRegistry runs', () => {
+  let registry;
+  let botServer;
+  let runsDir;
+
+  beforeEach(async () => {
+    runsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mineflare-runs-'));
+    registry = new ProgramRegistry(null, { runsDir });
+    await registry.ready;
+    botServer = createBotServer();
+  });
+
+  afterEach(() => {
+    fs.rmSync(runsDir, { recursive: true, force: true });
+  });
+
+  it('should return a runId immediately while the program runs', async () => {
+    const run = await registry.startSource(botServer, SOURCE, { speed: 2 }, { seed: 7 });
+
+    expect(run.runId).toBeDefined();
+    expect(run.status).toBe(ProgramStatus.RUNNING);
+    expect(run.args).toEqual({ speed: 2 });
+    expect(run.capabilities).toEqual(['move']);
+    expect(registry.getRunning()).toHaveLength(1);
+  });
+
+  it('should record success once the runner finishes', async () => {
+    const run = await registry.startSource(botServer, SOURCE);
+    botServer.runners[0].resolve({ success: true, result: { done: true } });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const status = registry.getStatus(run.runId);
+    expect(status.status).toBe(ProgramStatus.SUCCEEDED);
+    expect(status.result.result).toEqual({ done: true });
+    expect(registry.getRunning()).toHaveLength(0);
+  });
+
+  it('should record failures with the error message', async () => {
+    const run = await registry.startSource(botServer, SOURCE);
+    botServer.runners[0].reject(new Error('fell in lava'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const status = registry.getStatus(run.runId);
+    expect(status.status).toBe(ProgramStatus.FAILED);
+    expect(status.error).toBe('fell in lava');
+  });
+
+  it('should keep the cancelled status after the runner rejects', async () => {
+    const run = await registry.startSource(botServer, SOURCE);
+    await registry.cancel(run.runId);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(registry.getStatus(run.runId).status).toBe(ProgramStatus.CANCELLED);
+    expect(registry.getRunning()).toHaveLength(0);
+  });
+
+  it('should keep the cancelled status when the runner resolves after a cancel', async () => {
+    const run = await registry.startSource(botServer, SOURCE);
+    const runner = botServer.runners[0];
+    runner.cancel = () => {
+      runner.resolve({ success: true });
+    };
+
+    await registry.cancel(run.runId);
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(registry.getStatus(run.runId).status).toBe(ProgramStatus.CANCELLED);
+    expect(registry.getRunning()).toHaveLength(0);
+  });
+
+  it('should list runs newest first', async () => {
+    const first = await registry.startSource(botServer, SOURCE);
+    const second = await registry.startSource(botServer, SOURCE);
+
+    const history = registry.getHistory(10);
+    expect(history.map(h => h.runId)).toEqual([second.runId, first.runId]);
+  });
+
+  it('should record and filter runs by bot', async () => {
+    const run = await registry.startSource(botServer, SOURCE, {}, { bot: 'miner' });
+    await registry.startSource(botServer, SOURCE, {}, { bot: 'scout' });
+
+    expect(registry.getStatus(run.runId).bot).toBe('miner');
+    expect(registry.getHistory({ bot: 'miner' }).map(h => h.runId)).toEqual([run.runId]);
+  });
+
+  it('should reject invalid program source', async () => {
+    await expect(registry.startSource(botServer, '42')).rejects.toThrow('Invalid program');
+  });
+
+  it('should throw for unknown run ids', () => {
+    expect(() => registry.getStatus('missing')).toThrow('No program with ID: missing');
+  });
+
+  it('should collect live output and progress while running', async () => {
+    const run = await registry.startSource(botServer, SOURCE);
+    const runner = botServer.runners[0];
+
+    runner.onLog({ type: 'log', level: 'info', message: 'digging', timestamp: 1 });
+    runner.onLog({ type: 'progress', pct: 40, message: 'layer 2/5', timestamp: 2 });
+
+    const output = registry.getLogs(run.runId);
+    expect(output.logs.map(l => l.id)).toEqual([1, 2]);
+    expect(output.progress).toEqual({ pct: 40, message: 'layer 2/5', timestamp: 2 });
+    expect(registry.getStatus(run.runId).progress.pct).toBe(40);
+    expect(registry.getLogs(run.runId, 1).logs).toHaveLength(1);
+  });
+
+  it('should publish output to followers and end the stream when the run finishes', async () => {
+    const run = await registry.startSource(botServer, SOURCE);
+    const stream = registry.getLogStream(run.runId);
+    const published = [];
+    stream.publish = (record) => published.push(record);
+    stream.close = () => published.push('closed');
+
+    botServer.runners[0].onLog({ type: 'log', level: 'info', message: 'hi', timestamp: 1 });
+    botServer.runners[0].resolve({ success: true });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(published[0].message).toBe('hi');
+    expect(published[1]).toMatchObject({ type: 'end', status: ProgramStatus.SUCCEEDED });
+    expect(published[2]).toBe('closed');
+    expect(registry.getLogStream(run.runId)).toBeNull();
+  });
+
+  it('should execute locally with ProgramRunner when no runner factory is provided', async () => {
+    const localServer = { bot: null, isConnected: () => true };
+    const result = await registry.runSource(localServer, SOURCE);
+
+    expect(result.success).toBe(true);
+    expect(result.result).toEqual({ done: true });
+  });
+
+  it('should stream ctx.log and ctx.progress from a local run', async () => {
+    const source = `
+      const program = defineProgram({
+        name: 'progress-test',
+        async run(ctx) {
+          ctx.log.info('starting');
+          ctx.progress(150, 'almost');
+          return ctx.control.success({});
+        }
+      });
+      program
+    `;
+    const localServer = { bot: null, isConnected: () => true };
+    const result = await registry.runSource(localServer, source);
+    const runId = registry.getHistory(1)[0].runId;
+    const output = registry.getLogs(runId);
+
+    expect(result.logs.map(l => l.message)).toEqual(['starting']);
+    expect(result.progress.pct).toBe(100);
+    expect(output.logs.map(l => l.type)).toEqual(['log', 'progress', 'end']);
+  });
+
+  describe('persistence', () => {
+    const finish = async (index, result = { success: true, usage: { dig: 1 } }) => {
+      botServer.runners[index].resolve(result);
+      await new Promise(resolve => setTimeout(resolve, 10));
+    };
+
+    it('should write a run record when a run starts and finishes', async () => {
+      const run = await registry.startSource(botServer, SOURCE, { depth: 3 }, { seed: 9 });
+      const file = path.join(runsDir, `${run.runId}.json`);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).status).toBe(ProgramStatus.RUNNING);
+
+      botServer.runners[0].getUsage = () => ({ dig: 1 });
+      await finish(0);
+
+      const record = JSON.parse(fs.readFileSync(file, 'utf8'));
+      expect(record).toMatchObject({
+        runId: run.runId,
+        args: { depth: 3 },
+        capabilities: ['move'],
+        seed: 9,
+        status: ProgramStatus.SUCCEEDED,
+        usage: { dig: 1 }
+      });
+      expect(record.duration).toBeGreaterThanOrEqual(0);
+      expect(record.logs.map(l => l.type)).toEqual(['end']);
+      expect(record.nextLogId).toBeUndefined();
+    });
+
+    it('should reload history after a restart', async () => {
+      const run = await registry.startSource(botServer, SOURCE);
+      await finish(0);
+
+      const reloaded = new ProgramRegistry(null, { runsDir });
+      await reloaded.ready;
+
+      expect(reloaded.getStatus(run.runId).status).toBe(ProgramStatus.SUCCEEDED);
+      expect(reloaded.getLogs(run.runId).logs).toHaveLength(1);
+    });
+
+    it('should mark runs interrupted by a restart as failed', async () => {
+      const run = await registry.startSource(botServer, SOURCE);
+
+      const reloaded = new ProgramRegistry(null, { runsDir, recoverRuns: true });
+      await reloaded.ready;
+
+      const status = reloaded.getStatus(run.runId);
+      expect(status.status).toBe(ProgramStatus.FAILED);
+      expect(status.error).toContain('Server stopped');
+    });
+
+    it('should leave runs alone in registries that do not recover them', async () => {
+      const run = await registry.startSource(botServer, SOURCE);
+      const file = path.join(runsDir, `${run.runId}.json`);
+
+      const other = new ProgramRegistry(null, { runsDir });
+      await other.ready;
+
+      expect(other.getStatus(run.runId).status).toBe(ProgramStatus.RUNNING);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).status).toBe(ProgramStatus.RUNNING);
+    });
+
+    it('should filter history by program and status', async () => {
+      await registry.startSource(botServer, SOURCE, {}, { name: 'miner' });
+      await registry.startSource(botServer, SOURCE, {}, { name: 'farmer' });
+      botServer.runners[1].reject(new Error('no seeds'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(registry.getHistory({ program: 'miner' }).map(h => h.programName)).toEqual(['miner']);
+      expect(registry.getHistory({ status: ProgramStatus.FAILED })).toMatchObject([
+        { programName: 'farmer', error: 'no seeds' }
+      ]);
+    });
+
+    it('should prune the oldest finished runs beyond the limit', async () => {
+      registry.runStore.maxRuns = 2;
+      for (let i = 0; i < 3; i++) {
+        await registry.startSource(botServer, SOURCE);
+        await finish(i);
+      }
+
+      expect(registry.getHistory()).toHaveLength(2);
+      expect(fs.readdirSync(runsDir)).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the /screenshot map renderer, drawn with a recording canvas
+ * against the dry-run simulator's bot
+ */
+const { describe, it, expect, mock } = require('bun:test');
+const { simulatedWorld } = require('../utils/simulated-world');
+const { Vec3 } = require('../../src/program-system/sdk/types');
+const renderer = require('../../src/commands/renderer');
+
+// Records fillRect colours and the text drawn
+function recordingCanvas() {
+  const calls = { fillRect: [], fillText: [], toBuffer: [] };
+  const ctx = new Proxy({ fillStyle: '' }, {
+    get: (target, key) => {
+      if (key in target) return target[key];
+      if (key === 'fillRect') return (x, y, w, h) => calls.fillRect.push({ x, y, w, h, color: target.fillStyle });
+      if (key === 'fillText') return (text) => calls.fillText.push(text);
+      return () => {};
+    }
+  });
+  const createCanvas = (width, height) => ({
+    width,
+    height,
+    getContext: () => ctx,
+    toBuffer: (...args) => {
+      calls.toBuffer.push(args);
+      return Buffer.from('image');
+    }
+  });
+  return { calls, createCanvas };
+}
+
+// A pond, a grass hill and a zombie
+function setup() {
+  const { bot } = simulatedWorld({
+    radius: 8,
+    fill: [
+      { from: { x: 3, y: 61, z: 3 }, to: { x: 5, y: 61, z: 5 }, block: 'stone' },
+      { from: { x: 3, y: 62, z: 3 }, to: { x: 5, y: 63, z: 5 }, block: 'water' }
+    ],
+    blocks: { '-3,64,0': 'grass_block', '-3,65,0': 'grass_block' }
+  });
+  bot.entities[7] = { id: 7, type: 'hostile', name: 'zombie', displayName: 'Zombie', position: new Vec3(2.5, 64, -1.5) };
+  return bot;
+}
+
+describe('renderer', () => {
+  it('should give every registry block a colour and known blocks their own', () => {
+    const bot = setup();
+    const palette = renderer.paletteFor(bot.registry);
+
+    expect(palette.size).toBe(bot.registry.blocksArray.length);
+    for (const color of palette.values()) {
+      expect(color).toHaveLength(3);
+      expect(color.every(value => Number.isInteger(value) && value >= 0 && value <= 255)).toBe(true);
+    }
+    expect(renderer.colorOf(bot.registry, 'grass_block')).toEqual([95, 159, 53]);
+    expect(renderer.colorOf(bot.registry, 'red_wool')).toEqual([161, 39, 34]);
+    expect(renderer.colorOf(bot.registry, 'spruce_stairs')).toEqual([114, 84, 48]);
+    expect(renderer.colorOf(bot.registry, 'birch_log')).toEqual([216, 215, 210]);
+    expect(renderer.colorOf(bot.registry, 'stone_brick_slab')).toEqual(renderer.colorOf(bot.registry, 'stone_bricks'));
+    expect(renderer.colorOf(bot.registry, 'diamond_ore')).not.toEqual(renderer.colorOf(bot.registry, 'stone'));
+  });
+
+  it('should sample the first visible block of each column with fluid depth', () => {
+    const bot = setup();
+
+    const grid = renderer.sampleTopDown(bot, { radius: 5, above: 2, depth: 4 });
+
+    expect(grid.rows).toHaveLength(11);
+    // Rows run north to south, columns west to east
+    expect(grid.rows[5][5]).toMatchObject({ name: 'stone', y: 63 });
+    expect(grid.rows[5][2]).toMatchObject({ name: 'grass_block', y: 65 });
+    expect(grid.rows[9][9]).toMatchObject({ name: 'water', y: 63, fluidDepth: 2, floor: 'stone' });
+  });
+
+  it('should draw the top-down map with height shading, entities and a legend', () => {
+    const bot = setup();
+    const { calls, createCanvas } = recordingCanvas();
+
+    const result = renderer.render(bot, createCanvas, { radius: '4', scale: '10' });
+
+    expect(result).toMatchObject({ mode: 'top', width: 36 + 90 + 36 + 280 });
+    const cellAt = (dx, dz) => calls.fillRect.find(r => r.w === 10 && r.x === 36 + (dx + 4) * 10 && r.y === 58 + 36 + (dz + 4) * 10);
+    // The hill is lighter than the floor around it
+    expect(cellAt(-3, 0).color).not.toBe(cellAt(-2, 0).color);
+    // A block below the bot's feet is slightly darker than its colour
+    expect(cellAt(0, 0).color).toBe('rgb(121,121,121)');
+    expect(calls.fillText).toContain('Zombie');
+    expect(calls.fillText.some(text => text.startsWith('Zombie 2.9m (3, 0, -1)'))).toBe(true);
+    expect(calls.fillText).toContain('stone');
+  });
+
+  it('should draw isometric and cross-section views', () => {
+    const bot = setup();
+    const iso = recordingCanvas();
+    const section = recordingCanvas();
+
+    expect(renderer.render(bot, iso.createCanvas, { mode: 'iso', radius: 3 })).toMatchObject({ mode: 'iso' });
+    expect(iso.calls.fillText.some(text => text.startsWith('Isometric from the south-east'))).toBe(true);
+
+    // Yaw 0 faces north, so the section runs along z
+    renderer.render(bot, section.createCanvas, { mode: 'section', radius: 3, above: 2, depth: 2 });
+    expect(section.calls.fillText.some(text => text.startsWith('Cross section along z'))).toBe(true);
+    const cells = section.calls.fillRect.filter(r => r.w === 16 && r.h === 16);
+    // 7 columns, y 62 to 66
+    expect(cells).toHaveLength(35);
+    expect(cells.filter(r => r.color === 'rgb(125,125,125)')).toHaveLength(7);
+  });
+
+  it('should reject invalid options and keep images within bounds', () => {
+    expect(() => renderer.readOptions({ mode: 'perspective' })).toThrow('mode must be top, iso, section');
+    expect(() => renderer.readOptions({ radius: 100 })).toThrow('radius must be a whole number from 1 to 48');
+    expect(() => renderer.readOptions({ mode: 'section', axis: 'y' })).toThrow('axis must be x or z');
+    expect(renderer.readOptions({ radius: 48, scale: 32 }).scale).toBe(21);
+    expect(renderer.readOptions({ mode: 'section', yaw: -Math.PI / 2 }).axis).toBe('x');
+  });
+
+  it('should encode PNG or JPEG at the configured quality', async () => {
+    const { calls, createCanvas } = recordingCanvas();
+    mock.module('canvas', () => ({ createCanvas }));
+    const { captureScreenshot, configureScreenshots } = require('../../src/commands/screenshot');
+    const bot = setup();
+
+    const png = await captureScreenshot(bot, { radius: 2 });
+    expect(png).toMatchObject({ screenshot: Buffer.from('image').toString('base64'), format: 'png', mode: 'top' });
+    expect(calls.toBuffer[0]).toEqual(['image/png']);
+
+    await captureScreenshot(bot, { radius: 2, format: 'jpeg' });
+    expect(calls.toBuffer[1]).toEqual(['image/jpeg', { quality: 0.85 }]);
+    configureScreenshots(bot, { screenshotQuality: 60 });
+    await captureScreenshot(bot, { radius: 2, format: 'jpg' });
+    expect(calls.toBuffer[2]).toEqual(['image/jpeg', { quality: 0.6 }]);
+    await captureScreenshot(bot, { radius: 2, format: 'jpeg', quality: '95' });
+    expect(calls.toBuffer[3]).toEqual(['image/jpeg', { quality: 0.95 }]);
+
+    await expect(captureScreenshot(bot, { format: 'gif' })).rejects.toThrow('format must be png or jpeg');
+    await expect(captureScreenshot(bot, { format: 'jpeg', quality: 0 })).rejects.toThrow('quality must be a whole number from 1 to 100');
+  });
+});
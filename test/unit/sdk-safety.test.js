@@ -0,0 +1,158 @@
+/**
+ * Unit tests for the SDK safety routines, run against the dry-run simulator
+ */
+const { describe, it, expect } = require('bun:test');
+const ProgramSimulator = require('../../src/program-system/simulator');
+const ContextBuilder = require('../../src/program-system/runtime/context');
+const safety = require('../../src/program-system/sdk/safety');
+const { Vec3 } = require('../../src/program-system/sdk/types');
+
+// Solid stone from y=60 to y=63, bot standing on it at the origin
+function setup(capabilities, snapshot = {}) {
+  const simulator = new ProgramSimulator({
+    version: '1.20.4',
+    position: { x: 0, y: 64, z: 0 },
+    fill: [{ from: { x: -8, y: 60, z: -8 }, to: { x: 8, y: 63, z: 8 }, block: 'stone' }],
+    ...snapshot
+  });
+  const ctx = new ContextBuilder(simulator.createHost(), capabilities, {}).build();
+  return { simulator, bot: simulator.simulatedBot, ctx };
+}
+
+describe('SDK safety routines', () => {
+  describe('monitorVitals', () => {
+    it('should eat the most saturating safe food when hungry', async () => {
+      const { bot, ctx } = setup(['inventory'], {
+        food: 10,
+        inventory: [{ name: 'bread', count: 2 }, { name: 'cooked_beef', count: 1 }, { name: 'rotten_flesh', count: 5 }]
+      });
+
+      const result = await safety.monitorVitals(ctx, { minHealth: 0, minFood: 15 });
+
+      expect(result.ok).toBe(true);
+      expect(result.value.actionsTaken).toBe(1);
+      expect(bot.food).toBe(18);
+      expect(bot.inventoryDiff()).toEqual({ cooked_beef: -1 });
+    });
+
+    it('should not eat harmful food', async () => {
+      const { bot, ctx } = setup(['inventory'], { food: 4, inventory: [{ name: 'rotten_flesh', count: 5 }] });
+
+      const result = await safety.monitorVitals(ctx, { minHealth: 0 });
+
+      expect(result).toMatchObject({ ok: false, error: 'Failed actions: food' });
+      expect(bot.food).toBe(4);
+    });
+  });
+
+  describe('createSafeZone', () => {
+    it('should fill holes in the floor from the bottom up', async () => {
+      const { simulator, ctx } = setup(['place'], {
+        blocks: { '1,63,0': 'air', '1,62,0': 'air', '-1,63,1': 'water' },
+        inventory: [{ name: 'cobblestone', count: 10 }]
+      });
+
+      const result = await safety.createSafeZone(ctx, null, { radius: 2, placeTorches: false });
+
+      expect(result.ok).toBe(true);
+      expect(simulator.diff().blocks).toEqual([
+        { x: -1, y: 63, z: 1, from: 'water', to: 'cobblestone' },
+        { x: 1, y: 62, z: 0, from: 'air', to: 'cobblestone' },
+        { x: 1, y: 63, z: 0, from: 'air', to: 'cobblestone' }
+      ]);
+    });
+
+    it('should report holes too deep to fill', async () => {
+      const blocks = {};
+      for (let y = 58; y <= 63; y++) blocks[`2,${y},2`] = 'air';
+      const { ctx } = setup(['place'], { blocks, inventory: [{ name: 'cobblestone', count: 10 }] });
+
+      const result = await safety.createSafeZone(ctx, null, { radius: 2, placeTorches: false });
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toContain('1 floor holes deeper than 3 blocks');
+    });
+
+    it('should douse lava and put out fire', async () => {
+      const { simulator, ctx } = setup(['place', 'dig'], {
+        blocks: { '-1,64,0': 'lava', '1,64,1': 'fire' },
+        inventory: [{ name: 'dirt', count: 4 }]
+      });
+
+      const result = await safety.createSafeZone(ctx, null, { radius: 2, placeTorches: false });
+
+      expect(result.ok).toBe(true);
+      expect(simulator.diff().blocks).toEqual([
+        { x: -1, y: 64, z: 0, from: 'lava', to: 'dirt' },
+        { x: 1, y: 64, z: 1, from: 'fire', to: 'air' }
+      ]);
+    });
+
+    it('should light the zone with a torch grid once', async () => {
+      const { bot, ctx } = setup(['place'], { inventory: [{ name: 'torch', count: 16 }] });
+
+      const first = await safety.createSafeZone(ctx, null, { radius: 3, minLight: 11 });
+      const second = await safety.createSafeZone(ctx, null, { radius: 3, minLight: 11 });
+
+      expect(first.ok && second.ok).toBe(true);
+      // Grid points every 3 blocks, except where the bot stands
+      expect(bot.inventoryDiff()).toEqual({ torch: -8 });
+      expect(bot.blockAt(new Vec3(3, 64, -3)).name).toBe('torch');
+    });
+
+    it('should fight hostile mobs in the zone', async () => {
+      const { bot, ctx } = setup(['attack'], {
+        entities: [
+          { id: 1, name: 'zombie', type: 'hostile', position: { x: 2, y: 64, z: 0 } },
+          { id: 2, name: 'cow', type: 'passive', position: { x: 1, y: 64, z: 1 } },
+          { id: 3, name: 'skeleton', type: 'hostile', position: { x: 30, y: 64, z: 0 } }
+        ]
+      });
+
+      const result = await safety.createSafeZone(ctx, null, { radius: 4, attackCooldownMs: 0 });
+
+      expect(result.ok).toBe(true);
+      expect(Object.keys(bot.entities).sort()).toEqual(['2', '3']);
+      expect(new Set(bot.attacks)).toEqual(new Set([1]));
+    });
+
+    it('should fail when a mob is out of reach and the bot may not move', async () => {
+      const { ctx } = setup(['attack'], {
+        entities: [{ id: 1, name: 'zombie', type: 'hostile', position: { x: 3, y: 64, z: 3 } }]
+      });
+
+      const result = await safety.createSafeZone(ctx, null, { radius: 5, attackCooldownMs: 0 });
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toContain('1 hostile mobs left');
+    });
+  });
+
+  describe('escapeHole', () => {
+    it('should pillar up out of a hole', async () => {
+      const { simulator, bot, ctx } = setup(['place'], { inventory: [{ name: 'cobblestone', count: 3 }] });
+
+      const result = await safety.escapeHole(ctx, { targetHeight: 2 });
+
+      expect(result.ok).toBe(true);
+      expect(result.value.y).toBe(66);
+      expect(bot.inventoryDiff()).toEqual({ cobblestone: -2 });
+      expect(simulator.diff().blocks.map(b => b.y)).toEqual([64, 65]);
+    });
+
+    it('should dig a staircase out of a shaft', async () => {
+      // Bot at the bottom of a 1x1 shaft in solid stone
+      const blocks = {};
+      for (let y = 64; y <= 70; y++) blocks[`0,${y},0`] = 'air';
+      const { bot, ctx } = setup(['dig', 'move'], {
+        fill: [{ from: { x: -4, y: 60, z: -4 }, to: { x: 4, y: 70, z: 4 }, block: 'stone' }],
+        blocks
+      });
+
+      const result = await safety.escapeHole(ctx, { targetHeight: 2, maxAttempts: 1 });
+
+      expect(result.ok).toBe(true);
+      expect(bot.feetBlock()).toEqual(new Vec3(0, 66, -2));
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for the world-snapshot dry-run simulator
+ */
+const { describe, it, expect, beforeEach } = require('bun:test');
+const ProgramSimulator = require('../../src/program-system/simulator');
+const { runCommand, executeInstruction } = require('../../src/commands');
+const { Vec3 } = require('../../src/program-system/sdk/types');
+
+// Dirt floor at y=63 from -8 to 8, bot standing on it at the origin
+function snapshot(extra = {}) {
+  return {
+    version: '1.20.4',
+    position: { x: 0, y: 64, z: 0 },
+    fill: [{ from: { x: -8, y: 63, z: -8 }, to: { x: 8, y: 63, z: 8 }, block: 'dirt' }],
+    ...extra
+  };
+}
+
+describe('ProgramSimulator', () => {
+  let simulator;
+  let bot;
+
+  beforeEach(() => {
+    simulator = new ProgramSimulator(snapshot({
+      blocks: { '3,64,0': 'oak_log', '-2,64,0': 'stone' },
+      inventory: [{ name: 'oak_log', count: 2 }, { name: 'cobblestone', count: 3 }]
+    }));
+    bot = simulator.simulatedBot;
+  });
+
+  it('should load fill regions, blocks and inventory from the snapshot', () => {
+    expect(bot.blockAt(new Vec3(5, 63, 5)).name).toBe('dirt');
+    expect(bot.blockAt(new Vec3(3, 64, 0)).name).toBe('oak_log');
+    expect(bot.blockAt(new Vec3(0, 70, 0)).name).toBe('air');
+    expect(bot.inventory.items().map(i => [i.name, i.count])).toEqual([['oak_log', 2], ['cobblestone', 3]]);
+  });
+
+  it('should reject unknown blocks in the snapshot', () => {
+    expect(() => new ProgramSimulator(snapshot({ blocks: { '0,64,0': 'unobtainium' } })))
+      .toThrow('Unknown block in snapshot: unobtainium');
+  });
+
+  it('should drop the bot onto the ground and apply fall damage', () => {
+    const falling = new ProgramSimulator(snapshot({ position: { x: 0, y: 70, z: 0 } })).simulatedBot;
+
+    expect(falling.entity.position.y).toBe(64);
+    expect(falling.health).toBe(17);
+  });
+
+  it('should walk around obstacles with the pathfinder', async () => {
+    const result = await executeInstruction(bot, { type: 'goto', params: { x: -4, y: 64, z: 0, range: 0 } });
+
+    expect(result).toMatchObject({ arrived: true, position: { x: -4, y: 64, z: 0 } });
+    expect(simulator.diff().position).toEqual({ from: { x: 0, y: 64, z: 0 }, to: { x: -4, y: 64, z: 0 } });
+  });
+
+  it('should fail goto when the target cannot be reached', async () => {
+    const error = await executeInstruction(bot, { type: 'goto', params: { x: 30, y: 64, z: 0, range: 0 } }).catch(e => e);
+
+    expect(error.message).toBe('Could not reach 30, 64, 0: no_path');
+    expect(bot.entity.position).toMatchObject({ x: 0, y: 64, z: 0 });
+  });
+
+  it('should dig blocks into their drops', async () => {
+    await runCommand(bot, 'dig', { x: 3, y: 64, z: 0 });
+
+    expect(bot.blockAt(new Vec3(3, 64, 0)).name).toBe('air');
+    expect(bot.inventoryDiff()).toEqual({ oak_log: 1 });
+  });
+
+  it('should drop nothing when the block needs a tool', async () => {
+    await expect(runCommand(bot, 'dig', { x: -2, y: 64, z: 0 })).rejects.toThrow('drops nothing without one of');
+    await runCommand(bot, 'dig', { x: -2, y: 64, z: 0, force: true });
+
+    expect(bot.blockAt(new Vec3(-2, 64, 0)).name).toBe('air');
+    expect(bot.inventoryDiff()).toEqual({});
+  });
+
+  it('should refuse to dig out of reach', async () => {
+    await expect(runCommand(bot, 'dig', { x: 8, y: 63, z: 8 })).rejects.toThrow('out of reach');
+  });
+
+  it('should place blocks from the inventory', async () => {
+    await runCommand(bot, 'place', { x: 1, y: 64, z: 1, blockName: 'cobblestone' });
+
+    expect(bot.blockAt(new Vec3(1, 64, 1)).name).toBe('cobblestone');
+    expect(bot.inventoryDiff()).toEqual({ cobblestone: -1 });
+    await expect(runCommand(bot, 'place', { x: 1, y: 64, z: 1, blockName: 'cobblestone' }))
+      .rejects.toThrow('occupied');
+    await expect(runCommand(bot, 'place', { x: 2, y: 64, z: 2, blockName: 'stone' }))
+      .rejects.toThrow('No stone in inventory');
+  });
+
+  it('should craft against the real recipes', async () => {
+    await runCommand(bot, 'craft', { item: 'oak_planks', count: 2 });
+    expect(bot.inventoryDiff()).toEqual({ oak_log: -2, oak_planks: 8 });
+
+    await expect(runCommand(bot, 'craft', { item: 'oak_planks', count: 1 })).rejects.toThrow();
+    await expect(runCommand(bot, 'craft', { item: 'furnace', count: 1 })).rejects.toThrow();
+  });
+
+  it('should report block, inventory and position changes as a diff', async () => {
+    await runCommand(bot, 'dig', { x: 3, y: 64, z: 0 });
+    await runCommand(bot, 'place', { x: 0, y: 64, z: 1, blockName: 'cobblestone' });
+
+    expect(simulator.diff()).toEqual({
+      blocks: [
+        { x: 0, y: 64, z: 1, from: 'air', to: 'cobblestone' },
+        { x: 3, y: 64, z: 0, from: 'oak_log', to: 'air' }
+      ],
+      inventory: { cobblestone: -1, oak_log: 1 },
+      position: { from: { x: 0, y: 64, z: 0 }, to: { x: 0, y: 64, z: 0 } },
+      health: 20,
+      chat: []
+    });
+    expect(simulator.toSnapshot().blocks['0,64,1']).toBe('cobblestone');
+  });
+
+  it('should run a program end to end with its defaults', async () => {
+    const source = `
+      const program = defineProgram({
+        name: 'gather',
+        capabilities: ['move', 'dig', 'craft'],
+        defaults: { x: 3 },
+        async run({ args, actions, control }) {
+          await actions.navigate.goto(new Vec3(args.x - 1, 64, 0), { range: 0 });
+          await actions.gather.mineBlock({ position: new Vec3(args.x, 64, 0), expect: 'log' });
+          await actions.craft.craft('oak_planks', 3);
+          return control.success({ done: true });
+        }
+      });
+      program
+    `;
+
+    const result = await simulator.execute(source, {}, ['move', 'dig', 'craft'], 10000);
+
+    expect(result.success).toBe(true);
+    expect(result.diff.inventory).toEqual({ oak_planks: 12, oak_log: -2 });
+    expect(result.diff.position.to).toEqual({ x: 2, y: 64, z: 0 });
+  });
+
+  it('should attach the diff when a program fails', async () => {
+    const source = `
+      const program = defineProgram({
+        name: 'too-far',
+        capabilities: ['move'],
+        async run({ actions }) {
+          await actions.navigate.goto(new Vec3(30, 64, 0), { range: 0, planner: 'deterministic' });
+        }
+      });
+      program
+    `;
+
+    const error = await simulator.execute(source, {}, ['move'], 10000).catch(e => e);
+
+    expect(error.message).toContain('No path found');
+    expect(error.diff.blocks).toEqual([]);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for smelting, run against the dry-run simulator's bot and furnaces
+ */
+const { describe, it, expect } = require('bun:test');
+const express = require('express');
+const request = require('supertest');
+const { simulatedWorld, items } = require('../utils/simulated-world');
+const ContextBuilder = require('../../src/program-system/runtime/context');
+const { runCommand, executeInstruction } = require('../../src/commands');
+const { setupCommandRoutes } = require('../../src/commands/routes');
+const smelting = require('../../src/commands/smelting');
+
+const setup = simulatedWorld;
+
+
+describe('smelting', () => {
+  describe('selectFuel', () => {
+    it('should burn the least valuable fuel first', () => {
+      const { bot } = setup({ inventory: items({ coal: 5, stick: 4, oak_planks: 10 }) });
+
+      expect(smelting.selectFuel(bot, 8)).toEqual({
+        fuel: [{ name: 'stick', count: 4 }, { name: 'oak_planks', count: 4 }],
+        covered: 8
+      });
+      expect(smelting.selectFuel(bot, 8, { fuel: 'coal' })).toEqual({ fuel: [{ name: 'coal', count: 1 }], covered: 8 });
+    });
+
+    it('should never burn the input and report what the fuel covers', () => {
+      const { bot } = setup({ inventory: items({ oak_log: 3 }) });
+
+      expect(smelting.selectFuel(bot, 8, { exclude: 'oak_log' })).toEqual({ fuel: [], covered: 0 });
+      expect(smelting.selectFuel(bot, 8)).toEqual({ fuel: [{ name: 'oak_log', count: 3 }], covered: 4 });
+      expect(() => smelting.selectFuel(bot, 1, { fuel: 'dirt' })).toThrow('dirt is not a fuel');
+    });
+  });
+
+  describe('smelt', () => {
+    it('should smelt in a nearby furnace and report progress', async () => {
+      const { bot } = setup({
+        inventory: items({ raw_iron: 3, coal: 2 }),
+        blocks: { '2,64,0': 'furnace' }
+      });
+      const events = [];
+
+      const result = await smelting.smelt(bot, { item: 'raw_iron' }, { logEvent: (type, data) => events.push({ type, ...data }) });
+
+      expect(result).toMatchObject({
+        reason: 'done',
+        item: 'raw_iron',
+        output: 'iron_ingot',
+        requested: 3,
+        count: 3,
+        fuel: { coal: 1 },
+        furnace: { type: 'furnace', position: { x: 2, y: 64, z: 0 }, placed: false }
+      });
+      expect(bot.inventoryDiff()).toEqual({ raw_iron: -3, coal: -1, iron_ingot: 3 });
+      expect(events.at(-1)).toEqual({ type: 'smelt_progress', item: 'raw_iron', output: 'iron_ingot', smelted: 3, total: 3 });
+    });
+
+    it('should walk to a furnace out of reach', async () => {
+      const { bot } = setup({
+        inventory: items({ beef: 1, stick: 2 }),
+        blocks: { '10,64,0': 'smoker' }
+      });
+
+      const result = await smelting.smelt(bot, { item: 'beef' });
+
+      expect(result).toMatchObject({ reason: 'done', count: 1, furnace: { type: 'smoker' } });
+      expect(bot.entity.position.distanceTo({ x: 10, y: 64, z: 0 })).toBeLessThanOrEqual(3);
+    });
+
+    it('should place a furnace from the inventory, or craft one', async () => {
+      const placed = setup({ inventory: items({ sand: 2, furnace: 1, oak_planks: 2 }) });
+      const first = await smelting.smelt(placed.bot, { item: 'sand' });
+      expect(first.furnace).toMatchObject({ placed: true, crafted: false });
+      expect(placed.bot.inventoryDiff()).toEqual({ sand: -2, furnace: -1, oak_planks: -2, glass: 2 });
+
+      const crafted = setup({ inventory: items({ sand: 1, cobblestone: 8, stick: 2 }), blocks: { '0,64,2': 'crafting_table' } });
+      const second = await smelting.smelt(crafted.bot, { item: 'sand' });
+      expect(second.furnace).toMatchObject({ type: 'furnace', placed: true, crafted: true });
+    });
+
+    it('should refuel as the fuel burns out', async () => {
+      const { bot } = setup({
+        inventory: items({ cobblestone: 4, stick: 2, oak_planks: 2 }),
+        blocks: { '1,64,1': 'furnace' }
+      });
+
+      const result = await smelting.smelt(bot, { item: 'cobblestone' });
+
+      expect(result).toMatchObject({ reason: 'done', count: 4, fuel: { stick: 2, oak_planks: 2 } });
+    });
+
+    it('should stop when the fuel runs out and take back the input', async () => {
+      const { bot } = setup({
+        inventory: items({ raw_gold: 4, stick: 2 }),
+        blocks: { '1,64,1': 'furnace' }
+      });
+
+      const result = await smelting.smelt(bot, { item: 'raw_gold' });
+
+      expect(result).toMatchObject({ reason: 'out_of_fuel', requested: 4, count: 1 });
+      expect(bot.inventoryDiff()).toEqual({ raw_gold: -1, stick: -2, gold_ingot: 1 });
+    });
+
+    it('should reject what cannot be smelted', async () => {
+      const { bot } = setup({ inventory: items({ raw_iron: 1, beef: 1, dirt: 1 }) });
+      const { bot: withFurnace } = setup({ inventory: items({ raw_iron: 1 }), blocks: { '2,64,0': 'furnace' } });
+
+      await expect(smelting.smelt(bot, { item: 'dirt' })).rejects.toThrow('dirt cannot be smelted');
+      await expect(smelting.smelt(bot, { item: 'raw_iron', count: 2 })).rejects.toThrow('Not enough raw_iron (have 1, need 2)');
+      await expect(smelting.smelt(bot, { item: 'beef', furnace: 'blast_furnace' })).rejects.toThrow('A blast_furnace cannot smelt beef');
+      await expect(smelting.smelt(bot, { item: 'raw_iron', fuel: 'coal' })).rejects.toThrow('No furnace or blast_furnace within 32 blocks or in inventory');
+      await expect(smelting.smelt(withFurnace, { item: 'raw_iron' })).rejects.toThrow('No fuel in inventory');
+      expect(withFurnace.inventoryDiff()).toEqual({});
+    });
+  });
+
+  it('should run from POST /smelt and as a batch instruction', async () => {
+    const { bot } = setup({
+      inventory: items({ potato: 2, coal: 1 }),
+      blocks: { '2,64,0': 'furnace' }
+    });
+
+    const app = express();
+    app.use(express.json());
+    setupCommandRoutes(app, () => ({ runCommand: (name, params) => runCommand(bot, name, params) }));
+
+    const bad = await request(app).post('/smelt').send({ item: 'potato', fuel: 'coal', furnace: 'kiln' }).expect(400);
+    expect(bad.body.error).toBe("furnace must be 'furnace', 'smoker' or 'blast_furnace'");
+
+    const res = await request(app).post('/smelt').send({ item: 'potato', count: 1 }).expect(200);
+    expect(res.body).toMatchObject({ success: true, reason: 'done', output: 'baked_potato', count: 1 });
+
+    // The furnace is still burning the coal from the first potato
+    const instruction = await executeInstruction(bot, { type: 'smelt', params: { item: 'potato' } });
+    expect(instruction).toMatchObject({ smelted: true, reason: 'done', count: 1, fuel: {} });
+  });
+
+  it('should smelt from ctx.actions.smelt and log progress', async () => {
+    const { simulator, bot } = setup({
+      inventory: items({ raw_copper: 2, charcoal: 1 }),
+      blocks: { '2,64,0': 'blast_furnace' }
+    });
+    const builder = new ContextBuilder(simulator.createHost(), ['craft'], {});
+    const ctx = builder.build();
+
+    expect(await ctx.actions.smelt.fuelFor(2)).toEqual({ fuel: [{ name: 'charcoal', count: 1 }], covered: 2 });
+    const result = await ctx.actions.smelt.smelt('raw_copper');
+
+    expect(result).toMatchObject({ reason: 'done', count: 2, furnace: { type: 'blast_furnace' } });
+    expect(bot.inventoryDiff()).toEqual({ raw_copper: -2, charcoal: -1, copper_ingot: 2 });
+    expect(builder.logs.at(-1).message).toBe('Smelted 2/2 copper_ingot');
+    expect(builder.getUsage().total.craft).toBe(1);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for world snapshot capture and the snapshot file format
+ */
+const { describe, it, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const ProgramSimulator = require('../../src/program-system/simulator');
+const {
+  encodeRegion, decodeRegion, readSnapshotFile, writeSnapshotFile
+} = require('../../src/program-system/simulator/snapshot');
+const { runCommand } = require('../../src/commands');
+const { setupCommandRoutes } = require('../../src/commands/routes');
+
+// A live-looking bot to capture from: the simulator's bot on a small world
+function sourceWorld() {
+  return new ProgramSimulator({
+    version: '1.20.4',
+    position: { x: 0, y: 64, z: 0 },
+    fill: [{ from: { x: -4, y: 60, z: -4 }, to: { x: 4, y: 63, z: 4 }, block: 'stone' }],
+    blocks: { '2,64,1': 'oak_log', '-3,65,0': 'glass' },
+    inventory: [{ name: 'dirt', count: 5 }],
+    entities: [
+      { id: 7, name: 'cow', type: 'mob', position: { x: 1, y: 64, z: 2 } },
+      { id: 8, name: 'zombie', type: 'mob', position: { x: 40, y: 64, z: 0 } }
+    ]
+  });
+}
+
+describe('world snapshots', () => {
+  let bot;
+
+  beforeEach(() => {
+    bot = sourceWorld().simulatedBot;
+  });
+
+  it('should run-length encode regions and decode them again', () => {
+    const names = { '0,0,0': 'stone', '1,0,0': 'stone', '0,0,1': 'dirt' };
+    const region = encodeRegion({ x: 0, y: 0, z: 0 }, { x: 2, y: 2, z: 2 }, (x, y, z) => names[`${x},${y},${z}`] || 'air');
+
+    // x runs fastest, then z, then y
+    expect(region.palette).toEqual(['stone', 'dirt', 'air']);
+    expect(region.data).toEqual([2, 0, 1, 1, 5, 2]);
+
+    const blocks = [];
+    decodeRegion(region, (x, y, z, name) => blocks.push([x, y, z, name]));
+    expect(blocks).toEqual([[0, 0, 0, 'stone'], [1, 0, 0, 'stone'], [0, 0, 1, 'dirt']]);
+  });
+
+  it('should reject regions whose data does not fill the box', () => {
+    const region = { origin: { x: 0, y: 0, z: 0 }, size: { x: 2, y: 1, z: 1 }, palette: ['stone'], data: [1, 0] };
+
+    expect(() => decodeRegion(region, () => {})).toThrow('Snapshot region holds 1 blocks, expected 2');
+  });
+
+  it('should capture the blocks, inventory and entities around the bot', async () => {
+    const snapshot = await runCommand(bot, 'snapshot', { radius: 4, below: 4, above: 2 });
+
+    expect(snapshot).toMatchObject({
+      format: 'mineflare-world-snapshot',
+      formatVersion: 1,
+      version: '1.20.4',
+      position: { x: 0, y: 64, z: 0 },
+      inventory: [{ name: 'dirt', count: 5 }],
+      entities: [{ id: 7, name: 'cow', type: 'mob', position: { x: 1, y: 64, z: 2 } }]
+    });
+    expect(snapshot.region.origin).toEqual({ x: -4, y: 60, z: -4 });
+    expect(snapshot.region.size).toEqual({ x: 9, y: 7, z: 9 });
+    expect(snapshot.region.palette.sort()).toEqual(['air', 'glass', 'oak_log', 'stone']);
+  });
+
+  it('should only capture the requested extras', async () => {
+    const snapshot = await runCommand(bot, 'snapshot', { radius: 1, include: 'inventory' });
+
+    expect(snapshot.inventory).toHaveLength(1);
+    expect(snapshot.entities).toBeUndefined();
+    await expect(runCommand(bot, 'snapshot', { include: ['weather'] })).rejects.toThrow('Unknown include: weather');
+  });
+
+  it('should refuse out-of-range limits', async () => {
+    await expect(runCommand(bot, 'snapshot', { radius: 500 })).rejects.toThrow('radius must be an integer from 0 to 64');
+    await expect(runCommand(bot, 'snapshot', { below: -1 })).rejects.toThrow('below must be an integer');
+    await expect(runCommand(bot, 'snapshot', { radius: 64, below: 256, above: 256 })).rejects.toThrow('Snapshot too large');
+  });
+
+  it('should reproduce the captured world in the simulator', async () => {
+    const snapshot = await runCommand(bot, 'snapshot', { radius: 4, below: 4, above: 2 });
+    const copy = new ProgramSimulator(JSON.parse(JSON.stringify(snapshot))).simulatedBot;
+
+    for (const pos of [{ x: 2, y: 64, z: 1 }, { x: -3, y: 65, z: 0 }, { x: 4, y: 60, z: -4 }, { x: 0, y: 64, z: 0 }]) {
+      expect(copy.blockAt(pos).name).toBe(bot.blockAt(pos).name);
+    }
+    expect(copy.world.positions()).toHaveLength(bot.world.positions().length);
+    expect(copy.inventoryDiff()).toEqual({});
+  });
+
+  describe('files', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mineflare-snapshot-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write and read plain and gzipped snapshots', async () => {
+      const snapshot = await runCommand(bot, 'snapshot', { radius: 2 });
+
+      for (const name of ['world.json', 'world.json.gz']) {
+        writeSnapshotFile(path.join(dir, name), snapshot);
+        expect(readSnapshotFile(path.join(dir, name))).toEqual(snapshot);
+      }
+      expect(fs.readFileSync(path.join(dir, 'world.json.gz'))[0]).toBe(0x1f);
+    });
+
+    it('should refuse files from a newer format version', () => {
+      fs.writeFileSync(path.join(dir, 'new.json'), JSON.stringify({ format: 'mineflare-world-snapshot', formatVersion: 99 }));
+
+      expect(() => readSnapshotFile(path.join(dir, 'new.json'))).toThrow('Unsupported snapshot format version 99');
+    });
+  });
+
+  it('should serve snapshots from POST /world/snapshot', async () => {
+    const app = express();
+    app.use(express.json());
+    setupCommandRoutes(app, () => ({ runCommand: (name, params) => runCommand(bot, name, params) }));
+
+    const res = await request(app).post('/world/snapshot').send({ radius: 2, include: [] }).expect(200);
+    expect(res.body.region.size).toEqual({ x: 5, y: 17, z: 5 });
+    expect(res.body.inventory).toBeUndefined();
+
+    const bad = await request(app).post('/world/snapshot').send({ radius: 'far' }).expect(400);
+    expect(bad.body.error).toBe('radius must be an integer from 0 to 64');
+  });
+});
@@ -0,0 +1,37 @@
+const ProgramSimulator = require('../../src/program-system/simulator');
+
+/**
+ * Create a dry-run simulator with a stone floor at y=63 and the bot standing
+ * on it at the origin
+ * @param {Object} [options] - Snapshot for ProgramSimulator, plus:
+ * @param {number} [options.radius=16] - Half the width of the floor
+ * @param {number} [options.depth=1] - Floor thickness, growing down from y=63
+ * @param {Array} [options.fill] - Extra regions, filled after the floor
+ * @returns {{ simulator: ProgramSimulator, bot: Object }}
+ */
+function simulatedWorld({ radius = 16, depth = 1, fill = [], ...snapshot } = {}) {
+  const simulator = new ProgramSimulator({
+    version: '1.20.4',
+    position: { x: 0, y: 64, z: 0 },
+    ...snapshot,
+    fill: [
+      { from: { x: -radius, y: 64 - depth, z: -radius }, to: { x: radius, y: 63, z: radius }, block: 'stone' },
+      ...fill
+    ]
+  });
+  return { simulator, bot: simulator.simulatedBot };
+}
+
+/**
+ * Turn { name: count } into an inventory or container item list
+ * @param {Object} spec - Item counts by name
+ * @returns {Array<{name: string, count: number}>}
+ */
+function items(spec) {
+  return Object.entries(spec).map(([name, count]) => ({ name, count }));
+}
+
+module.exports = {
+  simulatedWorld,
+  items
+};